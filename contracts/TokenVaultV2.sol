@@ -51,10 +51,13 @@ contract TokenVaultV2 is
 
     /**
      * @dev Initialize V2 - called once during V1->V2 upgrade via reinitializer
+     * Restricted to UPGRADER_ROLE; pass it to upgradeToAndCall so the upgrade and
+     * initialization happen in one transaction
      */
     function initializeV2(uint256 _yieldRate)
         external
         reinitializer(2)
+        onlyRole(UPGRADER_ROLE)
     {
         require(_yieldRate <= 10000, "Yield rate cannot exceed 100%");
         yieldRate = _yieldRate;
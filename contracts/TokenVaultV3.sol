@@ -69,10 +69,13 @@ contract TokenVaultV3 is
 
     /**
      * @dev Initialize V3 - called once during V2->V3 upgrade via reinitializer
+     * Restricted to UPGRADER_ROLE; pass it to upgradeToAndCall so the upgrade and
+     * initialization happen in one transaction
      */
     function initializeV3(uint256 _withdrawalDelay)
         external
         reinitializer(3)
+        onlyRole(UPGRADER_ROLE)
     {
         require(
             _withdrawalDelay <= 30 days,
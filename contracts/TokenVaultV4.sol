@@ -0,0 +1,1815 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/interfaces/IERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/math/MathUpgradeable.sol";
+import "./TokenVaultV4Base.sol";
+import "./TokenVaultV4Extension.sol";
+
+/**
+ * @title TokenVaultV4
+ * @dev V4 adds deposit fee accounting, treasury sweeps, delayed fee updates, a reward-per-token
+ * yield index, a funded reward reserve, an ERC-4626 share interface, additional whitelisted
+ * deposit tokens, a per-user withdrawal queue, an optional strict withdrawal delay, a
+ * guardian-controlled vault state machine, permit deposits, signed withdrawal requests and
+ * an optional compound yield mode while maintaining all V1+V2+V3 functionality
+ * Storage, types and shared helpers live in TokenVaultV4Base. Administration and the
+ * operations on additional tokens run in TokenVaultV4Extension, which the constructor
+ * deploys and the stubs below reach through DELEGATECALL; views stay here
+ * Storage layout preserves all V1+V2+V3 variables and adds new ones at the end
+ */
+contract TokenVaultV4 is TokenVaultV4Base, IERC4626Upgradeable {
+    // Storage gap for future upgrades (reduced from 39 to 11 to account for 28 new slots)
+    uint256[11] private __gap;
+
+    // Deployed by the constructor; runs the calls forwarded by _delegateToExtension()
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable extension;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+        extension = address(new TokenVaultV4Extension());
+    }
+
+    /**
+     * @dev Initialize V4 - called once during V3->V4 upgrade via reinitializer
+     * Implemented in TokenVaultV4Extension
+     */
+    function initializeV4(address, uint256, uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Deposit tokens into the vault
+     * Deducts fee from deposit amount
+     * @param amount Amount of tokens to deposit
+     */
+    function deposit(uint256 amount) public {
+        // Apply a queued fee increase once its notice period has passed
+        _applyPendingDepositFee();
+
+        // Calculate fee and amount after fee
+        uint256 fee = (amount * depositFee) / 10000;
+        _deposit(msg.sender, amount, amount - fee);
+    }
+
+    /**
+     * @dev Request withdrawal with delay
+     * Implemented in TokenVaultV4Extension
+     */
+    function requestWithdrawal(uint256) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Deposit tokens using an EIP-2612 permit instead of a prior approve
+     * The permit is skipped if it was already used (e.g. front-run) and the allowance suffices
+     * @param amount Amount of tokens to deposit
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function depositWithPermit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        try
+            IERC20PermitUpgradeable(address(token)).permit(
+                msg.sender,
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {
+            if (token.allowance(msg.sender, address(this)) < amount) {
+                revert PermitFailed();
+            }
+        }
+        deposit(amount);
+    }
+
+    /**
+     * @dev Queue a withdrawal request on behalf of a user who signed it (EIP-712)
+     * Implemented in TokenVaultV4Extension
+     */
+    function requestWithdrawalBySig(
+        address,
+        address,
+        uint256,
+        uint256,
+        uint8,
+        bytes32,
+        bytes32
+    ) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Execute the oldest pending withdrawal request after delay period
+     * @return Amount of tokens withdrawn
+     */
+    function executeWithdrawal() public returns (uint256) {
+        _syncLegacyWithdrawalRequest(msg.sender);
+        return
+            _executeQueuedWithdrawal(
+                _oldestPendingWithdrawal(msg.sender, address(token))
+            );
+    }
+
+    /**
+     * @dev Emergency withdraw bypassing delay (implementation choice: no role required)
+     * In strict delay mode only available while an emergency is declared
+     * Cancels all pending withdrawal requests for the token
+     * In compound mode the withdrawn balance includes yield compounded up to now
+     * @return Amount of tokens withdrawn
+     */
+    function emergencyWithdraw() public returns (uint256) {
+        _requireEmergencyWithdrawalsAllowed();
+        if (userBalances[msg.sender] == 0) revert NothingToWithdraw();
+
+        // Compounding credits the balance, so settle before taking all of it
+        _settleYield(msg.sender);
+
+        uint256 amount = userBalances[msg.sender];
+
+        // Clear pending withdrawal requests if any
+        withdrawalRequests[msg.sender].amount = 0;
+        withdrawalRequests[msg.sender].requestTime = 0;
+        _cancelAllWithdrawals(msg.sender, address(token));
+
+        // Accrued yield stays claimable
+        _withdraw(msg.sender, msg.sender, amount);
+
+        emit EmergencyWithdrawal(msg.sender, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Execute a specific matured withdrawal request, in any token
+     * @param requestId ID returned by requestWithdrawal
+     * @return Amount of tokens withdrawn
+     */
+    function executeWithdrawalRequest(uint256 requestId)
+        external
+        returns (uint256)
+    {
+        _syncLegacyWithdrawalRequest(msg.sender);
+        return _executeQueuedWithdrawal(requestId);
+    }
+
+    /**
+     * @dev Cancel a specific pending withdrawal request and unlock its amount
+     * Implemented in TokenVaultV4Extension
+     */
+    function cancelWithdrawalRequest(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Withdraw tokens immediately (for backward compatibility with V1/V2)
+     * This function is deprecated in favor of requestWithdrawal + executeWithdrawal
+     * Amounts locked in pending withdrawal requests cannot be withdrawn this way
+     * Disabled in strict delay mode
+     * @param amount Amount of tokens to withdraw
+     */
+    function withdraw(uint256 amount) public {
+        _requireImmediateWithdrawalsAllowed();
+        _syncLegacyWithdrawalRequest(msg.sender);
+        _requireUnlocked(address(token), msg.sender, amount);
+        _withdraw(msg.sender, msg.sender, amount);
+
+        emit Withdrawal(msg.sender, amount);
+    }
+
+    /**
+     * @dev Set withdrawal delay (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setWithdrawalDelay(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Get current withdrawal delay
+     * @return Delay in seconds
+     */
+    function getWithdrawalDelay() external view returns (uint256) {
+        return withdrawalDelay;
+    }
+
+    /**
+     * @dev Get the oldest pending withdrawal request, the one executeWithdrawal() runs
+     * @param user Address of user
+     * @return amount Amount requested to withdraw
+     * @return requestTime Time of request
+     */
+    function getWithdrawalRequest(address user)
+        public
+        view
+        returns (uint256 amount, uint256 requestTime)
+    {
+        WithdrawalRequest storage legacyRequest = withdrawalRequests[user];
+        if (legacyRequest.amount > 0) {
+            return (legacyRequest.amount, legacyRequest.requestTime);
+        }
+        return _oldestPendingWithdrawalDetails(user, address(token));
+    }
+
+    /**
+     * @dev List a user's pending withdrawal requests in every token, oldest first
+     * A request made before V4 that has not been moved into the queue yet is listed with ID 0
+     * @param user Address of user
+     * @return requests Pending requests with their maturity timestamps
+     */
+    function getWithdrawalRequests(address user)
+        external
+        view
+        returns (WithdrawalRequestInfo[] memory requests)
+    {
+        WithdrawalRequest storage legacyRequest = withdrawalRequests[user];
+        if (legacyRequest.amount > 0) {
+            // The queue is always empty until the pre-V4 request is moved into it
+            requests = new WithdrawalRequestInfo[](1);
+            requests[0] = WithdrawalRequestInfo(
+                0,
+                address(token),
+                legacyRequest.amount,
+                legacyRequest.requestTime,
+                legacyRequest.requestTime + withdrawalDelay
+            );
+            return requests;
+        }
+
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        uint256 head = withdrawalQueueHeads[user];
+        uint256 count = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            if (queue[i].status == WithdrawalStatus.Pending) {
+                count++;
+            }
+        }
+
+        requests = new WithdrawalRequestInfo[](count);
+        uint256 j = 0;
+        for (uint256 i = head; i < queue.length; i++) {
+            QueuedWithdrawal storage request = queue[i];
+            if (request.status == WithdrawalStatus.Pending) {
+                requests[j++] = WithdrawalRequestInfo(
+                    i,
+                    request.asset,
+                    request.amount,
+                    request.requestTime,
+                    request.requestTime + withdrawalDelay
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Move pre-V4 withdrawal requests into the queue (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function migrateWithdrawalRequests(address[] calldata) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Change the deposit fee (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setDepositFee(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Cancel a queued fee increase (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function cancelPendingDepositFee() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Apply a queued fee increase whose notice period has passed
+     * Implemented in TokenVaultV4Extension
+     */
+    function applyPendingDepositFee() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Set the upper bound for the deposit fee of every supported token (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setMaxDepositFee(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Set the notice period for fee increases (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setFeeUpdateDelay(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Get the queued fee increase, if any
+     * @return fee Pending fee in basis points
+     * @return effectiveTime Time the fee takes effect (0 if nothing is pending)
+     */
+    function getPendingDepositFee()
+        public
+        view
+        returns (uint256 fee, uint256 effectiveTime)
+    {
+        if (
+            pendingDepositFeeTime == 0 ||
+            block.timestamp >= pendingDepositFeeTime
+        ) {
+            return (0, 0);
+        }
+        return (pendingDepositFee, pendingDepositFeeTime);
+    }
+
+    /**
+     * @dev Set the treasury that receives swept fees (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setTreasury(address) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Hand the admin position to a new account (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function transferAdmin(address) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Transfer all accrued fees to an arbitrary recipient (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function collectFees(address) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Transfer all accrued fees to the configured treasury
+     * Implemented in TokenVaultV4Extension
+     */
+    function sweepFees() external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev One-time recovery of fees taken before V4 started tracking them
+     * Implemented in TokenVaultV4Extension
+     */
+    function reconcileFees() external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Compare the vault's token balance against everything it owes in that token
+     * Pending withdrawals are part of the deposits; the yield liability leaves out
+     * pre-V4 accrual of users not yet migrated
+     * @return tokenBalance Tokens held by the vault
+     * @return deposits Sum of all user balances (totalDepositAmount)
+     * @return pendingWithdrawals Amount locked in pending withdrawal requests
+     * @return fees Deposit fees held for the treasury (accruedFees)
+     * @return reserve Tokens set aside to pay yield (rewardReserve)
+     * @return yieldLiability Unclaimed yield owed to users
+     * @return surplus tokenBalance - (deposits + fees + yieldLiability); negative if insolvent
+     */
+    function solvencyReport()
+        external
+        view
+        returns (
+            uint256 tokenBalance,
+            uint256 deposits,
+            uint256 pendingWithdrawals,
+            uint256 fees,
+            uint256 reserve,
+            uint256 yieldLiability,
+            int256 surplus
+        )
+    {
+        tokenBalance = token.balanceOf(address(this));
+        deposits = totalDepositAmount;
+        pendingWithdrawals = totalLockedBalances[address(token)];
+        fees = accruedFees;
+        reserve = rewardReserve;
+        yieldLiability = getTotalYieldLiability();
+        surplus =
+            int256(tokenBalance) -
+            int256(deposits + fees + yieldLiability);
+    }
+
+    /**
+     * @dev Set yield rate (admin only)
+     * Accrual up to now is locked into the index, so the new rate only applies going forward
+     * @param _yieldRate New yield rate in basis points
+     */
+    function setYieldRate(uint256 _yieldRate)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_yieldRate > 10000) revert YieldRateTooHigh(_yieldRate, 10000);
+        _updateRewardIndex();
+        yieldRate = _yieldRate;
+        emit YieldRateUpdated(_yieldRate);
+    }
+
+    /**
+     * @dev Get current yield rate
+     * @return Yield rate in basis points
+     */
+    function getYieldRate() external view returns (uint256) {
+        return yieldRate;
+    }
+
+    /**
+     * @dev Calculate unclaimed yield for a user
+     * @param user Address of user
+     * @return Unclaimed yield amount
+     */
+    function getUserYield(address user) public view returns (uint256) {
+        return
+            accumulatedYield[user] +
+            _pendingYield(user) +
+            _pendingCompoundYield(user);
+    }
+
+    /**
+     * @dev Claim accumulated yield from the reward reserve
+     * Yield settled by earlier withdrawals stays claimable with a zero balance
+     * If the reserve cannot cover everything, it pays what it can and the rest stays accrued
+     * @return Amount of yield claimed
+     */
+    function claimYield() public returns (uint256) {
+        _requireActionAllowed(VaultAction.ClaimYield);
+        if (userBalances[msg.sender] == 0 && accumulatedYield[msg.sender] == 0) {
+            revert NothingToClaim();
+        }
+
+        // Settle yield since last checkpoint and reset it
+        _settleYield(msg.sender);
+        uint256 totalYield = accumulatedYield[msg.sender];
+        if (totalYield == 0) revert NothingToClaim();
+        uint256 payout = totalYield < rewardReserve ? totalYield : rewardReserve;
+        if (payout == 0) revert RewardReserveEmpty();
+
+        accumulatedYield[msg.sender] = totalYield - payout;
+        totalAccumulatedYield -= payout;
+        rewardReserve -= payout;
+
+        // Transfer yield to user
+        if (!token.transfer(msg.sender, payout)) revert TransferFailed(address(token));
+
+        emit YieldClaimed(msg.sender, payout);
+        return payout;
+    }
+
+    /**
+     * @dev Credit a user's compound yield to their balance (no role required)
+     * Paid from the reward reserve like claims; yield the reserve cannot cover moves into
+     * accumulatedYield and stays claimable. Blocked while fully paused or in an emergency
+     * @param user Address whose yield is compounded
+     * @return Amount credited to the balance, 0 if there is nothing to compound
+     */
+    function compound(address user) public returns (uint256) {
+        _requireActionAllowed(VaultAction.Compound);
+        uint256 balance = userBalances[user];
+        _settleYield(user);
+        return userBalances[user] - balance;
+    }
+
+    /**
+     * @dev Credit compound yield for several users, e.g. from a keeper (no role required)
+     * @param users Addresses whose yield is compounded
+     * @return total Amount credited over all users
+     */
+    function compoundBatch(address[] calldata users)
+        external
+        returns (uint256 total)
+    {
+        for (uint256 i = 0; i < users.length; i++) {
+            total += compound(users[i]);
+        }
+    }
+
+    /**
+     * @dev Add tokens to the reward reserve (reward funder role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function fundRewards(uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Get tokens available to pay yield
+     * @return Reward reserve balance
+     */
+    function getRewardReserve() external view returns (uint256) {
+        return rewardReserve;
+    }
+
+    /**
+     * @dev Get yield owed to all users: settled plus accrued through the index
+     * Pre-V4 accrual of users not yet migrated is not included
+     * Rounds up relative to per-user values by at most one wei per user, plus a few wei per
+     * user for compound yield not yet credited
+     * @return Outstanding yield liability
+     */
+    function getTotalYieldLiability() public view returns (uint256) {
+        uint256 pending = (rewardPerToken() * totalDepositAmount -
+            balanceWeightedRewardPaid) / REWARD_PRECISION;
+        uint256 compounded = MathUpgradeable.mulDiv(
+            totalScaledBalance,
+            compoundIndex(),
+            COMPOUND_PRECISION,
+            MathUpgradeable.Rounding.Up
+        );
+        if (compounded > totalDepositAmount) {
+            pending += compounded - totalDepositAmount;
+        }
+        return totalAccumulatedYield + pending;
+    }
+
+    /**
+     * @dev Current value of the cumulative reward-per-token index
+     * Frozen while the vault is in compound mode
+     * @return Yield accrued per token since V4 activation, scaled by 1e18
+     */
+    function rewardPerToken() public view returns (uint256) {
+        if (yieldMode != YieldMode.Simple) {
+            return rewardPerTokenStored;
+        }
+        uint256 timeElapsed = block.timestamp - lastRewardUpdateTime;
+        return
+            rewardPerTokenStored +
+            (yieldRate * timeElapsed * REWARD_PRECISION) /
+            (365 days * 10000);
+    }
+
+    /**
+     * @dev Current value of the compound yield index
+     * Grows per second by yieldRate / 365 days while the vault is in compound mode, so a
+     * year at rate r multiplies balances by (1 + r / 31536000)^31536000, close to e^r
+     * @return Growth of one token since V4 activation, scaled by 1e27
+     */
+    function compoundIndex() public view returns (uint256) {
+        if (yieldMode != YieldMode.Compound) {
+            return compoundIndexStored;
+        }
+        uint256 timeElapsed = block.timestamp - lastRewardUpdateTime;
+        uint256 ratePerSecond = COMPOUND_PRECISION +
+            (yieldRate * COMPOUND_PRECISION) /
+            (365 days * 10000);
+        return
+            MathUpgradeable.mulDiv(
+                compoundIndexStored,
+                _rpow(ratePerSecond, timeElapsed),
+                COMPOUND_PRECISION
+            );
+    }
+
+    /**
+     * @dev Settle pre-V4 yield for users who deposited before V4 (admin only)
+     * Accrual up to V4 activation is computed with the rate in force at activation;
+     * users that never got a checkpoint (V1 depositors who have not interacted since)
+     * get nothing for that period instead of yield from timestamp zero
+     * @param users Addresses to migrate
+     */
+    function migrateYieldCheckpoints(address[] calldata users)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        for (uint256 i = 0; i < users.length; i++) {
+            address user = users[i];
+            uint256 settled = _settleYield(user);
+            emit YieldCheckpointMigrated(user, settled);
+        }
+    }
+
+    /**
+     * @dev Get the underlying token (ERC-4626)
+     * @return Address of the deposit token
+     */
+    function asset() external view returns (address) {
+        return address(token);
+    }
+
+    /**
+     * @dev Get the assets backing all shares (ERC-4626)
+     * Shares are the userBalances ledger, one share per token of principal; yield is paid
+     * from the reward reserve instead of growing totalAssets, so the exchange rate is fixed
+     * @return Total principal held for depositors
+     */
+    function totalAssets() external view returns (uint256) {
+        return totalDepositAmount;
+    }
+
+    /**
+     * @dev Convert assets to shares, ignoring fees (ERC-4626)
+     * @param assets Amount of tokens
+     * @return Equivalent amount of shares
+     */
+    function convertToShares(uint256 assets) external pure returns (uint256) {
+        return assets;
+    }
+
+    /**
+     * @dev Convert shares to assets, ignoring fees (ERC-4626)
+     * @param shares Amount of shares
+     * @return Equivalent amount of tokens
+     */
+    function convertToAssets(uint256 shares) external pure returns (uint256) {
+        return shares;
+    }
+
+    /**
+     * @dev Maximum assets that can be deposited (ERC-4626)
+     * @return 0 while deposits are paused, unlimited otherwise
+     */
+    function maxDeposit(address) external view returns (uint256) {
+        return depositsPaused ? 0 : type(uint256).max;
+    }
+
+    /**
+     * @dev Shares minted for a deposit of assets, net of the deposit fee (ERC-4626)
+     * @param assets Amount of tokens to deposit
+     * @return Shares the receiver would get
+     */
+    function previewDeposit(uint256 assets) external view returns (uint256) {
+        return assets - (assets * _effectiveDepositFee()) / 10000;
+    }
+
+    /**
+     * @dev Deposit assets and credit shares to a receiver (ERC-4626)
+     * @param assets Amount of tokens to deposit
+     * @param receiver Address credited with the shares
+     * @return shares Amount of shares minted
+     */
+    function deposit(uint256 assets, address receiver)
+        external
+        returns (uint256 shares)
+    {
+        _applyPendingDepositFee();
+        shares = assets - (assets * depositFee) / 10000;
+        _deposit(receiver, assets, shares);
+    }
+
+    /**
+     * @dev Maximum shares that can be minted (ERC-4626)
+     * @return 0 while deposits are paused or the fee is 100%, unlimited otherwise
+     */
+    function maxMint(address) external view returns (uint256) {
+        if (depositsPaused || _effectiveDepositFee() == 10000) {
+            return 0;
+        }
+        return type(uint256).max;
+    }
+
+    /**
+     * @dev Assets needed to mint an exact amount of shares, fee included (ERC-4626)
+     * @param shares Amount of shares to mint
+     * @return Tokens the caller would pay
+     */
+    function previewMint(uint256 shares) external view returns (uint256) {
+        return _previewMint(shares, _effectiveDepositFee());
+    }
+
+    /**
+     * @dev Mint an exact amount of shares to a receiver (ERC-4626)
+     * @param shares Amount of shares to mint
+     * @param receiver Address credited with the shares
+     * @return assets Amount of tokens pulled from the caller
+     */
+    function mint(uint256 shares, address receiver)
+        external
+        returns (uint256 assets)
+    {
+        _applyPendingDepositFee();
+        assets = _previewMint(shares, depositFee);
+        _deposit(receiver, assets, shares);
+    }
+
+    /**
+     * @dev Maximum assets an owner can withdraw (ERC-4626)
+     * @param owner Address of share owner
+     * @return Owner's balance not locked in withdrawal requests, 0 while immediate withdrawals are disabled
+     */
+    function maxWithdraw(address owner) external view returns (uint256) {
+        if (
+            strictDelayMode ||
+            !_isActionAllowedInState(vaultState, VaultAction.Withdraw)
+        ) {
+            return 0;
+        }
+        return _unlockedBalance(owner);
+    }
+
+    /**
+     * @dev Shares burned to withdraw assets (ERC-4626)
+     * @param assets Amount of tokens to withdraw
+     * @return Shares that would be burned
+     */
+    function previewWithdraw(uint256 assets) external pure returns (uint256) {
+        return assets;
+    }
+
+    /**
+     * @dev Withdraw assets immediately, burning the owner's shares (ERC-4626)
+     * Like withdraw(uint256), this bypasses the withdrawal delay and is disabled in strict delay mode
+     * @param assets Amount of tokens to withdraw
+     * @param receiver Address that receives the tokens
+     * @param owner Address whose shares are burned; needs an allowance if not the caller
+     * @return shares Amount of shares burned
+     */
+    function withdraw(
+        uint256 assets,
+        address receiver,
+        address owner
+    ) external returns (uint256 shares) {
+        _requireImmediateWithdrawalsAllowed();
+        shares = assets;
+        if (msg.sender != owner) {
+            _spendAllowance(owner, msg.sender, shares);
+        }
+        _syncLegacyWithdrawalRequest(owner);
+        _requireUnlocked(address(token), owner, assets);
+        _withdraw(receiver, owner, assets);
+
+        emit Withdrawal(owner, assets);
+    }
+
+    /**
+     * @dev Maximum shares an owner can redeem (ERC-4626)
+     * @param owner Address of share owner
+     * @return Owner's balance not locked in withdrawal requests, 0 while immediate withdrawals are disabled
+     */
+    function maxRedeem(address owner) external view returns (uint256) {
+        if (
+            strictDelayMode ||
+            !_isActionAllowedInState(vaultState, VaultAction.Withdraw)
+        ) {
+            return 0;
+        }
+        return _unlockedBalance(owner);
+    }
+
+    /**
+     * @dev Assets paid out for redeeming shares (ERC-4626)
+     * @param shares Amount of shares to redeem
+     * @return Tokens that would be paid
+     */
+    function previewRedeem(uint256 shares) external pure returns (uint256) {
+        return shares;
+    }
+
+    /**
+     * @dev Redeem shares immediately for assets (ERC-4626)
+     * Like withdraw(uint256), this bypasses the withdrawal delay and is disabled in strict delay mode
+     * @param shares Amount of shares to redeem
+     * @param receiver Address that receives the tokens
+     * @param owner Address whose shares are burned; needs an allowance if not the caller
+     * @return assets Amount of tokens paid
+     */
+    function redeem(
+        uint256 shares,
+        address receiver,
+        address owner
+    ) external returns (uint256 assets) {
+        _requireImmediateWithdrawalsAllowed();
+        assets = shares;
+        if (msg.sender != owner) {
+            _spendAllowance(owner, msg.sender, shares);
+        }
+        _syncLegacyWithdrawalRequest(owner);
+        _requireUnlocked(address(token), owner, assets);
+        _withdraw(receiver, owner, assets);
+
+        emit Withdrawal(owner, assets);
+    }
+
+    /**
+     * @dev Share token name, derived from the underlying token
+     * @return Token name
+     */
+    function name() external view returns (string memory) {
+        return
+            string.concat(
+                "Token Vault ",
+                IERC20MetadataUpgradeable(address(token)).name()
+            );
+    }
+
+    /**
+     * @dev Share token symbol, derived from the underlying token
+     * @return Token symbol
+     */
+    function symbol() external view returns (string memory) {
+        return
+            string.concat(
+                "tv",
+                IERC20MetadataUpgradeable(address(token)).symbol()
+            );
+    }
+
+    /**
+     * @dev Share decimals, equal to the underlying token's
+     * @return Number of decimals
+     */
+    function decimals() external view returns (uint8) {
+        return IERC20MetadataUpgradeable(address(token)).decimals();
+    }
+
+    /**
+     * @dev Get total shares; equal to total deposits
+     * @return Total amount of shares
+     */
+    function totalSupply() external view returns (uint256) {
+        return totalDepositAmount;
+    }
+
+    /**
+     * @dev Transfer shares not locked in withdrawal requests
+     * Yield accrued so far stays with the sender
+     * @param to Recipient of the shares
+     * @param amount Amount of shares
+     * @return True on success
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transferShares(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Get the shares a spender may move on behalf of an owner
+     * @param owner Address of share owner
+     * @param spender Address allowed to spend
+     * @return Remaining allowance
+     */
+    function allowance(address owner, address spender)
+        external
+        view
+        returns (uint256)
+    {
+        return _allowances[owner][spender];
+    }
+
+    /**
+     * @dev Allow a spender to transfer, withdraw or redeem the caller's shares
+     * @param spender Address allowed to spend
+     * @param amount Allowance in shares
+     * @return True on success
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        _approve(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * @dev Transfer shares using an allowance
+     * @param from Address of share owner
+     * @param to Recipient of the shares
+     * @param amount Amount of shares
+     * @return True on success
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        _spendAllowance(from, msg.sender, amount);
+        _transferShares(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Whitelist an additional deposit token (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function addAsset(address, uint256, uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Deposit a supported token into the vault
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function deposit(address assetToken, uint256 amount) external {
+        if (assetToken == address(token)) {
+            deposit(amount);
+            return;
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Withdraw a supported token immediately
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function withdraw(address assetToken, uint256 amount) external {
+        if (assetToken == address(token)) {
+            withdraw(amount);
+            return;
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Request a delayed withdrawal of a supported token
+     * Implemented in TokenVaultV4Extension
+     */
+    function requestWithdrawal(address, uint256) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Execute the oldest pending withdrawal request of a supported token
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function executeWithdrawal(address assetToken) external returns (uint256) {
+        if (assetToken == address(token)) {
+            return executeWithdrawal();
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Emergency withdraw a supported token, bypassing the delay
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function emergencyWithdraw(address assetToken) external returns (uint256) {
+        if (assetToken == address(token)) {
+            return emergencyWithdraw();
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Claim accumulated yield in a supported token from its reward reserve
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function claimYield(address assetToken) external returns (uint256) {
+        if (assetToken == address(token)) {
+            return claimYield();
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Change the deposit fee of a supported token (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setDepositFee(address, uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Cancel a queued fee increase for a supported token (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function cancelPendingDepositFee(address) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Set the yield rate of a supported token (admin only)
+     * The primary token is handled here, additional tokens in TokenVaultV4Extension
+     */
+    function setYieldRate(address assetToken, uint256 _yieldRate) external {
+        if (assetToken == address(token)) {
+            setYieldRate(_yieldRate);
+            return;
+        }
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Add tokens to the reward reserve of a supported token (reward funder role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function fundRewards(address, uint256) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Transfer all accrued fees in a supported token to a recipient (fee manager role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function collectFees(address, address) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Transfer all accrued fees in a supported token to the treasury
+     * Implemented in TokenVaultV4Extension
+     */
+    function sweepFees(address) external returns (uint256) {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Get all supported tokens, primary token first
+     * @return assets Token addresses
+     */
+    function getSupportedAssets()
+        external
+        view
+        returns (address[] memory assets)
+    {
+        assets = new address[](additionalAssets.length + 1);
+        assets[0] = address(token);
+        for (uint256 i = 0; i < additionalAssets.length; i++) {
+            assets[i + 1] = additionalAssets[i];
+        }
+    }
+
+    /**
+     * @dev Check whether a token can be deposited
+     * @param assetToken Address of the token
+     * @return True for the primary token and whitelisted tokens
+     */
+    function isSupportedAsset(address assetToken) external view returns (bool) {
+        return assetToken == address(token) || assetConfigs[assetToken].supported;
+    }
+
+    /**
+     * @dev Get the configuration and totals of a supported token
+     * The primary token reports its V1-V4 state
+     * @param assetToken Address of the token
+     * @return fee Deposit fee charged right now in basis points
+     * @return rate Yield rate in basis points
+     * @return deposits Total deposits
+     * @return fees Fees accrued and not yet collected
+     * @return reserve Reward reserve
+     */
+    function getAssetConfig(address assetToken)
+        external
+        view
+        returns (
+            uint256 fee,
+            uint256 rate,
+            uint256 deposits,
+            uint256 fees,
+            uint256 reserve
+        )
+    {
+        if (assetToken == address(token)) {
+            return (
+                _effectiveDepositFee(),
+                yieldRate,
+                totalDepositAmount,
+                accruedFees,
+                rewardReserve
+            );
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        return (
+            _effectiveAssetFee(config),
+            config.yieldRate,
+            config.totalDeposits,
+            config.accruedFees,
+            config.rewardReserve
+        );
+    }
+
+    /**
+     * @dev Get the queued fee increase of a supported token, if any
+     * @param assetToken Address of the token
+     * @return fee Pending fee in basis points
+     * @return effectiveTime Time the fee takes effect (0 if nothing is pending)
+     */
+    function getPendingDepositFee(address assetToken)
+        external
+        view
+        returns (uint256 fee, uint256 effectiveTime)
+    {
+        if (assetToken == address(token)) {
+            return getPendingDepositFee();
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        if (
+            config.pendingDepositFeeTime == 0 ||
+            block.timestamp >= config.pendingDepositFeeTime
+        ) {
+            return (0, 0);
+        }
+        return (config.pendingDepositFee, config.pendingDepositFeeTime);
+    }
+
+    /**
+     * @dev Get a user's balance of a supported token
+     * @param assetToken Address of the token
+     * @param user Address of user
+     * @return User's balance
+     */
+    function getAssetBalance(address assetToken, address user)
+        external
+        view
+        returns (uint256)
+    {
+        if (assetToken == address(token)) {
+            return userBalances[user];
+        }
+
+        _assetConfig(assetToken);
+        return assetAccounts[assetToken][user].balance;
+    }
+
+    /**
+     * @dev Calculate a user's unclaimed yield in a supported token
+     * @param assetToken Address of the token
+     * @param user Address of user
+     * @return Unclaimed yield amount
+     */
+    function getAssetUserYield(address assetToken, address user)
+        external
+        view
+        returns (uint256)
+    {
+        if (assetToken == address(token)) {
+            return getUserYield(user);
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        AssetAccount storage account = assetAccounts[assetToken][user];
+        return account.accumulatedYield + _pendingAssetYield(config, account);
+    }
+
+    /**
+     * @dev Get yield owed to all users in a supported token
+     * @param assetToken Address of the token
+     * @return Outstanding yield liability
+     */
+    function getAssetYieldLiability(address assetToken)
+        external
+        view
+        returns (uint256)
+    {
+        if (assetToken == address(token)) {
+            return getTotalYieldLiability();
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        uint256 pending = (_assetRewardPerToken(config) *
+            config.totalDeposits -
+            config.balanceWeightedRewardPaid) / REWARD_PRECISION;
+        return config.totalAccumulatedYield + pending;
+    }
+
+    /**
+     * @dev Get a user's oldest pending withdrawal request for a supported token
+     * @param assetToken Address of the token
+     * @param user Address of user
+     * @return amount Amount requested to withdraw
+     * @return requestTime Time of request
+     */
+    function getAssetWithdrawalRequest(address assetToken, address user)
+        external
+        view
+        returns (uint256 amount, uint256 requestTime)
+    {
+        if (assetToken == address(token)) {
+            return getWithdrawalRequest(user);
+        }
+
+        _assetConfig(assetToken);
+        return _oldestPendingWithdrawalDetails(user, assetToken);
+    }
+
+    /**
+     * @dev Enable or disable strict delay mode (admin only)
+     * Implemented in TokenVaultV4Extension
+     */
+    function setStrictDelayMode(bool) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Switch how primary-token yield is paid (admin only)
+     * Accrual up to now is locked in under the old mode. Simple yield already accrued stays
+     * claimable after a switch to compound mode, and compound yield not yet credited is
+     * credited at each user's next settlement after a switch back
+     * @param mode Simple (claimYield pays accumulatedYield) or Compound (credited to balances)
+     */
+    function setYieldMode(YieldMode mode) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (yieldMode == mode) revert YieldModeUnchanged(mode);
+        _updateRewardIndex();
+        yieldMode = mode;
+        emit YieldModeUpdated(mode);
+    }
+
+    /**
+     * @dev Declare an emergency from any other state (guardian role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function declareEmergency() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev End a declared emergency (admin only), leaving the vault fully paused
+     * Implemented in TokenVaultV4Extension
+     */
+    function endEmergency() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Pause every user operation (guardian role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function pauseAll() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Resume every user operation after a full pause (pauser role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function unpauseAll() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Pause deposits (pauser role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function pauseDeposits() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Unpause deposits (pauser role)
+     * Implemented in TokenVaultV4Extension
+     */
+    function unpauseDeposits() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Check if a user operation is currently allowed
+     * Combines the vault state with strict delay mode
+     * @param action Operation to check
+     * @return True if the operation is allowed
+     */
+    function isActionAllowed(VaultAction action) external view returns (bool) {
+        if (strictDelayMode) {
+            if (action == VaultAction.Withdraw) {
+                return false;
+            }
+            if (
+                action == VaultAction.EmergencyWithdraw &&
+                vaultState != VaultState.Emergency
+            ) {
+                return false;
+            }
+        }
+        return _isActionAllowedInState(vaultState, action);
+    }
+
+    /**
+     * @dev Check if an emergency is declared
+     * @return True while the vault is in the Emergency state
+     */
+    function emergencyActive() external view returns (bool) {
+        return vaultState == VaultState.Emergency;
+    }
+
+    /**
+     * @dev Check if deposits are paused
+     * @return True if deposits are paused
+     */
+    function isDepositsPaused() external view returns (bool) {
+        return depositsPaused;
+    }
+
+    /**
+     * @dev Get user balance
+     * @param user Address of user
+     * @return User's balance
+     */
+    function balanceOf(address user) external view returns (uint256) {
+        return userBalances[user];
+    }
+
+    /**
+     * @dev Get total deposits in vault
+     * @return Total amount of deposits
+     */
+    function totalDeposits() external view returns (uint256) {
+        return totalDepositAmount;
+    }
+
+    /**
+     * @dev Get the deposit fee charged right now
+     * Includes a queued increase whose notice period has passed
+     * @return Fee in basis points
+     */
+    function getDepositFee() external view returns (uint256) {
+        return _effectiveDepositFee();
+    }
+
+    /**
+     * @dev Get fees accrued and not yet collected
+     * @return Accrued fee amount
+     */
+    function getAccruedFees() external view returns (uint256) {
+        return accruedFees;
+    }
+
+    /**
+     * @dev Get implementation version
+     * @return Version string
+     */
+    function getImplementationVersion() external pure returns (string memory) {
+        return "V4";
+    }
+
+    /**
+     * @dev Deposit fee including a matured pending increase
+     * @return Fee in basis points
+     */
+    function _effectiveDepositFee() internal view returns (uint256) {
+        if (
+            pendingDepositFeeTime != 0 &&
+            block.timestamp >= pendingDepositFeeTime
+        ) {
+            return pendingDepositFee;
+        }
+        return depositFee;
+    }
+
+    /**
+     * @dev Yield accrued since the user's last settlement
+     * Index accrual since userRewardPerTokenPaid, plus pre-V4 linear accrual if not yet settled
+     * @param user Address of user
+     * @return Pending yield amount
+     */
+    function _pendingYield(address user) internal view returns (uint256) {
+        uint256 balance = userBalances[user];
+        if (balance == 0) {
+            return 0;
+        }
+
+        uint256 pending = (balance *
+            (rewardPerToken() - userRewardPerTokenPaid[user])) /
+            REWARD_PRECISION;
+
+        uint256 checkpoint = lastClaimTime[user];
+        if (!legacyYieldSettled[user] && checkpoint != 0) {
+            // Users without a checkpoint have not accrued anything before V4
+            pending +=
+                (balance * legacyYieldRate * (legacyYieldCutoff - checkpoint)) /
+                (365 days * 10000);
+        }
+
+        return pending;
+    }
+
+    /**
+     * @dev Compound yield accrued since the user's last settlement
+     * @param user Address of user
+     * @return Amount the balance grows by when settled
+     */
+    function _pendingCompoundYield(address user)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 balance = userBalances[user];
+        if (balance == 0) {
+            return 0;
+        }
+        return
+            MathUpgradeable.mulDiv(
+                balance,
+                compoundIndex(),
+                _userCompoundIndex(user)
+            ) - balance;
+    }
+
+    /**
+     * @dev Compound index at the user's last settlement
+     * Users not settled since V4 activation hold balances from before it, at an index of 1
+     */
+    function _userCompoundIndex(address user) internal view returns (uint256) {
+        uint256 index = userCompoundIndex[user];
+        return index == 0 ? COMPOUND_PRECISION : index;
+    }
+
+    /**
+     * @dev A balance discounted to a compound index of 1, rounded up
+     */
+    function _scaledBalance(uint256 balance, uint256 index)
+        internal
+        pure
+        returns (uint256)
+    {
+        return
+            MathUpgradeable.mulDiv(
+                balance,
+                COMPOUND_PRECISION,
+                index,
+                MathUpgradeable.Rounding.Up
+            );
+    }
+
+    /**
+     * @dev x^n in ray precision (1e27 = 1), by squaring
+     * Every multiplication rounds down by less than one ray unit on a value of at least 1,
+     * so for x >= 1 the result is low by a relative error below 2n / 1e27
+     * @param x Base, scaled by 1e27
+     * @param n Exponent
+     */
+    function _rpow(uint256 x, uint256 n) internal pure returns (uint256 result) {
+        result = COMPOUND_PRECISION;
+        while (n > 0) {
+            if (n & 1 == 1) {
+                result = MathUpgradeable.mulDiv(result, x, COMPOUND_PRECISION);
+            }
+            n >>= 1;
+            if (n > 0) {
+                x = MathUpgradeable.mulDiv(x, x, COMPOUND_PRECISION);
+            }
+        }
+    }
+
+    /**
+     * @dev Bring the reward-per-token and compound indices up to the current block
+     * Must run before the yield rate or the yield mode changes
+     */
+    function _updateRewardIndex() internal {
+        rewardPerTokenStored = rewardPerToken();
+        compoundIndexStored = compoundIndex();
+        lastRewardUpdateTime = block.timestamp;
+    }
+
+    /**
+     * @dev Move pending yield into accumulatedYield and snapshot the index for the user
+     * Must run before every change to a user's balance
+     * @param user Address of user
+     * @return settled Amount of yield moved into accumulatedYield
+     */
+    function _settleYield(address user) internal returns (uint256 settled) {
+        _updateRewardIndex();
+
+        settled = _pendingYield(user);
+        if (settled > 0) {
+            accumulatedYield[user] += settled;
+            totalAccumulatedYield += settled;
+        }
+
+        // Move the user's contribution to the liability sum onto the new snapshot
+        uint256 balance = userBalances[user];
+        uint256 index = rewardPerTokenStored;
+        balanceWeightedRewardPaid =
+            balanceWeightedRewardPaid +
+            balance *
+            index -
+            balance *
+            userRewardPerTokenPaid[user];
+        userRewardPerTokenPaid[user] = index;
+        legacyYieldSettled[user] = true;
+        lastClaimTime[user] = block.timestamp;
+
+        _settleCompoundYield(user);
+    }
+
+    /**
+     * @dev Credit compound yield since the user's last settlement from the reward reserve
+     * and snapshot the compound index; what the reserve cannot cover goes to accumulatedYield
+     * Runs as part of _settleYield, after the reward index snapshot
+     * @param user Address of user
+     */
+    function _settleCompoundYield(address user) internal {
+        uint256 index = compoundIndexStored;
+        uint256 userIndex = _userCompoundIndex(user);
+        uint256 balance = userBalances[user];
+        if (index == userIndex) {
+            return;
+        }
+
+        uint256 pending = MathUpgradeable.mulDiv(balance, index, userIndex) -
+            balance;
+        uint256 credited = pending < rewardReserve ? pending : rewardReserve;
+        if (pending > credited) {
+            accumulatedYield[user] += pending - credited;
+            totalAccumulatedYield += pending - credited;
+        }
+
+        totalScaledBalance =
+            totalScaledBalance +
+            _scaledBalance(balance + credited, index) -
+            _scaledBalance(balance, userIndex);
+        userCompoundIndex[user] = index;
+
+        if (credited > 0) {
+            rewardReserve -= credited;
+            userBalances[user] = balance + credited;
+            totalDepositAmount += credited;
+            balanceWeightedRewardPaid += credited * rewardPerTokenStored;
+            emit YieldCompounded(user, credited);
+            emit Transfer(address(0), user, credited);
+        }
+    }
+
+    /**
+     * @dev Settle yield, then credit a user's balance
+     * @param user Address of user
+     * @param amount Amount to credit
+     */
+    function _increaseBalance(address user, uint256 amount) internal {
+        _settleYield(user);
+        uint256 balance = userBalances[user];
+        userBalances[user] = balance + amount;
+        totalDepositAmount += amount;
+        balanceWeightedRewardPaid += amount * rewardPerTokenStored;
+        _rescaleBalance(balance, balance + amount);
+    }
+
+    /**
+     * @dev Settle yield, then debit a user's balance
+     * @param user Address of user
+     * @param amount Amount to debit
+     */
+    function _decreaseBalance(address user, uint256 amount) internal {
+        _settleYield(user);
+        uint256 balance = userBalances[user];
+        userBalances[user] = balance - amount;
+        totalDepositAmount -= amount;
+        balanceWeightedRewardPaid -= amount * rewardPerTokenStored;
+        _rescaleBalance(balance, balance - amount);
+    }
+
+    /**
+     * @dev Move a settled user's term of totalScaledBalance to their new balance
+     * @param oldBalance Balance before the change
+     * @param newBalance Balance after the change
+     */
+    function _rescaleBalance(uint256 oldBalance, uint256 newBalance) internal {
+        uint256 index = compoundIndexStored;
+        totalScaledBalance =
+            totalScaledBalance +
+            _scaledBalance(newBalance, index) -
+            _scaledBalance(oldBalance, index);
+    }
+
+    /**
+     * @dev Pull assets from the caller and credit shares to a receiver
+     * The difference between assets and shares is the deposit fee
+     * @param receiver Address credited with the shares
+     * @param assets Amount of tokens pulled from the caller
+     * @param shares Amount of shares credited
+     */
+    function _deposit(
+        address receiver,
+        uint256 assets,
+        uint256 shares
+    ) internal {
+        if (depositsPaused) revert DepositsPaused();
+        if (assets == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        uint256 fee = assets - shares;
+
+        // Transfer tokens from caller to contract
+        if (!token.transferFrom(msg.sender, address(this), assets)) {
+            revert TransferFailed(address(token));
+        }
+
+        // Update balances (top-up only earns from now on) and account for the fee
+        _increaseBalance(receiver, shares);
+        accruedFees += fee;
+
+        emit Deposit(receiver, shares, fee);
+        emit Deposit(msg.sender, receiver, assets, shares);
+        emit Transfer(address(0), receiver, shares);
+    }
+
+    /**
+     * @dev Burn an owner's shares and send the assets to a receiver
+     * Callers check allowances and emit their own legacy event
+     * @param receiver Address that receives the tokens
+     * @param owner Address whose balance is debited
+     * @param assets Amount of tokens
+     */
+    function _withdraw(
+        address receiver,
+        address owner,
+        uint256 assets
+    ) internal {
+        if (assets == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert ZeroAddress();
+        if (userBalances[owner] < assets) {
+            revert InsufficientBalance(assets, userBalances[owner]);
+        }
+
+        // Update balances
+        _decreaseBalance(owner, assets);
+
+        // Transfer tokens to receiver
+        if (!token.transfer(receiver, assets)) revert TransferFailed(address(token));
+
+        emit Withdraw(msg.sender, receiver, owner, assets, assets);
+        emit Transfer(owner, address(0), assets);
+    }
+
+    /**
+     * @dev Balance an owner can withdraw or transfer, counting a pre-V4 request
+     * that _syncLegacyWithdrawalRequest has yet to lock
+     * @param owner Address of share owner
+     * @return Balance not locked in withdrawal requests
+     */
+    function _unlockedBalance(address owner) internal view returns (uint256) {
+        uint256 unlocked = userBalances[owner] -
+            lockedBalances[owner][address(token)];
+        uint256 legacyAmount = withdrawalRequests[owner].amount;
+        return legacyAmount >= unlocked ? 0 : unlocked - legacyAmount;
+    }
+
+    /**
+     * @dev Move shares between users, settling yield for both
+     * Blocked while fully paused or in an emergency
+     * @param from Address of share owner
+     * @param to Recipient of the shares
+     * @param amount Amount of shares
+     */
+    function _transferShares(
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        _requireActionAllowed(VaultAction.TransferShares);
+        if (to == address(0)) revert ZeroAddress();
+        _syncLegacyWithdrawalRequest(from);
+        _requireUnlocked(address(token), from, amount);
+
+        _decreaseBalance(from, amount);
+        _increaseBalance(to, amount);
+
+        emit Transfer(from, to, amount);
+    }
+
+    /**
+     * @dev Set a share allowance
+     * @param owner Address of share owner
+     * @param spender Address allowed to spend
+     * @param amount Allowance in shares
+     */
+    function _approve(
+        address owner,
+        address spender,
+        uint256 amount
+    ) internal {
+        if (spender == address(0)) revert ZeroAddress();
+        _allowances[owner][spender] = amount;
+        emit Approval(owner, spender, amount);
+    }
+
+    /**
+     * @dev Consume a share allowance; an unlimited allowance is never reduced
+     * @param owner Address of share owner
+     * @param spender Address spending the allowance
+     * @param amount Amount of shares
+     */
+    function _spendAllowance(
+        address owner,
+        address spender,
+        uint256 amount
+    ) internal {
+        uint256 currentAllowance = _allowances[owner][spender];
+        if (currentAllowance != type(uint256).max) {
+            if (currentAllowance < amount) {
+                revert InsufficientAllowance(amount, currentAllowance);
+            }
+            _allowances[owner][spender] = currentAllowance - amount;
+        }
+    }
+
+    /**
+     * @dev Assets needed to mint shares at a given fee, rounded up
+     * @param shares Amount of shares
+     * @param fee Deposit fee in basis points
+     * @return Amount of tokens
+     */
+    function _previewMint(uint256 shares, uint256 fee)
+        internal
+        pure
+        returns (uint256)
+    {
+        if (fee >= 10000) revert FeeTooHigh(fee, 9999);
+        return (shares * 10000 + (10000 - fee) - 1) / (10000 - fee);
+    }
+
+
+    /**
+     * @dev Deposit fee of an additional token including a matured pending increase
+     * @param config Token configuration
+     * @return Fee in basis points
+     */
+    function _effectiveAssetFee(AssetConfig storage config)
+        internal
+        view
+        returns (uint256)
+    {
+        if (
+            config.pendingDepositFeeTime != 0 &&
+            block.timestamp >= config.pendingDepositFeeTime
+        ) {
+            return config.pendingDepositFee;
+        }
+        return config.depositFee;
+    }
+
+    /**
+     * @dev Amount and time of the oldest pending request for a token
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @return amount Amount requested, 0 if there is none
+     * @return requestTime Time of request
+     */
+    function _oldestPendingWithdrawalDetails(address user, address assetToken)
+        internal
+        view
+        returns (uint256 amount, uint256 requestTime)
+    {
+        (bool found, uint256 requestId) = _findOldestPendingWithdrawal(
+            user,
+            assetToken
+        );
+        if (!found) {
+            return (0, 0);
+        }
+        QueuedWithdrawal storage request = withdrawalQueues[user][requestId];
+        return (request.amount, request.requestTime);
+    }
+
+    /**
+     * @dev Execute one of the caller's matured requests for the primary token
+     * @param requestId ID of the request
+     * @return amount Amount of tokens withdrawn
+     */
+    function _executeQueuedWithdrawal(uint256 requestId)
+        internal
+        returns (uint256 amount)
+    {
+        _requireActionAllowed(VaultAction.ExecuteWithdrawal);
+        QueuedWithdrawal storage request = _pendingWithdrawal(
+            msg.sender,
+            requestId
+        );
+        // Requests for additional tokens are executed by TokenVaultV4Extension
+        if (request.asset != address(token)) {
+            _delegateToExtension();
+        }
+        uint256 readyAt = request.requestTime + withdrawalDelay;
+        if (block.timestamp < readyAt) revert WithdrawalNotReady(readyAt);
+
+        amount = request.amount;
+        request.status = WithdrawalStatus.Executed;
+        lockedBalances[msg.sender][address(token)] -= amount;
+        totalLockedBalances[address(token)] -= amount;
+        _advanceWithdrawalQueueHead(msg.sender);
+
+        _withdraw(msg.sender, msg.sender, amount);
+        emit WithdrawalExecuted(msg.sender, amount);
+
+        emit WithdrawalRequestExecuted(msg.sender, requestId);
+    }
+
+    /**
+     * @dev Run the current call in TokenVaultV4Extension against this vault's storage and
+     * return or revert with its result, so events, errors and return values are unchanged
+     */
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegateToExtension() private {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
@@ -0,0 +1,731 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+
+/**
+ * @title TokenVaultV4Base
+ * @dev Storage, types, events, errors and shared internal logic of TokenVaultV4 and
+ * TokenVaultV4Extension. Both inherit it, so the extension sees the vault's storage at the
+ * same slots when the vault delegates calls to it
+ * Storage layout preserves all V1+V2+V3 variables and adds new ones at the end; TokenVaultV4
+ * declares the storage gap after them
+ */
+abstract contract TokenVaultV4Base is
+    Initializable,
+    UUPSUpgradeable,
+    AccessControlUpgradeable
+{
+    // Role definitions
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant REWARD_FUNDER_ROLE = keccak256("REWARD_FUNDER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Fixed-point scale of the reward-per-token index
+    uint256 internal constant REWARD_PRECISION = 1e18;
+
+    // Fixed-point scale of the compound yield index (ray)
+    uint256 internal constant COMPOUND_PRECISION = 1e27;
+
+    // EIP-712 domain and struct type hashes for signed withdrawal requests
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant WITHDRAWAL_REQUEST_TYPEHASH =
+        keccak256(
+            "WithdrawalRequest(address user,address asset,uint256 amount,uint256 nonce,uint256 deadline)"
+        );
+
+    // Maximum number of requests between a user's queue head and tail
+    uint256 public constant MAX_QUEUED_WITHDRAWALS = 20;
+
+    // V1 Storage - MUST NOT CHANGE
+    IERC20Upgradeable public token;
+    address public admin;
+    uint256 public depositFee;
+    mapping(address => uint256) public userBalances;
+    uint256 public totalDepositAmount;
+
+    // V2 Storage - MUST NOT CHANGE
+    uint256 public yieldRate;
+    mapping(address => uint256) public lastClaimTime;
+    mapping(address => uint256) public accumulatedYield;
+    bool public depositsPaused;
+
+    // V3 Storage - MUST NOT CHANGE
+    uint256 public withdrawalDelay; // in seconds
+    mapping(address => WithdrawalRequest) public withdrawalRequests;
+
+    // V4 New Storage - appended after V3 storage
+    uint256 public accruedFees; // deposit fees held by the vault, not yet collected
+    address public treasury;
+    bool public feesReconciled; // packed into the same slot as treasury
+    uint256 public maxDepositFee; // in basis points, upper bound for setDepositFee
+    uint256 public feeUpdateDelay; // notice period for fee increases, in seconds
+    uint256 public pendingDepositFee;
+    uint256 public pendingDepositFeeTime; // when the pending fee takes effect, 0 if none
+    uint256 public rewardReserve; // tokens set aside to pay yield, separate from deposits
+    uint256 public totalAccumulatedYield; // sum of accumulatedYield across users
+    uint256 public rewardPerTokenStored; // cumulative yield per token, scaled by 1e18
+    uint256 public lastRewardUpdateTime;
+    mapping(address => uint256) public userRewardPerTokenPaid; // index at the user's last settlement
+    uint256 public balanceWeightedRewardPaid; // sum of userBalances * userRewardPerTokenPaid
+    uint256 public legacyYieldCutoff; // V4 activation time; pre-V4 accrual stops here
+    uint256 public legacyYieldRate; // yield rate in force at V4 activation
+    mapping(address => bool) public legacyYieldSettled; // pre-V4 accrual moved into accumulatedYield
+    mapping(address => mapping(address => uint256)) internal _allowances; // share allowances
+    mapping(address => AssetConfig) public assetConfigs; // additional tokens; the primary token uses V1-V4 variables
+    mapping(address => mapping(address => AssetAccount)) internal assetAccounts; // token => user => account
+    address[] public additionalAssets;
+    mapping(address => QueuedWithdrawal[]) internal withdrawalQueues; // request ID = index
+    mapping(address => uint256) public withdrawalQueueHeads; // oldest request that may be pending
+    mapping(address => mapping(address => uint256)) public lockedBalances; // user => token => amount in pending requests
+    bool public strictDelayMode; // immediate withdrawals disabled
+    VaultState public vaultState; // packed into the same slot as strictDelayMode
+    YieldMode public yieldMode; // packed into the same slot as strictDelayMode and vaultState
+    mapping(address => uint256) public withdrawalNonces; // next nonce for signed withdrawal requests
+    mapping(address => uint256) public totalLockedBalances; // token => sum of lockedBalances over users
+    uint256 public compoundIndexStored; // growth of one token under compound yield, scaled by 1e27
+    mapping(address => uint256) public userCompoundIndex; // compound index at the user's last settlement, 0 before the first
+    uint256 public totalScaledBalance; // sum of userBalances discounted to an index of 1, rounded up, scaled by 1e27
+
+    // Structures
+    struct WithdrawalRequest {
+        uint256 amount;
+        uint256 requestTime;
+    }
+
+    struct AssetConfig {
+        bool supported;
+        uint256 depositFee;
+        uint256 pendingDepositFee;
+        uint256 pendingDepositFeeTime;
+        uint256 yieldRate;
+        uint256 totalDeposits;
+        uint256 accruedFees;
+        uint256 rewardReserve;
+        uint256 totalAccumulatedYield;
+        uint256 rewardPerTokenStored;
+        uint256 lastRewardUpdateTime;
+        uint256 balanceWeightedRewardPaid;
+    }
+
+    struct AssetAccount {
+        uint256 balance;
+        uint256 accumulatedYield;
+        uint256 rewardPerTokenPaid;
+    }
+
+    enum WithdrawalStatus {
+        None,
+        Pending,
+        Executed,
+        Cancelled
+    }
+
+    struct QueuedWithdrawal {
+        address asset;
+        WithdrawalStatus status;
+        uint256 amount;
+        uint256 requestTime;
+    }
+
+    // Vault-wide operating state; see isActionAllowed() for what each state permits
+    enum VaultState {
+        Normal,
+        DepositsPaused,
+        FullyPaused,
+        Emergency
+    }
+
+    // How primary-token yield is paid: claimed from accumulatedYield, or credited to the balance
+    enum YieldMode {
+        Simple,
+        Compound
+    }
+
+    // User operations gated by the vault state
+    enum VaultAction {
+        Deposit,
+        Withdraw,
+        RequestWithdrawal,
+        ExecuteWithdrawal,
+        ClaimYield,
+        EmergencyWithdraw,
+        TransferShares,
+        Compound
+    }
+
+    struct WithdrawalRequestInfo {
+        uint256 requestId;
+        address asset;
+        uint256 amount;
+        uint256 requestTime;
+        uint256 maturityTime;
+    }
+
+    // Events (inherit from V1, V2 and V3)
+    event Deposit(address indexed user, uint256 amount, uint256 fee);
+    event Withdrawal(address indexed user, uint256 amount);
+    event FeeUpdated(uint256 newFee);
+    event YieldRateUpdated(uint256 newRate);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event DepositsToggled(bool paused);
+    event WithdrawalDelayUpdated(uint256 newDelay);
+    event WithdrawalRequested(
+        address indexed user,
+        uint256 amount,
+        uint256 requestTime
+    );
+    event WithdrawalExecuted(address indexed user, uint256 amount);
+    event EmergencyWithdrawal(address indexed user, uint256 amount);
+    event TreasuryUpdated(address indexed newTreasury);
+    event FeesCollected(address indexed to, uint256 amount);
+    event FeesReconciled(uint256 recoveredAmount);
+    event DepositFeeQueued(uint256 newFee, uint256 effectiveTime);
+    event DepositFeeCancelled(uint256 cancelledFee);
+    event MaxDepositFeeUpdated(uint256 newMaxFee);
+    event FeeUpdateDelayUpdated(uint256 newDelay);
+    event YieldCheckpointMigrated(address indexed user, uint256 settledYield);
+    event RewardsFunded(address indexed funder, uint256 amount);
+    event AssetAdded(address indexed asset, uint256 depositFee, uint256 yieldRate);
+    event AssetDeposit(
+        address indexed asset,
+        address indexed user,
+        uint256 amount,
+        uint256 fee
+    );
+    event AssetWithdrawal(address indexed asset, address indexed user, uint256 amount);
+    event AssetWithdrawalRequested(
+        address indexed asset,
+        address indexed user,
+        uint256 amount,
+        uint256 requestTime
+    );
+    event AssetWithdrawalExecuted(
+        address indexed asset,
+        address indexed user,
+        uint256 amount
+    );
+    event AssetEmergencyWithdrawal(
+        address indexed asset,
+        address indexed user,
+        uint256 amount
+    );
+    event AssetYieldClaimed(address indexed asset, address indexed user, uint256 amount);
+    event AssetFeeUpdated(address indexed asset, uint256 newFee);
+    event AssetDepositFeeQueued(
+        address indexed asset,
+        uint256 newFee,
+        uint256 effectiveTime
+    );
+    event AssetDepositFeeCancelled(address indexed asset, uint256 cancelledFee);
+    event AssetYieldRateUpdated(address indexed asset, uint256 newRate);
+    event AssetRewardsFunded(
+        address indexed asset,
+        address indexed funder,
+        uint256 amount
+    );
+    event WithdrawalRequestQueued(
+        address indexed user,
+        uint256 indexed requestId,
+        address indexed asset,
+        uint256 amount
+    );
+    event WithdrawalRequestCancelled(address indexed user, uint256 indexed requestId);
+    event WithdrawalRequestExecuted(address indexed user, uint256 indexed requestId);
+    event StrictDelayModeToggled(bool enabled);
+    event YieldModeUpdated(YieldMode mode);
+    event YieldCompounded(address indexed user, uint256 amount);
+    event VaultStateChanged(
+        VaultState indexed previousState,
+        VaultState indexed newState,
+        address indexed account
+    );
+    event AssetFeesCollected(
+        address indexed asset,
+        address indexed to,
+        uint256 amount
+    );
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+
+    // Errors (V1-V3 revert with reason strings; V4 reverts with these instead)
+    error ZeroAmount();
+    error ZeroAddress();
+    error DepositsPaused();
+    error ActionNotAllowed(VaultAction action, VaultState state);
+    error InvalidStateTransition(VaultState from, VaultState to);
+    error EmergencyAlreadyDeclared();
+    error NoEmergencyDeclared();
+    error ImmediateWithdrawalsDisabled();
+    error StrictDelayModeUnchanged(bool enabled);
+    error YieldModeUnchanged(YieldMode mode);
+    error InsufficientBalance(uint256 requested, uint256 available);
+    error BalanceLocked(uint256 requested, uint256 unlocked);
+    error InsufficientAllowance(uint256 requested, uint256 allowance);
+    error NothingToWithdraw();
+    error NothingToClaim();
+    error RewardReserveEmpty();
+    error TransferFailed(address token);
+    error PermitFailed();
+    error SignatureExpired(uint256 deadline);
+    error InvalidSignature();
+    error WithdrawalNotReady(uint256 readyAt);
+    error NoPendingWithdrawal(address asset);
+    error UnknownWithdrawalRequest(uint256 requestId);
+    error WithdrawalRequestNotPending(uint256 requestId);
+    error TooManyWithdrawalRequests(uint256 maximum);
+    error FeeTooHigh(uint256 fee, uint256 maximum);
+    error MaxFeeBelowCurrentFee(uint256 maxFee, uint256 currentFee);
+    error NoPendingFeeChange();
+    error FeeNoticePending(uint256 effectiveTime);
+    error NoFeesToCollect();
+    error FeesAlreadyReconciled();
+    error YieldRateTooHigh(uint256 rate, uint256 maximum);
+    error DelayTooLong(uint256 delay, uint256 maximum);
+    error AlreadyAdmin(address account);
+    error InvalidAsset(address asset);
+    error AssetAlreadySupported(address asset);
+    error AssetNotSupported(address asset);
+
+    /**
+     * @dev EIP-712 domain separator for signed withdrawal requests
+     * Computed on every call so that it follows the chain ID after a fork
+     * @return Domain separator
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    EIP712_DOMAIN_TYPEHASH,
+                    keccak256(bytes("TokenVault")),
+                    keccak256(bytes("4")),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Compare the vault's token balance against what it owes
+     * A negative difference means yield was paid out of deposited principal (pre-V4)
+     * @return vaultBalance Tokens held by the vault
+     * @return accountedBalance totalDepositAmount + accruedFees + rewardReserve
+     * @return unaccounted vaultBalance - accountedBalance
+     */
+    function getFeeReconciliation()
+        public
+        view
+        returns (
+            uint256 vaultBalance,
+            uint256 accountedBalance,
+            int256 unaccounted
+        )
+    {
+        vaultBalance = token.balanceOf(address(this));
+        accountedBalance = totalDepositAmount + accruedFees + rewardReserve;
+        unaccounted = int256(vaultBalance) - int256(accountedBalance);
+    }
+
+    /**
+     * @dev Move a matured pending fee into depositFee
+     */
+    function _applyPendingDepositFee() internal {
+        if (
+            pendingDepositFeeTime == 0 ||
+            block.timestamp < pendingDepositFeeTime
+        ) {
+            return;
+        }
+
+        uint256 newFee = pendingDepositFee;
+        pendingDepositFee = 0;
+        pendingDepositFeeTime = 0;
+        depositFee = newFee;
+        emit FeeUpdated(newFee);
+    }
+
+    /**
+     * @dev Look up an additional token's configuration
+     * @param assetToken Address of the token
+     * @return config Storage pointer to the configuration
+     */
+    function _assetConfig(address assetToken)
+        internal
+        view
+        returns (AssetConfig storage config)
+    {
+        config = assetConfigs[assetToken];
+        if (!config.supported) revert AssetNotSupported(assetToken);
+    }
+
+    /**
+     * @dev Current reward-per-token index of an additional token
+     * @param config Token configuration
+     * @return Yield accrued per token since the token was added, scaled by 1e18
+     */
+    function _assetRewardPerToken(AssetConfig storage config)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 timeElapsed = block.timestamp - config.lastRewardUpdateTime;
+        return
+            config.rewardPerTokenStored +
+            (config.yieldRate * timeElapsed * REWARD_PRECISION) /
+            (365 days * 10000);
+    }
+
+    /**
+     * @dev Yield accrued on an additional token since the user's last settlement
+     * @param config Token configuration
+     * @param account User's account for the token
+     * @return Pending yield amount
+     */
+    function _pendingAssetYield(
+        AssetConfig storage config,
+        AssetAccount storage account
+    ) internal view returns (uint256) {
+        return
+            (account.balance *
+                (_assetRewardPerToken(config) - account.rewardPerTokenPaid)) /
+            REWARD_PRECISION;
+    }
+
+    /**
+     * @dev Bring an additional token's index up to the current block
+     * @param config Token configuration
+     */
+    function _updateAssetRewardIndex(AssetConfig storage config) internal {
+        config.rewardPerTokenStored = _assetRewardPerToken(config);
+        config.lastRewardUpdateTime = block.timestamp;
+    }
+
+    /**
+     * @dev Move pending yield on an additional token into the user's accumulatedYield
+     * Must run before every change to the user's balance of that token
+     * @param config Token configuration
+     * @param account User's account for the token
+     */
+    function _settleAssetYield(
+        AssetConfig storage config,
+        AssetAccount storage account
+    ) internal {
+        _updateAssetRewardIndex(config);
+
+        uint256 settled = _pendingAssetYield(config, account);
+        if (settled > 0) {
+            account.accumulatedYield += settled;
+            config.totalAccumulatedYield += settled;
+        }
+
+        uint256 balance = account.balance;
+        uint256 index = config.rewardPerTokenStored;
+        config.balanceWeightedRewardPaid =
+            config.balanceWeightedRewardPaid +
+            balance *
+            index -
+            balance *
+            account.rewardPerTokenPaid;
+        account.rewardPerTokenPaid = index;
+    }
+
+    /**
+     * @dev Settle yield, then debit a user's balance of an additional token
+     * @param config Token configuration
+     * @param account User's account for the token
+     * @param amount Amount to debit
+     */
+    function _decreaseAssetBalance(
+        AssetConfig storage config,
+        AssetAccount storage account,
+        uint256 amount
+    ) internal {
+        _settleAssetYield(config, account);
+        account.balance -= amount;
+        config.totalDeposits -= amount;
+        config.balanceWeightedRewardPaid -= amount * config.rewardPerTokenStored;
+    }
+
+    /**
+     * @dev Debit the caller's balance of an additional token and send the tokens
+     * @param assetToken Address of the token
+     * @param config Token configuration
+     * @param amount Amount of tokens
+     */
+    function _withdrawAsset(
+        address assetToken,
+        AssetConfig storage config,
+        uint256 amount
+    ) internal {
+        AssetAccount storage account = assetAccounts[assetToken][msg.sender];
+        if (amount == 0) revert ZeroAmount();
+        if (account.balance < amount) {
+            revert InsufficientBalance(amount, account.balance);
+        }
+
+        _decreaseAssetBalance(config, account, amount);
+
+        if (!IERC20Upgradeable(assetToken).transfer(msg.sender, amount)) {
+            revert TransferFailed(assetToken);
+        }
+    }
+
+    /**
+     * @dev Operations each vault state permits, before strict delay mode is applied
+     * @param state Vault state
+     * @param action Operation to check
+     * @return True if the state permits the operation
+     */
+    function _isActionAllowedInState(VaultState state, VaultAction action)
+        internal
+        pure
+        returns (bool)
+    {
+        if (state == VaultState.Normal) {
+            return true;
+        }
+        if (state == VaultState.DepositsPaused) {
+            return action != VaultAction.Deposit;
+        }
+        if (state == VaultState.Emergency) {
+            return
+                action == VaultAction.ExecuteWithdrawal ||
+                action == VaultAction.EmergencyWithdraw;
+        }
+        // FullyPaused
+        return false;
+    }
+
+    /**
+     * @dev Require that the current vault state permits an operation
+     * @param action Operation to check
+     */
+    function _requireActionAllowed(VaultAction action) internal view {
+        if (!_isActionAllowedInState(vaultState, action)) {
+            revert ActionNotAllowed(action, vaultState);
+        }
+    }
+
+    /**
+     * @dev Require that withdrawals bypassing the delay are allowed
+     */
+    function _requireImmediateWithdrawalsAllowed() internal view {
+        if (strictDelayMode) revert ImmediateWithdrawalsDisabled();
+        _requireActionAllowed(VaultAction.Withdraw);
+    }
+
+    /**
+     * @dev Require that emergency withdrawals are allowed
+     */
+    function _requireEmergencyWithdrawalsAllowed() internal view {
+        if (strictDelayMode && vaultState != VaultState.Emergency) {
+            revert NoEmergencyDeclared();
+        }
+        _requireActionAllowed(VaultAction.EmergencyWithdraw);
+    }
+
+    /**
+     * @dev Balance of a user in a supported token
+     * @param assetToken Address of the token
+     * @param user Address of user
+     * @return User's balance
+     */
+    function _assetBalance(address assetToken, address user)
+        internal
+        view
+        returns (uint256)
+    {
+        if (assetToken == address(token)) {
+            return userBalances[user];
+        }
+        return assetAccounts[assetToken][user].balance;
+    }
+
+    /**
+     * @dev Require that an amount is covered by the part of a balance not locked in requests
+     * @param assetToken Address of the token
+     * @param user Address of user
+     * @param amount Amount to move out of the balance
+     */
+    function _requireUnlocked(
+        address assetToken,
+        address user,
+        uint256 amount
+    ) internal view {
+        uint256 balance = _assetBalance(assetToken, user);
+        if (balance < amount) revert InsufficientBalance(amount, balance);
+        uint256 unlocked = balance - lockedBalances[user][assetToken];
+        if (unlocked < amount) revert BalanceLocked(amount, unlocked);
+    }
+
+    /**
+     * @dev Append a pending request to a user's queue and lock its amount
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to withdraw
+     * @param requestTime Time the delay starts from
+     * @return requestId ID of the new request
+     */
+    function _pushWithdrawal(
+        address user,
+        address assetToken,
+        uint256 amount,
+        uint256 requestTime
+    ) internal returns (uint256 requestId) {
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        requestId = queue.length;
+        queue.push(
+            QueuedWithdrawal(
+                assetToken,
+                WithdrawalStatus.Pending,
+                amount,
+                requestTime
+            )
+        );
+        lockedBalances[user][assetToken] += amount;
+        totalLockedBalances[assetToken] += amount;
+
+        emit WithdrawalRequestQueued(user, requestId, assetToken, amount);
+    }
+
+    /**
+     * @dev Move a pre-V4 single withdrawal request into the user's queue
+     * Keeps its request time; the amount is capped to the balance still available
+     * @param user Address of user
+     */
+    function _syncLegacyWithdrawalRequest(address user) internal {
+        WithdrawalRequest storage legacyRequest = withdrawalRequests[user];
+        uint256 amount = legacyRequest.amount;
+        if (amount == 0) {
+            return;
+        }
+
+        uint256 requestTime = legacyRequest.requestTime;
+        legacyRequest.amount = 0;
+        legacyRequest.requestTime = 0;
+
+        uint256 available = userBalances[user] -
+            lockedBalances[user][address(token)];
+        if (amount > available) {
+            amount = available;
+        }
+        if (amount > 0) {
+            _pushWithdrawal(user, address(token), amount, requestTime);
+        }
+    }
+
+    /**
+     * @dev Look up one of the caller's pending requests
+     * @param user Address of user
+     * @param requestId ID of the request
+     * @return request Storage pointer to the request
+     */
+    function _pendingWithdrawal(address user, uint256 requestId)
+        internal
+        view
+        returns (QueuedWithdrawal storage request)
+    {
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        if (requestId >= queue.length) revert UnknownWithdrawalRequest(requestId);
+        request = queue[requestId];
+        if (request.status != WithdrawalStatus.Pending) {
+            revert WithdrawalRequestNotPending(requestId);
+        }
+    }
+
+    /**
+     * @dev Find the oldest pending request for a token
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @return found Whether a pending request exists
+     * @return requestId ID of the request
+     */
+    function _findOldestPendingWithdrawal(address user, address assetToken)
+        internal
+        view
+        returns (bool found, uint256 requestId)
+    {
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        for (uint256 i = withdrawalQueueHeads[user]; i < queue.length; i++) {
+            if (
+                queue[i].status == WithdrawalStatus.Pending &&
+                queue[i].asset == assetToken
+            ) {
+                return (true, i);
+            }
+        }
+        return (false, 0);
+    }
+
+    /**
+     * @dev ID of the oldest pending request for a token; reverts if there is none
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @return requestId ID of the request
+     */
+    function _oldestPendingWithdrawal(address user, address assetToken)
+        internal
+        view
+        returns (uint256 requestId)
+    {
+        bool found;
+        (found, requestId) = _findOldestPendingWithdrawal(user, assetToken);
+        if (!found) revert NoPendingWithdrawal(assetToken);
+    }
+
+    /**
+     * @dev Cancel every pending request of a user for a token and unlock the amounts
+     * @param user Address of user
+     * @param assetToken Address of the token
+     */
+    function _cancelAllWithdrawals(address user, address assetToken) internal {
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        for (uint256 i = withdrawalQueueHeads[user]; i < queue.length; i++) {
+            if (
+                queue[i].status == WithdrawalStatus.Pending &&
+                queue[i].asset == assetToken
+            ) {
+                queue[i].status = WithdrawalStatus.Cancelled;
+                emit WithdrawalRequestCancelled(user, i);
+            }
+        }
+        totalLockedBalances[assetToken] -= lockedBalances[user][assetToken];
+        lockedBalances[user][assetToken] = 0;
+        _advanceWithdrawalQueueHead(user);
+    }
+
+    /**
+     * @dev Skip the head of a user's queue past requests that are no longer pending
+     * @param user Address of user
+     */
+    function _advanceWithdrawalQueueHead(address user) internal {
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        uint256 head = withdrawalQueueHeads[user];
+        while (
+            head < queue.length &&
+            queue[head].status != WithdrawalStatus.Pending
+        ) {
+            head++;
+        }
+        withdrawalQueueHeads[user] = head;
+    }
+
+    /**
+     * @dev Authorize upgrade
+     */
+    function _authorizeUpgrade(address newImplementation)
+        internal
+        override
+        onlyRole(UPGRADER_ROLE)
+    {}
+}
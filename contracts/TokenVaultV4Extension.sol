@@ -0,0 +1,997 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "./TokenVaultV4Base.sol";
+
+/**
+ * @title TokenVaultV4Extension
+ * @dev Administration and the state-changing operations on additional tokens of
+ * TokenVaultV4, split off to keep the vault under the EIP-170 contract size limit
+ * Each vault implementation deploys its own extension and forwards these calls to it with
+ * DELEGATECALL, so they run in the vault's storage with the original msg.sender. Calls
+ * for the primary token that the vault handles itself never reach the extension
+ * Never used on its own: it has no initializer and holds no state
+ */
+contract TokenVaultV4Extension is TokenVaultV4Base {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize V4 - called once during V3->V4 upgrade via reinitializer
+     * Fees taken before this upgrade are not yet part of accruedFees; see reconcileFees()
+     * Restricted to UPGRADER_ROLE; pass it to upgradeToAndCall so the upgrade and
+     * initialization happen in one transaction
+     * @param _treasury Address that receives swept fees
+     * @param _maxDepositFee Upper bound for the deposit fee in basis points
+     * @param _feeUpdateDelay Notice period for fee increases in seconds
+     */
+    function initializeV4(
+        address _treasury,
+        uint256 _maxDepositFee,
+        uint256 _feeUpdateDelay
+    ) external reinitializer(4) onlyRole(UPGRADER_ROLE) {
+        if (_treasury == address(0)) revert ZeroAddress();
+        if (_maxDepositFee > 10000) revert FeeTooHigh(_maxDepositFee, 10000);
+        if (_maxDepositFee < depositFee) {
+            revert MaxFeeBelowCurrentFee(_maxDepositFee, depositFee);
+        }
+        if (_feeUpdateDelay > 30 days) {
+            revert DelayTooLong(_feeUpdateDelay, 30 days);
+        }
+        treasury = _treasury;
+        maxDepositFee = _maxDepositFee;
+        feeUpdateDelay = _feeUpdateDelay;
+
+        // Freeze pre-V4 linear accrual and start the index from zero
+        legacyYieldCutoff = block.timestamp;
+        legacyYieldRate = yieldRate;
+        lastRewardUpdateTime = block.timestamp;
+
+        // Every balance starts at a compound index of 1
+        compoundIndexStored = COMPOUND_PRECISION;
+        totalScaledBalance = totalDepositAmount;
+
+        // Carry the V2 deposit pause over into the state machine, with an event so
+        // indexers see the initial state
+        if (depositsPaused) {
+            _setVaultState(VaultState.DepositsPaused);
+        }
+
+        // Grant fee manager and reward funder roles to admin if not already granted
+        // Guardians are granted separately: the admin ends emergencies, so it must not
+        // also be able to declare them
+        if (!hasRole(FEE_MANAGER_ROLE, admin)) {
+            _grantRole(FEE_MANAGER_ROLE, admin);
+        }
+        if (!hasRole(REWARD_FUNDER_ROLE, admin)) {
+            _grantRole(REWARD_FUNDER_ROLE, admin);
+        }
+
+        emit TreasuryUpdated(_treasury);
+        emit MaxDepositFeeUpdated(_maxDepositFee);
+        emit FeeUpdateDelayUpdated(_feeUpdateDelay);
+    }
+
+    /**
+     * @dev Request withdrawal with delay
+     * Requests queue up instead of replacing each other; the amount is locked until
+     * the request is executed or cancelled
+     * @param amount Amount of tokens to withdraw
+     * @return requestId ID of the new request
+     */
+    function requestWithdrawal(uint256 amount)
+        public
+        returns (uint256 requestId)
+    {
+        return _requestWithdrawal(msg.sender, address(token), amount);
+    }
+
+    /**
+     * @dev Queue a withdrawal request on behalf of a user who signed it (EIP-712)
+     * Lets a relayer pay the gas; the tokens still go to the user on execution
+     * @param user Address that signed the request and owns the balance
+     * @param assetToken Address of the token to withdraw
+     * @param amount Amount of tokens to withdraw
+     * @param deadline Last timestamp at which the signature is valid
+     * @param v Signature v
+     * @param r Signature r
+     * @param s Signature s
+     * @return requestId ID of the new request
+     */
+    function requestWithdrawalBySig(
+        address user,
+        address assetToken,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 requestId) {
+        if (block.timestamp > deadline) revert SignatureExpired(deadline);
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                WITHDRAWAL_REQUEST_TYPEHASH,
+                user,
+                assetToken,
+                amount,
+                withdrawalNonces[user]++,
+                deadline
+            )
+        );
+        bytes32 digest = ECDSAUpgradeable.toTypedDataHash(
+            DOMAIN_SEPARATOR(),
+            structHash
+        );
+        if (ECDSAUpgradeable.recover(digest, v, r, s) != user) {
+            revert InvalidSignature();
+        }
+
+        return _requestWithdrawal(user, assetToken, amount);
+    }
+
+    /**
+     * @dev Execute a specific matured withdrawal request, in any token
+     * @param requestId ID returned by requestWithdrawal
+     * @return Amount of tokens withdrawn
+     */
+    function executeWithdrawalRequest(uint256 requestId)
+        external
+        returns (uint256)
+    {
+        _syncLegacyWithdrawalRequest(msg.sender);
+        return _executeQueuedWithdrawal(requestId);
+    }
+
+    /**
+     * @dev Cancel a specific pending withdrawal request and unlock its amount
+     * @param requestId ID returned by requestWithdrawal
+     */
+    function cancelWithdrawalRequest(uint256 requestId) external {
+        _syncLegacyWithdrawalRequest(msg.sender);
+        QueuedWithdrawal storage request = _pendingWithdrawal(
+            msg.sender,
+            requestId
+        );
+
+        request.status = WithdrawalStatus.Cancelled;
+        lockedBalances[msg.sender][request.asset] -= request.amount;
+        totalLockedBalances[request.asset] -= request.amount;
+        _advanceWithdrawalQueueHead(msg.sender);
+
+        emit WithdrawalRequestCancelled(msg.sender, requestId);
+    }
+
+    /**
+     * @dev Set withdrawal delay (admin only)
+     * @param _delaySeconds New delay in seconds
+     */
+    function setWithdrawalDelay(uint256 _delaySeconds)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_delaySeconds > 30 days) {
+            revert DelayTooLong(_delaySeconds, 30 days);
+        }
+        withdrawalDelay = _delaySeconds;
+        emit WithdrawalDelayUpdated(_delaySeconds);
+    }
+
+    /**
+     * @dev Move pre-V4 withdrawal requests into the queue (admin only)
+     * Locks the requested amounts; users that interact with the queue are migrated automatically
+     * @param users Addresses to migrate
+     */
+    function migrateWithdrawalRequests(address[] calldata users)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        for (uint256 i = 0; i < users.length; i++) {
+            _syncLegacyWithdrawalRequest(users[i]);
+        }
+    }
+
+    /**
+     * @dev Change the deposit fee (fee manager role)
+     * Decreases apply immediately; increases are queued for feeUpdateDelay
+     * A new call replaces any pending increase
+     * @param _depositFee New fee in basis points
+     */
+    function setDepositFee(uint256 _depositFee)
+        public
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        if (_depositFee > maxDepositFee) {
+            revert FeeTooHigh(_depositFee, maxDepositFee);
+        }
+        _applyPendingDepositFee();
+
+        if (_depositFee <= depositFee) {
+            _clearPendingDepositFee();
+            depositFee = _depositFee;
+            emit FeeUpdated(_depositFee);
+            return;
+        }
+
+        uint256 effectiveTime = block.timestamp + feeUpdateDelay;
+        pendingDepositFee = _depositFee;
+        pendingDepositFeeTime = effectiveTime;
+        emit DepositFeeQueued(_depositFee, effectiveTime);
+    }
+
+    /**
+     * @dev Cancel a queued fee increase (fee manager role)
+     */
+    function cancelPendingDepositFee() public onlyRole(FEE_MANAGER_ROLE) {
+        _applyPendingDepositFee();
+        if (pendingDepositFeeTime == 0) revert NoPendingFeeChange();
+        _clearPendingDepositFee();
+    }
+
+    /**
+     * @dev Apply a queued fee increase whose notice period has passed
+     * Deposits do this automatically; exposed so the stored fee can be synced
+     */
+    function applyPendingDepositFee() external {
+        if (pendingDepositFeeTime == 0) revert NoPendingFeeChange();
+        if (block.timestamp < pendingDepositFeeTime) {
+            revert FeeNoticePending(pendingDepositFeeTime);
+        }
+        _applyPendingDepositFee();
+    }
+
+    /**
+     * @dev Set the upper bound for the deposit fee of every supported token (admin only)
+     * A pending increase above the new cap is cancelled
+     * @param _maxDepositFee New cap in basis points
+     */
+    function setMaxDepositFee(uint256 _maxDepositFee)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_maxDepositFee > 10000) revert FeeTooHigh(_maxDepositFee, 10000);
+        _applyPendingDepositFee();
+        if (_maxDepositFee < depositFee) {
+            revert MaxFeeBelowCurrentFee(_maxDepositFee, depositFee);
+        }
+
+        maxDepositFee = _maxDepositFee;
+        if (pendingDepositFeeTime != 0 && pendingDepositFee > _maxDepositFee) {
+            _clearPendingDepositFee();
+        }
+
+        for (uint256 i = 0; i < additionalAssets.length; i++) {
+            address assetToken = additionalAssets[i];
+            AssetConfig storage config = assetConfigs[assetToken];
+            _applyPendingAssetFee(assetToken, config);
+            if (_maxDepositFee < config.depositFee) {
+                revert MaxFeeBelowCurrentFee(_maxDepositFee, config.depositFee);
+            }
+            if (
+                config.pendingDepositFeeTime != 0 &&
+                config.pendingDepositFee > _maxDepositFee
+            ) {
+                _clearPendingAssetFee(assetToken, config);
+            }
+        }
+
+        emit MaxDepositFeeUpdated(_maxDepositFee);
+    }
+
+    /**
+     * @dev Set the notice period for fee increases (admin only)
+     * Only affects increases queued after this call
+     * @param _delaySeconds New delay in seconds
+     */
+    function setFeeUpdateDelay(uint256 _delaySeconds)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_delaySeconds > 30 days) {
+            revert DelayTooLong(_delaySeconds, 30 days);
+        }
+        feeUpdateDelay = _delaySeconds;
+        emit FeeUpdateDelayUpdated(_delaySeconds);
+    }
+
+    /**
+     * @dev Set the treasury that receives swept fees (admin only)
+     * @param _treasury New treasury address
+     */
+    function setTreasury(address _treasury)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (_treasury == address(0)) revert ZeroAddress();
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev Hand the admin position to a new account (admin only)
+     * Moves DEFAULT_ADMIN_ROLE, UPGRADER_ROLE, PAUSER_ROLE, FEE_MANAGER_ROLE and
+     * REWARD_FUNDER_ROLE from the recorded admin to `newAdmin` and updates `admin`, so the
+     * two never disagree. Roles the recorded admin no longer holds, e.g. after handing them
+     * to a timelock, stay where they are
+     * GUARDIAN_ROLE is revoked from the recorded admin but not granted to `newAdmin`, so the
+     * admin that ends an emergency cannot also declare one
+     * @param newAdmin Address of the new admin
+     */
+    function transferAdmin(address newAdmin)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (newAdmin == address(0)) revert ZeroAddress();
+        address previousAdmin = admin;
+        if (newAdmin == previousAdmin) revert AlreadyAdmin(newAdmin);
+
+        bytes32[5] memory roles = [
+            DEFAULT_ADMIN_ROLE,
+            UPGRADER_ROLE,
+            PAUSER_ROLE,
+            FEE_MANAGER_ROLE,
+            REWARD_FUNDER_ROLE
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            if (hasRole(roles[i], previousAdmin)) {
+                _revokeRole(roles[i], previousAdmin);
+                _grantRole(roles[i], newAdmin);
+            }
+        }
+        _revokeRole(GUARDIAN_ROLE, previousAdmin);
+        admin = newAdmin;
+
+        emit AdminTransferred(previousAdmin, newAdmin);
+    }
+
+    /**
+     * @dev Transfer all accrued fees to an arbitrary recipient (fee manager role)
+     * @param to Recipient of the fees
+     * @return Amount of fees collected
+     */
+    function collectFees(address to)
+        public
+        onlyRole(FEE_MANAGER_ROLE)
+        returns (uint256)
+    {
+        if (to == address(0)) revert ZeroAddress();
+        return _collectFees(to);
+    }
+
+    /**
+     * @dev Transfer all accrued fees to the configured treasury
+     * Callable by anyone since the destination is fixed by the admin
+     * @return Amount of fees swept
+     */
+    function sweepFees() public returns (uint256) {
+        return _collectFees(treasury);
+    }
+
+    /**
+     * @dev One-time recovery of fees taken before V4 started tracking them
+     * Any token balance above totalDepositAmount + accruedFees + rewardReserve is credited to accruedFees
+     * @return Amount of fees recovered
+     */
+    function reconcileFees()
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+        returns (uint256)
+    {
+        if (feesReconciled) revert FeesAlreadyReconciled();
+        feesReconciled = true;
+
+        (, , int256 unaccounted) = getFeeReconciliation();
+        uint256 recovered = unaccounted > 0 ? uint256(unaccounted) : 0;
+        accruedFees += recovered;
+
+        emit FeesReconciled(recovered);
+        return recovered;
+    }
+
+    /**
+     * @dev Add tokens to the reward reserve (reward funder role)
+     * @param amount Amount of tokens to pull from the caller
+     */
+    function fundRewards(uint256 amount) public onlyRole(REWARD_FUNDER_ROLE) {
+        if (amount == 0) revert ZeroAmount();
+        if (!token.transferFrom(msg.sender, address(this), amount)) {
+            revert TransferFailed(address(token));
+        }
+
+        rewardReserve += amount;
+        emit RewardsFunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Whitelist an additional deposit token (admin only)
+     * The primary token is always supported and keeps using the V1-V3 storage
+     * @param assetToken Address of the ERC-20 token
+     * @param _depositFee Deposit fee for the token in basis points
+     * @param _yieldRate Annual yield rate for the token in basis points
+     */
+    function addAsset(
+        address assetToken,
+        uint256 _depositFee,
+        uint256 _yieldRate
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (assetToken == address(0) || assetToken == address(this)) {
+            revert InvalidAsset(assetToken);
+        }
+        if (assetToken == address(token) || assetConfigs[assetToken].supported) {
+            revert AssetAlreadySupported(assetToken);
+        }
+        if (_depositFee > maxDepositFee) {
+            revert FeeTooHigh(_depositFee, maxDepositFee);
+        }
+        if (_yieldRate > 10000) revert YieldRateTooHigh(_yieldRate, 10000);
+
+        AssetConfig storage config = assetConfigs[assetToken];
+        config.supported = true;
+        config.depositFee = _depositFee;
+        config.yieldRate = _yieldRate;
+        config.lastRewardUpdateTime = block.timestamp;
+        additionalAssets.push(assetToken);
+
+        emit AssetAdded(assetToken, _depositFee, _yieldRate);
+    }
+
+    /**
+     * @dev Deposit a supported token into the vault
+     * The primary token goes through deposit(uint256)
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to deposit
+     */
+    function deposit(address assetToken, uint256 amount) external {
+        AssetConfig storage config = _assetConfig(assetToken);
+        if (depositsPaused) revert DepositsPaused();
+        if (amount == 0) revert ZeroAmount();
+
+        // Apply a queued fee increase once its notice period has passed
+        _applyPendingAssetFee(assetToken, config);
+
+        uint256 fee = (amount * config.depositFee) / 10000;
+        uint256 amountAfterFee = amount - fee;
+
+        if (
+            !IERC20Upgradeable(assetToken).transferFrom(
+                msg.sender,
+                address(this),
+                amount
+            )
+        ) {
+            revert TransferFailed(assetToken);
+        }
+
+        _increaseAssetBalance(
+            config,
+            assetAccounts[assetToken][msg.sender],
+            amountAfterFee
+        );
+        config.accruedFees += fee;
+
+        emit AssetDeposit(assetToken, msg.sender, amountAfterFee, fee);
+    }
+
+    /**
+     * @dev Withdraw a supported token immediately
+     * The primary token goes through withdraw(uint256); disabled in strict delay mode
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to withdraw
+     */
+    function withdraw(address assetToken, uint256 amount) external {
+        _requireImmediateWithdrawalsAllowed();
+        AssetConfig storage config = _assetConfig(assetToken);
+        _requireUnlocked(assetToken, msg.sender, amount);
+        _withdrawAsset(assetToken, config, amount);
+
+        emit AssetWithdrawal(assetToken, msg.sender, amount);
+    }
+
+    /**
+     * @dev Request a delayed withdrawal of a supported token
+     * Shares the caller's queue with the other tokens
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to withdraw
+     * @return requestId ID of the new request
+     */
+    function requestWithdrawal(address assetToken, uint256 amount)
+        external
+        returns (uint256 requestId)
+    {
+        return _requestWithdrawal(msg.sender, assetToken, amount);
+    }
+
+    /**
+     * @dev Execute the oldest pending withdrawal request of a supported token
+     * @param assetToken Address of the token
+     * @return Amount of tokens withdrawn
+     */
+    function executeWithdrawal(address assetToken) external returns (uint256) {
+        _assetConfig(assetToken);
+        _syncLegacyWithdrawalRequest(msg.sender);
+        return
+            _executeQueuedWithdrawal(
+                _oldestPendingWithdrawal(msg.sender, assetToken)
+            );
+    }
+
+    /**
+     * @dev Emergency withdraw a supported token, bypassing the delay
+     * Subject to the same strict delay mode rules as emergencyWithdraw()
+     * @param assetToken Address of the token
+     * @return Amount of tokens withdrawn
+     */
+    function emergencyWithdraw(address assetToken) external returns (uint256) {
+        _requireEmergencyWithdrawalsAllowed();
+        AssetConfig storage config = _assetConfig(assetToken);
+        AssetAccount storage account = assetAccounts[assetToken][msg.sender];
+        uint256 amount = account.balance;
+        if (amount == 0) revert NothingToWithdraw();
+
+        // Clear pending withdrawal requests if any
+        _cancelAllWithdrawals(msg.sender, assetToken);
+
+        // Accrued yield stays claimable
+        _withdrawAsset(assetToken, config, amount);
+
+        emit AssetEmergencyWithdrawal(assetToken, msg.sender, amount);
+        return amount;
+    }
+
+    /**
+     * @dev Claim accumulated yield in a supported token from its reward reserve
+     * @param assetToken Address of the token
+     * @return Amount of yield claimed
+     */
+    function claimYield(address assetToken) external returns (uint256) {
+        _requireActionAllowed(VaultAction.ClaimYield);
+        AssetConfig storage config = _assetConfig(assetToken);
+        AssetAccount storage account = assetAccounts[assetToken][msg.sender];
+        if (account.balance == 0 && account.accumulatedYield == 0) {
+            revert NothingToClaim();
+        }
+
+        _settleAssetYield(config, account);
+        uint256 totalYield = account.accumulatedYield;
+        uint256 payout = totalYield < config.rewardReserve
+            ? totalYield
+            : config.rewardReserve;
+        if (payout == 0) revert RewardReserveEmpty();
+
+        account.accumulatedYield = totalYield - payout;
+        config.totalAccumulatedYield -= payout;
+        config.rewardReserve -= payout;
+
+        if (!IERC20Upgradeable(assetToken).transfer(msg.sender, payout)) {
+            revert TransferFailed(assetToken);
+        }
+
+        emit AssetYieldClaimed(assetToken, msg.sender, payout);
+        return payout;
+    }
+
+    /**
+     * @dev Change the deposit fee of a supported token (fee manager role)
+     * Follows the same rules as setDepositFee(uint256): increases wait for feeUpdateDelay
+     * @param assetToken Address of the token
+     * @param _depositFee New fee in basis points
+     */
+    function setDepositFee(address assetToken, uint256 _depositFee)
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        if (assetToken == address(token)) {
+            setDepositFee(_depositFee);
+            return;
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        if (_depositFee > maxDepositFee) {
+            revert FeeTooHigh(_depositFee, maxDepositFee);
+        }
+        _applyPendingAssetFee(assetToken, config);
+
+        if (_depositFee <= config.depositFee) {
+            _clearPendingAssetFee(assetToken, config);
+            config.depositFee = _depositFee;
+            emit AssetFeeUpdated(assetToken, _depositFee);
+            return;
+        }
+
+        uint256 effectiveTime = block.timestamp + feeUpdateDelay;
+        config.pendingDepositFee = _depositFee;
+        config.pendingDepositFeeTime = effectiveTime;
+        emit AssetDepositFeeQueued(assetToken, _depositFee, effectiveTime);
+    }
+
+    /**
+     * @dev Cancel a queued fee increase for a supported token (fee manager role)
+     * @param assetToken Address of the token
+     */
+    function cancelPendingDepositFee(address assetToken)
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+    {
+        if (assetToken == address(token)) {
+            cancelPendingDepositFee();
+            return;
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        _applyPendingAssetFee(assetToken, config);
+        if (config.pendingDepositFeeTime == 0) revert NoPendingFeeChange();
+        _clearPendingAssetFee(assetToken, config);
+    }
+
+    /**
+     * @dev Set the yield rate of a supported token (admin only)
+     * @param assetToken Address of the token
+     * @param _yieldRate New yield rate in basis points
+     */
+    function setYieldRate(address assetToken, uint256 _yieldRate)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        AssetConfig storage config = _assetConfig(assetToken);
+        if (_yieldRate > 10000) revert YieldRateTooHigh(_yieldRate, 10000);
+        _updateAssetRewardIndex(config);
+        config.yieldRate = _yieldRate;
+        emit AssetYieldRateUpdated(assetToken, _yieldRate);
+    }
+
+    /**
+     * @dev Add tokens to the reward reserve of a supported token (reward funder role)
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to pull from the caller
+     */
+    function fundRewards(address assetToken, uint256 amount)
+        external
+        onlyRole(REWARD_FUNDER_ROLE)
+    {
+        if (assetToken == address(token)) {
+            fundRewards(amount);
+            return;
+        }
+
+        AssetConfig storage config = _assetConfig(assetToken);
+        if (amount == 0) revert ZeroAmount();
+        if (
+            !IERC20Upgradeable(assetToken).transferFrom(
+                msg.sender,
+                address(this),
+                amount
+            )
+        ) {
+            revert TransferFailed(assetToken);
+        }
+
+        config.rewardReserve += amount;
+        emit AssetRewardsFunded(assetToken, msg.sender, amount);
+    }
+
+    /**
+     * @dev Transfer all accrued fees in a supported token to a recipient (fee manager role)
+     * @param assetToken Address of the token
+     * @param to Recipient of the fees
+     * @return Amount of fees collected
+     */
+    function collectFees(address assetToken, address to)
+        external
+        onlyRole(FEE_MANAGER_ROLE)
+        returns (uint256)
+    {
+        if (assetToken == address(token)) {
+            return collectFees(to);
+        }
+
+        if (to == address(0)) revert ZeroAddress();
+        return _collectAssetFees(assetToken, to);
+    }
+
+    /**
+     * @dev Transfer all accrued fees in a supported token to the treasury
+     * @param assetToken Address of the token
+     * @return Amount of fees swept
+     */
+    function sweepFees(address assetToken) external returns (uint256) {
+        if (assetToken == address(token)) {
+            return sweepFees();
+        }
+
+        return _collectAssetFees(assetToken, treasury);
+    }
+
+    /**
+     * @dev Enable or disable strict delay mode (admin only)
+     * While enabled, every withdrawal goes through requestWithdrawal + executeWithdrawal and
+     * emergencyWithdraw is only available during a declared emergency
+     * @param enabled True to enforce the withdrawal delay on every path
+     */
+    function setStrictDelayMode(bool enabled)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (strictDelayMode == enabled) revert StrictDelayModeUnchanged(enabled);
+        strictDelayMode = enabled;
+        emit StrictDelayModeToggled(enabled);
+    }
+
+    /**
+     * @dev Declare an emergency from any other state (guardian role)
+     * Only executeWithdrawal and emergencyWithdraw stay available
+     */
+    function declareEmergency() external onlyRole(GUARDIAN_ROLE) {
+        if (vaultState == VaultState.Emergency) revert EmergencyAlreadyDeclared();
+        _setVaultState(VaultState.Emergency);
+    }
+
+    /**
+     * @dev End a declared emergency (admin only), leaving the vault fully paused
+     * Deliberately a different role from the guardian that declares it
+     */
+    function endEmergency() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (vaultState != VaultState.Emergency) revert NoEmergencyDeclared();
+        _setVaultState(VaultState.FullyPaused);
+    }
+
+    /**
+     * @dev Pause every user operation (guardian role)
+     */
+    function pauseAll() external onlyRole(GUARDIAN_ROLE) {
+        if (
+            vaultState != VaultState.Normal &&
+            vaultState != VaultState.DepositsPaused
+        ) {
+            revert InvalidStateTransition(vaultState, VaultState.FullyPaused);
+        }
+        _setVaultState(VaultState.FullyPaused);
+    }
+
+    /**
+     * @dev Resume every user operation after a full pause (pauser role)
+     */
+    function unpauseAll() external onlyRole(PAUSER_ROLE) {
+        if (vaultState != VaultState.FullyPaused) {
+            revert InvalidStateTransition(vaultState, VaultState.Normal);
+        }
+        _setVaultState(VaultState.Normal);
+    }
+
+    /**
+     * @dev Pause deposits (pauser role)
+     * From a full pause this resumes everything except deposits
+     */
+    function pauseDeposits() external onlyRole(PAUSER_ROLE) {
+        if (
+            vaultState != VaultState.Normal &&
+            vaultState != VaultState.FullyPaused
+        ) {
+            revert InvalidStateTransition(vaultState, VaultState.DepositsPaused);
+        }
+        _setVaultState(VaultState.DepositsPaused);
+    }
+
+    /**
+     * @dev Unpause deposits (pauser role)
+     */
+    function unpauseDeposits() external onlyRole(PAUSER_ROLE) {
+        if (vaultState != VaultState.DepositsPaused) {
+            revert InvalidStateTransition(vaultState, VaultState.Normal);
+        }
+        _setVaultState(VaultState.Normal);
+    }
+
+    /**
+     * @dev Drop a queued fee increase
+     */
+    function _clearPendingDepositFee() internal {
+        if (pendingDepositFeeTime == 0) {
+            return;
+        }
+
+        uint256 cancelledFee = pendingDepositFee;
+        pendingDepositFee = 0;
+        pendingDepositFeeTime = 0;
+        emit DepositFeeCancelled(cancelledFee);
+    }
+
+    /**
+     * @dev Move a matured pending fee of an additional token into its depositFee
+     * @param assetToken Address of the token
+     * @param config Token configuration
+     */
+    function _applyPendingAssetFee(address assetToken, AssetConfig storage config)
+        internal
+    {
+        if (
+            config.pendingDepositFeeTime == 0 ||
+            block.timestamp < config.pendingDepositFeeTime
+        ) {
+            return;
+        }
+
+        uint256 newFee = config.pendingDepositFee;
+        config.pendingDepositFee = 0;
+        config.pendingDepositFeeTime = 0;
+        config.depositFee = newFee;
+        emit AssetFeeUpdated(assetToken, newFee);
+    }
+
+    /**
+     * @dev Drop a queued fee increase of an additional token
+     * @param assetToken Address of the token
+     * @param config Token configuration
+     */
+    function _clearPendingAssetFee(address assetToken, AssetConfig storage config)
+        internal
+    {
+        if (config.pendingDepositFeeTime == 0) {
+            return;
+        }
+
+        uint256 cancelledFee = config.pendingDepositFee;
+        config.pendingDepositFee = 0;
+        config.pendingDepositFeeTime = 0;
+        emit AssetDepositFeeCancelled(assetToken, cancelledFee);
+    }
+
+    /**
+     * @dev Settle yield, then credit a user's balance of an additional token
+     * @param config Token configuration
+     * @param account User's account for the token
+     * @param amount Amount to credit
+     */
+    function _increaseAssetBalance(
+        AssetConfig storage config,
+        AssetAccount storage account,
+        uint256 amount
+    ) internal {
+        _settleAssetYield(config, account);
+        account.balance += amount;
+        config.totalDeposits += amount;
+        config.balanceWeightedRewardPaid += amount * config.rewardPerTokenStored;
+    }
+
+    /**
+     * @dev Pay out all accrued fees of an additional token
+     * @param assetToken Address of the token
+     * @param to Recipient of the fees
+     * @return amount Amount of fees paid
+     */
+    function _collectAssetFees(address assetToken, address to)
+        internal
+        returns (uint256 amount)
+    {
+        AssetConfig storage config = _assetConfig(assetToken);
+        amount = config.accruedFees;
+        if (amount == 0) revert NoFeesToCollect();
+
+        config.accruedFees = 0;
+        if (!IERC20Upgradeable(assetToken).transfer(to, amount)) {
+            revert TransferFailed(assetToken);
+        }
+
+        emit AssetFeesCollected(assetToken, to, amount);
+    }
+
+    /**
+     * @dev Move the vault to a new state, keeping the V2 depositsPaused flag in sync
+     * @param newState State to enter
+     */
+    function _setVaultState(VaultState newState) internal {
+        VaultState previousState = vaultState;
+        vaultState = newState;
+
+        bool paused = newState != VaultState.Normal;
+        if (paused != depositsPaused) {
+            depositsPaused = paused;
+            emit DepositsToggled(paused);
+        }
+
+        emit VaultStateChanged(previousState, newState, msg.sender);
+    }
+
+    /**
+     * @dev Queue a withdrawal request for a user in any supported token
+     * Emits WithdrawalRequested for the primary token and AssetWithdrawalRequested otherwise
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to withdraw
+     * @return requestId ID of the new request
+     */
+    function _requestWithdrawal(
+        address user,
+        address assetToken,
+        uint256 amount
+    ) internal returns (uint256 requestId) {
+        if (assetToken != address(token)) {
+            _assetConfig(assetToken);
+        }
+
+        requestId = _queueWithdrawal(user, assetToken, amount);
+
+        if (assetToken == address(token)) {
+            emit WithdrawalRequested(user, amount, block.timestamp);
+        } else {
+            emit AssetWithdrawalRequested(
+                assetToken,
+                user,
+                amount,
+                block.timestamp
+            );
+        }
+    }
+
+    /**
+     * @dev Append a withdrawal request for a user and lock its amount
+     * @param user Address of user
+     * @param assetToken Address of the token
+     * @param amount Amount of tokens to withdraw
+     * @return requestId ID of the new request
+     */
+    function _queueWithdrawal(
+        address user,
+        address assetToken,
+        uint256 amount
+    ) internal returns (uint256 requestId) {
+        _requireActionAllowed(VaultAction.RequestWithdrawal);
+        if (amount == 0) revert ZeroAmount();
+        _syncLegacyWithdrawalRequest(user);
+        _requireUnlocked(assetToken, user, amount);
+
+        QueuedWithdrawal[] storage queue = withdrawalQueues[user];
+        if (queue.length - withdrawalQueueHeads[user] >= MAX_QUEUED_WITHDRAWALS) {
+            revert TooManyWithdrawalRequests(MAX_QUEUED_WITHDRAWALS);
+        }
+
+        requestId = _pushWithdrawal(user, assetToken, amount, block.timestamp);
+    }
+
+    /**
+     * @dev Execute one of the caller's matured requests for an additional token
+     * @param requestId ID of the request
+     * @return amount Amount of tokens withdrawn
+     */
+    function _executeQueuedWithdrawal(uint256 requestId)
+        internal
+        returns (uint256 amount)
+    {
+        _requireActionAllowed(VaultAction.ExecuteWithdrawal);
+        QueuedWithdrawal storage request = _pendingWithdrawal(
+            msg.sender,
+            requestId
+        );
+        uint256 readyAt = request.requestTime + withdrawalDelay;
+        if (block.timestamp < readyAt) revert WithdrawalNotReady(readyAt);
+
+        address assetToken = request.asset;
+        amount = request.amount;
+        request.status = WithdrawalStatus.Executed;
+        lockedBalances[msg.sender][assetToken] -= amount;
+        totalLockedBalances[assetToken] -= amount;
+        _advanceWithdrawalQueueHead(msg.sender);
+
+        _withdrawAsset(assetToken, assetConfigs[assetToken], amount);
+        emit AssetWithdrawalExecuted(assetToken, msg.sender, amount);
+
+        emit WithdrawalRequestExecuted(msg.sender, requestId);
+    }
+
+    /**
+     * @dev Pay out all accrued fees
+     * @param to Recipient of the fees
+     * @return amount Amount of fees paid
+     */
+    function _collectFees(address to) internal returns (uint256 amount) {
+        amount = accruedFees;
+        if (amount == 0) revert NoFeesToCollect();
+
+        accruedFees = 0;
+        if (!token.transfer(to, amount)) revert TransferFailed(address(token));
+
+        emit FeesCollected(to, amount);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title VaultTimelock
+ * @dev Timelock that holds the vault's UPGRADER_ROLE and DEFAULT_ADMIN_ROLE
+ * Upgrades are scheduled by proposers, become executable after the minimum delay and
+ * can be cancelled in between. The timelock administers itself: changing its roles or
+ * delay is itself a timelocked operation
+ */
+contract VaultTimelock is TimelockController {
+    /**
+     * @dev Deploy the timelock
+     * Proposers are also cancellers, as in TimelockController
+     * @param minDelay Minimum delay in seconds between scheduling and execution
+     * @param proposers Addresses that may schedule operations
+     * @param executors Addresses that may execute ready operations (address(0) lets anyone execute)
+     * @param cancellers Additional addresses that may cancel pending operations
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address[] memory cancellers
+    ) TimelockController(minDelay, proposers, executors, address(0)) {
+        for (uint256 i = 0; i < cancellers.length; i++) {
+            _grantRole(CANCELLER_ROLE, cancellers[i]);
+        }
+    }
+}
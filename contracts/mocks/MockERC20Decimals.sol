@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockERC20Decimals
+ * @dev Mock ERC20 token with configurable decimals, for amounts that are not in wei
+ */
+contract MockERC20Decimals is MockERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(uint256 initialSupply, uint8 decimals_) MockERC20(initialSupply) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20Permit
+ * @dev Mock ERC20 token with EIP-2612 permit support for testing
+ */
+contract MockERC20Permit is ERC20, ERC20Permit {
+    constructor(uint256 initialSupply)
+        ERC20("MockPermitToken", "MOCKP")
+        ERC20Permit("MockPermitToken")
+    {
+        _mint(msg.sender, initialSupply);
+    }
+
+    /**
+     * @dev Mint tokens (for testing)
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+
+/**
+ * @title TokenVaultUnsafeLayout
+ * @dev A V2-style successor to TokenVaultV1 that breaks its storage layout (for testing the layout checker):
+ * token and admin are swapped, depositFee is renamed, userBalances is retyped and
+ * __gap shrinks by one slot less than the new variables take
+ */
+contract TokenVaultUnsafeLayout is
+    Initializable,
+    UUPSUpgradeable,
+    AccessControlUpgradeable
+{
+    address public admin;
+    IERC20Upgradeable public token;
+    uint256 public feeBasisPoints;
+    mapping(address => uint128) public userBalances;
+    uint256 public totalDepositAmount;
+
+    uint256 public yieldRate;
+    mapping(address => uint256) public lastClaimTime;
+
+    uint256[44] private __gap;
+
+    function _authorizeUpgrade(address) internal override {}
+}
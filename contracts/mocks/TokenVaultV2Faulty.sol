@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TokenVaultV2.sol";
+
+/**
+ * @title TokenVaultV2Faulty
+ * @dev TokenVaultV2 with a reinitializer that overwrites V1 state (for testing upgrade dry-runs)
+ */
+contract TokenVaultV2Faulty is TokenVaultV2 {
+    /**
+     * @dev initializeV2 plus a reset of the V1 deposit fee and the admin's balance
+     */
+    function initializeV2Faulty(uint256 _yieldRate)
+        external
+        reinitializer(2)
+        onlyRole(UPGRADER_ROLE)
+    {
+        yieldRate = _yieldRate;
+        depositFee = 0;
+        userBalances[admin] = 0;
+    }
+}
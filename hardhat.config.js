@@ -7,21 +7,46 @@ try {
   // Chai matchers not available, tests will use basic expect
 }
 
+// Vault operations: npx hardhat vault:status, vault:deposit, ...
+require("./tasks/vault");
+require("./tasks/roles");
+
+// TokenVaultV4 embeds the creation code of TokenVaultV4Extension, so both have to fit the
+// EIP-170 runtime and EIP-3860 initcode limits; the IR pipeline keeps them under
+const V4_COMPILER = {
+  version: "0.8.20",
+  settings: {
+    viaIR: true,
+    optimizer: {
+      enabled: true,
+      runs: 200,
+    },
+  },
+};
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
       },
+    ],
+    overrides: {
+      "contracts/TokenVaultV4.sol": V4_COMPILER,
+      "contracts/TokenVaultV4Base.sol": V4_COMPILER,
+      "contracts/TokenVaultV4Extension.sol": V4_COMPILER,
     },
   },
   networks: {
     hardhat: {
       chainId: 31337,
-      allowUnlimitedContractSize: true,
     },
     localhost: {
       url: "http://127.0.0.1:8545",
@@ -0,0 +1,85 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadDeployment } = require("./helpers/manifest");
+const { auditVault } = require("./helpers/audit");
+
+async function main() {
+  console.log("Auditing TokenVault accounting...");
+
+  const network = hre.network.name;
+  const manifest = await loadDeployment(network);
+
+  // Events are replayed from the proxy's deployment block
+  const report = await auditVault(manifest.vault.proxy, {
+    fromBlock: manifest.vault.blockNumber,
+  });
+  const format = (value) => ethers.formatEther(value);
+
+  console.log(`Network: ${network}`);
+  console.log(`Vault proxy: ${report.vault} (${report.version})`);
+  console.log(
+    `Replayed ${report.events} event(s) from block ${report.fromBlock} to ${report.blockNumber}`
+  );
+
+  const { solvency, flows } = report;
+  console.log("\nSolvency:");
+  console.log(`  Token balance:       ${format(solvency.tokenBalance)}`);
+  console.log(`  Total deposits:      ${format(solvency.deposits)}`);
+  console.log(`  Pending withdrawals: ${format(solvency.pendingWithdrawals)}`);
+  console.log(`  Collected fees:      ${format(solvency.fees)}`);
+  console.log(`  Reward reserve:      ${format(solvency.reserve)}`);
+  console.log(`  Unclaimed yield:     ${format(solvency.yieldLiability)}`);
+  console.log(`  Surplus:             ${format(solvency.surplus)}`);
+
+  console.log("\nToken flows:");
+  console.log(`  Deposited (with fees): ${format(flows.deposited)}`);
+  console.log(`  Withdrawn:             ${format(flows.withdrawn)}`);
+  console.log(`  Yield claimed:         ${format(flows.yieldClaimed)}`);
+  console.log(`  Rewards funded:        ${format(flows.rewardsFunded)}`);
+  console.log(`  Fees collected:        ${format(flows.feesCollected)}`);
+  if (flows.yieldCompounded > 0n) {
+    console.log(
+      `  Yield compounded:      ${format(flows.yieldCompounded)} (reward reserve to deposits, stays in the vault)`
+    );
+  }
+  if (report.unexplained > 0n) {
+    console.log(
+      `  Unaccounted tokens:    ${format(report.unexplained)} (sent to the vault outside deposit and fundRewards)`
+    );
+  }
+
+  console.log("\nInvariants:");
+  for (const check of report.checks) {
+    console.log(`  ${check.ok ? "✓" : "✗"} ${check.name}: ${check.detail}`);
+  }
+
+  if (report.mismatches.length > 0) {
+    console.log(`\nMismatching accounts (${report.mismatches.length}):`);
+    for (const item of report.mismatches) {
+      console.log(
+        `  ${item.account}: replayed ${format(item.balance)}, live ${format(item.live)}`
+      );
+    }
+  }
+
+  console.log("\n=== Audit Summary ===");
+  if (report.failures.length > 0) {
+    throw new Error(
+      `Accounting audit failed: ${report.failures.length} invariant(s) violated (${report.failures.map((check) => check.name).join(", ")})`
+    );
+  }
+  console.log(`✓ ${report.accounts.length} account(s) reconcile with the vault's events`);
+
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -1,5 +1,14 @@
 const hre = require("hardhat");
 const { ethers, upgrades } = require("hardhat");
+const { loadConfig } = require("./helpers/config");
+const {
+  manifestExists,
+  readManifest,
+  writeManifest,
+  createManifest,
+  txRecord,
+  upgradeTxRecord,
+} = require("./helpers/manifest");
 
 async function main() {
   console.log("Deploying TokenVaultV1...");
@@ -8,23 +17,61 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Deploying with account: ${deployer.address}`);
 
+  const network = hre.network.name;
+  const config = loadConfig(network, deployer.address);
+  console.log(`Network: ${network}`);
+  console.log(`Config: ${config.path}`);
+
+  // Refuse to overwrite a live deployment; a manifest left over from a restarted
+  // local node is replaced
+  if (manifestExists(network)) {
+    const existing = readManifest(network);
+    if (
+      existing.vault &&
+      (await ethers.provider.getCode(existing.vault.proxy)) !== "0x"
+    ) {
+      throw new Error(
+        `Vault already deployed on "${network}" at ${existing.vault.proxy}; use the upgrade scripts instead`
+      );
+    }
+    console.log(`Replacing stale manifest for "${network}"`);
+  }
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = createManifest(network, chainId, deployer.address);
+
   // Deploy mock token for testing (or use existing token)
-  const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
-  const token = await MockERC20.deploy(ethers.parseEther("10000000"));
-  await token.waitForDeployment();
-  console.log(`MockERC20 deployed to: ${token.target}`);
+  let tokenAddress;
+  if (config.token === "mock") {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy(
+      ethers.parseEther(config.mockTokenSupply)
+    );
+    await token.waitForDeployment();
+    tokenAddress = token.target;
+    console.log(`MockERC20 deployed to: ${tokenAddress}`);
+    manifest.token = {
+      address: tokenAddress,
+      mock: true,
+      ...(await txRecord(token.deploymentTransaction())),
+    };
+  } else {
+    tokenAddress = config.token;
+    if ((await ethers.provider.getCode(tokenAddress)) === "0x") {
+      throw new Error(`No contract at configured token address ${tokenAddress}`);
+    }
+    console.log(`Using token at: ${tokenAddress}`);
+    manifest.token = { address: tokenAddress, mock: false };
+  }
 
-  // Get admin address (deployer for this example)
-  const admin = deployer.address;
-  const depositFee = 500; // 5%
+  const admin = config.admin;
+  const depositFee = config.depositFee;
 
   // Deploy TokenVaultV1 as UUPS proxy
   const TokenVaultV1 = await hre.ethers.getContractFactory("TokenVaultV1");
-  const vault = await upgrades.deployProxy(
-    TokenVaultV1,
-    [token.target, admin, depositFee],
-    { kind: "uups" }
-  );
+  const initArgs = [tokenAddress, admin, depositFee];
+  const vault = await upgrades.deployProxy(TokenVaultV1, initArgs, {
+    kind: "uups",
+  });
   await vault.waitForDeployment();
   console.log(`TokenVaultV1 proxy deployed to: ${vault.target}`);
 
@@ -34,27 +81,124 @@ async function main() {
   );
   console.log(`TokenVaultV1 implementation deployed to: ${implementationAddress}`);
 
+  const proxyRecord = await upgradeTxRecord(vault.target, implementationAddress);
+  manifest.vault = {
+    proxy: vault.target,
+    admin,
+    txHash: proxyRecord.txHash,
+    blockNumber: proxyRecord.blockNumber,
+    version: "V1",
+    implementation: implementationAddress,
+    implementations: [
+      {
+        version: "V1",
+        contract: "TokenVaultV1",
+        address: implementationAddress,
+        initializer: "initialize",
+        args: initArgs,
+        mode: "direct",
+        ...proxyRecord,
+      },
+    ],
+    pendingUpgrade: null,
+  };
+
+  // Deploy the timelock that will own upgrades and role administration
+  let timelock = null;
+  if (config.timelock) {
+    const { minDelay, proposers, executors, cancellers } = config.timelock;
+    const VaultTimelock = await hre.ethers.getContractFactory("VaultTimelock");
+    timelock = await VaultTimelock.deploy(
+      minDelay,
+      proposers,
+      executors,
+      cancellers
+    );
+    await timelock.waitForDeployment();
+    console.log(`VaultTimelock deployed to: ${timelock.target}`);
+    manifest.timelock = {
+      address: timelock.target,
+      minDelay,
+      proposers,
+      executors,
+      cancellers,
+      ...(await txRecord(timelock.deploymentTransaction())),
+    };
+
+    // Hand UPGRADER_ROLE and DEFAULT_ADMIN_ROLE to the timelock; operational
+    // roles stay with the admin. V1 has no setter for admin(), so it keeps
+    // recording the admin, which now holds the operational roles only
+    const upgraderRole = await vault.UPGRADER_ROLE();
+    const defaultAdminRole = await vault.DEFAULT_ADMIN_ROLE();
+    await (await vault.grantRole(upgraderRole, timelock.target)).wait();
+    await (await vault.grantRole(defaultAdminRole, timelock.target)).wait();
+    await (await vault.renounceRole(upgraderRole, deployer.address)).wait();
+    await (await vault.renounceRole(defaultAdminRole, deployer.address)).wait();
+
+    if (
+      !(await vault.hasRole(upgraderRole, timelock.target)) ||
+      !(await vault.hasRole(defaultAdminRole, timelock.target))
+    ) {
+      throw new Error("Timelock does not hold the upgrade roles!");
+    }
+    if (
+      (await vault.hasRole(upgraderRole, deployer.address)) ||
+      (await vault.hasRole(defaultAdminRole, deployer.address))
+    ) {
+      throw new Error("Deployer still holds the upgrade roles!");
+    }
+  }
+
   // Verify deployment
   const version = await vault.getImplementationVersion();
   console.log(`Implementation version: ${version}`);
 
+  if ((await vault.getDepositFee()) !== BigInt(depositFee)) {
+    throw new Error("Deposit fee does not match the config!");
+  }
+
+  const manifestPath = writeManifest(manifest);
+
   console.log("\n=== Deployment Summary ===");
-  console.log(`Token Address: ${token.target}`);
+  console.log(`Token Address: ${tokenAddress}`);
   console.log(`Vault Proxy Address: ${vault.target}`);
   console.log(`Vault Implementation Address: ${implementationAddress}`);
-  console.log(`Admin Address: ${admin}`);
+  console.log(
+    timelock
+      ? `Admin Address: ${admin} (operational roles; the timelock holds DEFAULT_ADMIN_ROLE and UPGRADER_ROLE)`
+      : `Admin Address: ${admin}`
+  );
   console.log(`Deposit Fee: ${depositFee} basis points (${depositFee / 100}%)`);
+  if (timelock) {
+    console.log(`Timelock Address: ${timelock.target}`);
+    console.log(`Timelock Min Delay: ${config.timelock.minDelay} seconds`);
+    console.log(`Proposers: ${config.timelock.proposers.join(", ")}`);
+    console.log(`Executors: ${config.timelock.executors.join(", ")}`);
+    // Proposers can cancel too; list every account that can
+    const cancellers = [
+      ...new Set([...config.timelock.proposers, ...config.timelock.cancellers]),
+    ];
+    console.log(`Cancellers: ${cancellers.join(", ")}`);
+  } else {
+    console.log(`Timelock: none (admin keeps UPGRADER_ROLE)`);
+  }
+  console.log(`Manifest: ${manifestPath}`);
 
   return {
-    token: token.target,
+    token: tokenAddress,
     vault: vault.target,
     implementation: implementationAddress,
+    timelock: timelock ? timelock.target : null,
   };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
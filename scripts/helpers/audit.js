@@ -0,0 +1,235 @@
+/**
+ * Accounting audit: rebuild every balance from the vault's events and check the
+ * accounting invariants against live state.
+ *
+ * Balances are replayed from Deposit, Withdrawal, WithdrawalExecuted and
+ * EmergencyWithdrawal, plus V4 share transfers between users and compound
+ * yield credited to balances (YieldCompounded). YieldClaimed, RewardsFunded and
+ * FeesCollected complete the vault's token flows. Events a version lacks never
+ * occur, so the same replay covers V1 to V4. Only the primary token is audited;
+ * V4's additional assets keep separate books.
+ */
+const { ethers } = require("hardhat");
+const { VaultClient } = require("./vault-client");
+
+const AUDIT_INTERFACE = new ethers.Interface([
+  "event Deposit(address indexed user, uint256 amount, uint256 fee)",
+  "event Withdrawal(address indexed user, uint256 amount)",
+  "event WithdrawalExecuted(address indexed user, uint256 amount)",
+  "event EmergencyWithdrawal(address indexed user, uint256 amount)",
+  "event YieldClaimed(address indexed user, uint256 amount)",
+  "event YieldCompounded(address indexed user, uint256 amount)",
+  "event RewardsFunded(address indexed funder, uint256 amount)",
+  "event FeesCollected(address indexed to, uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+const WITHDRAWAL_EVENTS = ["Withdrawal", "WithdrawalExecuted", "EmergencyWithdrawal"];
+
+function emptyAccount() {
+  return {
+    balance: 0n,
+    deposited: 0n,
+    withdrawn: 0n,
+    yieldClaimed: 0n,
+    yieldCompounded: 0n,
+  };
+}
+
+/**
+ * Replay the vault's events from `fromBlock` to `toBlock` into per-account
+ * balances and the vault's token flows
+ */
+async function replayEvents(vaultAddress, fromBlock, toBlock) {
+  const logs = await ethers.provider.getLogs({
+    address: vaultAddress,
+    fromBlock,
+    toBlock,
+    topics: [
+      AUDIT_INTERFACE.fragments.map((fragment) => fragment.topicHash),
+    ],
+  });
+
+  const accounts = new Map();
+  const account = (address) => {
+    if (!accounts.has(address)) {
+      accounts.set(address, emptyAccount());
+    }
+    return accounts.get(address);
+  };
+  const flows = {
+    deposited: 0n,
+    withdrawn: 0n,
+    yieldClaimed: 0n,
+    yieldCompounded: 0n, // reward reserve to deposits; stays in the vault
+    rewardsFunded: 0n,
+    feesCollected: 0n,
+  };
+
+  for (const log of logs) {
+    const event = AUDIT_INTERFACE.parseLog(log);
+    const { args } = event;
+    if (event.name === "Deposit") {
+      // amount is credited after the fee; the vault received both
+      account(args.user).balance += args.amount;
+      account(args.user).deposited += args.amount;
+      flows.deposited += args.amount + args.fee;
+    } else if (WITHDRAWAL_EVENTS.includes(event.name)) {
+      account(args.user).balance -= args.amount;
+      account(args.user).withdrawn += args.amount;
+      flows.withdrawn += args.amount;
+    } else if (event.name === "YieldClaimed") {
+      account(args.user).yieldClaimed += args.amount;
+      flows.yieldClaimed += args.amount;
+    } else if (event.name === "YieldCompounded") {
+      account(args.user).balance += args.amount;
+      account(args.user).yieldCompounded += args.amount;
+      flows.yieldCompounded += args.amount;
+    } else if (event.name === "RewardsFunded") {
+      flows.rewardsFunded += args.amount;
+    } else if (event.name === "FeesCollected") {
+      flows.feesCollected += args.amount;
+    } else if (
+      args.from !== ethers.ZeroAddress &&
+      args.to !== ethers.ZeroAddress
+    ) {
+      // Mints and burns repeat a Deposit, withdrawal or YieldCompounded event;
+      // only moves count
+      account(args.from).balance -= args.value;
+      account(args.to).balance += args.value;
+    }
+  }
+
+  return { accounts, flows, events: logs.length };
+}
+
+/**
+ * Token balance against deposits, pending withdrawals, fees and unclaimed yield.
+ * V4 reports it on-chain with solvencyReport(); earlier versions are summed from
+ * per-account getters over `accounts` and hold no fees or reward reserve apart.
+ */
+async function readSolvency(vault, version, token, accounts, blockTag) {
+  if (version === "V4") {
+    const report = await vault.solvencyReport({ blockTag });
+    return {
+      tokenBalance: report.tokenBalance,
+      deposits: report.deposits,
+      pendingWithdrawals: report.pendingWithdrawals,
+      fees: report.fees,
+      reserve: report.reserve,
+      yieldLiability: report.yieldLiability,
+      surplus: report.surplus,
+    };
+  }
+
+  const tokenBalance = await token.balanceOf(vault.target, { blockTag });
+  const deposits = await vault.totalDeposits({ blockTag });
+  let pendingWithdrawals = 0n;
+  let yieldLiability = 0n;
+  for (const address of accounts) {
+    if (version !== "V1") {
+      yieldLiability += await vault.getUserYield(address, { blockTag });
+    }
+    if (version === "V3") {
+      const [amount] = await vault.withdrawalRequests(address, { blockTag });
+      pendingWithdrawals += amount;
+    }
+  }
+  return {
+    tokenBalance,
+    deposits,
+    pendingWithdrawals,
+    fees: 0n,
+    reserve: 0n,
+    yieldLiability,
+    surplus: tokenBalance - (deposits + yieldLiability),
+  };
+}
+
+/**
+ * Replay the vault's events and check, at the latest block:
+ *   - every account's replayed balance equals its live balance
+ *   - totalDeposits equals the sum of the live balances
+ *   - the token balance is at least what the recorded token flows leave
+ *   - the token balance covers deposits, fees and unclaimed yield
+ */
+async function auditVault(vaultAddress, { fromBlock = 0 } = {}) {
+  const { contract: vault, version } = await VaultClient.connect(
+    vaultAddress,
+    ethers.provider
+  );
+  const blockTag = await ethers.provider.getBlockNumber();
+  const token = await ethers.getContractAt(
+    "IERC20Upgradeable",
+    await vault.token({ blockTag })
+  );
+
+  const replay = await replayEvents(vaultAddress, fromBlock, blockTag);
+  const addresses = [...replay.accounts.keys()];
+
+  const accounts = [];
+  let liveTotal = 0n;
+  for (const address of addresses) {
+    const replayed = replay.accounts.get(address);
+    const live = await vault.balanceOf(address, { blockTag });
+    liveTotal += live;
+    accounts.push({ account: address, ...replayed, live });
+  }
+  const mismatches = accounts.filter((item) => item.balance !== item.live);
+
+  const solvency = await readSolvency(vault, version, token, addresses, blockTag);
+  const { flows } = replay;
+  const expectedTokenBalance =
+    flows.deposited -
+    flows.withdrawn -
+    flows.yieldClaimed +
+    flows.rewardsFunded -
+    flows.feesCollected;
+  const unexplained = solvency.tokenBalance - expectedTokenBalance;
+
+  const checks = [
+    {
+      name: "account balances",
+      ok: mismatches.length === 0,
+      detail: `${accounts.length - mismatches.length}/${accounts.length} accounts match their replayed events`,
+    },
+    {
+      name: "total deposits",
+      ok: liveTotal === solvency.deposits,
+      detail: `totalDeposits ${solvency.deposits}, sum of balances ${liveTotal}`,
+    },
+    {
+      name: "token flows",
+      ok: unexplained >= 0n,
+      detail: `token balance ${solvency.tokenBalance}, recorded flows leave ${expectedTokenBalance}`,
+    },
+    {
+      name: "solvency",
+      ok: solvency.surplus >= 0n,
+      detail: `surplus ${solvency.surplus} over deposits, fees and unclaimed yield`,
+    },
+  ];
+
+  return {
+    vault: vaultAddress,
+    version,
+    blockNumber: blockTag,
+    fromBlock,
+    events: replay.events,
+    accounts,
+    mismatches,
+    flows,
+    expectedTokenBalance,
+    unexplained,
+    solvency,
+    checks,
+    failures: checks.filter((check) => !check.ok),
+  };
+}
+
+module.exports = {
+  AUDIT_INTERFACE,
+  replayEvents,
+  readSolvency,
+  auditVault,
+};
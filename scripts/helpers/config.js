@@ -0,0 +1,186 @@
+/**
+ * Per-network deployment parameters.
+ *
+ * Parameters live in config/<network>.json (or .js exporting the same object).
+ * DEPLOY_CONFIG points at a different file. Address fields accept "deployer"
+ * and, after `admin` itself, "admin" as placeholders.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const CONFIG_DIR = path.join(__dirname, "..", "..", "config");
+const MAX_DELAY = 30 * 24 * 60 * 60; // 30 days, as enforced on-chain
+
+// Operational roles that can be granted from config, and the version that introduces each
+const ROLE_VERSIONS = {
+  PAUSER_ROLE: "V2",
+  FEE_MANAGER_ROLE: "V4",
+  REWARD_FUNDER_ROLE: "V4",
+  GUARDIAN_ROLE: "V4",
+};
+
+// TokenVaultV4.YieldMode values, by config name
+const YIELD_MODES = ["simple", "compound"];
+
+const DEFAULTS = {
+  token: "mock",
+  mockTokenSupply: "10000000",
+  admin: "deployer",
+  depositFee: 500, // 5%
+  yieldRate: 500, // 5% annual
+  withdrawalDelay: 7 * 24 * 60 * 60, // 7 days
+  treasury: "admin",
+  maxDepositFee: 1000, // 10%
+  feeUpdateDelay: 3 * 24 * 60 * 60, // 3 days
+  strictDelayMode: false,
+  yieldMode: "simple",
+  rewardFunding: "0",
+  roles: {},
+  timelock: {
+    minDelay: 2 * 24 * 60 * 60, // 2 days
+    proposers: ["deployer"],
+    executors: ["deployer"],
+    // The admin can stop a proposal even when it does not propose
+    cancellers: ["admin"],
+  },
+};
+
+function getConfigPath(network) {
+  if (process.env.DEPLOY_CONFIG) {
+    return path.resolve(process.env.DEPLOY_CONFIG);
+  }
+  for (const extension of [".js", ".json"]) {
+    const candidate = path.join(CONFIG_DIR, `${network}${extension}`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  throw new Error(
+    `No deployment config for network "${network}". Create config/${network}.json or set DEPLOY_CONFIG.`
+  );
+}
+
+function readConfigFile(configPath) {
+  if (configPath.endsWith(".js")) {
+    delete require.cache[require.resolve(configPath)];
+    return require(configPath);
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * Load, resolve and validate the config for `network`.
+ * Placeholders are resolved against `deployer`; the result only holds checksummed addresses.
+ */
+function loadConfig(network, deployer) {
+  const configPath = getConfigPath(network);
+  const raw = readConfigFile(configPath);
+  const config = {
+    ...DEFAULTS,
+    ...raw,
+    roles: { ...DEFAULTS.roles, ...raw.roles },
+    timelock:
+      raw.timelock === null
+        ? null
+        : { ...DEFAULTS.timelock, ...raw.timelock },
+  };
+
+  const errors = [];
+  const resolve = (value, field, placeholders) => {
+    if (value in placeholders) {
+      return placeholders[value];
+    }
+    if (!ethers.isAddress(value)) {
+      errors.push(`${field}: "${value}" is not an address`);
+      return value;
+    }
+    return ethers.getAddress(value);
+  };
+
+  config.admin = resolve(config.admin, "admin", { deployer });
+  const placeholders = { deployer, admin: config.admin };
+  config.treasury = resolve(config.treasury, "treasury", placeholders);
+  if (config.token !== "mock") {
+    config.token = resolve(config.token, "token", {});
+  }
+
+  for (const [role, accounts] of Object.entries(config.roles)) {
+    if (!(role in ROLE_VERSIONS)) {
+      errors.push(
+        `roles: unknown role "${role}" (use ${Object.keys(ROLE_VERSIONS).join(", ")})`
+      );
+      continue;
+    }
+    config.roles[role] = accounts.map((account, i) =>
+      resolve(account, `roles.${role}[${i}]`, placeholders)
+    );
+  }
+  if ((config.roles.GUARDIAN_ROLE || []).includes(config.admin)) {
+    // The admin ends emergencies; one key must not also be able to declare them
+    errors.push("roles.GUARDIAN_ROLE: must not include admin");
+  }
+
+  if (config.timelock) {
+    for (const field of ["proposers", "executors", "cancellers"]) {
+      config.timelock[field] = config.timelock[field].map((account, i) =>
+        resolve(account, `timelock.${field}[${i}]`, placeholders)
+      );
+    }
+    if (config.timelock.proposers.length === 0) {
+      errors.push("timelock.proposers: at least one proposer is required");
+    }
+    if (config.admin !== deployer) {
+      // Only the admin can hand UPGRADER_ROLE and DEFAULT_ADMIN_ROLE to the timelock
+      errors.push(
+        "timelock: the deploy script can only hand over roles when admin is the deployer; set admin to \"deployer\" or timelock to null"
+      );
+    }
+  }
+
+  const bounded = (field, max) => {
+    const value = config[field];
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      errors.push(`${field}: must be an integer between 0 and ${max}`);
+    }
+  };
+  bounded("depositFee", 10000);
+  bounded("yieldRate", 10000);
+  bounded("maxDepositFee", 10000);
+  bounded("withdrawalDelay", MAX_DELAY);
+  bounded("feeUpdateDelay", MAX_DELAY);
+  if (config.maxDepositFee < config.depositFee) {
+    errors.push("maxDepositFee: must not be below depositFee");
+  }
+  if (!YIELD_MODES.includes(config.yieldMode)) {
+    errors.push(
+      `yieldMode: "${config.yieldMode}" is not a yield mode (use ${YIELD_MODES.join(", ")})`
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid deployment config ${configPath}:\n  ${errors.join("\n  ")}`
+    );
+  }
+
+  config.path = configPath;
+  return config;
+}
+
+/**
+ * Roles from config that become available in `version`, as [role, account] pairs
+ */
+function roleGrantsFor(config, version) {
+  return Object.entries(config.roles)
+    .filter(([role]) => ROLE_VERSIONS[role] === version)
+    .flatMap(([role, accounts]) => accounts.map((account) => [role, account]));
+}
+
+module.exports = {
+  ROLE_VERSIONS,
+  YIELD_MODES,
+  getConfigPath,
+  loadConfig,
+  roleGrantsFor,
+};
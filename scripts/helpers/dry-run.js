@@ -0,0 +1,419 @@
+/**
+ * Upgrade dry-run: perform an upgrade inside an evm_snapshot and report what it changed.
+ *
+ * Before and after the upgrade the vault's state is captured: its parameters, the
+ * stored position of every depositor found through Deposit events, role memberships
+ * and the proxy's raw storage slots, labelled from the storage layout the upgrades
+ * plugin records.
+ * The snapshot is reverted afterwards, so this needs a local Hardhat node or the
+ * in-process Hardhat network (evm_snapshot and account impersonation).
+ */
+const { ethers, upgrades } = require("hardhat");
+const { ROLE_VERSIONS: OPERATIONAL_ROLE_VERSIONS } = require("./config");
+const { readLayout } = require("./storage-layout");
+const { VaultClient } = require("./vault-client");
+
+const VERSIONS = ["V1", "V2", "V3", "V4"];
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Every role, and the version that introduces it
+const ROLE_VERSIONS = {
+  DEFAULT_ADMIN_ROLE: "V1",
+  UPGRADER_ROLE: "V1",
+  ...OPERATIONAL_ROLE_VERSIONS,
+};
+
+// Vault parameters, and the version that introduces each getter
+const PARAMETERS = {
+  token: "V1",
+  admin: "V1",
+  depositFee: "V1",
+  totalDeposits: "V1",
+  yieldRate: "V2",
+  depositsPaused: "V2",
+  withdrawalDelay: "V3",
+};
+
+// Stored per-user fields, and the version that introduces each getter
+const POSITION_FIELDS = {
+  balanceOf: "V1",
+  lastClaimTime: "V2",
+  accumulatedYield: "V2",
+  withdrawalRequests: "V3",
+};
+
+// Same contracts, reinitializers and config fields the upgrade-to-vN scripts use
+const UPGRADE_STEPS = {
+  V2: {
+    from: "V1",
+    contract: "TokenVaultV2",
+    initializer: "initializeV2",
+    args: (config) => [config.yieldRate],
+  },
+  V3: {
+    from: "V2",
+    contract: "TokenVaultV3",
+    initializer: "initializeV3",
+    args: (config) => [config.withdrawalDelay],
+  },
+  V4: {
+    from: "V3",
+    contract: "TokenVaultV4",
+    initializer: "initializeV4",
+    args: (config) => [
+      config.treasury,
+      config.maxDepositFee,
+      config.feeUpdateDelay,
+    ],
+  },
+};
+
+function versionIndex(version) {
+  return VERSIONS.indexOf(version);
+}
+
+function available(fields, version) {
+  return Object.keys(fields).filter(
+    (field) => versionIndex(fields[field]) <= versionIndex(version)
+  );
+}
+
+function roleId(role) {
+  return role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+}
+
+// Comparable, JSON-friendly form of a getter's return value
+function normalize(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  return value;
+}
+
+/**
+ * Refuse anything but a Hardhat node: the dry-run relies on evm_snapshot and impersonation
+ */
+async function requireLocalNode() {
+  const client = await ethers.provider.send("web3_clientVersion", []);
+  if (!client.startsWith("HardhatNetwork")) {
+    throw new Error(
+      `Upgrade dry-runs need a local Hardhat node (npx hardhat node); the provider is ${client}`
+    );
+  }
+}
+
+/**
+ * Storage slot -> label map from `contract`'s storage layout.
+ * Variables packed into one slot share it; gaps are labelled per slot.
+ */
+async function storageLabels(contract) {
+  const labels = new Map();
+  for (const entry of (await readLayout(contract)).entries) {
+    for (let i = 0; i < entry.slots; i++) {
+      const slot = entry.slot + i;
+      let label = entry.label;
+      if (entry.label === "__gap") {
+        label = `${entry.contract}.__gap[${i}]`;
+      } else if (entry.slots > 1) {
+        label = `${entry.label}[${i}]`;
+      }
+      labels.set(
+        slot,
+        labels.has(slot) ? `${labels.get(slot)}, ${label}` : label
+      );
+    }
+  }
+  return labels;
+}
+
+function isGap(label) {
+  return label === undefined || /^[\w]+\.__gap\[\d+\]$/.test(label);
+}
+
+/**
+ * Depositors from Deposit events, role holders from RoleGranted events and `extra`
+ */
+async function collectAccounts(proxy, fromBlock, extra = []) {
+  const vault = new ethers.Contract(
+    proxy,
+    [
+      "event Deposit(address indexed user, uint256 amount, uint256 fee)",
+      "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    ],
+    ethers.provider
+  );
+  const deposits = await vault.queryFilter(vault.filters.Deposit(), fromBlock);
+  const grants = await vault.queryFilter(vault.filters.RoleGranted(), fromBlock);
+  return [
+    ...new Set([
+      ...deposits.map((event) => event.args.user),
+      ...grants.map((event) => event.args.account),
+      ...extra.filter(Boolean).map((account) => ethers.getAddress(account)),
+    ]),
+  ];
+}
+
+/**
+ * Read the state an upgrade must preserve, through the getters of `version`
+ */
+async function captureState(proxy, version, accounts, slotCount) {
+  // The getters to read come from `version`; the ABI from what the proxy runs
+  const { contract: vault } = await VaultClient.connect(proxy, ethers.provider);
+
+  const parameters = {};
+  for (const name of available(PARAMETERS, version)) {
+    parameters[name] = normalize(await vault[name]());
+  }
+
+  const positions = {};
+  for (const account of accounts) {
+    positions[account] = {};
+    for (const field of available(POSITION_FIELDS, version)) {
+      positions[account][field] = normalize(await vault[field](account));
+    }
+  }
+
+  const roles = {};
+  for (const role of Object.keys(ROLE_VERSIONS)) {
+    roles[role] = [];
+    for (const account of accounts) {
+      if (await vault.hasRole(roleId(role), account)) {
+        roles[role].push(account);
+      }
+    }
+  }
+
+  const slots = {};
+  for (let slot = 0; slot < slotCount; slot++) {
+    slots[slot] = await ethers.provider.getStorage(proxy, slot);
+  }
+  slots[IMPLEMENTATION_SLOT] = await ethers.provider.getStorage(
+    proxy,
+    IMPLEMENTATION_SLOT
+  );
+
+  return { parameters, positions, roles, slots };
+}
+
+/**
+ * Every difference between two captures, marked expected or not.
+ * An upgrade may only switch the implementation, bump the initializer version,
+ * fill gap slots with its new variables and grant roles it introduces.
+ */
+function diffStates(before, after, { fromVersion, oldLabels, newLabels }) {
+  const changes = [];
+  const change = (kind, key, from, to, reason = null) =>
+    changes.push({
+      kind,
+      key,
+      before: from,
+      after: to,
+      expected: reason !== null,
+      reason,
+    });
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  for (const [name, value] of Object.entries(before.parameters)) {
+    if (!same(value, after.parameters[name])) {
+      change("parameter", name, value, after.parameters[name]);
+    }
+  }
+
+  for (const [account, fields] of Object.entries(before.positions)) {
+    for (const [field, value] of Object.entries(fields)) {
+      const updated = after.positions[account][field];
+      if (!same(value, updated)) {
+        change("position", `${field}(${account})`, value, updated);
+      }
+    }
+  }
+
+  for (const [role, holders] of Object.entries(before.roles)) {
+    const introduced =
+      versionIndex(ROLE_VERSIONS[role]) > versionIndex(fromVersion);
+    const accounts = new Set([...holders, ...after.roles[role]]);
+    for (const account of accounts) {
+      const had = holders.includes(account);
+      const has = after.roles[role].includes(account);
+      if (had !== has) {
+        change(
+          "role",
+          `${role}(${account})`,
+          had,
+          has,
+          introduced && has ? `${role} is new in this upgrade` : null
+        );
+      }
+    }
+  }
+
+  for (const [slot, value] of Object.entries(before.slots)) {
+    if (value === after.slots[slot]) {
+      continue;
+    }
+    if (slot === IMPLEMENTATION_SLOT) {
+      change(
+        "slot",
+        "ERC1967 implementation",
+        value,
+        after.slots[slot],
+        "implementation switched"
+      );
+      continue;
+    }
+    const oldLabel = oldLabels.get(Number(slot));
+    const newLabel = newLabels.get(Number(slot));
+    let reason = null;
+    if (oldLabel && oldLabel.includes("_initialized")) {
+      reason = "initializer version";
+    } else if (isGap(oldLabel) && !isGap(newLabel)) {
+      reason = `new variable ${newLabel}`;
+    }
+    change(
+      "slot",
+      `${slot} (${oldLabel || "unused"})`,
+      value,
+      after.slots[slot],
+      reason
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Find an account holding UPGRADER_ROLE among `candidates`
+ */
+async function findUpgrader(vault, candidates) {
+  const role = await vault.UPGRADER_ROLE();
+  for (const account of candidates) {
+    if (await vault.hasRole(role, account)) {
+      return account;
+    }
+  }
+  throw new Error(
+    "No known account holds UPGRADER_ROLE; pass the upgrader explicitly"
+  );
+}
+
+/**
+ * Upgrade `proxy` from `fromVersion` to `contract` with `initializer(args)` inside a
+ * snapshot, as the UPGRADER_ROLE holder, and return the state changes it caused.
+ * `implementation` rehearses an already deployed (e.g. proposed) implementation;
+ * otherwise `contract` is deployed inside the snapshot.
+ */
+async function dryRunUpgrade(
+  proxy,
+  {
+    fromVersion,
+    version,
+    contract,
+    initializer,
+    args,
+    implementation = null,
+    upgrader = null,
+    accounts: extraAccounts = [],
+    fromBlock = 0,
+  }
+) {
+  await requireLocalNode();
+
+  const oldContract = `TokenVault${fromVersion}`;
+  const client = await VaultClient.connect(proxy, ethers.provider);
+  if (client.version !== fromVersion) {
+    throw new Error(`Vault runs ${client.version}, not ${fromVersion}`);
+  }
+  const vault = client.contract;
+
+  // The plugin's layout and safety checks, without deploying anything
+  const factory = await ethers.getContractFactory(contract);
+  await upgrades.validateUpgrade(
+    await ethers.getContractFactory(oldContract),
+    factory,
+    { kind: "uups" }
+  );
+
+  const accounts = await collectAccounts(proxy, fromBlock, [
+    await vault.admin(),
+    upgrader,
+    ...extraAccounts,
+  ]);
+  upgrader = upgrader
+    ? ethers.getAddress(upgrader)
+    : await findUpgrader(vault, accounts);
+
+  const oldLabels = await storageLabels(oldContract);
+  const newLabels = await storageLabels(contract);
+  const slotCount = Math.max(...oldLabels.keys(), ...newLabels.keys()) + 1;
+
+  const before = await captureState(proxy, fromVersion, accounts, slotCount);
+  let after;
+  let gasUsed;
+
+  const snapshot = await ethers.provider.send("evm_snapshot", []);
+  try {
+    if (!implementation) {
+      const deployed = await factory.deploy();
+      await deployed.waitForDeployment();
+      implementation = deployed.target;
+    }
+
+    const signer = await ethers.getImpersonatedSigner(upgrader);
+    await ethers.provider.send("hardhat_setBalance", [
+      upgrader,
+      ethers.toQuantity(ethers.parseEther("100")),
+    ]);
+    const initData = factory.interface.encodeFunctionData(initializer, args);
+    const receipt = await (
+      await vault.connect(signer).upgradeToAndCall(implementation, initData)
+    ).wait();
+    gasUsed = receipt.gasUsed;
+
+    const upgraded = await VaultClient.connect(proxy, ethers.provider);
+    if (upgraded.version !== version) {
+      throw new Error(
+        `Vault reports implementation ${upgraded.version} after upgrading to ${version}`
+      );
+    }
+    // Read through the old getters, so both captures cover the same fields
+    after = await captureState(proxy, fromVersion, accounts, slotCount);
+  } finally {
+    await ethers.provider.send("hardhat_stopImpersonatingAccount", [upgrader]);
+    await ethers.provider.send("evm_revert", [snapshot]);
+  }
+
+  const changes = diffStates(before, after, {
+    fromVersion,
+    oldLabels,
+    newLabels,
+  });
+  return {
+    proxy,
+    fromVersion,
+    version,
+    contract,
+    implementation,
+    upgrader,
+    initializer,
+    args,
+    gasUsed,
+    accounts: accounts.length,
+    slots: slotCount,
+    changes,
+    unexpected: changes.filter((item) => !item.expected),
+  };
+}
+
+module.exports = {
+  UPGRADE_STEPS,
+  IMPLEMENTATION_SLOT,
+  storageLabels,
+  collectAccounts,
+  captureState,
+  diffStates,
+  dryRunUpgrade,
+};
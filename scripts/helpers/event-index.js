@@ -0,0 +1,239 @@
+/**
+ * Event index: deployments/<network>.events.json
+ *
+ * Follows a vault proxy from its deployment block and stores every event it
+ * emitted, decoded with the ABI of the implementation that was active at the
+ * time. ERC-1967 Upgraded events switch the ABI from that log on; each
+ * implementation reports its version through getImplementationVersion().
+ * The index records block hashes, so a sync notices a reorg, drops the events
+ * of the abandoned blocks and indexes the new chain instead.
+ * Amounts are stored as decimal strings.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { getManifestPath } = require("./manifest");
+
+const INDEX_VERSION = 1;
+const BATCH_SIZE = 2000;
+
+const UPGRADED_TOPIC = ethers.id("Upgraded(address)");
+const VERSION_ABI = [
+  "function getImplementationVersion() view returns (string)",
+];
+
+// Stored next to the deployment manifest, so DEPLOYMENTS_DIR moves both
+function getIndexPath(network) {
+  return path.join(
+    path.dirname(getManifestPath(network)),
+    `${network}.events.json`
+  );
+}
+
+function createIndex(network, chainId, proxy, fromBlock) {
+  return {
+    indexVersion: INDEX_VERSION,
+    network,
+    chainId: Number(chainId),
+    proxy,
+    fromBlock,
+    head: null,
+    implementations: [],
+    events: [],
+  };
+}
+
+/**
+ * The stored index for `network`, or null if there is none yet
+ */
+function readIndex(network) {
+  const indexPath = getIndexPath(network);
+  if (!fs.existsSync(indexPath)) {
+    return null;
+  }
+  const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  if (index.indexVersion !== INDEX_VERSION) {
+    throw new Error(
+      `Unsupported event index version ${index.indexVersion} in ${indexPath} (expected ${INDEX_VERSION})`
+    );
+  }
+  return index;
+}
+
+function writeIndex(index) {
+  const indexPath = getIndexPath(index.network);
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, `${JSON.stringify(index, null, 2)}\n`);
+  return indexPath;
+}
+
+/**
+ * Index for the manifest's vault: the stored one, or a new one starting at the
+ * proxy's deployment block. A stored index of another proxy or chain is refused.
+ */
+async function loadIndex(manifest) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const index = readIndex(manifest.network);
+  if (!index) {
+    return createIndex(
+      manifest.network,
+      chainId,
+      manifest.vault.proxy,
+      manifest.vault.blockNumber
+    );
+  }
+  if (index.proxy !== manifest.vault.proxy || index.chainId !== Number(chainId)) {
+    throw new Error(
+      `Event index ${getIndexPath(manifest.network)} follows ${index.proxy} on chain ${index.chainId}, not the manifest's vault ${manifest.vault.proxy} on chain ${chainId}; delete it to reindex`
+    );
+  }
+  return index;
+}
+
+const interfaces = new Map();
+
+async function vaultInterface(version) {
+  if (!interfaces.has(version)) {
+    const factory = await ethers.getContractFactory(`TokenVault${version}`);
+    interfaces.set(version, factory.interface);
+  }
+  return interfaces.get(version);
+}
+
+// Decoded arguments by name, with integers as decimal strings
+function serializeArgs(fragment, args) {
+  return Object.fromEntries(
+    fragment.inputs.map((input, i) => [
+      input.name,
+      typeof args[i] === "bigint" ? args[i].toString() : args[i],
+    ])
+  );
+}
+
+/**
+ * Drop everything after the newest indexed block the chain still has.
+ * Candidates are the blocks of indexed events and the indexed head.
+ * Returns the number of events dropped, or null if the chain matches the head.
+ */
+async function rewindToCommonAncestor(index) {
+  const head = await ethers.provider.getBlock(index.head.number);
+  if (head && head.hash === index.head.hash) {
+    return null;
+  }
+
+  const candidates = new Map(
+    index.events.map((event) => [event.blockNumber, event.blockHash])
+  );
+  let ancestor = null;
+  for (const number of [...candidates.keys()].sort((a, b) => b - a)) {
+    const block = await ethers.provider.getBlock(number);
+    if (block && block.hash === candidates.get(number)) {
+      ancestor = { number, hash: block.hash };
+      break;
+    }
+  }
+
+  const kept = index.events.filter(
+    (event) => ancestor && event.blockNumber <= ancestor.number
+  );
+  const removed = index.events.length - kept.length;
+  index.events = kept;
+  index.implementations = index.implementations.filter(
+    (entry) => ancestor && entry.blockNumber <= ancestor.number
+  );
+  index.head = ancestor;
+  return removed;
+}
+
+/**
+ * Bring the index up to `toBlock` (default: latest minus `confirmations`).
+ * Returns { added, removed, reorg, head }; reorg is true when blocks the index
+ * had seen were replaced.
+ */
+async function syncIndex(index, { toBlock, confirmations = 0 } = {}) {
+  let removed = 0;
+  let reorg = false;
+  if (index.head) {
+    const dropped = await rewindToCommonAncestor(index);
+    if (dropped !== null) {
+      removed = dropped;
+      reorg = true;
+    }
+  }
+
+  const latest = await ethers.provider.getBlockNumber();
+  const target = toBlock === undefined ? latest - confirmations : toBlock;
+  const start = index.head ? index.head.number + 1 : index.fromBlock;
+  let added = 0;
+
+  const timestamps = new Map();
+  const timestampOf = async (log) => {
+    if (!timestamps.has(log.blockNumber)) {
+      const block = await ethers.provider.getBlock(log.blockNumber);
+      timestamps.set(log.blockNumber, block.timestamp);
+    }
+    return timestamps.get(log.blockNumber);
+  };
+
+  for (let from = start; from <= target; from += BATCH_SIZE) {
+    const to = Math.min(from + BATCH_SIZE - 1, target);
+    const logs = await ethers.provider.getLogs({
+      address: index.proxy,
+      fromBlock: from,
+      toBlock: to,
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const log of logs) {
+      // The new implementation's ABI applies from its Upgraded log on
+      if (log.topics[0] === UPGRADED_TOPIC) {
+        const address = ethers.getAddress(ethers.dataSlice(log.topics[1], 12));
+        const implementation = new ethers.Contract(
+          address,
+          VERSION_ABI,
+          ethers.provider
+        );
+        index.implementations.push({
+          address,
+          version: await implementation.getImplementationVersion(),
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+        });
+      }
+
+      const active = index.implementations[index.implementations.length - 1];
+      const parsed = active
+        ? (await vaultInterface(active.version)).parseLog(log)
+        : null;
+      index.events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: await timestampOf(log),
+        version: active ? active.version : null,
+        event: parsed ? parsed.name : null,
+        signature: parsed ? parsed.signature : null,
+        args: parsed ? serializeArgs(parsed.fragment, parsed.args) : null,
+        ...(parsed ? {} : { topics: log.topics, data: log.data }),
+      });
+      added++;
+    }
+  }
+
+  if (target >= start) {
+    const block = await ethers.provider.getBlock(target);
+    index.head = { number: block.number, hash: block.hash };
+  }
+  return { added, removed, reorg, head: index.head };
+}
+
+module.exports = {
+  INDEX_VERSION,
+  getIndexPath,
+  createIndex,
+  readIndex,
+  writeIndex,
+  loadIndex,
+  syncIndex,
+};
@@ -0,0 +1,255 @@
+/**
+ * Queries over an event index (see event-index.js).
+ *
+ * Periods are `from`/`to` bounds, both inclusive, given as Unix timestamps in
+ * seconds, Dates or date strings. Amounts are returned as bigints.
+ */
+
+// Statement rows by event signature; `change` is the effect on the vault balance
+const STATEMENT_EVENTS = {
+  "Deposit(address,uint256,uint256)": (args) => ({
+    type: "deposit",
+    account: args.user,
+    amount: BigInt(args.amount),
+    fee: BigInt(args.fee),
+    change: BigInt(args.amount),
+  }),
+  "Withdrawal(address,uint256)": (args) => ({
+    type: "withdrawal",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: -BigInt(args.amount),
+  }),
+  "WithdrawalRequested(address,uint256,uint256)": (args) => ({
+    type: "withdrawalRequest",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: 0n,
+  }),
+  "WithdrawalExecuted(address,uint256)": (args) => ({
+    type: "withdrawalExecuted",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: -BigInt(args.amount),
+  }),
+  "EmergencyWithdrawal(address,uint256)": (args) => ({
+    type: "emergencyWithdrawal",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: -BigInt(args.amount),
+  }),
+  "YieldClaimed(address,uint256)": (args) => ({
+    type: "yieldClaim",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: 0n,
+  }),
+  "YieldCompounded(address,uint256)": (args) => ({
+    type: "yieldCompound",
+    account: args.user,
+    amount: BigInt(args.amount),
+    change: BigInt(args.amount),
+  }),
+};
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+function toSeconds(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (typeof value === "number") {
+    return value;
+  }
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}": use a date or a Unix timestamp`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function inPeriod(event, from, to) {
+  return (
+    (from === undefined || event.timestamp >= from) &&
+    (to === undefined || event.timestamp <= to)
+  );
+}
+
+function sameAddress(a, b) {
+  return typeof a === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Statement rows `event` makes, one per account it moves funds for.
+ * V4 share transfers between users give a row to each side.
+ */
+function statementRows(event) {
+  if (event.signature === "Transfer(address,address,uint256)") {
+    const { from, to, value } = event.args;
+    if (from === ZERO_ADDRESS || to === ZERO_ADDRESS) {
+      // Mints and burns repeat a Deposit, withdrawal or YieldCompounded event
+      return [];
+    }
+    return [
+      { type: "transferOut", account: from, amount: BigInt(value), change: -BigInt(value) },
+      { type: "transferIn", account: to, amount: BigInt(value), change: BigInt(value) },
+    ];
+  }
+  const row = STATEMENT_EVENTS[event.signature];
+  return row ? [row(event.args)] : [];
+}
+
+/**
+ * Indexed events, oldest first, filtered by event name, an account appearing in
+ * any argument, a block range and a period
+ */
+function queryEvents(
+  index,
+  { event, account, fromBlock, toBlock, from, to } = {}
+) {
+  const start = toSeconds(from);
+  const end = toSeconds(to);
+  return index.events.filter(
+    (entry) =>
+      (!event || entry.event === event) &&
+      (!account ||
+        Object.values(entry.args || {}).some((value) =>
+          sameAddress(value, account)
+        )) &&
+      (fromBlock === undefined || entry.blockNumber >= fromBlock) &&
+      (toBlock === undefined || entry.blockNumber <= toBlock) &&
+      inPeriod(entry, start, end)
+  );
+}
+
+/**
+ * Per-user statement: every deposit, fee, withdrawal, withdrawal request, yield
+ * claim, compounding and share transfer in the period, with the vault balance
+ * after each.
+ * The opening balance carries everything before the period.
+ */
+function userStatement(index, account, { from, to } = {}) {
+  const start = toSeconds(from);
+  const end = toSeconds(to);
+  const totals = {
+    deposited: 0n,
+    fees: 0n,
+    withdrawn: 0n,
+    requested: 0n,
+    yieldClaimed: 0n,
+    yieldCompounded: 0n,
+    transferredIn: 0n,
+    transferredOut: 0n,
+  };
+  const rows = [];
+  let balance = 0n;
+  let openingBalance = 0n;
+
+  for (const event of index.events) {
+    if (end !== undefined && event.timestamp > end) {
+      break;
+    }
+    for (const row of statementRows(event)) {
+      if (!sameAddress(row.account, account)) {
+        continue;
+      }
+      balance += row.change;
+      if (!inPeriod(event, start, end)) {
+        openingBalance = balance;
+        continue;
+      }
+
+      if (row.type === "deposit") {
+        totals.deposited += row.amount;
+        totals.fees += row.fee;
+      } else if (row.type === "withdrawalRequest") {
+        totals.requested += row.amount;
+      } else if (row.type === "yieldClaim") {
+        totals.yieldClaimed += row.amount;
+      } else if (row.type === "yieldCompound") {
+        totals.yieldCompounded += row.amount;
+      } else if (row.type === "transferIn") {
+        totals.transferredIn += row.amount;
+      } else if (row.type === "transferOut") {
+        totals.transferredOut += row.amount;
+      } else {
+        totals.withdrawn += row.amount;
+      }
+      rows.push({
+        type: row.type,
+        amount: row.amount,
+        ...(row.fee === undefined ? {} : { fee: row.fee }),
+        balance,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+      });
+    }
+  }
+
+  return {
+    account,
+    from: start,
+    to: end,
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    rows,
+  };
+}
+
+/**
+ * Vault-wide totals over a period
+ */
+function periodTotals(index, { from, to } = {}) {
+  const start = toSeconds(from);
+  const end = toSeconds(to);
+  const totals = {
+    from: start,
+    to: end,
+    events: 0,
+    deposits: 0n,
+    fees: 0n,
+    withdrawals: 0n,
+    withdrawalRequests: 0n,
+    yieldClaimed: 0n,
+    yieldCompounded: 0n,
+    depositors: 0,
+    accounts: 0,
+  };
+  const depositors = new Set();
+  const accounts = new Set();
+
+  for (const event of index.events) {
+    if (!inPeriod(event, start, end)) {
+      continue;
+    }
+    totals.events++;
+    for (const row of statementRows(event)) {
+      accounts.add(row.account);
+      if (row.type === "deposit") {
+        totals.deposits += row.amount;
+        totals.fees += row.fee;
+        depositors.add(row.account);
+      } else if (row.type === "withdrawalRequest") {
+        totals.withdrawalRequests += row.amount;
+      } else if (row.type === "yieldClaim") {
+        totals.yieldClaimed += row.amount;
+      } else if (row.type === "yieldCompound") {
+        totals.yieldCompounded += row.amount;
+      } else if (row.change < 0n && row.type !== "transferOut") {
+        totals.withdrawals += row.amount;
+      }
+    }
+  }
+  totals.depositors = depositors.size;
+  totals.accounts = accounts.size;
+  return totals;
+}
+
+module.exports = {
+  toSeconds,
+  queryEvents,
+  userStatement,
+  periodTotals,
+};
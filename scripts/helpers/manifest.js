@@ -0,0 +1,155 @@
+/**
+ * Deployment manifest: deployments/<network>.json
+ *
+ * Records what was deployed where, so later steps never need addresses passed
+ * in by hand: the token, the timelock, the vault proxy and every implementation
+ * it has run, with the transaction, block and initializer arguments of each.
+ * DEPLOYMENTS_DIR writes manifests somewhere else.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+const MANIFEST_VERSION = 1;
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function getManifestPath(network) {
+  const dir = process.env.DEPLOYMENTS_DIR
+    ? path.resolve(process.env.DEPLOYMENTS_DIR)
+    : DEPLOYMENTS_DIR;
+  return path.join(dir, `${network}.json`);
+}
+
+function manifestExists(network) {
+  return fs.existsSync(getManifestPath(network));
+}
+
+function readManifest(network) {
+  const manifestPath = getManifestPath(network);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(
+      `No deployment manifest for network "${network}" at ${manifestPath}. Run scripts/deploy-v1.js first.`
+    );
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported manifest version ${manifest.manifestVersion} in ${manifestPath} (expected ${MANIFEST_VERSION})`
+    );
+  }
+  return manifest;
+}
+
+function writeManifest(manifest) {
+  const manifestPath = getManifestPath(manifest.network);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  manifest.updatedAt = new Date().toISOString();
+  // Initializer arguments may be bigints
+  const json = JSON.stringify(
+    manifest,
+    (key, value) => (typeof value === "bigint" ? value.toString() : value),
+    2
+  );
+  fs.writeFileSync(manifestPath, `${json}\n`);
+  return manifestPath;
+}
+
+function createManifest(network, chainId, deployer) {
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    network,
+    chainId: Number(chainId),
+    deployer,
+    token: null,
+    timelock: null,
+    vault: null,
+  };
+}
+
+/**
+ * Transaction hash and block number of a mined transaction
+ */
+async function txRecord(txOrHash) {
+  const hash = typeof txOrHash === "string" ? txOrHash : txOrHash.hash;
+  const receipt = await ethers.provider.getTransactionReceipt(hash);
+  const block = await ethers.provider.getBlock(receipt.blockNumber);
+  return {
+    txHash: hash,
+    blockNumber: receipt.blockNumber,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Transaction that made `implementation` the proxy's implementation, from its Upgraded event
+ */
+async function upgradeTxRecord(proxyAddress, implementation, fromBlock = 0) {
+  const proxy = new ethers.Contract(
+    proxyAddress,
+    ["event Upgraded(address indexed implementation)"],
+    ethers.provider
+  );
+  const events = await proxy.queryFilter(
+    proxy.filters.Upgraded(implementation),
+    fromBlock
+  );
+  if (events.length === 0) {
+    throw new Error(`No upgrade to ${implementation} found on ${proxyAddress}`);
+  }
+  return txRecord(events[events.length - 1].transactionHash);
+}
+
+/**
+ * Load the manifest for the current network and check the vault it records still
+ * exists and runs `fromVersion`, the version the calling upgrade starts from.
+ * A local node restarted since the deployment leaves a manifest without contracts.
+ */
+async function loadDeployment(network, fromVersion) {
+  const manifest = readManifest(network);
+  const { chainId } = await ethers.provider.getNetwork();
+  if (Number(chainId) !== manifest.chainId) {
+    throw new Error(
+      `Manifest for "${network}" was written on chain ${manifest.chainId}, but the provider is on chain ${chainId}`
+    );
+  }
+  if (!manifest.vault) {
+    throw new Error(`Manifest for "${network}" has no vault`);
+  }
+  if ((await ethers.provider.getCode(manifest.vault.proxy)) === "0x") {
+    throw new Error(
+      `No contract at the manifest's vault proxy ${manifest.vault.proxy}; the manifest is stale (was the node restarted?)`
+    );
+  }
+  if (fromVersion && manifest.vault.version !== fromVersion) {
+    const pending = manifest.vault.pendingUpgrade;
+    throw new Error(
+      `Vault is at ${manifest.vault.version}, but this upgrade starts from ${fromVersion}` +
+        (pending ? `; an upgrade to ${pending.version} is pending` : "")
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Append an implementation to the vault's history and make it the current version
+ */
+function recordImplementation(manifest, entry) {
+  manifest.vault.implementations.push(entry);
+  manifest.vault.version = entry.version;
+  manifest.vault.implementation = entry.address;
+  manifest.vault.pendingUpgrade = null;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  getManifestPath,
+  manifestExists,
+  readManifest,
+  writeManifest,
+  createManifest,
+  txRecord,
+  upgradeTxRecord,
+  loadDeployment,
+  recordImplementation,
+};
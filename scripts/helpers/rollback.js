@@ -0,0 +1,308 @@
+/**
+ * Rollback: point the vault proxy back at an implementation from its history.
+ *
+ * The target comes from the deployment manifest. The older of the two layouts has to
+ * be a prefix of the newer one (the storage layout check, in either direction).
+ * Variables only the newer version declares keep their values while the older
+ * version runs. A rollback orphans them, and a later return to the newer version
+ * brings them back into force, so both directions report what they hold.
+ *
+ * The switch is a plain upgradeTo: the target's initializer already ran, and
+ * reinitializers cannot run twice.
+ */
+const { ethers } = require("hardhat");
+const { readLayout, compareLayouts } = require("./storage-layout");
+const { collectAccounts } = require("./dry-run");
+const {
+  getTimelock,
+  proposeOperation,
+  getUpgradeSalt,
+  executeUpgrade,
+  cancelUpgrade,
+} = require("./timelock");
+const { writeManifest, txRecord, recordImplementation } = require("./manifest");
+const { VaultClient } = require("./vault-client");
+
+const UUPS_INTERFACE = new ethers.Interface([
+  "function upgradeTo(address newImplementation)",
+]);
+
+function versionNumber(version) {
+  return Number(version.slice(1));
+}
+
+/**
+ * History entry to switch to: `target` is a version or an implementation address.
+ * By default, the latest implementation of a version before the current one.
+ */
+function findRollbackTarget(manifest, target) {
+  const { version, implementation, implementations } = manifest.vault;
+  const history = [...implementations].reverse();
+
+  let entry;
+  if (!target) {
+    entry = history.find(
+      (item) => versionNumber(item.version) < versionNumber(version)
+    );
+    if (!entry) {
+      throw new Error(
+        `Vault runs ${version}, the first version in its history; there is nothing to roll back to`
+      );
+    }
+  } else if (ethers.isAddress(target)) {
+    entry = history.find(
+      (item) => item.address.toLowerCase() === target.toLowerCase()
+    );
+  } else {
+    entry = history.find((item) => item.version === target);
+  }
+
+  if (!entry) {
+    throw new Error(
+      `No implementation ${target} in the vault's history (${implementations
+        .map((item) => item.version)
+        .join(", ")})`
+    );
+  }
+  if (entry.address.toLowerCase() === implementation.toLowerCase()) {
+    throw new Error(`Vault already runs ${entry.version} at ${entry.address}`);
+  }
+  return entry;
+}
+
+// Value of `entry` inside a raw 32-byte slot, for variables packed with others
+function extractValue(raw, entry) {
+  if (entry.bytes >= 32) {
+    return BigInt(raw);
+  }
+  const mask = (1n << BigInt(entry.bytes * 8)) - 1n;
+  return (BigInt(raw) >> BigInt(entry.offset * 8)) & mask;
+}
+
+/**
+ * Non-zero values of the variables in `names`. Address-keyed mappings are read for
+ * `keys` only, one slot per value: a struct's first member or an array's length.
+ * Nested mappings cannot be enumerated and are returned as unchecked.
+ */
+async function readOrphanedState(proxy, layout, names, keys) {
+  const values = [];
+  const unchecked = [];
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  for (const entry of layout.entries.filter((item) => names.includes(item.name))) {
+    if (entry.type.startsWith("mapping(address => mapping(")) {
+      unchecked.push(entry.name);
+    } else if (entry.type.startsWith("mapping(address => ")) {
+      for (const key of keys) {
+        const slot = ethers.keccak256(
+          coder.encode(["address", "uint256"], [key, entry.slot])
+        );
+        const value = BigInt(await ethers.provider.getStorage(proxy, slot));
+        if (value !== 0n) {
+          values.push({ variable: entry.name, key, value });
+        }
+      }
+    } else {
+      for (let i = 0; i < entry.slots; i++) {
+        const raw = await ethers.provider.getStorage(proxy, entry.slot + i);
+        const value = entry.slots > 1 ? BigInt(raw) : extractValue(raw, entry);
+        if (value !== 0n) {
+          values.push({
+            variable: entry.slots > 1 ? `${entry.name}[${i}]` : entry.name,
+            key: null,
+            value,
+          });
+        }
+      }
+    }
+  }
+  return { values, unchecked };
+}
+
+function describeState(item, direction, older) {
+  const variable = item.key ? `${item.variable}[${item.key}]` : item.variable;
+  if (item.variable === "withdrawalRequests") {
+    return direction === "rollback"
+      ? `${item.key} has a pending withdrawal request of ${item.value} that ${older} cannot execute or cancel; the tokens stay withdrawable through withdraw()`
+      : `${item.key} has a withdrawal request of ${item.value} that becomes executable again`;
+  }
+  return direction === "rollback"
+    ? `${variable} = ${item.value} is ignored by ${older}`
+    : `${variable} = ${item.value} comes back into force`;
+}
+
+/**
+ * Check that the vault can switch from its current implementation to `target`,
+ * and list the state only the newer of the two declares.
+ */
+async function checkRollback(manifest, target) {
+  const { proxy, blockNumber } = manifest.vault;
+  const current = manifest.vault.implementations.find(
+    (item) =>
+      item.address.toLowerCase() === manifest.vault.implementation.toLowerCase()
+  );
+  const direction =
+    versionNumber(target.version) <= versionNumber(current.version)
+      ? "rollback"
+      : "restore";
+  const [older, newer] =
+    direction === "rollback" ? [target, current] : [current, target];
+
+  const newerLayout = await readLayout(newer.contract);
+  const report = compareLayouts(await readLayout(older.contract), newerLayout);
+  if (report.issues.length > 0) {
+    throw new Error(
+      `${newer.contract} and ${older.contract} have incompatible storage layouts:\n` +
+        report.issues.map((issue) => `  - ${issue.message}`).join("\n")
+    );
+  }
+
+  // initializeV4 moves yield checkpoints, share accounting and withdrawal locks
+  // into V4's own state once. A pre-V4 version changes balances without updating
+  // any of it: it pays out locked amounts, and the checkpoints it writes underflow
+  // V4's yield cutoff on the way back. Neither direction can be made safe
+  if (report.added.includes("legacyYieldCutoff")) {
+    throw new Error(
+      direction === "rollback"
+        ? `${older.contract} would change balances behind ${newer.contract}'s yield checkpoints, share accounting and withdrawal locks; rolling back from ${newer.contract} is not supported`
+        : `${older.contract} may have changed balances behind ${newer.contract}'s yield checkpoints, share accounting and withdrawal locks; returning to ${newer.contract} is not supported`
+    );
+  }
+
+  // Depositors, role holders and the token cover the address-keyed mappings
+  const keys = await collectAccounts(proxy, blockNumber, [manifest.token.address]);
+  const { values, unchecked } = await readOrphanedState(
+    proxy,
+    newerLayout,
+    report.added,
+    keys
+  );
+
+  return {
+    direction,
+    from: current,
+    to: target,
+    variables: report.added,
+    state: values,
+    unchecked,
+    warnings: values.map((item) =>
+      describeState(item, direction, older.contract)
+    ),
+  };
+}
+
+/**
+ * Switch the vault to `target` in the selected UPGRADE_MODE and record it in the
+ * manifest. Returns a VaultClient for the vault in direct and execute modes,
+ * null otherwise.
+ */
+async function runRollback(manifest, target, mode) {
+  const proxy = manifest.vault.proxy;
+  const timelockAddress = manifest.timelock && manifest.timelock.address;
+  const pending = manifest.vault.pendingUpgrade;
+  const rollbackFrom = {
+    version: manifest.vault.version,
+    address: manifest.vault.implementation,
+  };
+
+  if (mode === "propose") {
+    if (pending) {
+      throw new Error(
+        `An upgrade to ${pending.version} is already pending (operation ${pending.operationId}); execute or cancel it first`
+      );
+    }
+    const timelock = await getTimelock(timelockAddress);
+    const { id, eta, tx } = await proposeOperation(
+      timelock,
+      [
+        {
+          target: proxy,
+          value: 0n,
+          data: UUPS_INTERFACE.encodeFunctionData("upgradeTo", [target.address]),
+        },
+      ],
+      getUpgradeSalt()
+    );
+    console.log(`Rollback scheduled on timelock: ${timelock.target}`);
+    console.log(`Operation ID: ${id}`);
+    console.log(
+      `Executable from: ${new Date(Number(eta) * 1000).toISOString()}`
+    );
+    manifest.vault.pendingUpgrade = {
+      version: target.version,
+      contract: target.contract,
+      address: target.address,
+      initializer: null,
+      args: [],
+      rollbackFrom,
+      operationId: id,
+      eta: Number(eta),
+      ...(await txRecord(tx)),
+    };
+    writeManifest(manifest);
+    return null;
+  }
+
+  const operationId =
+    process.env.OPERATION_ID || (pending ? pending.operationId : undefined);
+
+  if (mode === "cancel") {
+    await cancelUpgrade(timelockAddress, proxy, operationId);
+    if (pending && pending.operationId === operationId) {
+      manifest.vault.pendingUpgrade = null;
+      writeManifest(manifest);
+    }
+    return null;
+  }
+
+  let record;
+  if (mode === "execute") {
+    const { receipt } = await executeUpgrade(timelockAddress, proxy, operationId);
+    record = {
+      ...(await txRecord(receipt.hash)),
+      mode: "timelock",
+      operationId,
+    };
+  } else {
+    const [deployer] = await ethers.getSigners();
+    const { contract: vault } = await VaultClient.connect(proxy, deployer);
+    if (!(await vault.hasRole(await vault.UPGRADER_ROLE(), deployer.address))) {
+      throw new Error(
+        `${deployer.address} does not hold UPGRADER_ROLE` +
+          (timelockAddress
+            ? "; roll back through the timelock with UPGRADE_MODE=propose"
+            : "")
+      );
+    }
+    const tx = await vault.upgradeTo(target.address);
+    record = { ...(await txRecord(tx)), mode: "direct" };
+  }
+
+  const [signer] = await ethers.getSigners();
+  const vault = await VaultClient.connect(proxy, signer);
+  if (vault.version !== target.version) {
+    throw new Error(
+      `Vault reports implementation ${vault.version} after switching to ${target.version}`
+    );
+  }
+
+  recordImplementation(manifest, {
+    version: target.version,
+    contract: target.contract,
+    address: target.address,
+    initializer: null,
+    args: [],
+    rollbackFrom,
+    ...record,
+  });
+  const manifestPath = writeManifest(manifest);
+  console.log(`Deployment manifest updated: ${manifestPath}`);
+  return vault;
+}
+
+module.exports = {
+  findRollbackTarget,
+  readOrphanedState,
+  checkRollback,
+  runRollback,
+};
@@ -0,0 +1,270 @@
+/**
+ * Storage layouts of the vault implementations, as recorded by the upgrades plugin.
+ *
+ * On every compile the plugin writes each contract's layout, with the contract that
+ * declares every variable, to cache/validations.json. This reads them back, renders
+ * versions side by side and checks that each version keeps the previous variables
+ * where they were and takes exactly as many slots from its __gap as it adds.
+ */
+const fs = require("fs");
+const path = require("path");
+const { artifacts, config } = require("hardhat");
+
+const VAULT_CONTRACT = /^TokenVaultV(\d+)$/;
+
+function readValidations() {
+  const file = path.join(config.paths.cache, "validations.json");
+  if (!fs.existsSync(file)) {
+    throw new Error(`No storage layouts at ${file}; run npx hardhat compile`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Type names without the declaring contract, so TokenVaultV3.WithdrawalRequest and
+// TokenVaultV4.WithdrawalRequest compare equal when their members do
+function describeType(types, id) {
+  const type = types[id];
+  let description = type.label.replace(/\b\w+\./g, "");
+  const structs = [...new Set(id.match(/t_struct\(\w+\)\d+_storage/g) || [])];
+  for (const struct of structs) {
+    const members = types[struct].members.map(
+      (member) => `${member.label}: ${describeType(types, member.type)}`
+    );
+    description += ` {${members.join("; ")}}`;
+  }
+  return description;
+}
+
+/**
+ * Layout of `contract` from the newest validation run that compiled it.
+ * Entries carry their declaring contract; inherited gaps are named Owner.__gap.
+ * `gap` is the most derived __gap, the one later versions take slots from.
+ */
+async function readLayout(contract) {
+  const artifact = await artifacts.readArtifact(contract);
+  const name = `${artifact.sourceName}:${artifact.contractName}`;
+  const run = readValidations().log.find((data) => data[name]);
+  if (!run) {
+    throw new Error(
+      `No storage layout recorded for ${contract}; run npx hardhat compile --force`
+    );
+  }
+  const { storage, types } = run[name].layout;
+
+  const entries = storage.map((entry) => ({
+    name:
+      entry.label === "__gap" ? `${entry.contract}.__gap` : entry.label,
+    label: entry.label,
+    contract: entry.contract,
+    type: describeType(types, entry.type),
+    slot: Number(entry.slot),
+    offset: entry.offset,
+    bytes: Number(types[entry.type].numberOfBytes),
+    slots: Math.ceil(Number(types[entry.type].numberOfBytes) / 32),
+    renamedFrom: entry.renamedFrom,
+    retypedFrom: entry.retypedFrom,
+  }));
+  const gaps = entries.filter((entry) => entry.label === "__gap");
+
+  return {
+    contract: artifact.contractName,
+    entries,
+    gap: gaps.length > 0 ? gaps[gaps.length - 1] : null,
+  };
+}
+
+/**
+ * The TokenVaultVn implementations under contracts/, oldest first
+ */
+async function vaultVersions() {
+  const names = await artifacts.getAllFullyQualifiedNames();
+  return names
+    .filter((name) => name.startsWith("contracts/TokenVaultV"))
+    .map((name) => name.split(":").pop())
+    .filter((name) => VAULT_CONTRACT.test(name))
+    .sort(
+      (a, b) =>
+        Number(a.match(VAULT_CONTRACT)[1]) - Number(b.match(VAULT_CONTRACT)[1])
+    );
+}
+
+/**
+ * Check that `next` can replace `previous` behind the same proxy. Issues are
+ * variables that were renamed, retyped, reordered or removed, and a __gap that
+ * did not shrink by exactly the slots the new variables take.
+ */
+function compareLayouts(previous, next) {
+  const issues = [];
+  const issue = (kind, name, message) => issues.push({ kind, name, message });
+  const matched = new Set();
+
+  for (const old of previous.entries) {
+    if (old === previous.gap) {
+      continue;
+    }
+    const current = next.entries.find(
+      (entry) =>
+        entry !== next.gap &&
+        entry.slot === old.slot &&
+        entry.offset === old.offset
+    );
+    const moved = next.entries.find((entry) => entry.name === old.name);
+
+    if (moved && moved !== current) {
+      matched.add(moved);
+      issue(
+        "reordered",
+        old.name,
+        `${old.name} moved from slot ${old.slot} to slot ${moved.slot}`
+      );
+      continue;
+    }
+    if (!current) {
+      issue(
+        "removed",
+        old.name,
+        `${old.name} (slot ${old.slot}) is no longer declared`
+      );
+      continue;
+    }
+
+    matched.add(current);
+    if (current.name !== old.name && current.renamedFrom !== old.label) {
+      issue(
+        "renamed",
+        old.name,
+        `slot ${old.slot}: ${old.name} is now ${current.name}`
+      );
+    }
+    if (current.type !== old.type && current.retypedFrom === undefined) {
+      issue(
+        "retyped",
+        current.name,
+        `slot ${old.slot}: ${current.name} changed from ${old.type} to ${current.type}`
+      );
+    }
+  }
+
+  const added = next.entries.filter(
+    (entry) => entry !== next.gap && !matched.has(entry)
+  );
+  const used = new Set();
+  for (const entry of added) {
+    for (let i = 0; i < entry.slots; i++) {
+      used.add(entry.slot + i);
+    }
+  }
+
+  const gap = {
+    before: previous.gap ? previous.gap.slots : null,
+    after: next.gap ? next.gap.slots : null,
+    used: used.size,
+  };
+  if (!next.gap) {
+    issue("gap", "__gap", `${next.contract} declares no __gap`);
+  } else if (previous.gap) {
+    const shrink = previous.gap.slots - next.gap.slots;
+    const end = previous.gap.slot + previous.gap.slots;
+    if (shrink !== used.size) {
+      issue(
+        "gap",
+        "__gap",
+        `__gap shrank by ${shrink} slot(s) but the new variables take ${used.size}`
+      );
+    } else if (next.gap.slot + next.gap.slots !== end) {
+      issue(
+        "gap",
+        "__gap",
+        `__gap ends at slot ${next.gap.slot + next.gap.slots - 1} instead of ${end - 1}`
+      );
+    }
+  }
+
+  return {
+    from: previous.contract,
+    to: next.contract,
+    added: added.map((entry) => entry.name),
+    gap,
+    issues,
+  };
+}
+
+// What a layout holds at `slot`: the variables starting there, the variable the
+// slot belongs to in parentheses, or "-"
+function describeSlot(layout, slot) {
+  const starting = layout.entries.filter((entry) => entry.slot === slot);
+  if (starting.length > 0) {
+    return starting
+      .map((entry) =>
+        entry.label === "__gap" ? `__gap[${entry.slots}]` : entry.label
+      )
+      .join(", ");
+  }
+  const spanning = layout.entries.find(
+    (entry) => entry.slot < slot && slot < entry.slot + entry.slots
+  );
+  return spanning ? `(${spanning.label})` : "-";
+}
+
+/**
+ * Slot-by-slot table of `layouts`, one column per contract. A row starts wherever
+ * any layout starts a variable, so gaps take one row unless a later version
+ * declares variables inside them.
+ */
+function renderLayouts(layouts) {
+  const slots = [
+    ...new Set(
+      layouts.flatMap((layout) => layout.entries.map((entry) => entry.slot))
+    ),
+  ].sort((a, b) => a - b);
+
+  const rows = [
+    ["Slot", ...layouts.map((layout) => layout.contract)],
+    ...slots.map((slot) => [
+      String(slot),
+      ...layouts.map((layout) => describeSlot(layout, slot)),
+    ]),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * Read `contracts` (default: every TokenVaultVn) and compare each with the next
+ */
+async function checkLayouts(contracts) {
+  contracts = contracts || (await vaultVersions());
+  if (contracts.length < 2) {
+    throw new Error("Comparing storage layouts needs at least two contracts");
+  }
+  const layouts = [];
+  for (const contract of contracts) {
+    layouts.push(await readLayout(contract));
+  }
+  const reports = [];
+  for (let i = 1; i < layouts.length; i++) {
+    reports.push(compareLayouts(layouts[i - 1], layouts[i]));
+  }
+  return {
+    layouts,
+    reports,
+    issues: reports.flatMap((report) => report.issues),
+  };
+}
+
+module.exports = {
+  readLayout,
+  vaultVersions,
+  compareLayouts,
+  renderLayouts,
+  checkLayouts,
+};
@@ -0,0 +1,248 @@
+/**
+ * Helpers for routing vault upgrades through the VaultTimelock.
+ *
+ * The upgrade scripts run in one of four modes, chosen with UPGRADE_MODE:
+ *   direct  - upgrade with the caller's UPGRADER_ROLE (vaults without a timelock)
+ *   propose - deploy the new implementation and schedule the upgrade
+ *   execute - execute the scheduled upgrade once its delay has passed
+ *   cancel  - cancel the scheduled upgrade
+ *
+ * Scheduled operations are read back from the timelock's CallScheduled
+ * events, so execute and cancel only need the operation ID, which the
+ * upgrade scripts keep in the deployment manifest.
+ */
+const { ethers, upgrades } = require("hardhat");
+
+const UPGRADE_MODES = ["direct", "propose", "execute", "cancel"];
+
+const UUPS_INTERFACE = new ethers.Interface([
+  "function upgradeToAndCall(address newImplementation, bytes data)",
+]);
+
+function getUpgradeMode() {
+  const mode = process.env.UPGRADE_MODE || "direct";
+  if (!UPGRADE_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown UPGRADE_MODE "${mode}". Use one of: ${UPGRADE_MODES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+function getUpgradeSalt() {
+  return process.env.UPGRADE_SALT
+    ? ethers.id(process.env.UPGRADE_SALT)
+    : ethers.ZeroHash;
+}
+
+async function getTimelock(timelockAddress) {
+  if (!timelockAddress) {
+    throw new Error(
+      "No timelock recorded for this deployment; only UPGRADE_MODE=direct is available."
+    );
+  }
+  return ethers.getContractAt("VaultTimelock", timelockAddress);
+}
+
+/**
+ * Call that upgrades `proxyAddress` and runs `initData` in the same transaction.
+ */
+function upgradeCall(proxyAddress, implementation, initData) {
+  return {
+    target: proxyAddress,
+    value: 0n,
+    data: UUPS_INTERFACE.encodeFunctionData("upgradeToAndCall", [
+      implementation,
+      initData,
+    ]),
+  };
+}
+
+/**
+ * Schedule `calls` as one batch with the timelock's minimum delay.
+ * Returns the operation ID, the timestamp from which it can be executed and
+ * the scheduling transaction.
+ */
+async function proposeOperation(timelock, calls, salt = ethers.ZeroHash) {
+  const targets = calls.map((call) => call.target);
+  const values = calls.map((call) => call.value || 0n);
+  const payloads = calls.map((call) => call.data);
+  const predecessor = ethers.ZeroHash;
+  const delay = await timelock.getMinDelay();
+
+  const id = await timelock.hashOperationBatch(
+    targets,
+    values,
+    payloads,
+    predecessor,
+    salt
+  );
+  const tx = await timelock.scheduleBatch(
+    targets,
+    values,
+    payloads,
+    predecessor,
+    salt,
+    delay
+  );
+  await tx.wait();
+
+  return { id, eta: await timelock.getTimestamp(id), tx };
+}
+
+/**
+ * Rebuild a scheduled operation from its CallScheduled and CallSalt events.
+ */
+async function getOperation(timelock, id) {
+  const events = await timelock.queryFilter(timelock.filters.CallScheduled(id));
+  if (events.length === 0) {
+    throw new Error(`No operation scheduled with ID ${id}`);
+  }
+
+  // An operation scheduled again after a cancellation repeats its events
+  const calls = new Map();
+  for (const event of events) {
+    calls.set(event.args.index, event.args);
+  }
+  const ordered = [...calls.values()].sort((a, b) =>
+    a.index < b.index ? -1 : 1
+  );
+
+  const saltEvents = await timelock.queryFilter(timelock.filters.CallSalt(id));
+  return {
+    id,
+    targets: ordered.map((call) => call.target),
+    values: ordered.map((call) => call.value),
+    payloads: ordered.map((call) => call.data),
+    predecessor: ordered[0].predecessor,
+    salt: saltEvents.length > 0 ? saltEvents[0].args.salt : ethers.ZeroHash,
+  };
+}
+
+/**
+ * Find the pending operation to execute or cancel: `operationId` if given,
+ * otherwise the most recently scheduled pending operation that calls `target`.
+ */
+async function findPendingOperation(timelock, target, operationId) {
+  if (operationId) {
+    if (!(await timelock.isOperationPending(operationId))) {
+      throw new Error(`Operation ${operationId} is not pending`);
+    }
+    return getOperation(timelock, operationId);
+  }
+
+  const events = await timelock.queryFilter(timelock.filters.CallScheduled());
+  for (const event of events.reverse()) {
+    if (
+      event.args.target.toLowerCase() === target.toLowerCase() &&
+      (await timelock.isOperationPending(event.args.id))
+    ) {
+      return getOperation(timelock, event.args.id);
+    }
+  }
+  throw new Error(`No pending operation found for ${target}`);
+}
+
+/**
+ * Execute a scheduled operation, failing early with its ETA if it is not ready.
+ */
+async function executeOperation(timelock, operation) {
+  if (!(await timelock.isOperationReady(operation.id))) {
+    const eta = await timelock.getTimestamp(operation.id);
+    throw new Error(
+      `Operation ${operation.id} is not ready; executable from ${formatEta(eta)}`
+    );
+  }
+
+  const tx = await timelock.executeBatch(
+    operation.targets,
+    operation.values,
+    operation.payloads,
+    operation.predecessor,
+    operation.salt
+  );
+  return tx.wait();
+}
+
+async function cancelOperation(timelock, operation) {
+  const tx = await timelock.cancel(operation.id);
+  return tx.wait();
+}
+
+function formatEta(eta) {
+  return new Date(Number(eta) * 1000).toISOString();
+}
+
+/**
+ * propose mode: deploy and validate the new implementation, then schedule
+ * the calls built from its address. `buildCalls` must put the
+ * upgradeToAndCall first so the rest run against the new implementation.
+ */
+async function proposeUpgrade(timelockAddress, proxyAddress, factory, buildCalls) {
+  const timelock = await getTimelock(timelockAddress);
+  const implementation = await upgrades.prepareUpgrade(proxyAddress, factory, {
+    kind: "uups",
+  });
+  console.log(`\nNew implementation deployed to: ${implementation}`);
+
+  const calls = buildCalls(implementation);
+  const { id, eta, tx } = await proposeOperation(
+    timelock,
+    calls,
+    getUpgradeSalt()
+  );
+  console.log(`Upgrade scheduled on timelock: ${timelock.target}`);
+  console.log(`Operation ID: ${id}`);
+  console.log(`Calls in batch: ${calls.length}`);
+  console.log(`Executable from: ${formatEta(eta)}`);
+  console.log(`\nRun again with UPGRADE_MODE=execute once the delay has passed`);
+
+  return { implementation, operationId: id, eta, tx };
+}
+
+/**
+ * execute mode: run the pending upgrade of `proxyAddress`, `operationId` if given
+ */
+async function executeUpgrade(timelockAddress, proxyAddress, operationId) {
+  const timelock = await getTimelock(timelockAddress);
+  const operation = await findPendingOperation(
+    timelock,
+    proxyAddress,
+    operationId
+  );
+  console.log(`\nExecuting operation ${operation.id}`);
+  const receipt = await executeOperation(timelock, operation);
+  console.log(`Operation executed through timelock: ${timelock.target}`);
+  return { operation, receipt };
+}
+
+/**
+ * cancel mode: drop the pending upgrade of `proxyAddress`, `operationId` if given
+ */
+async function cancelUpgrade(timelockAddress, proxyAddress, operationId) {
+  const timelock = await getTimelock(timelockAddress);
+  const operation = await findPendingOperation(
+    timelock,
+    proxyAddress,
+    operationId
+  );
+  await cancelOperation(timelock, operation);
+  console.log(`\nOperation ${operation.id} cancelled`);
+  return { operationId: operation.id };
+}
+
+module.exports = {
+  UPGRADE_MODES,
+  getUpgradeMode,
+  getUpgradeSalt,
+  getTimelock,
+  upgradeCall,
+  proposeOperation,
+  getOperation,
+  findPendingOperation,
+  executeOperation,
+  cancelOperation,
+  proposeUpgrade,
+  executeUpgrade,
+  cancelUpgrade,
+};
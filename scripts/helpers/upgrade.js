@@ -0,0 +1,173 @@
+/**
+ * Upgrade step shared by the upgrade-to-vN scripts.
+ *
+ * Performs the upgrade of the manifest's vault in the selected UPGRADE_MODE and
+ * records the outcome in the manifest: propose stores the pending operation,
+ * cancel clears it, and direct or execute append the new implementation to the
+ * vault's history.
+ */
+const { ethers, upgrades } = require("hardhat");
+const {
+  getUpgradeMode,
+  upgradeCall,
+  proposeUpgrade,
+  executeUpgrade,
+  cancelUpgrade,
+} = require("./timelock");
+const {
+  writeManifest,
+  txRecord,
+  upgradeTxRecord,
+  recordImplementation,
+} = require("./manifest");
+const { VaultClient } = require("./vault-client");
+
+/**
+ * Call on `target` encoded with `factory`'s ABI, as scheduled by the timelock
+ */
+function encodeCall(factory, target, fn, args) {
+  return {
+    target,
+    value: 0n,
+    data: factory.interface.encodeFunctionData(fn, args),
+  };
+}
+
+/**
+ * grantRole calls for [role name, account] pairs
+ */
+function roleGrantCalls(factory, target, grants) {
+  return grants.map(([role, account]) =>
+    encodeCall(factory, target, "grantRole", [ethers.id(role), account])
+  );
+}
+
+/**
+ * Upgrade the vault to `contract` and run `initializer(args)` in the same transaction.
+ * `adminCalls` need DEFAULT_ADMIN_ROLE: they join the timelock batch, or are sent
+ * by the deployer right after a direct upgrade.
+ * Returns a VaultClient for the upgraded vault, or null in propose and cancel modes.
+ */
+async function runUpgrade(
+  manifest,
+  { version, contract, initializer, args, adminCalls = [] }
+) {
+  const proxy = manifest.vault.proxy;
+  const timelockAddress = manifest.timelock && manifest.timelock.address;
+  const pending = manifest.vault.pendingUpgrade;
+  const mode = getUpgradeMode();
+  console.log(`Upgrade mode: ${mode}`);
+
+  // After a rollback the reinitializer has already run; only upgradeTo can return
+  const previous = manifest.vault.implementations.find(
+    (item) => item.version === version
+  );
+  if (previous && (mode === "propose" || mode === "direct")) {
+    throw new Error(
+      `Vault already ran ${version} at ${previous.address} and its initializer; return to it with ROLLBACK_TO=${version} scripts/rollback.js`
+    );
+  }
+  if (pending && pending.rollbackFrom && mode === "execute") {
+    throw new Error(
+      `The pending operation is a rollback to ${pending.version}; execute it with scripts/rollback.js`
+    );
+  }
+
+  const factory = await ethers.getContractFactory(contract);
+
+  if (mode === "propose") {
+    if (pending) {
+      throw new Error(
+        `An upgrade to ${pending.version} is already pending (operation ${pending.operationId}); execute or cancel it first`
+      );
+    }
+    const initData = factory.interface.encodeFunctionData(initializer, args);
+    const proposal = await proposeUpgrade(
+      timelockAddress,
+      proxy,
+      factory,
+      (implementation) => [
+        upgradeCall(proxy, implementation, initData),
+        ...adminCalls,
+      ]
+    );
+    manifest.vault.pendingUpgrade = {
+      version,
+      contract,
+      address: proposal.implementation,
+      initializer,
+      args,
+      operationId: proposal.operationId,
+      eta: Number(proposal.eta),
+      ...(await txRecord(proposal.tx)),
+    };
+    writeManifest(manifest);
+    return null;
+  }
+
+  const operationId =
+    process.env.OPERATION_ID || (pending ? pending.operationId : undefined);
+
+  if (mode === "cancel") {
+    await cancelUpgrade(timelockAddress, proxy, operationId);
+    if (pending && pending.operationId === operationId) {
+      manifest.vault.pendingUpgrade = null;
+      writeManifest(manifest);
+    }
+    return null;
+  }
+
+  let record;
+  if (mode === "execute") {
+    const { receipt } = await executeUpgrade(timelockAddress, proxy, operationId);
+    record = { ...(await txRecord(receipt.hash)), mode: "timelock" };
+    // The initializer ran with the arguments scheduled at proposal time
+    if (pending && pending.operationId === operationId) {
+      record.args = pending.args;
+      record.operationId = operationId;
+    }
+  } else {
+    await upgrades.upgradeProxy(proxy, factory, {
+      kind: "uups",
+      call: { fn: initializer, args },
+    });
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+    record = {
+      ...(await upgradeTxRecord(proxy, implementation, manifest.vault.blockNumber)),
+      mode: "direct",
+    };
+
+    const [deployer] = await ethers.getSigners();
+    for (const call of adminCalls) {
+      await (
+        await deployer.sendTransaction({ to: call.target, data: call.data })
+      ).wait();
+    }
+  }
+
+  const [signer] = await ethers.getSigners();
+  const vault = await VaultClient.connect(proxy, signer);
+  if (vault.version !== version) {
+    throw new Error(
+      `Vault reports implementation ${vault.version} after upgrading to ${version}`
+    );
+  }
+
+  recordImplementation(manifest, {
+    version,
+    contract,
+    address: vault.implementation,
+    initializer,
+    args,
+    ...record,
+  });
+  const manifestPath = writeManifest(manifest);
+  console.log(`Deployment manifest updated: ${manifestPath}`);
+  return vault;
+}
+
+module.exports = {
+  encodeCall,
+  roleGrantCalls,
+  runUpgrade,
+};
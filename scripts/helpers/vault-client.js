@@ -0,0 +1,429 @@
+/**
+ * VaultClient: one client for every TokenVault version.
+ *
+ *   const vault = await VaultClient.connect(proxyAddress, signer);
+ *   await vault.approveAndDeposit(ethers.parseEther("100"));
+ *
+ * connect() reads the implementation from the proxy's ERC-1967 slot and the
+ * version from getImplementationVersion(), and binds the ABI of that version.
+ * Methods the version lacks throw UnsupportedOperationError without sending
+ * anything, and reverts are rethrown as the typed errors of vault-errors.js.
+ * `client.contract` is the full contract of the detected version, for calls the
+ * client doesn't wrap. A client keeps the version it connected at; connect again
+ * after an upgrade.
+ */
+const { ethers } = require("ethers");
+const {
+  VaultError,
+  UnsupportedOperationError,
+  decodeVaultError,
+} = require("./vault-errors");
+
+const VERSIONS = ["V1", "V2", "V3", "V4"];
+const VAULT_STATES = ["Normal", "DepositsPaused", "FullyPaused", "Emergency"];
+const YIELD_MODES = ["Simple", "Compound"];
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+const COMPOUND_PRECISION = 10n ** 27n;
+
+const TOKEN_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+// First version with each client method
+const METHOD_VERSIONS = {
+  deposit: "V1",
+  withdraw: "V1",
+  approveAndDeposit: "V1",
+  claimYield: "V2",
+  getUserYield: "V2",
+  getYieldRate: "V2",
+  estimateYield: "V2",
+  setYieldRate: "V2",
+  pauseDeposits: "V2",
+  unpauseDeposits: "V2",
+  isDepositsPaused: "V2",
+  requestWithdrawal: "V3",
+  executeWithdrawal: "V3",
+  emergencyWithdraw: "V3",
+  getWithdrawalDelay: "V3",
+  getWithdrawalRequests: "V3",
+  cancelWithdrawalRequest: "V4",
+  vaultState: "V4",
+  yieldMode: "V4",
+  setYieldMode: "V4",
+  compound: "V4",
+};
+
+function versionAtLeast(version, minimum) {
+  return VERSIONS.indexOf(version) >= VERSIONS.indexOf(minimum);
+}
+
+// x^n at the contract's ray precision, rounding down like TokenVaultV4._rpow
+function rpow(x, n) {
+  let result = COMPOUND_PRECISION;
+  while (n > 0n) {
+    if (n & 1n) {
+      result = (result * x) / COMPOUND_PRECISION;
+    }
+    n >>= 1n;
+    if (n > 0n) {
+      x = (x * x) / COMPOUND_PRECISION;
+    }
+  }
+  return result;
+}
+
+class VaultClient {
+  /**
+   * Connect to the vault proxy at `address`. `runner` is a signer, or a provider
+   * for read-only use.
+   */
+  static async connect(address, runner) {
+    if (!ethers.isAddress(address)) {
+      throw new VaultError(`"${address}" is not an address`);
+    }
+    address = ethers.getAddress(address);
+    const provider = runner.provider || runner;
+    if ((await provider.getCode(address)) === "0x") {
+      throw new VaultError(`No contract at vault address ${address}`);
+    }
+
+    const probe = new ethers.Contract(
+      address,
+      ["function getImplementationVersion() view returns (string)"],
+      provider
+    );
+    let version;
+    try {
+      version = await probe.getImplementationVersion();
+    } catch (error) {
+      throw new VaultError(`Contract at ${address} is not a TokenVault`, {
+        cause: error,
+      });
+    }
+    if (!VERSIONS.includes(version)) {
+      throw new VaultError(
+        `Vault at ${address} runs unknown implementation ${version}`,
+        { version }
+      );
+    }
+
+    const slot = await provider.getStorage(address, IMPLEMENTATION_SLOT);
+    const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+    if (implementation === ethers.ZeroAddress) {
+      throw new VaultError(`Vault at ${address} is not an ERC-1967 proxy`, {
+        version,
+      });
+    }
+
+    // Required lazily, so that Hardhat tasks can load this module
+    const { artifacts } = require("hardhat");
+    const { abi } = await artifacts.readArtifact(`TokenVault${version}`);
+    return new VaultClient({ address, version, implementation, abi, runner });
+  }
+
+  constructor({ address, version, implementation, abi, runner }) {
+    this.address = address;
+    this.version = version;
+    this.implementation = implementation;
+    this.abi = abi;
+    this.runner = runner;
+    this.contract = new ethers.Contract(address, abi, runner);
+    this._token = null;
+  }
+
+  get target() {
+    return this.address;
+  }
+
+  get interface() {
+    return this.contract.interface;
+  }
+
+  /**
+   * The same vault with another signer or provider
+   */
+  connect(runner) {
+    return new VaultClient({ ...this, runner });
+  }
+
+  supports(method) {
+    const minimum = METHOD_VERSIONS[method];
+    return minimum === undefined || versionAtLeast(this.version, minimum);
+  }
+
+  requireSupport(method) {
+    if (!this.supports(method)) {
+      throw new UnsupportedOperationError(
+        method,
+        this.version,
+        METHOD_VERSIONS[method]
+      );
+    }
+  }
+
+  async _call(method, signature, args = []) {
+    this.requireSupport(method);
+    try {
+      return await this.contract[signature](...args);
+    } catch (error) {
+      throw decodeVaultError(error, { method, version: this.version });
+    }
+  }
+
+  /**
+   * The vault's token, connected to the client's runner
+   */
+  async token() {
+    if (!this._token) {
+      this._token = new ethers.Contract(
+        await this.contract.token(),
+        TOKEN_ABI,
+        this.runner
+      );
+    }
+    return this._token;
+  }
+
+  async _signerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new VaultError("Sending transactions needs a signer, not a provider");
+    }
+    return this.runner.getAddress();
+  }
+
+  // Views
+
+  balanceOf(account) {
+    return this._call("balanceOf", "balanceOf(address)", [account]);
+  }
+
+  totalDeposits() {
+    return this._call("totalDeposits", "totalDeposits()");
+  }
+
+  getDepositFee() {
+    return this._call("getDepositFee", "getDepositFee()");
+  }
+
+  getYieldRate() {
+    return this._call("getYieldRate", "getYieldRate()");
+  }
+
+  getUserYield(account) {
+    return this._call("getUserYield", "getUserYield(address)", [account]);
+  }
+
+  isDepositsPaused() {
+    return this._call("isDepositsPaused", "isDepositsPaused()");
+  }
+
+  getWithdrawalDelay() {
+    return this._call("getWithdrawalDelay", "getWithdrawalDelay()");
+  }
+
+  async vaultState() {
+    return VAULT_STATES[Number(await this._call("vaultState", "vaultState()"))];
+  }
+
+  async yieldMode() {
+    return YIELD_MODES[Number(await this._call("yieldMode", "yieldMode()"))];
+  }
+
+  /**
+   * Pending withdrawal requests of `account` as { requestId, amount, requestTime,
+   * maturityTime }, plus the asset on V4. V3 holds at most one request and has
+   * no ids (requestId null).
+   */
+  async getWithdrawalRequests(account) {
+    if (this.version === "V3") {
+      const [amount, requestTime] = await this._call(
+        "getWithdrawalRequests",
+        "getWithdrawalRequest(address)",
+        [account]
+      );
+      if (amount === 0n) {
+        return [];
+      }
+      const delay = await this.getWithdrawalDelay();
+      return [
+        { requestId: null, amount, requestTime, maturityTime: requestTime + delay },
+      ];
+    }
+    const requests = await this._call(
+      "getWithdrawalRequests",
+      "getWithdrawalRequests(address)",
+      [account]
+    );
+    return requests.map((request) => ({
+      requestId: request.requestId,
+      asset: request.asset,
+      amount: request.amount,
+      requestTime: request.requestTime,
+      maturityTime: request.maturityTime,
+    }));
+  }
+
+  /**
+   * Yield `account` will have accrued `seconds` from now at the current rate:
+   * getUserYield plus linear accrual on the current balance, or in compound mode
+   * per-second compounding on the balance with its uncredited compound yield.
+   * V4 pays claims and compounding from the reward reserve, which may hold less.
+   */
+  async estimateYield(account, seconds = 0) {
+    this.requireSupport("estimateYield");
+    const [accrued, balance, rate] = await Promise.all([
+      this.getUserYield(account),
+      this.balanceOf(account),
+      this.getYieldRate(),
+    ]);
+    if (
+      this.supports("yieldMode") &&
+      (await this.yieldMode()) === "Compound"
+    ) {
+      // Settled yield does not compound; everything else in getUserYield does
+      const settled = await this.contract.accumulatedYield(account);
+      const ratePerSecond =
+        COMPOUND_PRECISION +
+        (rate * COMPOUND_PRECISION) / (SECONDS_PER_YEAR * BASIS_POINTS);
+      const growth =
+        rpow(ratePerSecond, BigInt(seconds)) - COMPOUND_PRECISION;
+      return (
+        accrued +
+        ((balance + accrued - settled) * growth) / COMPOUND_PRECISION
+      );
+    }
+    return (
+      accrued +
+      (balance * rate * BigInt(seconds)) / (SECONDS_PER_YEAR * BASIS_POINTS)
+    );
+  }
+
+  // Transactions; each resolves to the sent transaction
+
+  deposit(amount) {
+    return this._call("deposit", "deposit(uint256)", [amount]);
+  }
+
+  /**
+   * Approve the vault for `amount` if the allowance is short, then deposit
+   */
+  async approveAndDeposit(amount) {
+    this.requireSupport("approveAndDeposit");
+    const owner = await this._signerAddress();
+    const token = await this.token();
+    if ((await token.allowance(owner, this.address)) < amount) {
+      try {
+        await (await token.approve(this.address, amount)).wait();
+      } catch (error) {
+        throw decodeVaultError(error, { method: "approve", version: this.version });
+      }
+    }
+    return this.deposit(amount);
+  }
+
+  withdraw(amount) {
+    return this._call("withdraw", "withdraw(uint256)", [amount]);
+  }
+
+  claimYield() {
+    return this._call("claimYield", "claimYield()");
+  }
+
+  /**
+   * Credit compound yield to the balance of `account`, or of each account in an
+   * array; anyone can send it
+   */
+  compound(account) {
+    if (Array.isArray(account)) {
+      return this._call("compound", "compoundBatch(address[])", [account]);
+    }
+    return this._call("compound", "compound(address)", [account]);
+  }
+
+  requestWithdrawal(amount) {
+    return this._call("requestWithdrawal", "requestWithdrawal(uint256)", [
+      amount,
+    ]);
+  }
+
+  /**
+   * Execute the oldest matured request, or request `requestId` (V4)
+   */
+  async executeWithdrawal(requestId) {
+    if (requestId === undefined || requestId === null) {
+      return this._call("executeWithdrawal", "executeWithdrawal()");
+    }
+    this.requireSupport("executeWithdrawal");
+    if (!versionAtLeast(this.version, "V4")) {
+      throw new UnsupportedOperationError(
+        "executeWithdrawal(requestId)",
+        this.version,
+        "V4"
+      );
+    }
+    return this._call(
+      "executeWithdrawal",
+      "executeWithdrawalRequest(uint256)",
+      [requestId]
+    );
+  }
+
+  cancelWithdrawalRequest(requestId) {
+    return this._call(
+      "cancelWithdrawalRequest",
+      "cancelWithdrawalRequest(uint256)",
+      [requestId]
+    );
+  }
+
+  emergencyWithdraw() {
+    return this._call("emergencyWithdraw", "emergencyWithdraw()");
+  }
+
+  pauseDeposits() {
+    return this._call("pauseDeposits", "pauseDeposits()");
+  }
+
+  unpauseDeposits() {
+    return this._call("unpauseDeposits", "unpauseDeposits()");
+  }
+
+  setYieldRate(rate) {
+    return this._call("setYieldRate", "setYieldRate(uint256)", [rate]);
+  }
+
+  /**
+   * Switch to yield mode `mode`, by name ("Simple" or "Compound") or number
+   */
+  async setYieldMode(mode) {
+    this.requireSupport("setYieldMode");
+    const value = typeof mode === "string" ? YIELD_MODES.indexOf(mode) : mode;
+    if (value < 0) {
+      throw new VaultError(
+        `Unknown yield mode "${mode}" (use ${YIELD_MODES.join(", ")})`
+      );
+    }
+    return this._call("setYieldMode", "setYieldMode(uint8)", [value]);
+  }
+}
+
+module.exports = {
+  VaultClient,
+  VERSIONS,
+  VAULT_STATES,
+  YIELD_MODES,
+  IMPLEMENTATION_SLOT,
+  METHOD_VERSIONS,
+  versionAtLeast,
+};
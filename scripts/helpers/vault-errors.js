@@ -0,0 +1,314 @@
+/**
+ * Typed vault errors, decoded from reason strings and custom errors.
+ *
+ * V1-V3 revert with reason strings and V4 with custom errors. decodeVaultError()
+ * maps both onto one set of classes: REVERT_REASONS lists the class for each
+ * reason string and CUSTOM_ERRORS for each V4 custom error, so "Deposits are
+ * paused" and DepositsPaused() both give a DepositsPausedError. OpenZeppelin's
+ * AccessControl message gives an AccessDeniedError. Reverts without an entry give
+ * a plain VaultError. Errors that are not reverts (network failures, bad
+ * arguments) are returned as they are.
+ *
+ * Every decoded error keeps the revert in its message and in `reason`, the custom
+ * error's name and arguments in `errorName` and `args`, the raw revert data in
+ * `data` and the original error in `cause`.
+ */
+const { ethers } = require("ethers");
+
+// Error(string), the encoding of require() and revert() reasons
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const ERROR_STRING_INTERFACE = new ethers.Interface(["error Error(string)"]);
+const ACCESS_CONTROL_PATTERN =
+  /^AccessControl: account (0x[0-9a-fA-F]{40}) is missing role (0x[0-9a-fA-F]{64})$/;
+
+class VaultError extends Error {
+  constructor(
+    message,
+    {
+      reason = null,
+      errorName = null,
+      args = {},
+      data,
+      method = null,
+      version = null,
+      cause,
+    } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.reason = reason;
+    this.errorName = errorName;
+    this.args = args;
+    this.method = method;
+    this.version = version;
+    // The revert data, where the Hardhat chai matchers look for it
+    if (data !== undefined) {
+      this.data = data;
+    }
+  }
+}
+VaultError.code = "REVERTED";
+
+/**
+ * A method called on a version that doesn't have it; nothing was sent
+ */
+class UnsupportedOperationError extends VaultError {
+  constructor(method, version, minimum) {
+    super(
+      `${method} is not supported on ${version}; it requires ${minimum} or later`,
+      { method, version }
+    );
+    this.minimum = minimum;
+  }
+}
+UnsupportedOperationError.code = "UNSUPPORTED_OPERATION";
+
+class DepositsPausedError extends VaultError {}
+DepositsPausedError.code = "DEPOSITS_PAUSED";
+
+// V4 guardian states and strict delay mode
+class VaultStateError extends VaultError {}
+VaultStateError.code = "VAULT_STATE";
+
+class WithdrawalDelayError extends VaultError {}
+WithdrawalDelayError.code = "WITHDRAWAL_DELAY";
+
+class WithdrawalRequestError extends VaultError {}
+WithdrawalRequestError.code = "WITHDRAWAL_REQUEST";
+
+class InsufficientBalanceError extends VaultError {}
+InsufficientBalanceError.code = "INSUFFICIENT_BALANCE";
+
+// The vault or its reward reserve cannot cover a payout
+class InsufficientLiquidityError extends VaultError {}
+InsufficientLiquidityError.code = "INSUFFICIENT_LIQUIDITY";
+
+// A token transfer into or out of the vault failed
+class TokenTransferError extends VaultError {}
+TokenTransferError.code = "TOKEN_TRANSFER";
+
+class InvalidArgumentError extends VaultError {}
+InvalidArgumentError.code = "INVALID_ARGUMENT";
+
+// Fee changes and collection (V4)
+class FeeError extends VaultError {}
+FeeError.code = "FEE";
+
+// Expired or invalid signed requests (V4)
+class SignatureError extends VaultError {}
+SignatureError.code = "SIGNATURE";
+
+class AccessDeniedError extends VaultError {
+  constructor(message, options = {}) {
+    super(message, options);
+    const match = ACCESS_CONTROL_PATTERN.exec(options.reason || "");
+    this.account = match ? ethers.getAddress(match[1]) : null;
+    this.role = match ? match[2] : null;
+  }
+}
+AccessDeniedError.code = "ACCESS_DENIED";
+
+// Reason strings of V1-V3, of the token and of OpenZeppelin's ECDSA, which
+// rejects malformed signatures before V4 can compare the signer
+const REVERT_REASONS = {
+  "Deposits are paused": DepositsPausedError,
+
+  "Withdrawal delay not satisfied": WithdrawalDelayError,
+
+  "No pending withdrawal request": WithdrawalRequestError,
+
+  "Insufficient balance": InsufficientBalanceError,
+  "No balance to withdraw": InsufficientBalanceError,
+  "No balance to generate yield": InsufficientBalanceError,
+
+  "Transfer failed": TokenTransferError,
+  "Yield transfer failed": TokenTransferError,
+  "ERC20: transfer amount exceeds balance": TokenTransferError,
+  "ERC20: insufficient allowance": TokenTransferError,
+
+  "Deposit amount must be > 0": InvalidArgumentError,
+  "Withdrawal amount must be > 0": InvalidArgumentError,
+  "Yield rate cannot exceed 100%": InvalidArgumentError,
+  "Fee cannot exceed 100%": InvalidArgumentError,
+  "Withdrawal delay cannot exceed 30 days": InvalidArgumentError,
+  "Invalid token address": InvalidArgumentError,
+  "Invalid admin address": InvalidArgumentError,
+
+  "ECDSA: invalid signature": SignatureError,
+  "ECDSA: invalid signature 's' value": SignatureError,
+};
+
+// Custom errors of V4, by signature; the vault-client tests keep this in step
+// with the TokenVaultV4 ABI
+const CUSTOM_ERRORS = {
+  "DepositsPaused()": DepositsPausedError,
+
+  "ActionNotAllowed(uint8 action, uint8 state)": VaultStateError,
+  "InvalidStateTransition(uint8 from, uint8 to)": VaultStateError,
+  "EmergencyAlreadyDeclared()": VaultStateError,
+  "NoEmergencyDeclared()": VaultStateError,
+  "ImmediateWithdrawalsDisabled()": VaultStateError,
+  "StrictDelayModeUnchanged(bool enabled)": VaultStateError,
+
+  "WithdrawalNotReady(uint256 readyAt)": WithdrawalDelayError,
+
+  "NoPendingWithdrawal(address asset)": WithdrawalRequestError,
+  "UnknownWithdrawalRequest(uint256 requestId)": WithdrawalRequestError,
+  "WithdrawalRequestNotPending(uint256 requestId)": WithdrawalRequestError,
+  "TooManyWithdrawalRequests(uint256 maximum)": WithdrawalRequestError,
+
+  "InsufficientBalance(uint256 requested, uint256 available)":
+    InsufficientBalanceError,
+  "BalanceLocked(uint256 requested, uint256 unlocked)": InsufficientBalanceError,
+  "NothingToWithdraw()": InsufficientBalanceError,
+  "NothingToClaim()": InsufficientBalanceError,
+
+  "RewardReserveEmpty()": InsufficientLiquidityError,
+
+  "TransferFailed(address token)": TokenTransferError,
+  "InsufficientAllowance(uint256 requested, uint256 allowance)":
+    TokenTransferError,
+  "PermitFailed()": TokenTransferError,
+
+  "ZeroAmount()": InvalidArgumentError,
+  "ZeroAddress()": InvalidArgumentError,
+  "FeeTooHigh(uint256 fee, uint256 maximum)": InvalidArgumentError,
+  "MaxFeeBelowCurrentFee(uint256 maxFee, uint256 currentFee)":
+    InvalidArgumentError,
+  "YieldRateTooHigh(uint256 rate, uint256 maximum)": InvalidArgumentError,
+  "YieldModeUnchanged(uint8 mode)": InvalidArgumentError,
+  "DelayTooLong(uint256 delay, uint256 maximum)": InvalidArgumentError,
+  "AlreadyAdmin(address account)": InvalidArgumentError,
+  "InvalidAsset(address asset)": InvalidArgumentError,
+  "AssetAlreadySupported(address asset)": InvalidArgumentError,
+  "AssetNotSupported(address asset)": InvalidArgumentError,
+
+  "NoPendingFeeChange()": FeeError,
+  "FeeNoticePending(uint256 effectiveTime)": FeeError,
+  "NoFeesToCollect()": FeeError,
+  "FeesAlreadyReconciled()": FeeError,
+
+  "SignatureExpired(uint256 deadline)": SignatureError,
+  "InvalidSignature()": SignatureError,
+};
+
+const CUSTOM_ERROR_INTERFACE = new ethers.Interface(
+  Object.keys(CUSTOM_ERRORS).map((signature) => `error ${signature}`)
+);
+const CUSTOM_ERROR_CLASSES = Object.fromEntries(
+  Object.entries(CUSTOM_ERRORS).map(([signature, ErrorClass]) => [
+    signature.slice(0, signature.indexOf("(")),
+    ErrorClass,
+  ])
+);
+
+/**
+ * The revert data of a reverted call, or null if `error` carries none
+ */
+function revertData(error) {
+  for (let current = error; current; current = current.cause || current.error) {
+    if (typeof current.data === "string" && ethers.isHexString(current.data)) {
+      return current.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * The reason string of a reverted call, or null if `error` is not a revert with one
+ */
+function revertReason(error) {
+  for (let current = error; current; current = current.cause || current.error) {
+    const data = typeof current.data === "string" ? current.data : null;
+    if (data && data.startsWith(ERROR_STRING_SELECTOR)) {
+      return ERROR_STRING_INTERFACE.parseError(data).args[0];
+    }
+    if (typeof current.reason === "string") {
+      return current.reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * The V4 custom error in revert `data` as { name, signature, args }, with the
+ * arguments by name, or null if it is not one of CUSTOM_ERRORS
+ */
+function parseCustomError(data) {
+  let parsed;
+  try {
+    parsed = CUSTOM_ERROR_INTERFACE.parseError(data);
+  } catch {
+    return null;
+  }
+  if (!parsed) {
+    return null;
+  }
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+  return { name: parsed.name, signature: parsed.signature, args };
+}
+
+/**
+ * The typed error for a failed vault call. `method` and `version` describe the
+ * call; errors that are already VaultErrors or are not reverts pass through.
+ */
+function decodeVaultError(error, { method = null, version = null } = {}) {
+  if (error instanceof VaultError) {
+    return error;
+  }
+  const where = method ? `${method}${version ? ` on ${version}` : ""}` : "Vault call";
+  const data = revertData(error) ?? undefined;
+  const details = { method, version, data, cause: error };
+
+  const reason = revertReason(error);
+  if (reason !== null) {
+    const ErrorClass = ACCESS_CONTROL_PATTERN.test(reason)
+      ? AccessDeniedError
+      : REVERT_REASONS[reason] || VaultError;
+    return new ErrorClass(`${where} reverted: ${reason}`, { ...details, reason });
+  }
+  if (data === undefined || data === "0x") {
+    return error;
+  }
+
+  const custom = parseCustomError(data);
+  if (custom === null) {
+    return new VaultError(
+      `${where} reverted with unknown error ${ethers.dataSlice(data, 0, 4)}`,
+      details
+    );
+  }
+  const formatted = `${custom.name}(${Object.values(custom.args).join(", ")})`;
+  return new CUSTOM_ERROR_CLASSES[custom.name](`${where} reverted: ${formatted}`, {
+    ...details,
+    reason: formatted,
+    errorName: custom.name,
+    args: custom.args,
+  });
+}
+
+module.exports = {
+  VaultError,
+  UnsupportedOperationError,
+  DepositsPausedError,
+  VaultStateError,
+  WithdrawalDelayError,
+  WithdrawalRequestError,
+  InsufficientBalanceError,
+  InsufficientLiquidityError,
+  TokenTransferError,
+  InvalidArgumentError,
+  FeeError,
+  SignatureError,
+  AccessDeniedError,
+  REVERT_REASONS,
+  CUSTOM_ERRORS,
+  revertData,
+  revertReason,
+  parseCustomError,
+  decodeVaultError,
+};
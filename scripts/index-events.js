@@ -0,0 +1,106 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadDeployment } = require("./helpers/manifest");
+const {
+  loadIndex,
+  syncIndex,
+  writeIndex,
+} = require("./helpers/event-index");
+const { userStatement, periodTotals } = require("./helpers/event-queries");
+
+function formatTime(seconds) {
+  return seconds === undefined
+    ? "-"
+    : new Date(seconds * 1000).toISOString();
+}
+
+async function sync(index) {
+  const result = await syncIndex(index, {
+    confirmations: Number(process.env.INDEX_CONFIRMATIONS || 0),
+  });
+  const indexPath = writeIndex(index);
+
+  if (result.reorg) {
+    console.log(
+      `⚠️  Reorg detected: dropped ${result.removed} event(s) from replaced blocks`
+    );
+  }
+  console.log(
+    `Indexed ${result.added} new event(s), ${index.events.length} in total, up to block ${index.head ? index.head.number : "-"}`
+  );
+  return { indexPath, result };
+}
+
+async function main() {
+  console.log("Indexing TokenVault events...");
+
+  const network = hre.network.name;
+  const manifest = await loadDeployment(network);
+  const index = await loadIndex(manifest);
+
+  console.log(`Network: ${network}`);
+  console.log(`Vault proxy: ${index.proxy} (from block ${index.fromBlock})`);
+
+  const { indexPath, result } = await sync(index);
+  console.log(`Index: ${indexPath}`);
+
+  console.log("\nImplementations:");
+  for (const entry of index.implementations) {
+    console.log(`  ${entry.version} ${entry.address} from block ${entry.blockNumber}`);
+  }
+
+  const format = (value) => ethers.formatEther(value);
+  const period = { from: process.env.INDEX_FROM, to: process.env.INDEX_TO };
+  let statement = null;
+
+  if (process.env.INDEX_ACCOUNT) {
+    statement = userStatement(index, process.env.INDEX_ACCOUNT, period);
+    console.log(
+      `\nStatement for ${statement.account} (${formatTime(statement.from)} to ${formatTime(statement.to)}):`
+    );
+    console.log(`  Opening balance: ${format(statement.openingBalance)}`);
+    for (const row of statement.rows) {
+      const fee = row.fee === undefined ? "" : ` (fee ${format(row.fee)})`;
+      console.log(
+        `  ${formatTime(row.timestamp)} ${row.type} ${format(row.amount)}${fee} -> ${format(row.balance)}`
+      );
+    }
+    console.log(`  Closing balance: ${format(statement.closingBalance)}`);
+  }
+
+  const totals = periodTotals(index, period);
+  console.log(
+    `\nTotals (${formatTime(totals.from)} to ${formatTime(totals.to)}):`
+  );
+  console.log(`  Events:              ${totals.events}`);
+  console.log(`  Deposits (net):      ${format(totals.deposits)}`);
+  console.log(`  Fees:                ${format(totals.fees)}`);
+  console.log(`  Withdrawals:         ${format(totals.withdrawals)}`);
+  console.log(`  Withdrawal requests: ${format(totals.withdrawalRequests)}`);
+  console.log(`  Yield claimed:       ${format(totals.yieldClaimed)}`);
+  console.log(`  Yield compounded:    ${format(totals.yieldCompounded)}`);
+  console.log(`  Depositors:          ${totals.depositors}`);
+
+  // INDEX_FOLLOW=<seconds> keeps polling for new blocks until interrupted
+  const interval = Number(process.env.INDEX_FOLLOW || 0);
+  if (interval > 0) {
+    console.log(`\nFollowing new blocks every ${interval}s (Ctrl+C to stop)...`);
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+      await sync(index);
+    }
+  }
+
+  return { index, sync: result, statement, totals };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
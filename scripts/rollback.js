@@ -0,0 +1,89 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadDeployment } = require("./helpers/manifest");
+const { getUpgradeMode } = require("./helpers/timelock");
+const {
+  findRollbackTarget,
+  checkRollback,
+  runRollback,
+} = require("./helpers/rollback");
+
+async function main() {
+  console.log("Rolling back TokenVault...");
+
+  const [deployer] = await ethers.getSigners();
+  console.log(`Rolling back with account: ${deployer.address}`);
+
+  const network = hre.network.name;
+  const manifest = await loadDeployment(network);
+  const mode = getUpgradeMode();
+  console.log(`Upgrade mode: ${mode}`);
+
+  // execute and cancel act on the proposed rollback; the others pick the target
+  // from the history: ROLLBACK_TO is a version or an implementation address
+  let target;
+  if (mode === "execute" || mode === "cancel") {
+    const pending = manifest.vault.pendingUpgrade;
+    if (!pending || !pending.rollbackFrom) {
+      throw new Error("No pending rollback in the deployment manifest");
+    }
+    target = pending;
+  } else {
+    target = findRollbackTarget(manifest, process.env.ROLLBACK_TO);
+  }
+
+  console.log(`Vault proxy: ${manifest.vault.proxy}`);
+  console.log(
+    `Switch: ${manifest.vault.version} (${manifest.vault.implementation}) -> ${target.version} (${target.address})`
+  );
+
+  let check = null;
+  if (mode !== "cancel") {
+    check = await checkRollback(manifest, target);
+    console.log(`✓ ${check.from.contract} and ${check.to.contract} storage layouts are compatible`);
+    console.log(
+      `Variables only ${check.direction === "rollback" ? check.from.contract : check.to.contract} declares: ${check.variables.join(", ") || "none"}`
+    );
+    if (check.warnings.length > 0) {
+      console.log(`\nWarnings (${check.warnings.length}):`);
+      for (const warning of check.warnings) {
+        console.log(`  ⚠ ${warning}`);
+      }
+    }
+    if (check.unchecked.length > 0) {
+      console.log(`Not checked (nested mappings): ${check.unchecked.join(", ")}`);
+    }
+  }
+
+  const vault = await runRollback(manifest, target, mode);
+  if (!vault) {
+    return {
+      vault: manifest.vault.proxy,
+      pendingUpgrade: manifest.vault.pendingUpgrade,
+      check,
+    };
+  }
+
+  console.log("\n=== Rollback Summary ===");
+  console.log(`Vault Proxy Address: ${vault.target}`);
+  console.log(`Implementation: ${target.version} at ${target.address}`);
+  console.log(`✓ Vault reports ${vault.version}`);
+
+  return {
+    vault: vault.target,
+    version: target.version,
+    implementation: target.address,
+    check,
+  };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,50 @@
+const { checkLayouts, renderLayouts } = require("./helpers/storage-layout");
+
+async function main() {
+  console.log("Checking TokenVault storage layouts...");
+
+  // LAYOUT_CONTRACTS compares other contracts, e.g. TokenVaultV3,TokenVaultV4;
+  // by default every TokenVaultVn in order
+  const contracts = process.env.LAYOUT_CONTRACTS
+    ? process.env.LAYOUT_CONTRACTS.split(",").map((name) => name.trim())
+    : undefined;
+  const result = await checkLayouts(contracts);
+
+  console.log(`\n${renderLayouts(result.layouts)}`);
+
+  for (const report of result.reports) {
+    console.log(`\n${report.from} -> ${report.to}`);
+    console.log(
+      `  Added: ${report.added.length > 0 ? report.added.join(", ") : "nothing"}`
+    );
+    console.log(
+      `  __gap: ${report.gap.before} -> ${report.gap.after} (new variables take ${report.gap.used} slot(s))`
+    );
+    for (const issue of report.issues) {
+      console.log(`  ✗ ${issue.kind}: ${issue.message}`);
+    }
+  }
+
+  console.log("\n=== Storage Layout Summary ===");
+  if (result.issues.length > 0) {
+    throw new Error(
+      `Unsafe storage layout changes: ${result.issues.length} issue(s)`
+    );
+  }
+  console.log(
+    `✓ ${result.layouts.map((layout) => layout.contract).join(" -> ")} only append variables within their __gap`
+  );
+
+  return result;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -0,0 +1,108 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadConfig } = require("./helpers/config");
+const { loadDeployment } = require("./helpers/manifest");
+const { UPGRADE_STEPS, dryRunUpgrade } = require("./helpers/dry-run");
+
+const NEXT_VERSION = { V1: "V2", V2: "V3", V3: "V4" };
+
+// Slots print as quantities (0x1f4), getter results as they were returned
+function formatValue(change, value) {
+  if (change.kind === "slot") {
+    return ethers.toQuantity(value);
+  }
+  return Array.isArray(value) ? `[${value.join(", ")}]` : String(value);
+}
+
+async function main() {
+  console.log("Dry-running TokenVault upgrade...");
+
+  const [deployer] = await ethers.getSigners();
+  const network = hre.network.name;
+  const config = loadConfig(network, deployer.address);
+  const manifest = await loadDeployment(network);
+  const fromVersion = manifest.vault.version;
+
+  // DRY_RUN_VERSION picks the target; by default the next version
+  const version = process.env.DRY_RUN_VERSION || NEXT_VERSION[fromVersion];
+  const step = UPGRADE_STEPS[version];
+  if (!step) {
+    throw new Error(
+      version
+        ? `DRY_RUN_VERSION must be one of ${Object.keys(UPGRADE_STEPS).join(", ")}`
+        : `Vault is already at ${fromVersion}; there is no upgrade to dry-run`
+    );
+  }
+  if (step.from !== fromVersion) {
+    throw new Error(
+      `Vault is at ${fromVersion}, but the upgrade to ${version} starts from ${step.from}`
+    );
+  }
+
+  // A proposed upgrade is rehearsed with the implementation and arguments it was scheduled with
+  const pending = manifest.vault.pendingUpgrade;
+  const rehearsing = pending && pending.version === version;
+  const args = rehearsing ? pending.args : step.args(config);
+
+  console.log(`Network: ${network}`);
+  console.log(`Vault proxy: ${manifest.vault.proxy}`);
+  console.log(
+    `Upgrade: ${fromVersion} -> ${version} (${step.initializer}(${args.join(", ")}))`
+  );
+  if (rehearsing) {
+    console.log(`Rehearsing pending operation ${pending.operationId}`);
+  }
+
+  const report = await dryRunUpgrade(manifest.vault.proxy, {
+    fromVersion,
+    version,
+    contract: step.contract,
+    initializer: step.initializer,
+    args,
+    implementation: rehearsing ? pending.address : null,
+    accounts: [manifest.timelock && manifest.timelock.address],
+    fromBlock: manifest.vault.blockNumber,
+  });
+
+  const expected = report.changes.filter((change) => change.expected);
+  console.log(`\nImplementation: ${report.implementation}`);
+  console.log(`Upgrader (impersonated): ${report.upgrader}`);
+  console.log(`Gas used: ${report.gasUsed}`);
+  console.log(`Accounts checked: ${report.accounts}`);
+  console.log(`Storage slots compared: ${report.slots}`);
+
+  console.log(`\nExpected changes (${expected.length}):`);
+  for (const change of expected) {
+    console.log(
+      `  ${change.kind} ${change.key}: ${formatValue(change, change.before)} -> ${formatValue(change, change.after)} (${change.reason})`
+    );
+  }
+  console.log(`\nUnexpected changes (${report.unexpected.length}):`);
+  for (const change of report.unexpected) {
+    console.log(
+      `  ${change.kind} ${change.key}: ${formatValue(change, change.before)} -> ${formatValue(change, change.after)}`
+    );
+  }
+
+  console.log("\n=== Dry-run Summary ===");
+  console.log("Snapshot reverted: the vault and the manifest are unchanged");
+  if (report.unexpected.length > 0) {
+    throw new Error(
+      `Upgrade to ${version} changes ${report.unexpected.length} value(s) it should preserve`
+    );
+  }
+  console.log(`✓ Upgrade to ${version} preserves the vault's state`);
+
+  return report;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -1,5 +1,9 @@
 const hre = require("hardhat");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadConfig, roleGrantsFor } = require("./helpers/config");
+const { loadDeployment } = require("./helpers/manifest");
+const { VaultClient } = require("./helpers/vault-client");
+const { roleGrantCalls, runUpgrade } = require("./helpers/upgrade");
 
 async function main() {
   console.log("Upgrading TokenVault to V2...");
@@ -8,50 +12,53 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Upgrading with account: ${deployer.address}`);
 
-  // Replace with actual proxy address from V1 deployment
-  // This should be set via environment variable or passed as argument
-  const vaultProxyAddress = process.env.VAULT_PROXY_ADDRESS;
-  if (!vaultProxyAddress) {
-    throw new Error(
-      "VAULT_PROXY_ADDRESS environment variable not set. Please provide the V1 proxy address."
-    );
-  }
+  // The proxy comes from the deployment manifest written by deploy-v1.js
+  const network = hre.network.name;
+  const config = loadConfig(network, deployer.address);
+  const manifest = await loadDeployment(network, "V1");
+  const vaultProxyAddress = manifest.vault.proxy;
 
   console.log(`Upgrading proxy at: ${vaultProxyAddress}`);
 
   // Get the proxy instance
-  const vaultV1 = await ethers.getContractAt("TokenVaultV1", vaultProxyAddress);
+  const vaultV1 = await VaultClient.connect(vaultProxyAddress, deployer);
 
   // Verify current state before upgrade
   const balanceBefore = await vaultV1.totalDeposits();
-  const adminBefore = await vaultV1.admin();
+  const adminBefore = await vaultV1.contract.admin();
   console.log(`\nState before upgrade:`);
   console.log(`Total deposits: ${ethers.formatEther(balanceBefore)} tokens`);
   console.log(`Admin: ${adminBefore}`);
 
-  // Get the admin for initialization
-  const admin = adminBefore;
-
-  // Upgrade to V2
   const TokenVaultV2 = await hre.ethers.getContractFactory("TokenVaultV2");
-  const vaultV2 = await upgrades.upgradeProxy(vaultProxyAddress, TokenVaultV2, {
-    kind: "uups",
+  const yieldRate = config.yieldRate;
+  const roleGrants = roleGrantsFor(config, "V2");
+
+  // initializeV2 runs inside the upgrade transaction (upgradeToAndCall), leaving no
+  // window in which another account could initialize with its own parameters
+  const vaultV2 = await runUpgrade(manifest, {
+    version: "V2",
+    contract: "TokenVaultV2",
+    initializer: "initializeV2",
+    args: [yieldRate],
+    adminCalls: roleGrantCalls(TokenVaultV2, vaultProxyAddress, roleGrants),
   });
-  console.log(`\nTokenVault upgraded to V2 at: ${vaultV2.target}`);
+  if (!vaultV2) {
+    return { vault: vaultProxyAddress, pendingUpgrade: manifest.vault.pendingUpgrade };
+  }
 
-  // Initialize V2
-  const yieldRate = 500; // 5% annual
-  await vaultV2.initializeV2(yieldRate);
-  console.log(`V2 initialized with yield rate: ${yieldRate} basis points (5%)`);
+  console.log(`\nTokenVault upgraded to V2 at: ${vaultV2.target}`);
+  console.log(`V2 initialized with yield rate: ${yieldRate} basis points`);
+  for (const [role, account] of roleGrants) {
+    console.log(`${role} granted to: ${account}`);
+  }
 
   // Get implementation address
-  const implementationAddress = await upgrades.erc1967.getImplementationAddress(
-    vaultV2.target
-  );
+  const implementationAddress = vaultV2.implementation;
   console.log(`TokenVaultV2 implementation deployed to: ${implementationAddress}`);
 
   // Verify upgrade
-  const version = await vaultV2.getImplementationVersion();
+  const version = vaultV2.version;
   const balanceAfter = await vaultV2.totalDeposits();
   const yieldRateAfter = await vaultV2.getYieldRate();
 
@@ -60,6 +67,10 @@ async function main() {
   console.log(`Total deposits: ${ethers.formatEther(balanceAfter)} tokens`);
   console.log(`Yield rate: ${yieldRateAfter} basis points`);
 
+  if (yieldRateAfter !== BigInt(yieldRate)) {
+    throw new Error("Yield rate does not match the config!");
+  }
+
   if (balanceBefore !== balanceAfter) {
     throw new Error("Storage layout error: Total deposits changed after upgrade!");
   }
@@ -76,9 +87,13 @@ async function main() {
   };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -1,5 +1,9 @@
 const hre = require("hardhat");
-const { ethers, upgrades } = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadConfig } = require("./helpers/config");
+const { loadDeployment } = require("./helpers/manifest");
+const { VaultClient } = require("./helpers/vault-client");
+const { runUpgrade } = require("./helpers/upgrade");
 
 async function main() {
   console.log("Upgrading TokenVault to V3...");
@@ -8,51 +12,49 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Upgrading with account: ${deployer.address}`);
 
-  // Replace with actual proxy address from V2 deployment
-  const vaultProxyAddress = process.env.VAULT_PROXY_ADDRESS;
-  if (!vaultProxyAddress) {
-    throw new Error(
-      "VAULT_PROXY_ADDRESS environment variable not set. Please provide the V2 proxy address."
-    );
-  }
+  // The proxy comes from the deployment manifest written by deploy-v1.js
+  const network = hre.network.name;
+  const config = loadConfig(network, deployer.address);
+  const manifest = await loadDeployment(network, "V2");
+  const vaultProxyAddress = manifest.vault.proxy;
 
   console.log(`Upgrading proxy at: ${vaultProxyAddress}`);
 
   // Get the proxy instance
-  const vaultV2 = await ethers.getContractAt("TokenVaultV2", vaultProxyAddress);
+  const vaultV2 = await VaultClient.connect(vaultProxyAddress, deployer);
 
   // Verify current state before upgrade
   const balanceBefore = await vaultV2.totalDeposits();
-  const adminBefore = await vaultV2.admin();
+  const adminBefore = await vaultV2.contract.admin();
   const yieldRateBefore = await vaultV2.getYieldRate();
   console.log(`\nState before upgrade:`);
   console.log(`Total deposits: ${ethers.formatEther(balanceBefore)} tokens`);
   console.log(`Admin: ${adminBefore}`);
   console.log(`Yield rate: ${yieldRateBefore} basis points`);
 
-  // Get the admin for initialization
-  const admin = adminBefore;
+  const withdrawalDelay = config.withdrawalDelay;
 
-  // Upgrade to V3
-  const TokenVaultV3 = await hre.ethers.getContractFactory("TokenVaultV3");
-  const vaultV3 = await upgrades.upgradeProxy(vaultProxyAddress, TokenVaultV3, {
-    kind: "uups",
+  // initializeV3 runs inside the upgrade transaction (upgradeToAndCall), leaving no
+  // window in which another account could initialize with its own parameters
+  const vaultV3 = await runUpgrade(manifest, {
+    version: "V3",
+    contract: "TokenVaultV3",
+    initializer: "initializeV3",
+    args: [withdrawalDelay],
   });
-  console.log(`\nTokenVault upgraded to V3 at: ${vaultV3.target}`);
+  if (!vaultV3) {
+    return { vault: vaultProxyAddress, pendingUpgrade: manifest.vault.pendingUpgrade };
+  }
 
-  // Initialize V3
-  const withdrawalDelay = 7 * 24 * 60 * 60; // 7 days
-  await vaultV3.initializeV3(withdrawalDelay);
-  console.log(`V3 initialized with withdrawal delay: ${withdrawalDelay} seconds (7 days)`);
+  console.log(`\nTokenVault upgraded to V3 at: ${vaultV3.target}`);
+  console.log(`V3 initialized with withdrawal delay: ${withdrawalDelay} seconds`);
 
   // Get implementation address
-  const implementationAddress = await upgrades.erc1967.getImplementationAddress(
-    vaultV3.target
-  );
+  const implementationAddress = vaultV3.implementation;
   console.log(`TokenVaultV3 implementation deployed to: ${implementationAddress}`);
 
   // Verify upgrade
-  const version = await vaultV3.getImplementationVersion();
+  const version = vaultV3.version;
   const balanceAfter = await vaultV3.totalDeposits();
   const yieldRateAfter = await vaultV3.getYieldRate();
   const delayAfter = await vaultV3.getWithdrawalDelay();
@@ -71,6 +73,10 @@ async function main() {
     throw new Error("Storage layout error: Yield rate changed after upgrade!");
   }
 
+  if (delayAfter !== BigInt(withdrawalDelay)) {
+    throw new Error("Withdrawal delay does not match the config!");
+  }
+
   console.log("\n=== Upgrade Summary ===");
   console.log(`Vault Proxy Address: ${vaultV3.target}`);
   console.log(`V3 Implementation Address: ${implementationAddress}`);
@@ -85,9 +91,13 @@ async function main() {
   };
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
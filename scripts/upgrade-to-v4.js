@@ -0,0 +1,219 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const {
+  YIELD_MODES,
+  loadConfig,
+  roleGrantsFor,
+} = require("./helpers/config");
+const { loadDeployment } = require("./helpers/manifest");
+const { VaultClient } = require("./helpers/vault-client");
+const { encodeCall, roleGrantCalls, runUpgrade } = require("./helpers/upgrade");
+
+async function main() {
+  console.log("Upgrading TokenVault to V4...");
+
+  // Get signers
+  const [deployer] = await ethers.getSigners();
+  console.log(`Upgrading with account: ${deployer.address}`);
+
+  // The proxy comes from the deployment manifest written by deploy-v1.js
+  const network = hre.network.name;
+  const config = loadConfig(network, deployer.address);
+  const manifest = await loadDeployment(network, "V3");
+  const vaultProxyAddress = manifest.vault.proxy;
+
+  console.log(`Upgrading proxy at: ${vaultProxyAddress}`);
+
+  // Get the proxy instance
+  const vaultV3 = await VaultClient.connect(vaultProxyAddress, deployer);
+  const token = await vaultV3.token();
+  const decimals = Number(await token.decimals());
+  const format = (value) => ethers.formatUnits(value, decimals);
+
+  // Verify current state before upgrade
+  const balanceBefore = await vaultV3.totalDeposits();
+  const adminBefore = await vaultV3.contract.admin();
+  const yieldRateBefore = await vaultV3.getYieldRate();
+  const delayBefore = await vaultV3.getWithdrawalDelay();
+  console.log(`\nState before upgrade:`);
+  console.log(`Total deposits: ${format(balanceBefore)} tokens`);
+  console.log(`Admin: ${adminBefore}`);
+  console.log(`Yield rate: ${yieldRateBefore} basis points`);
+  console.log(`Withdrawal delay: ${delayBefore} seconds`);
+
+  // Every address that ever deposited needs a yield checkpoint under V4 rules
+  const fromBlock = manifest.vault.blockNumber;
+  const depositEvents = await vaultV3.contract.queryFilter(
+    vaultV3.contract.filters.Deposit(),
+    fromBlock
+  );
+  const depositors = [...new Set(depositEvents.map((event) => event.args.user))];
+  console.log(`Depositors found: ${depositors.length}`);
+
+  // V3 keeps at most one withdrawal request per user; V4 moves them into a queue
+  const requestEvents = await vaultV3.contract.queryFilter(
+    vaultV3.contract.filters.WithdrawalRequested(),
+    fromBlock
+  );
+  const requesters = [...new Set(requestEvents.map((event) => event.args.user))];
+  console.log(`Users with withdrawal requests: ${requesters.length}`);
+
+  const TokenVaultV4 = await hre.ethers.getContractFactory("TokenVaultV4");
+  const { treasury, maxDepositFee, feeUpdateDelay } = config;
+
+  // Post-upgrade steps that need DEFAULT_ADMIN_ROLE; through the timelock they
+  // are scheduled in the same batch as the upgrade
+  const adminCalls = [];
+  const adminCall = (fn, args) =>
+    encodeCall(TokenVaultV4, vaultProxyAddress, fn, args);
+
+  // Settle pre-V4 yield and give V1-only depositors their first checkpoint
+  const batchSize = 100;
+  for (let i = 0; i < depositors.length; i += batchSize) {
+    const batch = depositors.slice(i, i + batchSize);
+    adminCalls.push(adminCall("migrateYieldCheckpoints", [batch]));
+  }
+
+  // Lock pending V3 withdrawal requests in the queue, keeping their request time
+  for (let i = 0; i < requesters.length; i += batchSize) {
+    const batch = requesters.slice(i, i + batchSize);
+    adminCalls.push(adminCall("migrateWithdrawalRequests", [batch]));
+  }
+
+  // Optionally route every withdrawal through the delay from day one
+  if (config.strictDelayMode) {
+    adminCalls.push(adminCall("setStrictDelayMode", [true]));
+  }
+
+  // Optionally credit yield to balances instead of paying it out on claims
+  if (config.yieldMode !== "simple") {
+    adminCalls.push(
+      adminCall("setYieldMode", [YIELD_MODES.indexOf(config.yieldMode)])
+    );
+  }
+
+  // The admin holds FEE_MANAGER_ROLE and REWARD_FUNDER_ROLE after initializeV4; config can
+  // add dedicated accounts. Guardians only come from config
+  const roleGrants = roleGrantsFor(config, "V4");
+  if (!roleGrants.some(([role]) => role === "GUARDIAN_ROLE")) {
+    console.log(
+      "Warning: no GUARDIAN_ROLE account in config; nobody can pause all operations or declare an emergency until one is granted"
+    );
+  }
+  adminCalls.push(...roleGrantCalls(TokenVaultV4, vaultProxyAddress, roleGrants));
+
+  // initializeV4 runs inside the upgrade transaction (upgradeToAndCall), leaving no
+  // window in which another account could initialize with its own parameters
+  const vaultV4 = await runUpgrade(manifest, {
+    version: "V4",
+    contract: "TokenVaultV4",
+    initializer: "initializeV4",
+    args: [treasury, maxDepositFee, feeUpdateDelay],
+    adminCalls,
+  });
+  if (!vaultV4) {
+    return { vault: vaultProxyAddress, pendingUpgrade: manifest.vault.pendingUpgrade };
+  }
+
+  console.log(`\nTokenVault upgraded to V4 at: ${vaultV4.target}`);
+  console.log(`V4 initialized with treasury: ${treasury}`);
+  console.log(`Max deposit fee: ${maxDepositFee} basis points`);
+  console.log(`Fee increase notice period: ${feeUpdateDelay} seconds`);
+  console.log(`Yield checkpoints migrated for ${depositors.length} users`);
+  console.log(`Withdrawal requests migrated for ${requesters.length} users`);
+  for (const [role, account] of roleGrants) {
+    console.log(`${role} granted to: ${account}`);
+  }
+
+  // Recover fees taken by V1-V3, which were never credited anywhere
+  const [vaultBalance, accountedBalance, unaccounted] =
+    await vaultV4.contract.getFeeReconciliation();
+  console.log(`\nFee reconciliation:`);
+  console.log(`Vault token balance: ${format(vaultBalance)} tokens`);
+  console.log(`Accounted balance: ${format(accountedBalance)} tokens`);
+  console.log(`Unaccounted: ${format(unaccounted)} tokens`);
+
+  await vaultV4.contract.reconcileFees();
+  const accruedFees = await vaultV4.contract.getAccruedFees();
+  console.log(`Accrued fees after reconciliation: ${format(accruedFees)} tokens`);
+
+  // Optionally seed the reward reserve; yield claims are paid only from it.
+  // rewardFunding is in whole tokens, scaled by the token's decimals
+  const funding = ethers.parseUnits(config.rewardFunding, decimals);
+  if (funding > 0n) {
+    await (await token.approve(vaultV4.target, funding)).wait();
+    await vaultV4.contract.fundRewards(funding);
+  }
+  const rewardReserve = await vaultV4.contract.getRewardReserve();
+  console.log(`Reward reserve: ${format(rewardReserve)} tokens`);
+
+  console.log(`Strict delay mode: ${await vaultV4.contract.strictDelayMode()}`);
+  console.log(`Yield mode: ${await vaultV4.yieldMode()}`);
+  console.log(`Vault state: ${await vaultV4.vaultState()}`);
+
+  // Get implementation address
+  const implementationAddress = vaultV4.implementation;
+  console.log(`TokenVaultV4 implementation deployed to: ${implementationAddress}`);
+
+  // Verify upgrade
+  const version = vaultV4.version;
+  const balanceAfter = await vaultV4.totalDeposits();
+  const yieldRateAfter = await vaultV4.getYieldRate();
+  const delayAfter = await vaultV4.getWithdrawalDelay();
+  const shareSupply = await vaultV4.contract.totalSupply();
+
+  console.log(`\nState after upgrade:`);
+  console.log(`Implementation version: ${version}`);
+  console.log(`Total deposits: ${format(balanceAfter)} tokens`);
+  console.log(`Yield rate: ${yieldRateAfter} basis points`);
+  console.log(`Withdrawal delay: ${delayAfter} seconds`);
+  console.log(`Share token: ${await vaultV4.contract.name()} (${await vaultV4.contract.symbol()})`);
+  console.log(`Share supply: ${format(shareSupply)} shares`);
+
+  if (balanceBefore !== balanceAfter) {
+    throw new Error("Storage layout error: Total deposits changed after upgrade!");
+  }
+
+  if (yieldRateBefore !== yieldRateAfter) {
+    throw new Error("Storage layout error: Yield rate changed after upgrade!");
+  }
+
+  if (delayBefore !== delayAfter) {
+    throw new Error("Storage layout error: Withdrawal delay changed after upgrade!");
+  }
+
+  if (shareSupply !== balanceBefore) {
+    throw new Error("Share supply does not match total deposits!");
+  }
+
+  console.log("\n=== Upgrade Summary ===");
+  console.log(`Vault Proxy Address: ${vaultV4.target}`);
+  console.log(`V4 Implementation Address: ${implementationAddress}`);
+  console.log(`Treasury Address: ${treasury}`);
+  console.log(`✓ Storage preserved`);
+  console.log(`✓ V3 features maintained`);
+  console.log(`✓ Fee accounting added`);
+  console.log(`✓ Delayed deposit fee updates added`);
+  console.log(`✓ Pre-upgrade fees reconciled`);
+  console.log(`✓ Yield checkpoints migrated`);
+  console.log(`✓ Reward reserve added`);
+  console.log(`✓ Balances exposed as ERC-4626 shares`);
+  console.log(`✓ Withdrawal requests moved into queues`);
+  console.log(`✓ Guardian state machine added`);
+
+  return {
+    vault: vaultV4.target,
+    implementation: implementationAddress,
+  };
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
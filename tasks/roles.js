@@ -0,0 +1,306 @@
+/**
+ * Role management tasks: audit role membership, grant and revoke roles, and
+ * move the admin position with transferAdmin().
+ *
+ * vault:roles rebuilds who holds DEFAULT_ADMIN_ROLE, UPGRADER_ROLE and
+ * PAUSER_ROLE from RoleGranted/RoleRevoked logs and flags drift between the
+ * vault's recorded admin() and the accounts that actually hold those roles.
+ */
+const { types } = require("hardhat/config");
+const {
+  vaultTask,
+  versionAtLeast,
+  connect,
+  requireRole,
+  send,
+  report,
+} = require("./vault");
+
+// Roles vault:roles audits, and the version that introduces each
+const AUDITED_ROLES = {
+  DEFAULT_ADMIN_ROLE: "V1",
+  UPGRADER_ROLE: "V1",
+  PAUSER_ROLE: "V2",
+};
+
+// Every role the vault defines, and the version that introduces it
+const ROLE_VERSIONS = {
+  ...AUDITED_ROLES,
+  FEE_MANAGER_ROLE: "V4",
+  REWARD_FUNDER_ROLE: "V4",
+  GUARDIAN_ROLE: "V4",
+};
+
+// Roles transferAdmin() moves to the new admin; it revokes GUARDIAN_ROLE without moving it
+const TRANSFERRED_ROLES = [
+  ...Object.keys(AUDITED_ROLES),
+  "FEE_MANAGER_ROLE",
+  "REWARD_FUNDER_ROLE",
+];
+
+// Roles meant to have a single holder: admin(), or the timelock it handed them to
+const GOVERNANCE_ROLES = ["DEFAULT_ADMIN_ROLE", "UPGRADER_ROLE"];
+
+function roleId(ethers, role) {
+  return role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+}
+
+/**
+ * Normalize a role name ("pauser" -> "PAUSER_ROLE") and check the vault's version defines it
+ */
+function parseRole(ctx, name) {
+  let role = name.toUpperCase();
+  if (!role.endsWith("_ROLE")) {
+    role = `${role}_ROLE`;
+  }
+  if (!(role in ROLE_VERSIONS)) {
+    throw new Error(
+      `--role: unknown role "${name}" (use ${Object.keys(ROLE_VERSIONS).join(", ")})`
+    );
+  }
+  if (!versionAtLeast(ctx.version, ROLE_VERSIONS[role])) {
+    throw new Error(
+      `${role} requires ${ROLE_VERSIONS[role]} or later; the vault at ${ctx.address} runs ${ctx.version}`
+    );
+  }
+  return role;
+}
+
+/**
+ * Replay RoleGranted/RoleRevoked logs from `fromBlock` into the holders of each role in `roles`
+ */
+async function replayRoleLogs(hre, ctx, roles, fromBlock) {
+  const { vault } = ctx;
+  const names = new Map(roles.map((role) => [roleId(hre.ethers, role), role]));
+  const events = [
+    ...(await vault.queryFilter(vault.filters.RoleGranted(), fromBlock)),
+    ...(await vault.queryFilter(vault.filters.RoleRevoked(), fromBlock)),
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders = Object.fromEntries(roles.map((role) => [role, new Set()]));
+  for (const event of events) {
+    const role = names.get(event.args.role);
+    if (!role) {
+      continue;
+    }
+    if (event.fragment.name === "RoleGranted") {
+      holders[role].add(event.args.account);
+    } else {
+      holders[role].delete(event.args.account);
+    }
+  }
+  return Object.fromEntries(roles.map((role) => [role, [...holders[role]]]));
+}
+
+vaultTask("vault:roles", "Rebuild role membership from logs and flag admin drift")
+  .addOptionalParam(
+    "fromBlock",
+    "First block to read role logs from (default: the manifest's deployment block, or 0)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "timelock",
+    "Timelock expected to hold the governance roles (default: the manifest's timelock)"
+  )
+  .addFlag("strict", "Fail when drift is found")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const ctx = await connect(hre, args, "vault:roles");
+    const { vault, manifest } = ctx;
+
+    let fromBlock = args.fromBlock;
+    if (fromBlock === undefined) {
+      fromBlock = manifest ? manifest.vault.blockNumber : 0;
+    }
+    let timelock = args.timelock;
+    if (!timelock && manifest && manifest.timelock) {
+      timelock = manifest.timelock.address;
+    }
+    timelock = timelock ? ethers.getAddress(timelock) : null;
+
+    const admin = await vault.admin();
+    const roles = Object.keys(AUDITED_ROLES).filter((role) =>
+      versionAtLeast(ctx.version, AUDITED_ROLES[role])
+    );
+    const holders = await replayRoleLogs(hre, ctx, roles, fromBlock);
+
+    const drift = [];
+    for (const role of roles) {
+      const id = roleId(ethers, role);
+
+      // Logs from a too-late block, or a pruned node, miss grants
+      for (const account of new Set([admin, timelock, ...holders[role]])) {
+        if (!account) {
+          continue;
+        }
+        const onChain = await vault.hasRole(id, account);
+        if (onChain !== holders[role].includes(account)) {
+          drift.push(
+            `${role}: logs from block ${fromBlock} ${onChain ? "miss" : "still show"} ${account}; hasRole is ${onChain}`
+          );
+          if (onChain) {
+            holders[role].push(account);
+          } else {
+            holders[role] = holders[role].filter((holder) => holder !== account);
+          }
+        }
+      }
+
+      const governance = GOVERNANCE_ROLES.includes(role);
+      if (!holders[role].includes(admin)) {
+        if (!(governance && timelock && holders[role].includes(timelock))) {
+          drift.push(`${role}: admin() ${admin} does not hold it`);
+        }
+      }
+      if (governance) {
+        for (const account of holders[role]) {
+          if (account !== admin && account !== timelock) {
+            drift.push(
+              `${role}: held by ${account}, which is neither admin() nor the timelock`
+            );
+          }
+        }
+      }
+    }
+
+    const label = (account) => {
+      if (account === admin) {
+        return `${account} (admin)`;
+      }
+      return account === timelock ? `${account} (timelock)` : account;
+    };
+    const lines = [
+      `Vault: ${ctx.address} (${ctx.version})`,
+      `admin(): ${admin}`,
+      `Timelock: ${timelock || "none"}`,
+      `Role logs from block: ${fromBlock}`,
+      "",
+    ];
+    for (const role of roles) {
+      lines.push(`${role}: ${holders[role].map(label).join(", ") || "nobody"}`);
+    }
+    lines.push("");
+    if (drift.length === 0) {
+      lines.push("Drift: none");
+    } else {
+      lines.push("Drift:");
+      lines.push(...drift.map((finding) => `  - ${finding}`));
+    }
+
+    const result = report(
+      args,
+      {
+        vault: ctx.address,
+        version: ctx.version,
+        admin,
+        timelock,
+        fromBlock,
+        roles: holders,
+        drift,
+      },
+      lines
+    );
+    if (args.strict && drift.length > 0) {
+      throw new Error(`Role drift on ${ctx.address}:\n  ${drift.join("\n  ")}`);
+    }
+    return result;
+  });
+
+vaultTask("vault:grant-role", "Grant a role (DEFAULT_ADMIN_ROLE)")
+  .addParam("role", "Role name, e.g. PAUSER_ROLE or pauser")
+  .addParam("account", "Account to grant the role to")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:grant-role");
+    const role = parseRole(ctx, args.role);
+    const account = hre.ethers.getAddress(args.account);
+    await requireRole(ctx, "DEFAULT_ADMIN_ROLE");
+    if (await ctx.vault.hasRole(roleId(hre.ethers, role), account)) {
+      throw new Error(`${account} already holds ${role}`);
+    }
+
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      role,
+      account,
+      ...(await send(ctx.vault.grantRole(roleId(hre.ethers, role), account))),
+    };
+    return report(args, result, [
+      `Granted ${role} to ${account} on ${ctx.address} (${ctx.version})`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:revoke-role", "Revoke a role (DEFAULT_ADMIN_ROLE)")
+  .addParam("role", "Role name, e.g. PAUSER_ROLE or pauser")
+  .addParam("account", "Account to revoke the role from")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:revoke-role");
+    const role = parseRole(ctx, args.role);
+    const account = hre.ethers.getAddress(args.account);
+    await requireRole(ctx, "DEFAULT_ADMIN_ROLE");
+    if (!(await ctx.vault.hasRole(roleId(hre.ethers, role), account))) {
+      throw new Error(`${account} does not hold ${role}`);
+    }
+    // Taking an audited role from admin() is exactly the drift vault:roles reports
+    if (role in AUDITED_ROLES && account === (await ctx.vault.admin())) {
+      throw new Error(
+        `${account} is admin(); use vault:transfer-admin to move ${role} with the admin position`
+      );
+    }
+
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      role,
+      account,
+      ...(await send(ctx.vault.revokeRole(roleId(hre.ethers, role), account))),
+    };
+    return report(args, result, [
+      `Revoked ${role} from ${account} on ${ctx.address} (${ctx.version})`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:transfer-admin", "Move the admin position and its roles to a new account")
+  .addParam("to", "New admin")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:transfer-admin", "V4");
+    const newAdmin = hre.ethers.getAddress(args.to);
+    await requireRole(ctx, "DEFAULT_ADMIN_ROLE");
+
+    const previousAdmin = await ctx.vault.admin();
+    const moved = [];
+    for (const role of TRANSFERRED_ROLES) {
+      if (await ctx.vault.hasRole(roleId(hre.ethers, role), previousAdmin)) {
+        moved.push(role);
+      }
+    }
+    const revoked = [];
+    const guardian = roleId(hre.ethers, "GUARDIAN_ROLE");
+    if (await ctx.vault.hasRole(guardian, previousAdmin)) {
+      revoked.push("GUARDIAN_ROLE");
+    }
+
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      previousAdmin,
+      admin: newAdmin,
+      movedRoles: moved,
+      revokedRoles: revoked,
+      ...(await send(ctx.vault.transferAdmin(newAdmin))),
+    };
+    return report(args, result, [
+      `Admin of ${ctx.address} (${ctx.version}): ${previousAdmin} -> ${newAdmin}`,
+      `Moved roles: ${moved.join(", ") || "none"}`,
+      `Revoked roles: ${revoked.join(", ") || "none"}`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+module.exports = {
+  AUDITED_ROLES,
+  ROLE_VERSIONS,
+};
@@ -0,0 +1,546 @@
+/**
+ * Vault operations as Hardhat tasks: npx hardhat vault:<task> --network <network>
+ *
+ * Each task finds the vault in the network's deployment manifest (or takes
+ * --vault) and connects a VaultClient, which detects the implementation version.
+ * Tasks refuse operations the deployed version doesn't support. Amounts are in
+ * whole tokens; --json prints machine-readable output instead of the summary.
+ */
+const { task, types } = require("hardhat/config");
+const {
+  VaultClient,
+  VERSIONS,
+  VAULT_STATES,
+  YIELD_MODES,
+  versionAtLeast,
+} = require("../scripts/helpers/vault-client");
+
+/**
+ * Register a vault task with the options every vault task shares
+ */
+function vaultTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      "vault",
+      "Vault proxy address (default: the deployment manifest's vault)"
+    )
+    .addOptionalParam(
+      "from",
+      "Address of the account to send from (default: first signer)"
+    )
+    .addFlag("json", "Print JSON instead of a summary");
+}
+
+/**
+ * Resolve the vault, its version and the sending account.
+ * `minimum` is the first version supporting the task. `client` is the
+ * VaultClient and `vault` its contract. `manifest` is set when the vault came
+ * from the deployment manifest.
+ */
+async function connect(hre, args, taskName, minimum = "V1") {
+  const { ethers } = hre;
+  let address = args.vault;
+  let manifest = null;
+  if (!address) {
+    // Required lazily: the manifest helpers load the Hardhat runtime
+    const { readManifest } = require("../scripts/helpers/manifest");
+    manifest = readManifest(hre.network.name);
+    if (!manifest.vault) {
+      throw new Error(`Manifest for "${hre.network.name}" has no vault`);
+    }
+    address = manifest.vault.proxy;
+  }
+  if (!ethers.isAddress(address)) {
+    throw new Error(`--vault: "${address}" is not an address`);
+  }
+
+  const signer = args.from
+    ? await ethers.getSigner(args.from)
+    : (await ethers.getSigners())[0];
+  const client = await VaultClient.connect(address, signer);
+  const { version } = client;
+  if (!versionAtLeast(version, minimum)) {
+    throw new Error(
+      `${taskName} requires ${minimum} or later; the vault at ${client.address} runs ${version}`
+    );
+  }
+
+  const token = await client.token();
+  const decimals = Number(await token.decimals());
+  return {
+    client,
+    vault: client.contract,
+    version,
+    address: client.address,
+    signer,
+    token,
+    decimals,
+    manifest,
+  };
+}
+
+/**
+ * Refuse early when the sender lacks `role`, rather than sending a reverting transaction
+ */
+async function requireRole(ctx, role) {
+  const roleId = await ctx.vault[role]();
+  if (!(await ctx.vault.hasRole(roleId, ctx.signer.address))) {
+    throw new Error(`${ctx.signer.address} does not hold ${role} on the vault`);
+  }
+}
+
+function parseAmount(hre, ctx, amount) {
+  let value;
+  try {
+    value = hre.ethers.parseUnits(amount, ctx.decimals);
+  } catch (error) {
+    throw new Error(`--amount: "${amount}" is not a token amount`);
+  }
+  if (value <= 0n) {
+    throw new Error("--amount: must be greater than zero");
+  }
+  return value;
+}
+
+function parseRequestId(id) {
+  if (!/^\d+$/.test(id)) {
+    throw new Error(`--id: "${id}" is not a request ID`);
+  }
+  return BigInt(id);
+}
+
+async function send(txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+// Decode the vault's events from a receipt
+function vaultEvents(ctx, receipt) {
+  return receipt.logs
+    .filter((log) => log.address === ctx.address)
+    .map((log) => ctx.vault.interface.parseLog(log))
+    .filter(Boolean);
+}
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Print `result` as JSON, or `lines` as the human-readable summary, and return `result`
+ */
+function report(args, result, lines) {
+  if (args.json) {
+    console.log(
+      JSON.stringify(
+        result,
+        (key, value) => (typeof value === "bigint" ? value.toString() : value),
+        2
+      )
+    );
+  } else {
+    console.log(lines.join("\n"));
+  }
+  return result;
+}
+
+vaultTask("vault:status", "Show the vault's version, parameters and totals")
+  .addOptionalParam(
+    "account",
+    "Also show this account's balance, yield and withdrawal requests"
+  )
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:status");
+    const { vault, version, token, decimals } = ctx;
+    const { ethers } = hre;
+    const format = (value) => ethers.formatUnits(value, decimals);
+    const symbol = await token.symbol();
+
+    const status = {
+      network: hre.network.name,
+      vault: ctx.address,
+      version,
+      implementation: ctx.client.implementation,
+      token: token.target,
+      depositFee: await vault.getDepositFee(),
+      totalDeposits: await vault.totalDeposits(),
+      tokenBalance: await token.balanceOf(ctx.address),
+    };
+    if (versionAtLeast(version, "V2")) {
+      status.yieldRate = await vault.getYieldRate();
+      status.depositsPaused = await vault.isDepositsPaused();
+    }
+    if (versionAtLeast(version, "V3")) {
+      status.withdrawalDelay = await vault.getWithdrawalDelay();
+    }
+    if (version === "V4") {
+      status.state = VAULT_STATES[Number(await vault.vaultState())];
+      status.strictDelayMode = await vault.strictDelayMode();
+      status.yieldMode = await ctx.client.yieldMode();
+      status.treasury = await vault.treasury();
+      status.accruedFees = await vault.getAccruedFees();
+      status.rewardReserve = await vault.getRewardReserve();
+    }
+
+    const lines = [
+      `Vault: ${status.vault} (${hre.network.name})`,
+      `Version: ${version}`,
+      `Implementation: ${status.implementation}`,
+      `Token: ${status.token} (${symbol})`,
+      `Deposit Fee: ${status.depositFee} basis points`,
+    ];
+    if ("yieldRate" in status) {
+      lines.push(`Yield Rate: ${status.yieldRate} basis points per year`);
+    }
+    if ("yieldMode" in status) {
+      lines.push(`Yield Mode: ${status.yieldMode}`);
+    }
+    if ("withdrawalDelay" in status) {
+      lines.push(`Withdrawal Delay: ${status.withdrawalDelay} seconds`);
+    }
+    if ("state" in status) {
+      lines.push(`State: ${status.state}`);
+      lines.push(`Strict Delay Mode: ${status.strictDelayMode}`);
+    } else if ("depositsPaused" in status) {
+      lines.push(`Deposits Paused: ${status.depositsPaused}`);
+    }
+    lines.push(`Total Deposits: ${format(status.totalDeposits)} ${symbol}`);
+    lines.push(`Token Balance: ${format(status.tokenBalance)} ${symbol}`);
+    if ("accruedFees" in status) {
+      lines.push(`Treasury: ${status.treasury}`);
+      lines.push(`Accrued Fees: ${format(status.accruedFees)} ${symbol}`);
+      lines.push(`Reward Reserve: ${format(status.rewardReserve)} ${symbol}`);
+    }
+
+    if (args.account) {
+      const account = ethers.getAddress(args.account);
+      const position = {
+        address: account,
+        balance: await vault.balanceOf(account),
+      };
+      lines.push(`\nAccount: ${account}`);
+      lines.push(`Balance: ${format(position.balance)} ${symbol}`);
+      if (versionAtLeast(version, "V2")) {
+        position.pendingYield = await vault.getUserYield(account);
+        lines.push(`Pending Yield: ${format(position.pendingYield)} ${symbol}`);
+      }
+      if (version === "V4") {
+        position.withdrawalRequests = await ctx.client.getWithdrawalRequests(
+          account
+        );
+        for (const request of position.withdrawalRequests) {
+          lines.push(
+            `Withdrawal Request #${request.requestId}: ${format(request.amount)} ${symbol}, executable from ${formatTime(request.maturityTime)}`
+          );
+        }
+      } else if (version === "V3") {
+        const [request] = await ctx.client.getWithdrawalRequests(account);
+        position.withdrawalRequest = request
+          ? { amount: request.amount, requestTime: request.requestTime }
+          : null;
+        if (request) {
+          lines.push(
+            `Withdrawal Request: ${format(request.amount)} ${symbol}, executable from ${formatTime(request.maturityTime)}`
+          );
+        }
+      }
+      status.account = position;
+    }
+
+    return report(args, status, lines);
+  });
+
+vaultTask("vault:deposit", "Deposit tokens, approving the vault first if needed")
+  .addParam("amount", "Amount in whole tokens", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:deposit");
+    const amount = parseAmount(hre, ctx, args.amount);
+
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      account: ctx.signer.address,
+      amount,
+    };
+    if ((await ctx.token.allowance(ctx.signer.address, ctx.address)) < amount) {
+      result.approval = await send(ctx.token.approve(ctx.address, amount));
+    }
+    const tx = await send(ctx.client.deposit(amount));
+    const receipt = await hre.ethers.provider.getTransactionReceipt(tx.txHash);
+    // V4 also emits the ERC-4626 Deposit, so match the full signature
+    const deposit = vaultEvents(ctx, receipt).find(
+      (event) => event.signature === "Deposit(address,uint256,uint256)"
+    );
+    Object.assign(result, tx, { fee: deposit.args.fee });
+
+    const format = (value) => hre.ethers.formatUnits(value, ctx.decimals);
+    return report(args, result, [
+      `Deposited ${format(amount)} tokens into ${ctx.address} (${ctx.version})`,
+      `Fee: ${format(result.fee)}`,
+      `Credited: ${format(amount - result.fee)}`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:withdraw", "Withdraw tokens immediately")
+  .addParam("amount", "Amount in whole tokens", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:withdraw");
+    const amount = parseAmount(hre, ctx, args.amount);
+
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      account: ctx.signer.address,
+      amount,
+      ...(await send(ctx.client.withdraw(amount))),
+    };
+    return report(args, result, [
+      `Withdrew ${hre.ethers.formatUnits(amount, ctx.decimals)} tokens from ${ctx.address} (${ctx.version})`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:request-withdrawal", "Queue a delayed withdrawal")
+  .addParam("amount", "Amount in whole tokens", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:request-withdrawal", "V3");
+    const amount = parseAmount(hre, ctx, args.amount);
+
+    const tx = await send(ctx.client.requestWithdrawal(amount));
+    const receipt = await hre.ethers.provider.getTransactionReceipt(tx.txHash);
+    const block = await hre.ethers.provider.getBlock(receipt.blockNumber);
+    const delay = await ctx.vault.getWithdrawalDelay();
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      account: ctx.signer.address,
+      amount,
+      executableAt: BigInt(block.timestamp) + delay,
+      ...tx,
+    };
+    // V4 queues several requests per user and identifies them by id
+    const queued = vaultEvents(ctx, receipt).find(
+      (event) => event.name === "WithdrawalRequestQueued"
+    );
+    if (queued) {
+      result.requestId = queued.args.requestId;
+    }
+
+    const lines = [
+      `Requested withdrawal of ${hre.ethers.formatUnits(amount, ctx.decimals)} tokens from ${ctx.address} (${ctx.version})`,
+    ];
+    if (queued) {
+      lines.push(`Request ID: ${result.requestId}`);
+    }
+    lines.push(`Executable from: ${formatTime(result.executableAt)}`);
+    lines.push(`Transaction: ${result.txHash}`);
+    return report(args, result, lines);
+  });
+
+vaultTask("vault:execute-withdrawal", "Execute a matured withdrawal request")
+  .addOptionalParam(
+    "id",
+    "Request to execute (V4; default: the oldest pending request)",
+    undefined,
+    types.string
+  )
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:execute-withdrawal", "V3");
+    const id = args.id === undefined ? undefined : parseRequestId(args.id);
+    if (id !== undefined && ctx.version !== "V4") {
+      throw new Error(
+        `vault:execute-withdrawal --id requires V4 or later; the vault at ${ctx.address} runs ${ctx.version}`
+      );
+    }
+
+    const before = await ctx.token.balanceOf(ctx.signer.address);
+    const tx = await send(ctx.client.executeWithdrawal(id));
+    const amount = (await ctx.token.balanceOf(ctx.signer.address)) - before;
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      account: ctx.signer.address,
+      amount,
+      ...tx,
+    };
+    return report(args, result, [
+      `Executed withdrawal of ${hre.ethers.formatUnits(amount, ctx.decimals)} tokens from ${ctx.address} (${ctx.version})`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:claim", "Claim accrued yield")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:claim", "V2");
+
+    const before = await ctx.token.balanceOf(ctx.signer.address);
+    const tx = await send(ctx.client.claimYield());
+    const amount = (await ctx.token.balanceOf(ctx.signer.address)) - before;
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      account: ctx.signer.address,
+      amount,
+      ...tx,
+    };
+    return report(args, result, [
+      `Claimed ${hre.ethers.formatUnits(amount, ctx.decimals)} tokens of yield from ${ctx.address} (${ctx.version})`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:compound", "Credit compound yield to balances (V4, any account may send)")
+  .addOptionalParam(
+    "accounts",
+    "Comma-separated accounts to compound (default: the sending account)"
+  )
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:compound", "V4");
+    const { ethers } = hre;
+    const accounts = args.accounts
+      ? args.accounts.split(",").map((account) => account.trim())
+      : [ctx.signer.address];
+    for (const account of accounts) {
+      if (!ethers.isAddress(account)) {
+        throw new Error(`--accounts: "${account}" is not an address`);
+      }
+    }
+
+    const tx = await send(
+      ctx.client.compound(
+        accounts.length === 1
+          ? ethers.getAddress(accounts[0])
+          : accounts.map((account) => ethers.getAddress(account))
+      )
+    );
+    const receipt = await ethers.provider.getTransactionReceipt(tx.txHash);
+    const compounded = vaultEvents(ctx, receipt)
+      .filter((event) => event.name === "YieldCompounded")
+      .map((event) => ({ account: event.args.user, amount: event.args.amount }));
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      yieldMode: await ctx.client.yieldMode(),
+      compounded,
+      total: compounded.reduce((sum, item) => sum + item.amount, 0n),
+      ...tx,
+    };
+
+    const format = (value) => ethers.formatUnits(value, ctx.decimals);
+    const lines = [
+      `Compounded ${format(result.total)} tokens of yield for ${accounts.length} account(s) on ${ctx.address} (${ctx.version}, ${result.yieldMode} mode)`,
+    ];
+    for (const item of compounded) {
+      lines.push(`  ${item.account}: +${format(item.amount)}`);
+    }
+    lines.push(`Transaction: ${result.txHash}`);
+    return report(args, result, lines);
+  });
+
+vaultTask("vault:pause", "Pause or unpause deposits, or every operation with --all (V4)")
+  .addFlag("unpause", "Unpause instead of pausing")
+  .addFlag("all", "Pause every user operation, not only deposits (V4, guardian role)")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:pause", "V2");
+    if (args.all && ctx.version !== "V4") {
+      throw new Error(
+        `vault:pause --all requires V4 or later; the vault at ${ctx.address} runs ${ctx.version}`
+      );
+    }
+
+    // pauseAll is the guardian's; resuming always needs the pauser
+    let method;
+    if (args.all) {
+      method = args.unpause ? "unpauseAll" : "pauseAll";
+      await requireRole(ctx, args.unpause ? "PAUSER_ROLE" : "GUARDIAN_ROLE");
+    } else {
+      method = args.unpause ? "unpauseDeposits" : "pauseDeposits";
+      await requireRole(ctx, "PAUSER_ROLE");
+    }
+
+    const tx = await send(args.all ? ctx.vault[method]() : ctx.client[method]());
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      action: method,
+      depositsPaused: await ctx.vault.isDepositsPaused(),
+      ...tx,
+    };
+    const lines = [`${method} on ${ctx.address} (${ctx.version})`];
+    if (ctx.version === "V4") {
+      result.state = VAULT_STATES[Number(await ctx.vault.vaultState())];
+      lines.push(`State: ${result.state}`);
+    } else {
+      lines.push(`Deposits Paused: ${result.depositsPaused}`);
+    }
+    lines.push(`Transaction: ${result.txHash}`);
+    return report(args, result, lines);
+  });
+
+vaultTask("vault:set-yield-rate", "Set the annual yield rate")
+  .addParam("rate", "Yield rate in basis points", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:set-yield-rate", "V2");
+    if (args.rate < 0 || args.rate > 10000) {
+      throw new Error("--rate: must be between 0 and 10000 basis points");
+    }
+    // Behind a timelock DEFAULT_ADMIN_ROLE belongs to the timelock, not an account
+    await requireRole(ctx, "DEFAULT_ADMIN_ROLE");
+
+    const previousRate = await ctx.vault.getYieldRate();
+    const tx = await send(ctx.client.setYieldRate(args.rate));
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      previousRate,
+      yieldRate: await ctx.vault.getYieldRate(),
+      ...tx,
+    };
+    return report(args, result, [
+      `Yield rate on ${ctx.address} (${ctx.version}): ${previousRate} -> ${result.yieldRate} basis points`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+vaultTask("vault:set-yield-mode", "Pay yield on claims or compound it into balances (V4)")
+  .addParam("mode", "simple or compound")
+  .setAction(async (args, hre) => {
+    const ctx = await connect(hre, args, "vault:set-yield-mode", "V4");
+    const mode = YIELD_MODES.find(
+      (name) => name.toLowerCase() === args.mode.toLowerCase()
+    );
+    if (!mode) {
+      throw new Error("--mode: must be one of simple, compound");
+    }
+    await requireRole(ctx, "DEFAULT_ADMIN_ROLE");
+
+    const previousMode = await ctx.client.yieldMode();
+    if (previousMode === mode) {
+      throw new Error(`The vault at ${ctx.address} is already in ${mode} mode`);
+    }
+    const tx = await send(ctx.client.setYieldMode(mode));
+    const result = {
+      vault: ctx.address,
+      version: ctx.version,
+      previousMode,
+      yieldMode: await ctx.client.yieldMode(),
+      ...tx,
+    };
+    return report(args, result, [
+      `Yield mode on ${ctx.address} (${ctx.version}): ${previousMode} -> ${result.yieldMode}`,
+      `Transaction: ${result.txHash}`,
+    ]);
+  });
+
+module.exports = {
+  VERSIONS,
+  VAULT_STATES,
+  vaultTask,
+  versionAtLeast,
+  connect,
+  requireRole,
+  send,
+  report,
+};
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { INITIALIZED } = require("./helpers/reverts");
 
 describe("TokenVaultV1", function () {
   let tokenVault;
@@ -45,13 +46,9 @@ describe("TokenVaultV1", function () {
     });
 
     it("should prevent reinitialization", async function () {
-      let reverted = false;
-      try {
-        await tokenVault.initialize(mockToken.target, admin.address, 100);
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVault.initialize(mockToken.target, admin.address, 100)
+      ).to.be.revertedWith(INITIALIZED);
     });
   });
 
@@ -103,13 +100,9 @@ describe("TokenVaultV1", function () {
       const balance = await tokenVault.balanceOf(user1.address);
       const excessiveAmount = balance + ethers.parseEther("1");
 
-      let reverted = false;
-      try {
-        await tokenVault.connect(user1).withdraw(excessiveAmount);
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVault.connect(user1).withdraw(excessiveAmount)
+      ).to.be.revertedWith("Insufficient balance");
     });
   });
 
@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { auditVault } = require("../scripts/helpers/audit");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Accounting Audit", function () {
+  let deployer, user1, user2, user3;
+  let tmpDir;
+  let token, vault;
+  const DAY = 24 * 60 * 60;
+  const USER_BALANCES_SLOT = 254n;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  function failed(report) {
+    return report.failures.map((check) => check.name);
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2, user3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-audit-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+    const configPath = path.join(tmpDir, "config.json");
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ withdrawalDelay: DAY, timelock: null })
+    );
+    process.env.DEPLOY_CONFIG = configPath;
+
+    const deployed = await run("deploy-v1");
+    token = await ethers.getContractAt("MockERC20", deployed.token);
+    vault = await VaultClient.connect(deployed.vault, deployer);
+    for (const [user, amount] of [
+      [user1, "1000"],
+      [user2, "500"],
+    ]) {
+      await token.transfer(user.address, ethers.parseEther(amount));
+      await token.connect(user).approve(vault.target, ethers.MaxUint256);
+      await vault.connect(user).deposit(ethers.parseEther(amount));
+    }
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Replay", function () {
+    it("should rebuild balances from deposits net of fees and withdrawals", async function () {
+      await vault.connect(user2).withdraw(ethers.parseEther("100"));
+
+      const report = await run("audit-vault");
+
+      expect(report.version).to.equal("V1");
+      expect(failed(report)).to.deep.equal([]);
+      const [first, second] = report.accounts;
+      expect(first.account).to.equal(user1.address);
+      expect(first.deposited).to.equal(ethers.parseEther("950"));
+      expect(second.withdrawn).to.equal(ethers.parseEther("100"));
+      expect(second.balance).to.equal(await vault.balanceOf(user2.address));
+      expect(report.flows.deposited).to.equal(ethers.parseEther("1500"));
+      // The 5% fees stay in the vault on top of the deposits
+      expect(report.solvency.surplus).to.equal(ethers.parseEther("75"));
+    });
+
+    it("should reconcile a vault through every upgrade", async function () {
+      await run("upgrade-to-v2");
+      const v2 = await VaultClient.connect(vault.target, deployer);
+      await token.transfer(user3.address, ethers.parseEther("300"));
+      await token.connect(user3).approve(vault.target, ethers.MaxUint256);
+      await v2.connect(user3).deposit(ethers.parseEther("300"));
+      await increaseTime(30 * DAY);
+      await v2.connect(user3).claimYield();
+
+      await run("upgrade-to-v3");
+      const v3 = await VaultClient.connect(vault.target, deployer);
+      await v3.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+
+      let report = await auditVault(vault.target);
+      expect(report.version).to.equal("V3");
+      expect(report.mismatches).to.deep.equal([]);
+      expect(report.solvency.pendingWithdrawals).to.equal(
+        ethers.parseEther("100")
+      );
+      expect(report.flows.yieldClaimed).to.equal(
+        (await v3.contract.queryFilter(v3.contract.filters.YieldClaimed()))[0]
+          .args.amount
+      );
+      // V1 depositors have no yield checkpoint: V3 owes them yield since timestamp 0
+      expect(failed(report)).to.deep.equal(["solvency"]);
+      expect(
+        report.solvency.yieldLiability > report.solvency.tokenBalance
+      ).to.be.true;
+
+      await run("upgrade-to-v4");
+      const v4 = await VaultClient.connect(vault.target, deployer);
+      await token.approve(vault.target, ethers.MaxUint256);
+      await v4.contract["fundRewards(uint256)"](ethers.parseEther("20"));
+      await v4.contract
+        .connect(user1)
+        .transfer(user3.address, ethers.parseEther("200"));
+      await v4.connect(user2).requestWithdrawal(ethers.parseEther("50"));
+      await increaseTime(DAY);
+      await v4.connect(user1).executeWithdrawal();
+      await v4.connect(user2).claimYield();
+      await v4.contract.collectFees(deployer.address);
+
+      report = await run("audit-vault");
+      expect(report.version).to.equal("V4");
+      expect(failed(report)).to.deep.equal([]);
+      expect(report.mismatches).to.deep.equal([]);
+      expect(report.accounts.map((item) => item.account)).to.include(
+        user3.address
+      );
+      expect(report.solvency.pendingWithdrawals).to.equal(
+        ethers.parseEther("50")
+      );
+      expect(report.flows.rewardsFunded).to.equal(ethers.parseEther("20"));
+      expect(report.unexplained).to.equal(0n);
+    });
+
+    it("should credit compounded yield to the replayed balances", async function () {
+      fs.writeFileSync(
+        process.env.DEPLOY_CONFIG,
+        JSON.stringify({
+          withdrawalDelay: DAY,
+          timelock: null,
+          yieldMode: "compound",
+          rewardFunding: "1000",
+        })
+      );
+      for (const script of ["upgrade-to-v2", "upgrade-to-v3", "upgrade-to-v4"]) {
+        await run(script);
+      }
+      const v4 = await VaultClient.connect(vault.target, deployer);
+      expect(await v4.yieldMode()).to.equal("Compound");
+
+      await increaseTime(365 * DAY);
+      await v4.compound([user1.address, user2.address]);
+      await v4.contract
+        .connect(user1)
+        .transfer(user3.address, ethers.parseEther("100"));
+      await v4.connect(user2).withdraw(ethers.parseEther("100"));
+
+      const report = await run("audit-vault");
+      expect(failed(report)).to.deep.equal([]);
+      expect(report.mismatches).to.deep.equal([]);
+      const events = await v4.contract.queryFilter(
+        v4.contract.filters.YieldCompounded()
+      );
+      // The transfer and the withdrawal first compound the seconds since the batch
+      expect(events.map((event) => event.args.user)).to.deep.equal([
+        user1.address,
+        user2.address,
+        user1.address,
+        user2.address,
+      ]);
+      const compounded = (user) =>
+        events
+          .filter((event) => !user || event.args.user === user.address)
+          .reduce((sum, event) => sum + event.args.amount, 0n);
+      expect(report.flows.yieldCompounded).to.equal(compounded());
+      const [first] = report.accounts;
+      expect(first.yieldCompounded).to.equal(compounded(user1));
+      expect(first.balance).to.equal(await v4.balanceOf(user1.address));
+      expect(report.unexplained).to.equal(0n);
+    });
+  });
+
+  describe("Invariants", function () {
+    it("should list accounts whose balance does not match their events", async function () {
+      const slot = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "uint256"],
+          [user1.address, USER_BALANCES_SLOT]
+        )
+      );
+      const tampered = ethers.parseEther("2000");
+      await ethers.provider.send("hardhat_setStorageAt", [
+        vault.target,
+        slot,
+        ethers.toBeHex(tampered, 32),
+      ]);
+
+      const report = await auditVault(vault.target);
+      expect(failed(report)).to.deep.equal([
+        "account balances",
+        "total deposits",
+      ]);
+      expect(report.mismatches.length).to.equal(1);
+      expect(report.mismatches[0]).to.include({
+        account: user1.address,
+        balance: ethers.parseEther("950"),
+        live: tampered,
+      });
+
+      await expectRevert(
+        run("audit-vault"),
+        "Accounting audit failed: 2 invariant(s) violated (account balances, total deposits)"
+      );
+    });
+
+    it("should fail when tokens left the vault without an event", async function () {
+      const vaultSigner = await ethers.getImpersonatedSigner(vault.target);
+      await ethers.provider.send("hardhat_setBalance", [
+        vault.target,
+        "0xDE0B6B3A7640000",
+      ]);
+      await token
+        .connect(vaultSigner)
+        .transfer(user3.address, ethers.parseEther("100"));
+
+      const report = await auditVault(vault.target);
+      expect(failed(report)).to.deep.equal(["token flows", "solvency"]);
+      expect(report.unexplained).to.equal(ethers.parseEther("-100"));
+      expect(report.solvency.surplus).to.equal(ethers.parseEther("-25"));
+    });
+
+    it("should report tokens sent straight to the vault as unaccounted", async function () {
+      await token.transfer(vault.target, ethers.parseEther("30"));
+
+      const report = await auditVault(vault.target);
+      expect(failed(report)).to.deep.equal([]);
+      expect(report.unexplained).to.equal(ethers.parseEther("30"));
+    });
+  });
+});
@@ -0,0 +1,580 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  YieldCalculator,
+  YieldMode,
+  compoundGrowth,
+  createRandom,
+  COMPOUND_PRECISION,
+} = require("./helpers/yield-calculator");
+const { missingRole } = require("./helpers/reverts");
+
+describe("Compound Yield Mode", function () {
+  let tokenVault;
+  let mockToken;
+  let owner, admin, users;
+  let indexStartTime;
+  const INITIAL_SUPPLY = ethers.parseEther("10000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 1000; // 10% annual
+  const WITHDRAWAL_DELAY = 24 * 60 * 60; // 1 day
+  const REWARDS = ethers.parseEther("5000000");
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+
+  const SEEDS = [7, 2024];
+  const STEPS = 30;
+
+  beforeEach(async function () {
+    let signers;
+    [owner, admin, ...signers] = await ethers.getSigners();
+    users = signers.slice(0, 3);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and upgrade through V2 and V3 to V4
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    const initTx = await tokenVault
+      .connect(admin)
+      .initializeV4(admin.address, 1000, 0);
+    indexStartTime = (await timestampOf(initTx)).timestamp;
+
+    await mockToken.transfer(admin.address, REWARDS);
+    await mockToken
+      .connect(admin)
+      .approve(tokenVault.target, ethers.MaxUint256);
+
+    for (const user of users) {
+      await mockToken.transfer(user.address, ethers.parseEther("100000"));
+      await mockToken
+        .connect(user)
+        .approve(tokenVault.target, ethers.MaxUint256);
+    }
+  });
+
+  async function timestampOf(tx) {
+    const receipt = await tx.wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    return { blockNumber: receipt.blockNumber, timestamp: block.timestamp };
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+    const block = await ethers.provider.getBlock("latest");
+    return { blockNumber: block.number, timestamp: block.timestamp };
+  }
+
+  function afterFee(amount) {
+    return amount - (amount * BigInt(DEPOSIT_FEE)) / 10000n;
+  }
+
+  async function fundRewards(amount = REWARDS) {
+    await tokenVault.connect(admin).fundRewards(amount);
+  }
+
+  async function setYieldMode(model, mode) {
+    const result = await timestampOf(
+      await tokenVault.connect(admin).setYieldMode(mode)
+    );
+    if (model) {
+      model.setYieldMode(mode, result.timestamp);
+    }
+    return result;
+  }
+
+  async function expectMatchesModel(model, result, context) {
+    const { blockNumber, timestamp } = result;
+    const at = { blockTag: blockNumber };
+    expect(await tokenVault.compoundIndex(at)).to.equal(
+      model.compoundIndex(timestamp),
+      `compound index mismatch after ${context}`
+    );
+    expect(await tokenVault.rewardPerToken(at)).to.equal(
+      model.rewardPerToken(timestamp),
+      `reward index mismatch after ${context}`
+    );
+    for (const user of users) {
+      expect(await tokenVault.balanceOf(user.address, at)).to.equal(
+        model.balanceOf(user.address),
+        `balance mismatch for ${user.address} after ${context}`
+      );
+      expect(await tokenVault.getUserYield(user.address, at)).to.equal(
+        model.userYield(user.address, timestamp),
+        `yield mismatch for ${user.address} after ${context}`
+      );
+    }
+    expect(await tokenVault.getTotalYieldLiability(at)).to.equal(
+      model.totalYieldLiability(timestamp),
+      `liability mismatch after ${context}`
+    );
+    expect(await tokenVault.getRewardReserve(at)).to.equal(
+      model.rewardReserve,
+      `reserve mismatch after ${context}`
+    );
+  }
+
+  describe("Index", function () {
+    it("should not move in simple mode", async function () {
+      await tokenVault.connect(users[0]).deposit(ethers.parseEther("1000"));
+      await increaseTime(YEAR);
+
+      expect(await tokenVault.yieldMode()).to.equal(YieldMode.Simple);
+      expect(await tokenVault.compoundIndex()).to.equal(COMPOUND_PRECISION);
+      expect(await tokenVault.compoundIndexStored()).to.equal(
+        COMPOUND_PRECISION
+      );
+    });
+
+    it("should match the reference over multi-year time warps", async function () {
+      const model = new YieldCalculator(YIELD_RATE, indexStartTime);
+      const start = await setYieldMode(model, YieldMode.Compound);
+
+      let elapsed = 0;
+      for (const years of [1, 2, 5, 10, 30]) {
+        const point = await increaseTime(years * YEAR - elapsed);
+        elapsed = point.timestamp - start.timestamp;
+
+        const index = await tokenVault.compoundIndex({
+          blockTag: point.blockNumber,
+        });
+        expect(index).to.equal(model.compoundIndex(point.timestamp));
+
+        // Against the same compounding computed at 1e60: low, by a relative
+        // error below 3 / 1e27 per second
+        const scale = 10n ** 33n;
+        const precise =
+          compoundGrowth(YIELD_RATE, elapsed, COMPOUND_PRECISION * scale) /
+          scale;
+        expect(index <= precise).to.be.true;
+        expect(precise - index).to.be.at.most(
+          (precise * 3n * BigInt(elapsed)) / COMPOUND_PRECISION + 1n
+        );
+      }
+    });
+
+    it("should compound per second, close to continuously", async function () {
+      const start = await setYieldMode(null, YieldMode.Compound);
+      const point = await increaseTime(YEAR);
+      const years = (point.timestamp - start.timestamp) / YEAR;
+
+      // (1 + r / 31536000)^31536000 differs from e^r by about r^2 / 63072000
+      const growth =
+        Number(
+          await tokenVault.compoundIndex({ blockTag: point.blockNumber })
+        ) / Number(COMPOUND_PRECISION);
+      const expected = Math.exp((YIELD_RATE / 10000) * years);
+      expect(growth).to.be.closeTo(expected, 1e-9);
+    });
+
+    it("should apply a new rate only going forward", async function () {
+      const model = new YieldCalculator(YIELD_RATE, indexStartTime);
+      await setYieldMode(model, YieldMode.Compound);
+      await increaseTime(2 * YEAR);
+
+      const result = await timestampOf(
+        await tokenVault.connect(admin).setYieldRate(300)
+      );
+      model.setYieldRate(300, result.timestamp);
+      expect(await tokenVault.compoundIndexStored()).to.equal(
+        model.compoundIndex(result.timestamp)
+      );
+
+      const point = await increaseTime(3 * YEAR);
+      expect(await tokenVault.compoundIndex()).to.equal(
+        model.compoundIndex(point.timestamp)
+      );
+    });
+  });
+
+  describe("Compounding", function () {
+    it("should credit yield to balances and match the reference over years", async function () {
+      await fundRewards();
+      const model = new YieldCalculator(YIELD_RATE, indexStartTime, {
+        rewardReserve: REWARDS,
+      });
+      const [user1, user2] = users;
+      const amount = ethers.parseEther("10000");
+
+      for (const user of [user1, user2]) {
+        const result = await timestampOf(
+          await tokenVault.connect(user).deposit(amount)
+        );
+        model.deposit(user.address, afterFee(amount), result.timestamp);
+      }
+      await setYieldMode(model, YieldMode.Compound);
+
+      for (const years of [1, 4, 10]) {
+        await increaseTime(years * YEAR);
+        const tx = await tokenVault.connect(user2).compound(user1.address);
+        const result = await timestampOf(tx);
+        const credited = model.compound(user1.address, result.timestamp);
+        expect(credited > 0n).to.be.true;
+        await expect(tx)
+          .to.emit(tokenVault, "YieldCompounded")
+          .withArgs(user1.address, credited)
+          .and.to.emit(tokenVault, "Transfer")
+          .withArgs(ethers.ZeroAddress, user1.address, credited);
+        await expectMatchesModel(model, result, `${years} years`);
+      }
+
+      // 15 years at 10% grows the balance about e^1.5 times
+      const growth =
+        Number(await tokenVault.balanceOf(user1.address)) /
+        Number(afterFee(amount));
+      expect(growth).to.be.closeTo(Math.exp(1.5), 1e-6);
+    });
+
+    it("should not depend on how often yield is compounded", async function () {
+      await fundRewards();
+      const [often, never] = users;
+      const amount = ethers.parseEther("10000");
+      await tokenVault.connect(often).deposit(amount);
+      await tokenVault.connect(never).deposit(amount);
+      await setYieldMode(null, YieldMode.Compound);
+
+      const steps = 24;
+      for (let i = 0; i < steps; i++) {
+        await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+        await tokenVault.compound(often.address);
+      }
+      await tokenVault.compoundBatch([often.address, never.address]);
+
+      // Each compounding rounds down by under a wei
+      const compoundedOften = await tokenVault.balanceOf(often.address);
+      const compoundedOnce = await tokenVault.balanceOf(never.address);
+      expect(compoundedOften <= compoundedOnce).to.be.true;
+      expect(compoundedOnce - compoundedOften).to.be.at.most(BigInt(steps));
+      expect(compoundedOnce > afterFee(amount)).to.be.true;
+    });
+
+    it("should compound a batch of users and return the total", async function () {
+      await fundRewards();
+      await setYieldMode(null, YieldMode.Compound);
+      for (const user of users) {
+        await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+      }
+      await increaseTime(YEAR);
+
+      const addresses = users.map((user) => user.address);
+      const balances = await Promise.all(
+        addresses.map((address) => tokenVault.balanceOf(address))
+      );
+      const tx = await tokenVault.connect(owner).compoundBatch(addresses);
+      const receipt = await tx.wait();
+      const events = receipt.logs
+        .map((log) => tokenVault.interface.parseLog(log))
+        .filter((event) => event && event.name === "YieldCompounded");
+      expect(events.map((event) => event.args.user)).to.deep.equal(addresses);
+
+      let total = 0n;
+      for (const [i, address] of addresses.entries()) {
+        const credited = (await tokenVault.balanceOf(address)) - balances[i];
+        expect(events[i].args.amount).to.equal(credited);
+        total += credited;
+      }
+      expect(await tokenVault.totalDeposits()).to.equal(
+        balances.reduce((sum, balance) => sum + balance, 0n) + total
+      );
+      expect(await tokenVault.getRewardReserve()).to.equal(REWARDS - total);
+
+      // Nothing left to compound in the same block
+      expect(
+        await tokenVault.compoundBatch.staticCall(addresses)
+      ).to.equal(0n);
+    });
+
+    it("should let anyone compound unless the vault is fully paused", async function () {
+      await fundRewards();
+      const [user, keeper] = users;
+      await setYieldMode(null, YieldMode.Compound);
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+
+      await tokenVault.connect(admin).pauseDeposits();
+      await increaseTime(YEAR);
+      await expect(tokenVault.connect(keeper).compound(user.address)).to.emit(
+        tokenVault,
+        "YieldCompounded"
+      );
+
+      // VaultAction.Compound is 7; FullyPaused and Emergency are states 2 and 3
+      await tokenVault
+        .connect(admin)
+        .grantRole(await tokenVault.GUARDIAN_ROLE(), owner.address);
+      await tokenVault.connect(owner).pauseAll();
+      await expect(tokenVault.connect(keeper).compound(user.address))
+        .to.be.revertedWithCustomError(tokenVault, "ActionNotAllowed")
+        .withArgs(7, 2);
+      await tokenVault.connect(owner).declareEmergency();
+      await expect(tokenVault.connect(keeper).compoundBatch([user.address]))
+        .to.be.revertedWithCustomError(tokenVault, "ActionNotAllowed")
+        .withArgs(7, 3);
+      await tokenVault.connect(admin).endEmergency();
+      await tokenVault.connect(admin).unpauseAll();
+
+      // Nothing to compound for an empty account
+      await expect(
+        tokenVault.connect(keeper).compound(keeper.address)
+      ).to.not.emit(tokenVault, "YieldCompounded");
+    });
+
+    it("should credit what the reserve covers and keep the rest claimable", async function () {
+      const reserve = ethers.parseEther("10");
+      await fundRewards(reserve);
+      const model = new YieldCalculator(YIELD_RATE, indexStartTime, {
+        rewardReserve: reserve,
+      });
+      const [user] = users;
+      const amount = ethers.parseEther("1000");
+      let result = await timestampOf(
+        await tokenVault.connect(user).deposit(amount)
+      );
+      model.deposit(user.address, afterFee(amount), result.timestamp);
+      await setYieldMode(model, YieldMode.Compound);
+      await increaseTime(YEAR);
+
+      const tx = await tokenVault.compound(user.address);
+      result = await timestampOf(tx);
+      expect(model.compound(user.address, result.timestamp)).to.equal(reserve);
+      await expect(tx)
+        .to.emit(tokenVault, "YieldCompounded")
+        .withArgs(user.address, reserve);
+      await expectMatchesModel(model, result, "shortfall");
+      expect((await tokenVault.solvencyReport()).surplus < 0n).to.be.true;
+
+      // The uncovered part no longer compounds; it is paid once funded
+      const shortfall = await tokenVault.accumulatedYield(user.address);
+      expect(shortfall > 0n).to.be.true;
+      await expect(
+        tokenVault.connect(user).claimYield()
+      ).to.be.revertedWithCustomError(tokenVault, "RewardReserveEmpty");
+
+      // Compounding since then is paid first
+      await fundRewards(shortfall);
+      model.fundRewards(shortfall);
+      const tokensBefore = await mockToken.balanceOf(user.address);
+      result = await timestampOf(await tokenVault.connect(user).claimYield());
+      const claimed = model.claim(user.address, result.timestamp);
+      expect(claimed > 0n).to.be.true;
+      expect((await mockToken.balanceOf(user.address)) - tokensBefore).to.equal(
+        claimed
+      );
+      await expectMatchesModel(model, result, "claim");
+    });
+  });
+
+  describe("Mode Switching", function () {
+    it("should let only the admin switch, and only to another mode", async function () {
+      const [user] = users;
+      await expect(
+        tokenVault.connect(user).setYieldMode(YieldMode.Compound)
+      ).to.be.revertedWith(missingRole(user, "DEFAULT_ADMIN_ROLE"));
+      await expect(tokenVault.connect(admin).setYieldMode(YieldMode.Simple))
+        .to.be.revertedWithCustomError(tokenVault, "YieldModeUnchanged")
+        .withArgs(YieldMode.Simple);
+
+      await expect(tokenVault.connect(admin).setYieldMode(YieldMode.Compound))
+        .to.emit(tokenVault, "YieldModeUpdated")
+        .withArgs(YieldMode.Compound);
+      expect(await tokenVault.yieldMode()).to.equal(YieldMode.Compound);
+    });
+
+    it("should keep yield accrued in each mode across switches", async function () {
+      await fundRewards();
+      const model = new YieldCalculator(YIELD_RATE, indexStartTime, {
+        rewardReserve: REWARDS,
+      });
+      const [user] = users;
+      const amount = ethers.parseEther("1000");
+      let result = await timestampOf(
+        await tokenVault.connect(user).deposit(amount)
+      );
+      model.deposit(user.address, afterFee(amount), result.timestamp);
+
+      // A year of simple yield, claimable after the switch
+      await increaseTime(YEAR);
+      result = await setYieldMode(model, YieldMode.Compound);
+      const simpleYield = model.userYield(user.address, result.timestamp);
+      await expectMatchesModel(model, result, "switch to compound");
+
+      // The reward index stops while compounding
+      await increaseTime(YEAR);
+      expect(await tokenVault.rewardPerToken()).to.equal(
+        await tokenVault.rewardPerTokenStored()
+      );
+
+      // Compound yield not yet credited is credited after switching back
+      result = await setYieldMode(model, YieldMode.Simple);
+      await expectMatchesModel(model, result, "switch to simple");
+      const balanceBefore = await tokenVault.balanceOf(user.address);
+      result = await timestampOf(
+        await tokenVault.connect(user).deposit(amount)
+      );
+      model.deposit(user.address, afterFee(amount), result.timestamp);
+      expect(await tokenVault.balanceOf(user.address)).to.equal(
+        model.balanceOf(user.address)
+      );
+      expect(
+        (await tokenVault.balanceOf(user.address)) - balanceBefore >
+          afterFee(amount)
+      ).to.be.true;
+
+      const tokensBefore = await mockToken.balanceOf(user.address);
+      result = await timestampOf(await tokenVault.connect(user).claimYield());
+      const claimed = model.claim(user.address, result.timestamp);
+      expect(claimed >= simpleYield).to.be.true;
+      expect((await mockToken.balanceOf(user.address)) - tokensBefore).to.equal(
+        claimed
+      );
+      await expectMatchesModel(model, result, "claim");
+    });
+
+    it("should have nothing to claim when all yield is compounded", async function () {
+      await fundRewards();
+      const [user] = users;
+      await setYieldMode(null, YieldMode.Compound);
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+      await increaseTime(YEAR);
+
+      await expect(
+        tokenVault.connect(user).claimYield()
+      ).to.be.revertedWithCustomError(tokenVault, "NothingToClaim");
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("should withdraw the compounded balance in an emergency", async function () {
+      await fundRewards();
+      const [user] = users;
+      await setYieldMode(null, YieldMode.Compound);
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+      await increaseTime(YEAR);
+
+      const compounded =
+        (await tokenVault.balanceOf(user.address)) +
+        (await tokenVault.getUserYield(user.address));
+      const tokensBefore = await mockToken.balanceOf(user.address);
+      await tokenVault.connect(user).emergencyWithdraw();
+
+      const withdrawn =
+        (await mockToken.balanceOf(user.address)) - tokensBefore;
+      expect(withdrawn >= compounded).to.be.true;
+      expect(await tokenVault.balanceOf(user.address)).to.equal(0n);
+      expect(await tokenVault.totalDeposits()).to.equal(0n);
+      expect(await tokenVault.totalScaledBalance()).to.equal(0n);
+      expect(await tokenVault.getTotalYieldLiability()).to.equal(0n);
+    });
+  });
+
+  async function runScenario(seed) {
+    await fundRewards();
+    const random = createRandom(seed);
+    const model = new YieldCalculator(YIELD_RATE, indexStartTime, {
+      rewardReserve: REWARDS,
+    });
+    await setYieldMode(model, YieldMode.Compound);
+
+    for (let step = 0; step < STEPS; step++) {
+      const user = random.pick(users);
+      const balance = model.balanceOf(user.address);
+      const op = random.pick([
+        "deposit",
+        "deposit",
+        "withdraw",
+        "compound",
+        "batch",
+        "claim",
+        "warp",
+        "warp",
+        "rate",
+        "mode",
+      ]);
+      const context = `step ${step} (${op}, seed ${seed})`;
+
+      let result;
+      if (op === "deposit") {
+        const amount = ethers.parseEther(String(random.int(1, 5000)));
+        result = await timestampOf(
+          await tokenVault.connect(user).deposit(amount)
+        );
+        model.deposit(user.address, afterFee(amount), result.timestamp);
+      } else if (op === "withdraw" && balance > 0n) {
+        const amount = (balance * BigInt(random.int(1, 100))) / 100n;
+        result = await timestampOf(
+          await tokenVault.connect(user).withdraw(amount)
+        );
+        model.withdraw(user.address, amount, result.timestamp);
+      } else if (op === "compound") {
+        result = await timestampOf(await tokenVault.compound(user.address));
+        model.compound(user.address, result.timestamp);
+      } else if (op === "batch") {
+        const addresses = users.map((item) => item.address);
+        result = await timestampOf(await tokenVault.compoundBatch(addresses));
+        for (const address of addresses) {
+          model.compound(address, result.timestamp);
+        }
+      } else if (op === "claim" && model.accumulatedYield(user.address) > 0n) {
+        const tokensBefore = await mockToken.balanceOf(user.address);
+        result = await timestampOf(await tokenVault.connect(user).claimYield());
+        const claimed = model.claim(user.address, result.timestamp);
+        expect(
+          (await mockToken.balanceOf(user.address)) - tokensBefore
+        ).to.equal(claimed, `claimed amount mismatch after ${context}`);
+      } else if (op === "rate") {
+        const yieldRate = random.int(0, 2000);
+        result = await timestampOf(
+          await tokenVault.connect(admin).setYieldRate(yieldRate)
+        );
+        model.setYieldRate(yieldRate, result.timestamp);
+      } else if (op === "mode") {
+        result = await setYieldMode(
+          model,
+          model.yieldMode === YieldMode.Simple
+            ? YieldMode.Compound
+            : YieldMode.Simple
+        );
+      } else {
+        // Time warp of up to two years
+        result = await increaseTime(random.int(1, 2 * YEAR));
+      }
+
+      await expectMatchesModel(model, result, context);
+      const report = await tokenVault.solvencyReport({
+        blockTag: result.blockNumber,
+      });
+      expect(report.surplus >= 0n).to.equal(
+        true,
+        `vault insolvent after ${context}`
+      );
+    }
+  }
+
+  for (const seed of SEEDS) {
+    it(`should match the reference calculator for seed ${seed}`, async function () {
+      await runScenario(seed);
+    });
+  }
+});
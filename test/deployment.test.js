@@ -0,0 +1,334 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readManifest, writeManifest } = require("../scripts/helpers/manifest");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Deployment Scripts", function () {
+  let deployer, user1, user2;
+  let tmpDir;
+  const NETWORK = "hardhat";
+  const HOUR = 60 * 60;
+
+  function writeConfig(config) {
+    const configPath = path.join(tmpDir, "config.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    process.env.DEPLOY_CONFIG = configPath;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-deployments-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Deploy", function () {
+    it("should deploy from config and record the manifest", async function () {
+      writeConfig({ depositFee: 300, timelock: null });
+      const result = await run("deploy-v1");
+
+      const manifest = readManifest(NETWORK);
+      expect(manifest.manifestVersion).to.equal(1);
+      expect(manifest.chainId).to.equal(31337);
+      expect(manifest.token.address).to.equal(result.token);
+      expect(manifest.token.mock).to.equal(true);
+      expect(manifest.timelock).to.equal(null);
+      expect(manifest.vault.proxy).to.equal(result.vault);
+      expect(manifest.vault.version).to.equal("V1");
+
+      const [v1] = manifest.vault.implementations;
+      expect(v1.address).to.equal(result.implementation);
+      expect(v1.args).to.deep.equal([result.token, deployer.address, 300]);
+      const receipt = await ethers.provider.getTransactionReceipt(v1.txHash);
+      expect(receipt.blockNumber).to.equal(v1.blockNumber);
+
+      const vault = await VaultClient.connect(result.vault, deployer);
+      expect(vault.version).to.equal("V1");
+      expect(vault.implementation).to.equal(result.implementation);
+      expect(await vault.getDepositFee()).to.equal(300n);
+      expect(
+        await vault.contract.hasRole(
+          await vault.contract.UPGRADER_ROLE(),
+          deployer.address
+        )
+      ).to.equal(true);
+    });
+
+    it("should use a configured token instead of a mock", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy(ethers.parseEther("1000"));
+      writeConfig({ token: token.target, timelock: null });
+
+      await run("deploy-v1");
+      const manifest = readManifest(NETWORK);
+      expect(manifest.token).to.deep.equal({
+        address: token.target,
+        mock: false,
+      });
+      const vault = await VaultClient.connect(manifest.vault.proxy, deployer);
+      expect((await vault.token()).target).to.equal(token.target);
+    });
+
+    it("should hand the upgrade roles to the configured timelock", async function () {
+      writeConfig({
+        timelock: {
+          minDelay: HOUR,
+          proposers: ["deployer"],
+          executors: [user1.address],
+          cancellers: [user2.address],
+        },
+      });
+      const result = await run("deploy-v1");
+
+      const manifest = readManifest(NETWORK);
+      expect(manifest.timelock.address).to.equal(result.timelock);
+      expect(manifest.timelock.minDelay).to.equal(HOUR);
+      expect(manifest.timelock.executors).to.deep.equal([user1.address]);
+
+      const { contract: vault } = await VaultClient.connect(
+        result.vault,
+        deployer
+      );
+      const timelock = await ethers.getContractAt(
+        "VaultTimelock",
+        result.timelock
+      );
+      expect(
+        await vault.hasRole(await vault.UPGRADER_ROLE(), result.timelock)
+      ).to.equal(true);
+      expect(
+        await vault.hasRole(await vault.UPGRADER_ROLE(), deployer.address)
+      ).to.equal(false);
+      expect(
+        await timelock.hasRole(await timelock.CANCELLER_ROLE(), user2.address)
+      ).to.equal(true);
+    });
+
+    it("should let the admin cancel and keep admin() on the operational admin by default", async function () {
+      writeConfig({});
+      const result = await run("deploy-v1");
+
+      const manifest = readManifest(NETWORK);
+      expect(manifest.timelock.cancellers).to.deep.equal([deployer.address]);
+      const timelock = await ethers.getContractAt(
+        "VaultTimelock",
+        result.timelock
+      );
+      expect(
+        await timelock.hasRole(
+          await timelock.CANCELLER_ROLE(),
+          deployer.address
+        )
+      ).to.equal(true);
+
+      const { contract: vault } = await VaultClient.connect(
+        result.vault,
+        deployer
+      );
+      expect(await vault.admin()).to.equal(deployer.address);
+      expect(
+        await vault.hasRole(await vault.PAUSER_ROLE(), deployer.address)
+      ).to.equal(true);
+      expect(
+        await vault.hasRole(await vault.DEFAULT_ADMIN_ROLE(), deployer.address)
+      ).to.equal(false);
+      expect(
+        await vault.hasRole(await vault.DEFAULT_ADMIN_ROLE(), result.timelock)
+      ).to.equal(true);
+    });
+
+    it("should refuse to deploy over a live deployment", async function () {
+      writeConfig({ timelock: null });
+      await run("deploy-v1");
+      const { proxy } = readManifest(NETWORK).vault;
+
+      await expectRevert(run("deploy-v1"), "already deployed");
+      expect(readManifest(NETWORK).vault.proxy).to.equal(proxy);
+    });
+
+    it("should replace a manifest whose contracts no longer exist", async function () {
+      writeConfig({ timelock: null });
+      await run("deploy-v1");
+      const manifest = readManifest(NETWORK);
+      manifest.vault.proxy = ethers.Wallet.createRandom().address;
+      writeManifest(manifest);
+
+      const result = await run("deploy-v1");
+      expect(readManifest(NETWORK).vault.proxy).to.equal(result.vault);
+    });
+
+    it("should reject an invalid config", async function () {
+      const invalid = [
+        [{ depositFee: 10001 }, "depositFee"],
+        [{ withdrawalDelay: 31 * 24 * HOUR }, "withdrawalDelay"],
+        [{ maxDepositFee: 100 }, "maxDepositFee"],
+        [{ admin: "0x1234" }, "admin"],
+        [{ roles: { MINTER_ROLE: [] } }, "unknown role"],
+        [{ roles: { GUARDIAN_ROLE: ["admin"] } }, "must not include admin"],
+        [{ yieldMode: "daily" }, '"daily" is not a yield mode'],
+        [{ admin: user1.address }, "admin is the deployer"],
+      ];
+      for (const [config, reason] of invalid) {
+        writeConfig(config);
+        await expectRevert(run("deploy-v1"), reason);
+      }
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("should upgrade the manifest's proxy directly and record each version", async function () {
+      writeConfig({
+        yieldRate: 700,
+        withdrawalDelay: 24 * HOUR,
+        roles: { PAUSER_ROLE: [user1.address], GUARDIAN_ROLE: [user2.address] },
+        timelock: null,
+      });
+      await run("deploy-v1");
+      await run("upgrade-to-v2");
+      await run("upgrade-to-v3");
+      await run("upgrade-to-v4");
+
+      const manifest = readManifest(NETWORK);
+      const history = manifest.vault.implementations;
+      expect(history.map((entry) => entry.version)).to.deep.equal([
+        "V1",
+        "V2",
+        "V3",
+        "V4",
+      ]);
+      expect(history.every((entry) => entry.mode === "direct")).to.equal(true);
+      expect(new Set(history.map((entry) => entry.address)).size).to.equal(4);
+      expect(history[1].args).to.deep.equal([700]);
+      expect(history[2].args).to.deep.equal([24 * HOUR]);
+      expect(manifest.vault.version).to.equal("V4");
+      expect(manifest.vault.implementation).to.equal(history[3].address);
+
+      const client = await VaultClient.connect(manifest.vault.proxy, deployer);
+      expect(client.version).to.equal("V4");
+      expect(client.implementation).to.equal(history[3].address);
+      expect(await client.getYieldRate()).to.equal(700n);
+      expect(await client.getWithdrawalDelay()).to.equal(BigInt(24 * HOUR));
+      const vault = client.contract;
+      expect(
+        await vault.hasRole(await vault.PAUSER_ROLE(), user1.address)
+      ).to.equal(true);
+      expect(
+        await vault.hasRole(await vault.GUARDIAN_ROLE(), user2.address)
+      ).to.equal(true);
+    });
+
+    it("should fund the reward reserve in the token's decimals", async function () {
+      const MockERC20Decimals = await ethers.getContractFactory(
+        "MockERC20Decimals"
+      );
+      const token = await MockERC20Decimals.deploy(
+        ethers.parseUnits("1000000", 6),
+        6
+      );
+      writeConfig({ token: token.target, rewardFunding: "1000", timelock: null });
+      await run("deploy-v1");
+      await run("upgrade-to-v2");
+      await run("upgrade-to-v3");
+      await run("upgrade-to-v4");
+
+      const manifest = readManifest(NETWORK);
+      const client = await VaultClient.connect(manifest.vault.proxy, deployer);
+      expect(await client.contract.getRewardReserve()).to.equal(
+        ethers.parseUnits("1000", 6)
+      );
+    });
+
+    it("should record proposals and executions through the timelock", async function () {
+      writeConfig({
+        yieldRate: 800,
+        timelock: {
+          minDelay: HOUR,
+          proposers: ["deployer"],
+          executors: ["deployer"],
+        },
+      });
+      await run("deploy-v1");
+      await run("upgrade-to-v2", { UPGRADE_MODE: "propose" });
+
+      let manifest = readManifest(NETWORK);
+      const pending = manifest.vault.pendingUpgrade;
+      expect(pending.version).to.equal("V2");
+      expect(pending.args).to.deep.equal([800]);
+      expect(manifest.vault.version).to.equal("V1");
+
+      await expectRevert(
+        run("upgrade-to-v2", { UPGRADE_MODE: "execute" }),
+        "is not ready"
+      );
+      await expectRevert(
+        run("upgrade-to-v2", { UPGRADE_MODE: "propose" }),
+        "already pending"
+      );
+      await expectRevert(
+        run("upgrade-to-v3", { UPGRADE_MODE: "propose" }),
+        "upgrade to V2 is pending"
+      );
+
+      await increaseTime(HOUR);
+      await run("upgrade-to-v2", { UPGRADE_MODE: "execute" });
+
+      manifest = readManifest(NETWORK);
+      const [, v2] = manifest.vault.implementations;
+      expect(manifest.vault.pendingUpgrade).to.equal(null);
+      expect(manifest.vault.version).to.equal("V2");
+      expect(v2.mode).to.equal("timelock");
+      expect(v2.operationId).to.equal(pending.operationId);
+      expect(v2.address).to.equal(pending.address);
+
+      const vault = await VaultClient.connect(manifest.vault.proxy, deployer);
+      expect(vault.version).to.equal("V2");
+      expect(await vault.getYieldRate()).to.equal(800n);
+    });
+
+    it("should clear a cancelled proposal from the manifest", async function () {
+      writeConfig({ timelock: { minDelay: HOUR } });
+      await run("deploy-v1");
+      await run("upgrade-to-v2", { UPGRADE_MODE: "propose" });
+      const { operationId } = readManifest(NETWORK).vault.pendingUpgrade;
+
+      await run("upgrade-to-v2", { UPGRADE_MODE: "cancel" });
+
+      const manifest = readManifest(NETWORK);
+      expect(manifest.vault.pendingUpgrade).to.equal(null);
+      const timelock = await ethers.getContractAt(
+        "VaultTimelock",
+        manifest.timelock.address
+      );
+      expect(await timelock.isOperationPending(operationId)).to.equal(false);
+    });
+
+    it("should require a deployment manifest", async function () {
+      writeConfig({ timelock: null });
+      await expectRevert(run("upgrade-to-v2"), "No deployment manifest");
+    });
+
+    it("should reject timelock modes for a deployment without a timelock", async function () {
+      writeConfig({ timelock: null });
+      await run("deploy-v1");
+      await expectRevert(
+        run("upgrade-to-v2", { UPGRADE_MODE: "propose" }),
+        "No timelock recorded"
+      );
+    });
+  });
+});
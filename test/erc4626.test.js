@@ -0,0 +1,363 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("TokenVaultV4 ERC-4626 Shares", function () {
+  let tokenVault;
+  let mockToken;
+  let owner, admin, user1, user2, user3, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+
+  const feeOf = (amount, fee = DEPOSIT_FEE) =>
+    (amount * BigInt(fee)) / BigInt(10000);
+
+  let preUpgradeBalances;
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, user3, treasury] = await ethers.getSigners();
+
+    // Deploy mock token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and deposit
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    for (const user of [user1, user2, user3]) {
+      await mockToken.transfer(user.address, ethers.parseEther("10000"));
+      await mockToken
+        .connect(user)
+        .approve(tokenVault.target, ethers.MaxUint256);
+    }
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    // Upgrade through V2 and V3
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+    await tokenVault.connect(user2).deposit(ethers.parseEther("500"));
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    preUpgradeBalances = {
+      user1: await tokenVault.balanceOf(user1.address),
+      user2: await tokenVault.balanceOf(user2.address),
+      total: await tokenVault.totalDeposits(),
+    };
+
+    // Upgrade to V4
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    await tokenVault
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+  });
+
+  function eventsOf(receipt, eventName) {
+    // The token's own Transfer logs share the share token's signature
+    return receipt.logs
+      .filter((log) => log.address === tokenVault.target)
+      .map((log) => tokenVault.interface.parseLog(log))
+      .filter((event) => event && event.name === eventName);
+  }
+
+  describe("Share Migration", function () {
+    it("should expose existing balances as shares", async function () {
+      expect(await tokenVault.maxRedeem(user1.address)).to.equal(
+        preUpgradeBalances.user1
+      );
+      expect(await tokenVault.maxRedeem(user2.address)).to.equal(
+        preUpgradeBalances.user2
+      );
+      expect(await tokenVault.totalSupply()).to.equal(preUpgradeBalances.total);
+      expect(await tokenVault.totalAssets()).to.equal(preUpgradeBalances.total);
+    });
+
+    it("should convert between shares and assets one to one", async function () {
+      const amount = ethers.parseEther("123");
+      expect(await tokenVault.convertToShares(amount)).to.equal(amount);
+      expect(await tokenVault.convertToAssets(amount)).to.equal(amount);
+    });
+
+    it("should describe the share token", async function () {
+      expect(await tokenVault.asset()).to.equal(mockToken.target);
+      expect(await tokenVault.name()).to.equal("Token Vault MockToken");
+      expect(await tokenVault.symbol()).to.equal("tvMOCK");
+      expect(await tokenVault.decimals()).to.equal(18n);
+    });
+  });
+
+  describe("Deposit and Mint", function () {
+    it("should reflect the deposit fee in previewDeposit", async function () {
+      const amount = ethers.parseEther("100");
+      expect(await tokenVault.previewDeposit(amount)).to.equal(
+        amount - feeOf(amount)
+      );
+    });
+
+    it("should credit the receiver with previewDeposit shares", async function () {
+      const amount = ethers.parseEther("100");
+      const expected = await tokenVault.previewDeposit(amount);
+      const feesBefore = await tokenVault.getAccruedFees();
+
+      const tx = await tokenVault
+        .connect(user3)
+        ["deposit(uint256,address)"](amount, user2.address);
+      const receipt = await tx.wait();
+
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(
+        preUpgradeBalances.user2 + expected
+      );
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(0n);
+      expect((await tokenVault.getAccruedFees()) - feesBefore).to.equal(
+        feeOf(amount)
+      );
+
+      const [deposit] = eventsOf(receipt, "Deposit").filter(
+        (event) => event.args.length === 4
+      );
+      expect(deposit.args.sender).to.equal(user3.address);
+      expect(deposit.args.owner).to.equal(user2.address);
+      expect(deposit.args.assets).to.equal(amount);
+      expect(deposit.args.shares).to.equal(expected);
+
+      const [transfer] = eventsOf(receipt, "Transfer");
+      expect(transfer.args.from).to.equal(ethers.ZeroAddress);
+      expect(transfer.args.to).to.equal(user2.address);
+      expect(transfer.args.value).to.equal(expected);
+    });
+
+    it("should mint exact shares for previewMint assets", async function () {
+      const shares = ethers.parseEther("95");
+      const assets = await tokenVault.previewMint(shares);
+      const tokensBefore = await mockToken.balanceOf(user3.address);
+      const feesBefore = await tokenVault.getAccruedFees();
+
+      await tokenVault.connect(user3).mint(shares, user3.address);
+
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(shares);
+      expect(tokensBefore - (await mockToken.balanceOf(user3.address))).to.equal(
+        assets
+      );
+      expect((await tokenVault.getAccruedFees()) - feesBefore).to.equal(
+        assets - shares
+      );
+      // Rounding favours the vault, never the minter
+      expect(await tokenVault.previewDeposit(assets) >= shares).to.be.true;
+    });
+
+    it("should use a matured fee increase in previews", async function () {
+      await tokenVault.connect(admin).setDepositFee(MAX_DEPOSIT_FEE);
+      const amount = ethers.parseEther("100");
+      expect(await tokenVault.previewDeposit(amount)).to.equal(
+        amount - feeOf(amount)
+      );
+
+      await ethers.provider.send("evm_increaseTime", [FEE_UPDATE_DELAY]);
+      await ethers.provider.send("evm_mine");
+      const expected = amount - feeOf(amount, MAX_DEPOSIT_FEE);
+      expect(await tokenVault.previewDeposit(amount)).to.equal(expected);
+
+      await tokenVault
+        .connect(user3)
+        ["deposit(uint256,address)"](amount, user3.address);
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(expected);
+    });
+
+    it("should report no deposit capacity while paused", async function () {
+      await tokenVault.connect(admin).pauseDeposits();
+      expect(await tokenVault.maxDeposit(user3.address)).to.equal(0n);
+      expect(await tokenVault.maxMint(user3.address)).to.equal(0n);
+
+      await expect(
+        tokenVault
+          .connect(user3)
+          ["deposit(uint256,address)"](ethers.parseEther("1"), user3.address)
+      ).to.be.revertedWithCustomError(tokenVault, "DepositsPaused");
+    });
+  });
+
+  describe("Withdraw and Redeem", function () {
+    it("should withdraw assets to a receiver", async function () {
+      const amount = ethers.parseEther("100");
+      const tokensBefore = await mockToken.balanceOf(user3.address);
+
+      await tokenVault
+        .connect(user1)
+        ["withdraw(uint256,address,address)"](
+          amount,
+          user3.address,
+          user1.address
+        );
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(
+        preUpgradeBalances.user1 - amount
+      );
+      expect((await mockToken.balanceOf(user3.address)) - tokensBefore).to.equal(
+        amount
+      );
+      expect(await tokenVault.totalAssets()).to.equal(
+        preUpgradeBalances.total - amount
+      );
+    });
+
+    it("should redeem shares for the same amount of assets", async function () {
+      const shares = await tokenVault.maxRedeem(user2.address);
+      expect(await tokenVault.previewRedeem(shares)).to.equal(shares);
+      const tokensBefore = await mockToken.balanceOf(user2.address);
+
+      await tokenVault
+        .connect(user2)
+        .redeem(shares, user2.address, user2.address);
+
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(0n);
+      expect((await mockToken.balanceOf(user2.address)) - tokensBefore).to.equal(
+        shares
+      );
+    });
+
+    it("should spend allowance when withdrawing for another owner", async function () {
+      const amount = ethers.parseEther("100");
+      await tokenVault.connect(user1).approve(user3.address, amount * 2n);
+
+      await tokenVault
+        .connect(user3)
+        .redeem(amount, user3.address, user1.address);
+      expect(await tokenVault.allowance(user1.address, user3.address)).to.equal(
+        amount
+      );
+
+      await tokenVault
+        .connect(user3)
+        ["withdraw(uint256,address,address)"](
+          amount,
+          user3.address,
+          user1.address
+        );
+      expect(await tokenVault.allowance(user1.address, user3.address)).to.equal(
+        0n
+      );
+    });
+
+    it("should prevent withdrawing another owner's shares without allowance", async function () {
+      await expect(
+        tokenVault
+          .connect(user3)
+          .redeem(ethers.parseEther("1"), user3.address, user1.address)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "InsufficientAllowance")
+        .withArgs(ethers.parseEther("1"), 0n);
+    });
+  });
+
+  describe("Share Transfers", function () {
+    it("should transfer shares between users", async function () {
+      const amount = ethers.parseEther("100");
+      await tokenVault.connect(user1).transfer(user3.address, amount);
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(
+        preUpgradeBalances.user1 - amount
+      );
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(amount);
+      expect(await tokenVault.totalSupply()).to.equal(preUpgradeBalances.total);
+
+      // The recipient can withdraw the shares it received
+      await tokenVault.connect(user3).withdraw(amount);
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(0n);
+    });
+
+    it("should transfer shares with an allowance", async function () {
+      const amount = ethers.parseEther("50");
+      await tokenVault.connect(user1).approve(user3.address, ethers.MaxUint256);
+      await tokenVault
+        .connect(user3)
+        .transferFrom(user1.address, user2.address, amount);
+
+      expect(await tokenVault.balanceOf(user2.address)).to.equal(
+        preUpgradeBalances.user2 + amount
+      );
+      // Unlimited allowances are not reduced
+      expect(await tokenVault.allowance(user1.address, user3.address)).to.equal(
+        ethers.MaxUint256
+      );
+    });
+
+    it("should keep yield accrued before a transfer with the sender", async function () {
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+      await ethers.provider.send("evm_increaseTime", [365 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      const accrued = await tokenVault.getUserYield(user3.address);
+
+      const shares = await tokenVault.balanceOf(user3.address);
+      await tokenVault.connect(user3).transfer(user2.address, shares);
+
+      // Sender keeps what it earned and stops accruing
+      const kept = await tokenVault.getUserYield(user3.address);
+      expect(kept >= accrued).to.be.true;
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      expect(await tokenVault.getUserYield(user3.address)).to.equal(kept);
+    });
+
+    it("should reject transfers above the balance", async function () {
+      await expect(
+        tokenVault
+          .connect(user1)
+          .transfer(user3.address, preUpgradeBalances.user1 + 1n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "InsufficientBalance")
+        .withArgs(preUpgradeBalances.user1 + 1n, preUpgradeBalances.user1);
+    });
+  });
+
+  describe("Legacy Entry Points", function () {
+    it("should keep deposit(uint256) and withdraw(uint256) working", async function () {
+      const amount = ethers.parseEther("100");
+      const tx = await tokenVault.connect(user3).deposit(amount);
+      const receipt = await tx.wait();
+
+      const credited = amount - feeOf(amount);
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(credited);
+
+      // Old callers still see the V1 event, share holders see a mint
+      const [legacy] = eventsOf(receipt, "Deposit").filter(
+        (event) => event.args.length === 3
+      );
+      expect(legacy.args.user).to.equal(user3.address);
+      expect(legacy.args.amount).to.equal(credited);
+      expect(legacy.args.fee).to.equal(feeOf(amount));
+      expect(eventsOf(receipt, "Transfer")).to.have.length(1);
+
+      await tokenVault.connect(user3).withdraw(credited);
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(0n);
+    });
+
+    it("should burn shares on delayed and emergency withdrawals", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+      await tokenVault.connect(user1).executeWithdrawal();
+      await tokenVault.connect(user2).emergencyWithdraw();
+
+      expect(await tokenVault.totalSupply()).to.equal(
+        preUpgradeBalances.user1 - ethers.parseEther("100")
+      );
+    });
+  });
+});
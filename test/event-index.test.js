@@ -0,0 +1,333 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  getIndexPath,
+  readIndex,
+  syncIndex,
+} = require("../scripts/helpers/event-index");
+const {
+  queryEvents,
+  userStatement,
+  periodTotals,
+} = require("../scripts/helpers/event-queries");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Event Indexer", function () {
+  let deployer, user1, user2, user3;
+  let tmpDir;
+  let token, vault;
+  const DAY = 24 * 60 * 60;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  async function fund(user, amount) {
+    await token.transfer(user.address, ethers.parseEther(amount));
+    await token.connect(user).approve(vault.target, ethers.MaxUint256);
+  }
+
+  async function timestampOf(tx) {
+    const receipt = await tx.wait();
+    return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2, user3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-index-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+    const configPath = path.join(tmpDir, "config.json");
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ withdrawalDelay: DAY, timelock: null })
+    );
+    process.env.DEPLOY_CONFIG = configPath;
+
+    const deployed = await run("deploy-v1");
+    token = await ethers.getContractAt("MockERC20", deployed.token);
+    vault = await VaultClient.connect(deployed.vault, deployer);
+    await fund(user1, "1000");
+    await fund(user2, "500");
+    await vault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("Indexing", function () {
+    it("should decode every event with the ABI of the active implementation", async function () {
+      await run("upgrade-to-v2");
+      const v2 = await VaultClient.connect(vault.target, deployer);
+      await v2.connect(user2).deposit(ethers.parseEther("500"));
+      await increaseTime(30 * DAY);
+      await v2.connect(user2).claimYield();
+      await v2.pauseDeposits();
+      await v2.unpauseDeposits();
+
+      await run("upgrade-to-v3");
+      const v3 = await VaultClient.connect(vault.target, deployer);
+      await v3.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+
+      const { index, sync } = await run("index-events");
+
+      expect(sync).to.include({ reorg: false, removed: 0 });
+      expect(sync.added).to.equal(index.events.length);
+      expect(index.implementations.map((entry) => entry.version)).to.deep.equal(
+        ["V1", "V2", "V3"]
+      );
+      expect(index.events.every((event) => event.event !== null)).to.be.true;
+      expect(queryEvents(index, { event: "Upgraded" }).length).to.equal(3);
+
+      const versionOf = (name) =>
+        queryEvents(index, { event: name }).map((event) => event.version);
+      expect(versionOf("Deposit")).to.deep.equal(["V1", "V2"]);
+      expect(versionOf("YieldClaimed")).to.deep.equal(["V2"]);
+      expect(versionOf("DepositsToggled")).to.deep.equal(["V2", "V2"]);
+      const [request] = queryEvents(index, { event: "WithdrawalRequested" });
+      expect(request.version).to.equal("V3");
+      expect(request.args).to.include({
+        user: user1.address,
+        amount: ethers.parseEther("100").toString(),
+      });
+
+      // The store round-trips through the deployments directory
+      expect(getIndexPath("hardhat")).to.equal(
+        path.join(tmpDir, "hardhat.events.json")
+      );
+      expect(readIndex("hardhat")).to.deep.equal(
+        JSON.parse(JSON.stringify(index))
+      );
+    });
+
+    it("should resume from the stored head", async function () {
+      const first = await run("index-events");
+      expect(first.sync.added).to.equal(first.index.events.length);
+
+      await vault.connect(user2).deposit(ethers.parseEther("200"));
+      await vault.connect(user1).withdraw(ethers.parseEther("50"));
+      const second = await run("index-events");
+
+      expect(second.sync.added).to.equal(2);
+      expect(second.index.events.length).to.equal(
+        first.index.events.length + 2
+      );
+      expect(second.index.head.number).to.equal(
+        await ethers.provider.getBlockNumber()
+      );
+
+      const third = await run("index-events");
+      expect(third.sync.added).to.equal(0);
+    });
+
+    it("should drop events from blocks replaced by a reorg", async function () {
+      await run("index-events");
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await vault.connect(user2).deposit(ethers.parseEther("200"));
+      await vault.connect(user2).withdraw(ethers.parseEther("10"));
+      let { index } = await run("index-events");
+      expect(userStatement(index, user2.address).rows.length).to.equal(2);
+
+      // The local node replaces both blocks with a longer chain
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await token.transfer(user3.address, ethers.parseEther("300"));
+      await token.connect(user3).approve(vault.target, ethers.MaxUint256);
+      await vault.connect(user3).deposit(ethers.parseEther("300"));
+
+      const result = await run("index-events");
+      index = result.index;
+      expect(result.sync).to.include({ reorg: true, removed: 2, added: 1 });
+      expect(userStatement(index, user2.address).rows).to.deep.equal([]);
+      expect(userStatement(index, user3.address).closingBalance).to.equal(
+        await vault.balanceOf(user3.address)
+      );
+      for (const event of index.events) {
+        const block = await ethers.provider.getBlock(event.blockNumber);
+        expect(event.blockHash).to.equal(block.hash);
+      }
+    });
+
+    it("should stay behind the tip by the requested confirmations", async function () {
+      const index = (await run("index-events")).index;
+      await vault.connect(user2).deposit(ethers.parseEther("200"));
+      await ethers.provider.send("evm_mine");
+
+      let result = await syncIndex(index, { confirmations: 2 });
+      expect(result.added).to.equal(0);
+      result = await syncIndex(index);
+      expect(result.added).to.equal(1);
+    });
+
+    it("should refuse an index of another vault", async function () {
+      await run("index-events");
+      const indexPath = getIndexPath("hardhat");
+      const stored = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+      stored.proxy = user3.address;
+      fs.writeFileSync(indexPath, JSON.stringify(stored));
+
+      await expectRevert(run("index-events"), "delete it to reindex");
+    });
+  });
+
+  describe("Queries", function () {
+    it("should build a per-user statement with a running balance", async function () {
+      await run("upgrade-to-v2");
+      const v2 = await VaultClient.connect(vault.target, deployer);
+      await increaseTime(DAY);
+      await v2.connect(user2).deposit(ethers.parseEther("500"));
+      await increaseTime(30 * DAY);
+      const claimed = await timestampOf(await v2.connect(user2).claimYield());
+      await v2.connect(user2).withdraw(ethers.parseEther("100"));
+
+      await run("upgrade-to-v3");
+      const v3 = await VaultClient.connect(vault.target, deployer);
+      await v3.connect(user2).requestWithdrawal(ethers.parseEther("50"));
+      await increaseTime(DAY);
+      await v3.connect(user2).executeWithdrawal();
+
+      const { index, statement, totals } = await run("index-events", {
+        INDEX_ACCOUNT: user2.address,
+      });
+
+      expect(statement.rows.map((row) => row.type)).to.deep.equal([
+        "deposit",
+        "yieldClaim",
+        "withdrawal",
+        "withdrawalRequest",
+        "withdrawalExecuted",
+      ]);
+      expect(statement.rows[0]).to.include({
+        amount: ethers.parseEther("475"),
+        fee: ethers.parseEther("25"),
+        balance: ethers.parseEther("475"),
+      });
+      expect(statement.rows.map((row) => row.balance)).to.deep.equal(
+        ["475", "475", "375", "375", "325"].map((value) =>
+          ethers.parseEther(value)
+        )
+      );
+      expect(statement.closingBalance).to.equal(
+        await v3.balanceOf(user2.address)
+      );
+      const [yieldClaim] = await v3.contract.queryFilter(
+        v3.contract.filters.YieldClaimed()
+      );
+      expect(statement.totals).to.include({
+        deposited: ethers.parseEther("475"),
+        fees: ethers.parseEther("25"),
+        withdrawn: ethers.parseEther("150"),
+        requested: ethers.parseEther("50"),
+        yieldClaimed: yieldClaim.args.amount,
+      });
+
+      // A period from the claim on opens with the deposit already in
+      const later = userStatement(index, user2.address, { from: claimed });
+      expect(later.openingBalance).to.equal(ethers.parseEther("475"));
+      expect(later.rows.length).to.equal(4);
+      expect(later.closingBalance).to.equal(statement.closingBalance);
+
+      // Vault-wide totals over all time
+      expect(totals).to.include({
+        deposits: ethers.parseEther("1425"),
+        fees: ethers.parseEther("75"),
+        withdrawals: ethers.parseEther("150"),
+        withdrawalRequests: ethers.parseEther("50"),
+        depositors: 2,
+      });
+    });
+
+    it("should list compounded yield as a balance change", async function () {
+      fs.writeFileSync(
+        process.env.DEPLOY_CONFIG,
+        JSON.stringify({
+          withdrawalDelay: DAY,
+          timelock: null,
+          yieldMode: "compound",
+          rewardFunding: "1000",
+        })
+      );
+      for (const script of ["upgrade-to-v2", "upgrade-to-v3", "upgrade-to-v4"]) {
+        await run(script);
+      }
+      const v4 = await VaultClient.connect(vault.target, deployer);
+      await increaseTime(365 * DAY);
+      await v4.compound(user1.address);
+      await v4.connect(user1).withdraw(ethers.parseEther("100"));
+
+      const { statement, totals } = await run("index-events", {
+        INDEX_ACCOUNT: user1.address,
+      });
+      const events = await v4.contract.queryFilter(
+        v4.contract.filters.YieldCompounded()
+      );
+      const compounded = events.reduce(
+        (sum, event) => sum + event.args.amount,
+        0n
+      );
+
+      expect(statement.rows.map((row) => row.type)).to.deep.equal([
+        "deposit",
+        "yieldCompound",
+        "yieldCompound",
+        "withdrawal",
+      ]);
+      expect(statement.rows[1].balance).to.equal(
+        ethers.parseEther("950") + events[0].args.amount
+      );
+      expect(statement.closingBalance).to.equal(
+        await v4.balanceOf(user1.address)
+      );
+      expect(statement.totals).to.include({
+        yieldCompounded: compounded,
+        withdrawn: ethers.parseEther("100"),
+      });
+      expect(totals).to.include({
+        yieldCompounded: compounded,
+        withdrawals: ethers.parseEther("100"),
+      });
+    });
+
+    it("should sum vault activity over a period", async function () {
+      await increaseTime(10 * DAY);
+      const start = await timestampOf(
+        await vault.connect(user2).deposit(ethers.parseEther("200"))
+      );
+      await vault.connect(user1).withdraw(ethers.parseEther("100"));
+      await increaseTime(10 * DAY);
+      await vault.connect(user2).deposit(ethers.parseEther("100"));
+
+      const { index } = await run("index-events");
+      const period = {
+        from: new Date(start * 1000).toISOString(),
+        to: start + 5 * DAY,
+      };
+
+      const totals = periodTotals(index, period);
+      expect(totals).to.include({
+        from: start,
+        events: 2,
+        deposits: ethers.parseEther("190"),
+        fees: ethers.parseEther("10"),
+        withdrawals: ethers.parseEther("100"),
+        depositors: 1,
+        accounts: 2,
+      });
+      expect(
+        queryEvents(index, { ...period, account: user2.address }).length
+      ).to.equal(1);
+
+      await expectRevert(
+        run("index-events", { INDEX_FROM: "last tuesday" }),
+        'Invalid time "last tuesday"'
+      );
+    });
+  });
+});
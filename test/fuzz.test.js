@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  VaultFuzzer,
+  generateSequence,
+  formatSequence,
+  shrinkSequence,
+} = require("./helpers/fuzz");
+const { VaultModel } = require("./helpers/vault-model");
+
+describe("Stateful Fuzzing (V1 -> V2 -> V3)", function () {
+  let fuzzer;
+
+  // FUZZ_SEED replays a single seed; FUZZ_STEPS lengthens the sequences
+  const SEEDS = process.env.FUZZ_SEED
+    ? [Number(process.env.FUZZ_SEED)]
+    : [1, 7, 2024];
+  const STEPS = Number(process.env.FUZZ_STEPS || 60);
+
+  // A model that forgets to clear the withdrawal request on emergencyWithdraw
+  class ForgetfulModel extends VaultModel {
+    emergencyWithdraw(address) {
+      const { request } = this._user(address);
+      const result = super.emergencyWithdraw(address);
+      this._user(address).request = request;
+      return result;
+    }
+  }
+
+  before(async function () {
+    const [, admin, ...signers] = await ethers.getSigners();
+    fuzzer = await VaultFuzzer.deploy({ admin, users: signers.slice(0, 6) });
+  });
+
+  describe("Random Sequences", function () {
+    for (const seed of SEEDS) {
+      it(`should match the model through upgrades for seed ${seed}`, async function () {
+        this.timeout(0);
+        const ops = generateSequence(seed, { length: STEPS });
+        const failure = await fuzzer.run(ops);
+        if (failure) {
+          const { ops: minimal, failure: reduced } = await fuzzer.shrink(ops);
+          expect.fail(
+            [
+              `seed ${seed}, step ${failure.step} (${failure.op}): ${failure.message}`,
+              `Minimal reproducer (${reduced.message}):`,
+              ...formatSequence(minimal).map((line) => `  ${line}`),
+            ].join("\n")
+          );
+        }
+      });
+    }
+
+    it("should generate the same sequence from the same seed", function () {
+      expect(generateSequence(42)).to.deep.equal(generateSequence(42));
+      expect(generateSequence(42)).to.not.deep.equal(generateSequence(43));
+
+      const ops = generateSequence(42, { length: 100 });
+      expect(ops.filter((op) => op.type === "upgrade").length).to.equal(2);
+      // Until the V3 upgrade only V1/V2 operations are drawn
+      const v3 = ops.findIndex(
+        (op, index) =>
+          op.type === "upgrade" &&
+          ops.slice(0, index).some((earlier) => earlier.type === "upgrade")
+      );
+      expect(
+        ops
+          .slice(0, v3)
+          .some((op) =>
+            ["requestWithdrawal", "executeWithdrawal", "emergencyWithdraw"].includes(
+              op.type
+            )
+          )
+      ).to.be.false;
+    });
+  });
+
+  describe("Shrinking", function () {
+    it("should reduce a sequence to the operations a predicate needs", async function () {
+      const ops = generateSequence(7, { length: 40 });
+      const needs = (candidate) => {
+        const request = candidate.findIndex((op) => op.type === "requestWithdrawal");
+        return (
+          request >= 0 &&
+          candidate.slice(request).some((op) => op.type === "claimYield")
+        );
+      };
+      expect(needs(ops)).to.be.true;
+
+      const { ops: minimal } = await shrinkSequence(ops, async (candidate) =>
+        needs(candidate)
+      );
+      expect(minimal.map((op) => op.type)).to.deep.equal([
+        "requestWithdrawal",
+        "claimYield",
+      ]);
+      // Users are renumbered from user0 in order of appearance
+      expect(minimal[0]).to.include({ share: 100, user: 0 });
+    });
+
+    it("should find and shrink a divergence between the vault and the model", async function () {
+      this.timeout(0);
+      const options = { Model: ForgetfulModel };
+      const ops = generateSequence(17, { length: 60 });
+      const failure = await fuzzer.run(ops, options);
+      expect(failure).to.not.equal(null);
+      expect(failure.op).to.match(/emergencyWithdraw/);
+
+      const { ops: minimal, failure: reduced } = await fuzzer.shrink(
+        ops,
+        options
+      );
+      // One deposit, in V1 or V2, then both upgrades, a request and the emergency
+      const lines = formatSequence(minimal);
+      expect(lines.length).to.equal(5);
+      expect([...lines].sort()).to.deep.equal([
+        "upgrade()",
+        "upgrade()",
+        `user0.deposit(${ethers.parseEther("1")} wei)`,
+        "user0.emergencyWithdraw()",
+        "user0.requestWithdrawal(100%)",
+      ]);
+      expect(lines.slice(3)).to.deep.equal([
+        "user0.requestWithdrawal(100%)",
+        "user0.emergencyWithdraw()",
+      ]);
+      expect(reduced.message).to.include("user0 request amount");
+
+      // The real model agrees with the vault on the reproducer
+      expect(await fuzzer.run(minimal)).to.equal(null);
+    });
+  });
+});
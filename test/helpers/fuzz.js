@@ -0,0 +1,488 @@
+/**
+ * Stateful fuzz harness for TokenVault V1 to V3.
+ *
+ * Generates seeded random sequences of user operations, admin pauses, time warps
+ * and upgrades, runs them against a vault on the Hardhat network and compares
+ * every step with VaultModel: the same calls must revert with the same reasons,
+ * and balances, yield, requests and token holdings must match after each step.
+ * Block timestamps are set explicitly and transactions carry a fixed gas limit,
+ * so reverting calls are mined too and a sequence always replays identically.
+ * A failing sequence is shrunk to a minimal reproducer.
+ */
+const { ethers, upgrades } = require("hardhat");
+const { VaultClient } = require("../../scripts/helpers/vault-client");
+const { createRandom } = require("./yield-calculator");
+const { VaultModel, VERSIONS, OPERATION_VERSIONS } = require("./vault-model");
+
+const GAS_LIMIT = 3_000_000;
+const DAY = 24 * 60 * 60;
+const ONE_TOKEN = ethers.parseEther("1");
+
+// Relative frequency of each operation in generated sequences
+const WEIGHTS = {
+  deposit: 4,
+  withdraw: 2,
+  requestWithdrawal: 2,
+  executeWithdrawal: 2,
+  emergencyWithdraw: 1,
+  claimYield: 2,
+  pauseDeposits: 1,
+  unpauseDeposits: 1,
+  warp: 3,
+};
+
+// Operations taking a share (percent) of the user's balance
+const SHARE_OPERATIONS = ["withdraw", "requestWithdrawal"];
+const ADMIN_OPERATIONS = ["pauseDeposits", "unpauseDeposits"];
+
+function pickWeighted(random, operations) {
+  const total = operations.reduce((sum, operation) => sum + WEIGHTS[operation], 0);
+  let roll = random.next() * total;
+  for (const operation of operations) {
+    roll -= WEIGHTS[operation];
+    if (roll < 0) {
+      return operation;
+    }
+  }
+  return operations[operations.length - 1];
+}
+
+/**
+ * Random sequence of `length` operations for `users` accounts. Both upgrades are
+ * placed at random steps; until then only the running version's operations are drawn.
+ * Amounts include zero, dust and more than the balance, to reach the revert paths.
+ */
+function generateSequence(seed, { length = 60, users = 6 } = {}) {
+  const random = createRandom(seed);
+  const upgradeSteps = new Set();
+  while (upgradeSteps.size < VERSIONS.length - 1) {
+    upgradeSteps.add(random.int(0, length - 1));
+  }
+
+  const ops = [];
+  let version = 0;
+  for (let step = 0; step < length; step++) {
+    if (upgradeSteps.has(step)) {
+      ops.push({ type: "upgrade" });
+      version++;
+      continue;
+    }
+
+    const available = Object.keys(WEIGHTS).filter(
+      (operation) =>
+        operation === "warp" ||
+        VERSIONS.indexOf(OPERATION_VERSIONS[operation]) <= version
+    );
+    const type = pickWeighted(random, available);
+    const op = { type };
+    if (!ADMIN_OPERATIONS.includes(type) && type !== "warp") {
+      op.user = random.int(0, users - 1);
+    }
+
+    const roll = random.next();
+    if (type === "deposit") {
+      if (roll < 0.05) {
+        op.amount = 0n;
+      } else if (roll < 0.2) {
+        op.amount = BigInt(random.int(1, 1000000));
+      } else {
+        op.amount = BigInt(random.int(1, 3000)) * ONE_TOKEN;
+      }
+    } else if (SHARE_OPERATIONS.includes(type)) {
+      if (roll < 0.05) {
+        op.share = 0;
+      } else if (roll < 0.1) {
+        op.share = random.int(101, 150);
+      } else {
+        op.share = random.int(1, 100);
+      }
+    } else if (type === "warp") {
+      op.seconds = random.pick([
+        random.int(1, 60 * 60),
+        random.int(1, 14 * DAY),
+        random.int(1, 400 * DAY),
+      ]);
+    }
+    ops.push(op);
+  }
+  return ops;
+}
+
+/**
+ * One line per operation, e.g. "user2.withdraw(40%)"
+ */
+function formatSequence(ops) {
+  return ops.map((op) => {
+    if (op.type === "upgrade" || op.type === "warp") {
+      return op.type === "warp" ? `warp(${op.seconds}s)` : "upgrade()";
+    }
+    const caller = op.user === undefined ? "admin" : `user${op.user}`;
+    let argument = "";
+    if (op.amount !== undefined) {
+      argument = `${op.amount} wei`;
+    } else if (op.share !== undefined) {
+      argument = `${op.share}%`;
+    }
+    return `${caller}.${op.type}(${argument})`;
+  });
+}
+
+/**
+ * Simpler variants of one operation tried while shrinking
+ */
+function simplifications(op) {
+  if (op.amount !== undefined && op.amount > ONE_TOKEN) {
+    return [{ ...op, amount: ONE_TOKEN }, { ...op, amount: op.amount / 2n }];
+  }
+  if (op.share !== undefined && op.share !== 100) {
+    return [{ ...op, share: 100 }];
+  }
+  if (op.seconds !== undefined && op.seconds > 1) {
+    return [{ ...op, seconds: 1 }, { ...op, seconds: Math.floor(op.seconds / 2) }];
+  }
+  return [];
+}
+
+/**
+ * Users renumbered in order of first appearance, so reproducers start at user0
+ */
+function renumberUsers(ops) {
+  const numbers = new Map();
+  return ops.map((op) => {
+    if (op.user === undefined) {
+      return op;
+    }
+    if (!numbers.has(op.user)) {
+      numbers.set(op.user, numbers.size);
+    }
+    return { ...op, user: numbers.get(op.user) };
+  });
+}
+
+/**
+ * Smallest subsequence of `ops` for which `fails` still resolves true: removes
+ * chunks of halving size, renumbers the users, then simplifies the arguments of
+ * what is left.
+ * Stops after `maxRuns` calls to `fails`.
+ */
+async function shrinkSequence(ops, fails, { maxRuns = 200 } = {}) {
+  let current = ops;
+  let runs = 0;
+  const attempt = async (candidate) => {
+    runs++;
+    return fails(candidate);
+  };
+
+  let size = Math.max(1, Math.floor(current.length / 2));
+  while (runs < maxRuns) {
+    let removed = false;
+    for (let start = 0; start < current.length && runs < maxRuns; ) {
+      const candidate = [
+        ...current.slice(0, start),
+        ...current.slice(start + size),
+      ];
+      if (candidate.length > 0 && (await attempt(candidate))) {
+        current = candidate;
+        removed = true;
+      } else {
+        start += size;
+      }
+    }
+    if (size === 1 && !removed) {
+      break;
+    }
+    if (!removed) {
+      size = Math.max(1, Math.floor(size / 2));
+    }
+  }
+
+  const renumbered = renumberUsers(current);
+  if (
+    JSON.stringify(formatSequence(renumbered)) !==
+      JSON.stringify(formatSequence(current)) &&
+    (await attempt(renumbered))
+  ) {
+    current = renumbered;
+  }
+
+  let simplified = true;
+  while (simplified && runs < maxRuns) {
+    simplified = false;
+    for (let index = 0; index < current.length && runs < maxRuns; index++) {
+      for (const variant of simplifications(current[index])) {
+        const candidate = current.map((op, i) => (i === index ? variant : op));
+        if (runs < maxRuns && (await attempt(candidate))) {
+          current = candidate;
+          simplified = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { ops: current, runs };
+}
+
+class VaultFuzzer {
+  /**
+   * Deploy a token, a V1 vault proxy and the V2/V3 implementations, fund and
+   * approve every user, and snapshot the chain that each run starts from
+   */
+  static async deploy({
+    admin,
+    users,
+    depositFee = 500,
+    yieldRate = 500,
+    withdrawalDelay = DAY,
+    funding = ethers.parseEther("10000"),
+  }) {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy(funding * BigInt(users.length + 1));
+    const proxy = await upgrades.deployProxy(
+      await ethers.getContractFactory("TokenVaultV1"),
+      [token.target, admin.address, depositFee],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    const implementations = {};
+    for (const version of VERSIONS.slice(1)) {
+      const factory = await ethers.getContractFactory(`TokenVault${version}`);
+      const implementation = await factory.deploy();
+      await implementation.waitForDeployment();
+      implementations[version] = implementation;
+    }
+
+    for (const user of users) {
+      await token.transfer(user.address, funding);
+      await token.connect(user).approve(proxy.target, ethers.MaxUint256);
+    }
+
+    const fuzzer = new VaultFuzzer({
+      admin,
+      users,
+      token,
+      proxy: proxy.target,
+      implementations,
+      config: { depositFee, yieldRate, withdrawalDelay },
+      funding,
+    });
+    fuzzer.snapshot = await ethers.provider.send("evm_snapshot", []);
+    return fuzzer;
+  }
+
+  constructor({ admin, users, token, proxy, implementations, config, funding }) {
+    this.admin = admin;
+    this.users = users;
+    this.token = token;
+    this.proxy = proxy;
+    this.vault = null;
+    this.implementations = implementations;
+    this.config = config;
+    this.funding = funding;
+  }
+
+  async _reset() {
+    await ethers.provider.send("evm_revert", [this.snapshot]);
+    this.snapshot = await ethers.provider.send("evm_snapshot", []);
+    await this._connect();
+  }
+
+  // Binds the ABI of the version the proxy runs; called again after upgrades
+  async _connect() {
+    const client = await VaultClient.connect(this.proxy, this.admin);
+    this.vault = client.contract;
+  }
+
+  _upgradeCall(version) {
+    const initializer =
+      version === "V2"
+        ? ["initializeV2", [this.config.yieldRate]]
+        : ["initializeV3", [this.config.withdrawalDelay]];
+    const implementation = this.implementations[version];
+    return this.vault
+      .connect(this.admin)
+      .upgradeToAndCall(
+        implementation.target,
+        implementation.interface.encodeFunctionData(...initializer),
+        { gasLimit: GAS_LIMIT }
+      );
+  }
+
+  // Sends the operation's transaction; resolves to the revert error, or null
+  async _send(op, model, amount) {
+    const overrides = { gasLimit: GAS_LIMIT };
+    try {
+      let tx;
+      if (op.type === "upgrade") {
+        // The model has already moved to the target version
+        tx = await this._upgradeCall(model.version);
+      } else if (ADMIN_OPERATIONS.includes(op.type)) {
+        tx = await this.vault.connect(this.admin)[op.type](overrides);
+      } else {
+        const signer = this.users[op.user];
+        const args = amount === undefined ? [] : [amount];
+        tx = await this.vault.connect(signer)[op.type](...args, overrides);
+      }
+      await tx.wait();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }
+
+  // The model's effect of `op`, which also resolves the call's amount
+  _apply(model, op, timestamp) {
+    if (op.type === "upgrade") {
+      return { result: model.upgrade() };
+    }
+    if (ADMIN_OPERATIONS.includes(op.type)) {
+      return { result: model[op.type]() };
+    }
+    const address = this.users[op.user].address;
+    let amount = op.amount;
+    if (op.share !== undefined) {
+      amount = (model.balanceOf(address) * BigInt(op.share)) / 100n;
+    }
+    const args = amount === undefined ? [timestamp] : [amount, timestamp];
+    return { amount, result: model[op.type](address, ...args) };
+  }
+
+  /**
+   * Differences between the chain at `blockTag` and the model
+   */
+  async check(model, blockTag, timestamp) {
+    const problems = [];
+    const compare = (label, actual, expected) => {
+      if (actual !== expected) {
+        problems.push(`${label}: chain ${actual}, model ${expected}`);
+      }
+    };
+    const read = { blockTag };
+    const version = model.version;
+
+    compare(
+      "version",
+      await this.vault.getImplementationVersion(read),
+      version
+    );
+    let liveTotal = 0n;
+    for (const [index, user] of this.users.entries()) {
+      const balance = await this.vault.balanceOf(user.address, read);
+      liveTotal += balance;
+      compare(`user${index} balance`, balance, model.balanceOf(user.address));
+      compare(
+        `user${index} wallet`,
+        await this.token.balanceOf(user.address, read),
+        model.walletOf(user.address)
+      );
+      if (version !== "V1") {
+        compare(
+          `user${index} yield`,
+          await this.vault.getUserYield(user.address, read),
+          model.userYield(user.address, timestamp)
+        );
+      }
+      if (version === "V3") {
+        const [amount, requestTime] = await this.vault.getWithdrawalRequest(
+          user.address,
+          read
+        );
+        const request = model.withdrawalRequest(user.address);
+        compare(`user${index} request amount`, amount, request.amount);
+        compare(`user${index} request time`, requestTime, request.requestTime);
+      }
+    }
+
+    const totalDeposits = await this.vault.totalDeposits(read);
+    compare("totalDeposits", totalDeposits, model.totalDeposits);
+    compare("sum of balances", liveTotal, totalDeposits);
+    compare(
+      "vault tokens",
+      await this.token.balanceOf(this.vault.target, read),
+      model.vaultTokens
+    );
+    if (version !== "V1") {
+      compare(
+        "depositsPaused",
+        await this.vault.isDepositsPaused(read),
+        model.depositsPaused
+      );
+    }
+    return problems;
+  }
+
+  /**
+   * Run `ops` from the snapshot, checking the model after every step.
+   * Operations the running version lacks (left behind by shrinking) are skipped.
+   * Resolves to null, or to the first failure: { step, op, message }
+   */
+  async run(ops, { Model = VaultModel } = {}) {
+    await this._reset();
+    const wallets = {};
+    for (const user of this.users) {
+      wallets[user.address] = this.funding;
+    }
+    const model = new Model({ ...this.config, wallets });
+    let clock = (await ethers.provider.getBlock("latest")).timestamp;
+
+    for (const [step, op] of ops.entries()) {
+      if (op.type !== "warp" && !model.supports(op.type)) {
+        continue;
+      }
+      const fail = (message) => ({ step, op: formatSequence([op])[0], message });
+
+      if (op.type === "warp") {
+        clock += op.seconds;
+        await ethers.provider.send("evm_mine", [clock]);
+      } else {
+        clock += 1;
+        await ethers.provider.send("evm_setNextBlockTimestamp", [clock]);
+        const { amount, result } = this._apply(model, op, clock);
+        const error = await this._send(op, model, amount);
+        if (result.revert && !error) {
+          return fail(`expected revert "${result.revert}", but the call succeeded`);
+        }
+        if (result.revert && !error.message.includes(result.revert)) {
+          return fail(`expected revert "${result.revert}", got: ${error.message}`);
+        }
+        if (!result.revert && error) {
+          return fail(`unexpected revert: ${error.message}`);
+        }
+        if (op.type === "upgrade" && !error) {
+          await this._connect();
+        }
+      }
+
+      const blockTag = await ethers.provider.getBlockNumber();
+      const problems = await this.check(model, blockTag, clock);
+      if (problems.length > 0) {
+        return fail(problems.join("; "));
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Shrink a failing sequence: truncate it after the failing step, then
+   * minimize with shrinkSequence. Resolves to { ops, failure, runs }.
+   */
+  async shrink(ops, options = {}) {
+    const failure = await this.run(ops, options);
+    if (!failure) {
+      throw new Error("Sequence does not fail; nothing to shrink");
+    }
+    const { ops: minimal, runs } = await shrinkSequence(
+      ops.slice(0, failure.step + 1),
+      async (candidate) => (await this.run(candidate, options)) !== null,
+      options
+    );
+    return { ops: minimal, failure: await this.run(minimal, options), runs: runs + 2 };
+  }
+}
+
+module.exports = {
+  VaultFuzzer,
+  generateSequence,
+  formatSequence,
+  shrinkSequence,
+};
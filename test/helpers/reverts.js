@@ -0,0 +1,49 @@
+/**
+ * Expected revert reasons for the Hardhat chai matchers.
+ *
+ * OpenZeppelin 4.9's AccessControl reverts with a reason string naming the
+ * account in lower case and the role as a hash. missingRole() builds it so
+ * that tests can match it exactly with `revertedWith`.
+ *
+ * expectRevert() is for errors thrown by scripts and tasks before anything
+ * reaches the chain; contract reverts should use the chai matchers.
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const INITIALIZED = "Initializable: contract is already initialized";
+
+/**
+ * The AccessControl reason for `account` (a signer or an address) lacking
+ * `role` (a role name such as "PAUSER_ROLE", or a role hash)
+ */
+function missingRole(account, role) {
+  const address = (account.address || account).toLowerCase();
+  let hash = role;
+  if (!ethers.isHexString(role, 32)) {
+    hash = role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(role);
+  }
+  return `AccessControl: account ${address} is missing role ${hash}`;
+}
+
+/**
+ * Assert that `promise` rejects, with a message containing `reason` if given
+ */
+async function expectRevert(promise, reason) {
+  let reverted = false;
+  try {
+    await promise;
+  } catch (error) {
+    reverted = true;
+    if (reason) {
+      expect(error.message).to.include(reason);
+    }
+  }
+  expect(reverted).to.be.true;
+}
+
+module.exports = {
+  INITIALIZED,
+  expectRevert,
+  missingRole,
+};
@@ -0,0 +1,53 @@
+/**
+ * In-process runners for the deployment scripts and Hardhat tasks.
+ *
+ * Scripts read their settings from the environment, so run() sets `env` for
+ * the duration of the call and restores the previous values afterwards. Both
+ * runners silence console output; runTask() returns it alongside the result.
+ */
+const hre = require("hardhat");
+
+/**
+ * Run scripts/<script>.js with `env` set and its output silenced
+ */
+async function run(script, env = {}) {
+  const saved = {};
+  for (const [key, value] of Object.entries(env)) {
+    saved[key] = process.env[key];
+    process.env[key] = value;
+  }
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await require(`../../scripts/${script}`)();
+  } finally {
+    console.log = log;
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Run the Hardhat task `name` with `args`, capturing what it logs
+ */
+async function runTask(name, args = {}) {
+  const output = [];
+  const log = console.log;
+  console.log = (line) => output.push(line);
+  try {
+    const result = await hre.run(name, args);
+    return { result, output: output.join("\n") };
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  run,
+  runTask,
+};
@@ -0,0 +1,90 @@
+/**
+ * EIP-712 signing helpers for permit deposits and signed withdrawal requests.
+ *
+ * Both sign typed data with a Hardhat signer and return the split v/r/s
+ * values the contracts take as arguments.
+ */
+const { ethers } = require("hardhat");
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const WITHDRAWAL_REQUEST_TYPES = {
+  WithdrawalRequest: [
+    { name: "user", type: "address" },
+    { name: "asset", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+async function chainId() {
+  return (await ethers.provider.getNetwork()).chainId;
+}
+
+/**
+ * Sign an EIP-2612 permit for `spender` to pull `value` tokens from `signer`.
+ */
+async function signPermit(signer, token, spender, value, deadline) {
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId: await chainId(),
+    verifyingContract: token.target,
+  };
+  const message = {
+    owner: signer.address,
+    spender,
+    value,
+    nonce: await token.nonces(signer.address),
+    deadline,
+  };
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, message);
+  return ethers.Signature.from(signature);
+}
+
+/**
+ * Sign a TokenVaultV4 withdrawal request. `nonce` defaults to the user's
+ * next nonce; `user` defaults to the signer, so a different value produces
+ * a request signed by the wrong account.
+ */
+async function signWithdrawalRequest(
+  signer,
+  vault,
+  { asset, amount, deadline, nonce, user = signer.address }
+) {
+  const domain = {
+    name: "TokenVault",
+    version: "4",
+    chainId: await chainId(),
+    verifyingContract: vault.target,
+  };
+  const message = {
+    user,
+    asset,
+    amount,
+    nonce: nonce === undefined ? await vault.withdrawalNonces(user) : nonce,
+    deadline,
+  };
+  const signature = await signer.signTypedData(
+    domain,
+    WITHDRAWAL_REQUEST_TYPES,
+    message
+  );
+  return ethers.Signature.from(signature);
+}
+
+module.exports = {
+  signPermit,
+  signWithdrawalRequest,
+  PERMIT_TYPES,
+  WITHDRAWAL_REQUEST_TYPES,
+};
@@ -0,0 +1,218 @@
+/**
+ * Off-chain model of TokenVaultV1 to V3 for the stateful fuzz harness.
+ *
+ * Tracks balances, wallet and vault token holdings, yield checkpoints, withdrawal
+ * requests and the deposit pause with BigInt math mirroring the contracts. Every
+ * operation checks the same conditions as on-chain, in the same order, and either
+ * applies its effects or returns the revert reason the contract is expected to give.
+ */
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+const VERSIONS = ["V1", "V2", "V3"];
+
+// Version that introduces each operation
+const OPERATION_VERSIONS = {
+  deposit: "V1",
+  withdraw: "V1",
+  claimYield: "V2",
+  pauseDeposits: "V2",
+  unpauseDeposits: "V2",
+  requestWithdrawal: "V3",
+  executeWithdrawal: "V3",
+  emergencyWithdraw: "V3",
+};
+
+const TRANSFER_EXCEEDS_BALANCE = "ERC20: transfer amount exceeds balance";
+
+class VaultModel {
+  constructor({ depositFee, yieldRate, withdrawalDelay, wallets }) {
+    this.depositFee = BigInt(depositFee);
+    this.yieldRate = BigInt(yieldRate);
+    this.withdrawalDelay = BigInt(withdrawalDelay);
+    this.version = "V1";
+    this.depositsPaused = false;
+    this.totalDeposits = 0n;
+    this.vaultTokens = 0n;
+    this.wallets = new Map(
+      Object.entries(wallets).map(([address, amount]) => [address, BigInt(amount)])
+    );
+    this.users = new Map();
+  }
+
+  _user(address) {
+    if (!this.users.has(address)) {
+      this.users.set(address, {
+        balance: 0n,
+        lastClaimTime: 0n,
+        request: { amount: 0n, requestTime: 0n },
+      });
+    }
+    return this.users.get(address);
+  }
+
+  supports(operation) {
+    if (operation === "upgrade") {
+      return this.version !== VERSIONS[VERSIONS.length - 1];
+    }
+    return (
+      VERSIONS.indexOf(this.version) >=
+      VERSIONS.indexOf(OPERATION_VERSIONS[operation])
+    );
+  }
+
+  balanceOf(address) {
+    return this._user(address).balance;
+  }
+
+  walletOf(address) {
+    return this.wallets.get(address);
+  }
+
+  withdrawalRequest(address) {
+    return this._user(address).request;
+  }
+
+  /**
+   * Unclaimed yield as getUserYield reports it; V2/V3 never credit accumulatedYield
+   */
+  userYield(address, timestamp) {
+    const user = this._user(address);
+    if (user.balance === 0n) {
+      return 0n;
+    }
+    return (
+      (user.balance * this.yieldRate * (BigInt(timestamp) - user.lastClaimTime)) /
+      (SECONDS_PER_YEAR * BASIS_POINTS)
+    );
+  }
+
+  // Claims pay yield out of principal, so a payout can exceed what the vault holds
+  _payOut(address, amount) {
+    if (this.vaultTokens < amount) {
+      return { revert: TRANSFER_EXCEEDS_BALANCE };
+    }
+    this.vaultTokens -= amount;
+    this.wallets.set(address, this.wallets.get(address) + amount);
+    return {};
+  }
+
+  // Debits the balance and pays it out; the whole call reverts if the payout does
+  _withdraw(address, user, amount, clearRequest = false) {
+    const result = this._payOut(address, amount);
+    if (!result.revert) {
+      user.balance -= amount;
+      this.totalDeposits -= amount;
+      if (clearRequest) {
+        user.request = { amount: 0n, requestTime: 0n };
+      }
+    }
+    return result;
+  }
+
+  upgrade() {
+    this.version = VERSIONS[VERSIONS.indexOf(this.version) + 1];
+    if (this.version === "V2") {
+      this.depositsPaused = false;
+    }
+    return {};
+  }
+
+  deposit(address, amount, timestamp) {
+    if (this.version !== "V1" && this.depositsPaused) {
+      return { revert: "Deposits are paused" };
+    }
+    if (amount === 0n) {
+      return { revert: "Deposit amount must be > 0" };
+    }
+    if (this.wallets.get(address) < amount) {
+      return { revert: TRANSFER_EXCEEDS_BALANCE };
+    }
+
+    const fee = (amount * this.depositFee) / BASIS_POINTS;
+    const user = this._user(address);
+    this.wallets.set(address, this.wallets.get(address) - amount);
+    this.vaultTokens += amount;
+    user.balance += amount - fee;
+    this.totalDeposits += amount - fee;
+    if (this.version !== "V1" && user.lastClaimTime === 0n) {
+      user.lastClaimTime = BigInt(timestamp);
+    }
+    return {};
+  }
+
+  withdraw(address, amount) {
+    const user = this._user(address);
+    if (amount === 0n) {
+      return { revert: "Withdrawal amount must be > 0" };
+    }
+    if (user.balance < amount) {
+      return { revert: "Insufficient balance" };
+    }
+    return this._withdraw(address, user, amount);
+  }
+
+  requestWithdrawal(address, amount, timestamp) {
+    const user = this._user(address);
+    if (amount === 0n) {
+      return { revert: "Withdrawal amount must be > 0" };
+    }
+    if (user.balance < amount) {
+      return { revert: "Insufficient balance" };
+    }
+    // A new request replaces the previous one
+    user.request = { amount, requestTime: BigInt(timestamp) };
+    return {};
+  }
+
+  executeWithdrawal(address, timestamp) {
+    const user = this._user(address);
+    const { amount, requestTime } = user.request;
+    if (amount === 0n) {
+      return { revert: "No pending withdrawal request" };
+    }
+    if (BigInt(timestamp) < requestTime + this.withdrawalDelay) {
+      return { revert: "Withdrawal delay not satisfied" };
+    }
+    if (user.balance < amount) {
+      return { revert: "Insufficient balance" };
+    }
+    return this._withdraw(address, user, amount, true);
+  }
+
+  emergencyWithdraw(address) {
+    const user = this._user(address);
+    if (user.balance === 0n) {
+      return { revert: "No balance to withdraw" };
+    }
+    return this._withdraw(address, user, user.balance, true);
+  }
+
+  claimYield(address, timestamp) {
+    const user = this._user(address);
+    if (user.balance === 0n) {
+      return { revert: "No balance to generate yield" };
+    }
+    const amount = this.userYield(address, timestamp);
+    const result = this._payOut(address, amount);
+    if (!result.revert) {
+      user.lastClaimTime = BigInt(timestamp);
+    }
+    return result;
+  }
+
+  pauseDeposits() {
+    this.depositsPaused = true;
+    return {};
+  }
+
+  unpauseDeposits() {
+    this.depositsPaused = false;
+    return {};
+  }
+}
+
+module.exports = {
+  VaultModel,
+  VERSIONS,
+  OPERATION_VERSIONS,
+};
@@ -0,0 +1,267 @@
+/**
+ * Off-chain reference model of TokenVaultV4 yield accrual.
+ *
+ * Mirrors the contract's reward-per-token index and compound index with BigInt
+ * integer math so that results match on-chain values exactly, rounding
+ * included. The indices must be brought forward at the same timestamps as
+ * on-chain, so every mutating call takes the timestamp of the matching
+ * transaction.
+ *
+ * The reward reserve is only modelled when `rewardReserve` is passed; without
+ * it, claims and compounding are always paid in full.
+ */
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+const REWARD_PRECISION = 10n ** 18n;
+const COMPOUND_PRECISION = 10n ** 27n;
+
+// TokenVaultV4.YieldMode
+const YieldMode = { Simple: 0, Compound: 1 };
+
+/**
+ * x^n at fixed-point scale `precision`, rounding every product down like the
+ * contract's _rpow
+ */
+function rpow(x, n, precision = COMPOUND_PRECISION) {
+  let result = precision;
+  n = BigInt(n);
+  while (n > 0n) {
+    if (n & 1n) {
+      result = (result * x) / precision;
+    }
+    n >>= 1n;
+    if (n > 0n) {
+      x = (x * x) / precision;
+    }
+  }
+  return result;
+}
+
+/**
+ * Growth of one token over `seconds` of per-second compounding at `yieldRate`
+ * basis points a year, at scale `precision`. The default is the contract's
+ * ray; a larger precision gives a reference to measure its rounding against.
+ */
+function compoundGrowth(yieldRate, seconds, precision = COMPOUND_PRECISION) {
+  const ratePerSecond =
+    precision +
+    (BigInt(yieldRate) * precision) / (SECONDS_PER_YEAR * BASIS_POINTS);
+  return rpow(ratePerSecond, seconds, precision);
+}
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+class YieldCalculator {
+  constructor(
+    yieldRate,
+    startTime,
+    { yieldMode = YieldMode.Simple, rewardReserve = null } = {}
+  ) {
+    this.yieldRate = BigInt(yieldRate);
+    this.yieldMode = yieldMode;
+    this.rewardReserve = rewardReserve === null ? null : BigInt(rewardReserve);
+    this.rewardPerTokenStored = 0n;
+    this.compoundIndexStored = COMPOUND_PRECISION;
+    this.lastRewardUpdateTime = BigInt(startTime);
+    this.users = new Map();
+  }
+
+  _user(address) {
+    if (!this.users.has(address)) {
+      this.users.set(address, {
+        balance: 0n,
+        rewardPerTokenPaid: 0n,
+        compoundIndex: COMPOUND_PRECISION,
+        accumulatedYield: 0n,
+      });
+    }
+    return this.users.get(address);
+  }
+
+  rewardPerToken(timestamp) {
+    if (this.yieldMode !== YieldMode.Simple) {
+      return this.rewardPerTokenStored;
+    }
+    const elapsed = BigInt(timestamp) - this.lastRewardUpdateTime;
+    return (
+      this.rewardPerTokenStored +
+      (this.yieldRate * elapsed * REWARD_PRECISION) /
+        (SECONDS_PER_YEAR * BASIS_POINTS)
+    );
+  }
+
+  compoundIndex(timestamp) {
+    if (this.yieldMode !== YieldMode.Compound) {
+      return this.compoundIndexStored;
+    }
+    const elapsed = BigInt(timestamp) - this.lastRewardUpdateTime;
+    return (
+      (this.compoundIndexStored * compoundGrowth(this.yieldRate, elapsed)) /
+      COMPOUND_PRECISION
+    );
+  }
+
+  _updateRewardIndex(timestamp) {
+    this.rewardPerTokenStored = this.rewardPerToken(timestamp);
+    this.compoundIndexStored = this.compoundIndex(timestamp);
+    this.lastRewardUpdateTime = BigInt(timestamp);
+  }
+
+  _pendingCompound(user, timestamp) {
+    return (
+      (user.balance * this.compoundIndex(timestamp)) / user.compoundIndex -
+      user.balance
+    );
+  }
+
+  // The part of `amount` the reserve covers, taken out of it
+  _pay(amount) {
+    if (this.rewardReserve === null) {
+      return amount;
+    }
+    const paid = amount < this.rewardReserve ? amount : this.rewardReserve;
+    this.rewardReserve -= paid;
+    return paid;
+  }
+
+  _pending(user, timestamp) {
+    if (user.balance === 0n) {
+      return 0n;
+    }
+    return (
+      (user.balance * (this.rewardPerToken(timestamp) - user.rewardPerTokenPaid)) /
+      REWARD_PRECISION
+    );
+  }
+
+  _settle(address, timestamp) {
+    this._updateRewardIndex(timestamp);
+    const user = this._user(address);
+    user.accumulatedYield += this._pending(user, timestamp);
+    user.rewardPerTokenPaid = this.rewardPerTokenStored;
+
+    const pending = this._pendingCompound(user, timestamp);
+    const credited = this._pay(pending);
+    user.accumulatedYield += pending - credited;
+    user.balance += credited;
+    user.compoundIndex = this.compoundIndexStored;
+    user.lastCompounded = credited;
+    return user;
+  }
+
+  setYieldMode(yieldMode, timestamp) {
+    this._updateRewardIndex(timestamp);
+    this.yieldMode = yieldMode;
+  }
+
+  fundRewards(amount) {
+    this.rewardReserve += BigInt(amount);
+  }
+
+  /**
+   * Credit compound yield to the balance; returns the amount credited
+   */
+  compound(address, timestamp) {
+    return this._settle(address, timestamp).lastCompounded;
+  }
+
+  setYieldRate(yieldRate, timestamp) {
+    // Accrual so far is locked in at the old rate
+    this._updateRewardIndex(timestamp);
+    this.yieldRate = BigInt(yieldRate);
+  }
+
+  deposit(address, amountAfterFee, timestamp) {
+    const user = this._settle(address, timestamp);
+    user.balance += BigInt(amountAfterFee);
+  }
+
+  withdraw(address, amount, timestamp) {
+    const user = this._settle(address, timestamp);
+    user.balance -= BigInt(amount);
+  }
+
+  claim(address, timestamp) {
+    const user = this._settle(address, timestamp);
+    const claimed = this._pay(user.accumulatedYield);
+    user.accumulatedYield -= claimed;
+    return claimed;
+  }
+
+  balanceOf(address) {
+    return this._user(address).balance;
+  }
+
+  accumulatedYield(address) {
+    return this._user(address).accumulatedYield;
+  }
+
+  userYield(address, timestamp) {
+    const user = this._user(address);
+    return (
+      user.accumulatedYield +
+      this._pending(user, timestamp) +
+      this._pendingCompound(user, timestamp)
+    );
+  }
+
+  /**
+   * The contract's getTotalYieldLiability: settled yield plus index accrual on
+   * the sum of balances, rounded up
+   */
+  totalYieldLiability(timestamp) {
+    let accumulated = 0n;
+    let deposits = 0n;
+    let weightedPaid = 0n;
+    let scaled = 0n;
+    for (const user of this.users.values()) {
+      accumulated += user.accumulatedYield;
+      deposits += user.balance;
+      weightedPaid += user.balance * user.rewardPerTokenPaid;
+      scaled += ceilDiv(user.balance * COMPOUND_PRECISION, user.compoundIndex);
+    }
+    const compounded = ceilDiv(
+      scaled * this.compoundIndex(timestamp),
+      COMPOUND_PRECISION
+    );
+    return (
+      accumulated +
+      (this.rewardPerToken(timestamp) * deposits - weightedPaid) /
+        REWARD_PRECISION +
+      (compounded > deposits ? compounded - deposits : 0n)
+    );
+  }
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so random scenarios can be replayed.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+  };
+}
+
+module.exports = {
+  YieldCalculator,
+  YieldMode,
+  rpow,
+  compoundGrowth,
+  createRandom,
+  SECONDS_PER_YEAR,
+  BASIS_POINTS,
+  REWARD_PRECISION,
+  COMPOUND_PRECISION,
+};
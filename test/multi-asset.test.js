@@ -0,0 +1,478 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { missingRole } = require("./helpers/reverts");
+
+describe("TokenVaultV4 Multi-Asset", function () {
+  let tokenVault;
+  let mockToken;
+  let otherToken;
+  let owner, admin, user1, user2, user3, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+  const OTHER_DEPOSIT_FEE = 200; // 2%
+  const OTHER_YIELD_RATE = 1000; // 10% annual
+  const YEAR = 365 * 24 * 60 * 60;
+
+  const feeOf = (amount, fee) => (amount * BigInt(fee)) / BigInt(10000);
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, user3, treasury] = await ethers.getSigners();
+
+    // Deploy mock tokens
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+    otherToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and deposit
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    for (const user of [admin, user1, user2, user3]) {
+      for (const erc20 of [mockToken, otherToken]) {
+        await erc20.transfer(user.address, ethers.parseEther("10000"));
+        await erc20
+          .connect(user)
+          .approve(tokenVault.target, ethers.MaxUint256);
+      }
+    }
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    // Upgrade through V2 and V3 to V4
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+    await tokenVault.connect(user2).deposit(ethers.parseEther("500"));
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    await tokenVault
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+  });
+
+  async function addOtherToken() {
+    await tokenVault
+      .connect(admin)
+      .addAsset(otherToken.target, OTHER_DEPOSIT_FEE, OTHER_YIELD_RATE);
+  }
+
+  describe("Primary Token", function () {
+    it("should report existing single-token state as the primary asset", async function () {
+      expect(await tokenVault.getSupportedAssets()).to.deep.equal([
+        mockToken.target,
+      ]);
+      expect(await tokenVault.isSupportedAsset(mockToken.target)).to.equal(
+        true
+      );
+
+      const [fee, rate, deposits, fees, reserve] =
+        await tokenVault.getAssetConfig(mockToken.target);
+      expect(fee).to.equal(BigInt(DEPOSIT_FEE));
+      expect(rate).to.equal(BigInt(YIELD_RATE));
+      expect(deposits).to.equal(await tokenVault.totalDeposits());
+      expect(fees).to.equal(await tokenVault.getAccruedFees());
+      expect(reserve).to.equal(await tokenVault.getRewardReserve());
+
+      expect(
+        await tokenVault.getAssetBalance(mockToken.target, user1.address)
+      ).to.equal(await tokenVault.balanceOf(user1.address));
+    });
+
+    it("should route token-parameterized calls for the primary token to the legacy paths", async function () {
+      const amount = ethers.parseEther("100");
+      const before = await tokenVault.balanceOf(user3.address);
+
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](mockToken.target, amount);
+      const credited = amount - feeOf(amount, DEPOSIT_FEE);
+      expect((await tokenVault.balanceOf(user3.address)) - before).to.equal(
+        credited
+      );
+
+      await tokenVault
+        .connect(user3)
+        ["withdraw(address,uint256)"](mockToken.target, credited);
+      expect(await tokenVault.balanceOf(user3.address)).to.equal(before);
+    });
+  });
+
+  describe("Whitelisting", function () {
+    it("should allow admin to add a token", async function () {
+      await addOtherToken();
+
+      expect(await tokenVault.getSupportedAssets()).to.deep.equal([
+        mockToken.target,
+        otherToken.target,
+      ]);
+      expect(await tokenVault.isSupportedAsset(otherToken.target)).to.equal(
+        true
+      );
+
+      const [fee, rate, deposits] = await tokenVault.getAssetConfig(
+        otherToken.target
+      );
+      expect(fee).to.equal(BigInt(OTHER_DEPOSIT_FEE));
+      expect(rate).to.equal(BigInt(OTHER_YIELD_RATE));
+      expect(deposits).to.equal(0n);
+    });
+
+    it("should prevent non-admin from adding a token", async function () {
+      await expect(
+        tokenVault
+          .connect(user1)
+          .addAsset(otherToken.target, OTHER_DEPOSIT_FEE, OTHER_YIELD_RATE)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+    });
+
+    it("should reject invalid tokens and parameters", async function () {
+      const attempts = [
+        [
+          [mockToken.target, OTHER_DEPOSIT_FEE, OTHER_YIELD_RATE],
+          "AssetAlreadySupported",
+          [mockToken.target],
+        ],
+        [
+          [ethers.ZeroAddress, OTHER_DEPOSIT_FEE, OTHER_YIELD_RATE],
+          "InvalidAsset",
+          [ethers.ZeroAddress],
+        ],
+        [
+          [tokenVault.target, OTHER_DEPOSIT_FEE, OTHER_YIELD_RATE],
+          "InvalidAsset",
+          [tokenVault.target],
+        ],
+        [
+          [otherToken.target, MAX_DEPOSIT_FEE + 1, OTHER_YIELD_RATE],
+          "FeeTooHigh",
+          [MAX_DEPOSIT_FEE + 1, MAX_DEPOSIT_FEE],
+        ],
+        [
+          [otherToken.target, OTHER_DEPOSIT_FEE, 10001],
+          "YieldRateTooHigh",
+          [10001, 10000],
+        ],
+      ];
+
+      for (const [args, error, errorArgs] of attempts) {
+        await expect(tokenVault.connect(admin).addAsset(...args))
+          .to.be.revertedWithCustomError(tokenVault, error)
+          .withArgs(...errorArgs);
+      }
+
+      await addOtherToken();
+      await expect(addOtherToken())
+        .to.be.revertedWithCustomError(tokenVault, "AssetAlreadySupported")
+        .withArgs(otherToken.target);
+    });
+
+    it("should reject deposits of tokens that are not whitelisted", async function () {
+      await expect(
+        tokenVault
+          .connect(user1)
+          ["deposit(address,uint256)"](otherToken.target, 1000n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "AssetNotSupported")
+        .withArgs(otherToken.target);
+    });
+  });
+
+  describe("Deposits and Withdrawals", function () {
+    beforeEach(async function () {
+      await addOtherToken();
+    });
+
+    it("should keep per-token balances and totals separate", async function () {
+      const primaryTotal = await tokenVault.totalDeposits();
+      const amount = ethers.parseEther("1000");
+      await tokenVault
+        .connect(user1)
+        ["deposit(address,uint256)"](otherToken.target, amount);
+
+      const credited = amount - feeOf(amount, OTHER_DEPOSIT_FEE);
+      expect(
+        await tokenVault.getAssetBalance(otherToken.target, user1.address)
+      ).to.equal(credited);
+      const [, , deposits, fees] = await tokenVault.getAssetConfig(
+        otherToken.target
+      );
+      expect(deposits).to.equal(credited);
+      expect(fees).to.equal(feeOf(amount, OTHER_DEPOSIT_FEE));
+
+      // The primary token is untouched
+      expect(await tokenVault.totalDeposits()).to.equal(primaryTotal);
+      expect(await otherToken.balanceOf(tokenVault.target)).to.equal(amount);
+    });
+
+    it("should not let one token's balance cover another's withdrawal", async function () {
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("100"));
+
+      await expect(tokenVault.connect(user3).withdraw(ethers.parseEther("1")))
+        .to.be.revertedWithCustomError(tokenVault, "InsufficientBalance")
+        .withArgs(ethers.parseEther("1"), 0n);
+    });
+
+    it("should withdraw a token immediately", async function () {
+      const amount = ethers.parseEther("100");
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, amount);
+      const credited = amount - feeOf(amount, OTHER_DEPOSIT_FEE);
+      const tokensBefore = await otherToken.balanceOf(user3.address);
+
+      await tokenVault
+        .connect(user3)
+        ["withdraw(address,uint256)"](otherToken.target, credited);
+
+      expect((await otherToken.balanceOf(user3.address)) - tokensBefore).to.equal(
+        credited
+      );
+      expect(
+        await tokenVault.getAssetBalance(otherToken.target, user3.address)
+      ).to.equal(0n);
+    });
+
+    it("should apply the withdrawal delay per token", async function () {
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("100"));
+      await tokenVault
+        .connect(user3)
+        ["requestWithdrawal(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("50")
+        );
+
+      const [amount] = await tokenVault.getAssetWithdrawalRequest(
+        otherToken.target,
+        user3.address
+      );
+      expect(amount).to.equal(ethers.parseEther("50"));
+      // The primary token has no request
+      const [primaryAmount] = await tokenVault.getWithdrawalRequest(
+        user3.address
+      );
+      expect(primaryAmount).to.equal(0n);
+
+      await expect(
+        tokenVault.connect(user3)["executeWithdrawal(address)"](otherToken.target)
+      ).to.be.revertedWithCustomError(tokenVault, "WithdrawalNotReady");
+
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+      const tokensBefore = await otherToken.balanceOf(user3.address);
+      await tokenVault
+        .connect(user3)
+        ["executeWithdrawal(address)"](otherToken.target);
+      expect((await otherToken.balanceOf(user3.address)) - tokensBefore).to.equal(
+        ethers.parseEther("50")
+      );
+    });
+
+    it("should emergency withdraw a whole token balance", async function () {
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("100"));
+      await tokenVault
+        .connect(user3)
+        ["requestWithdrawal(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("50")
+        );
+
+      await tokenVault
+        .connect(user3)
+        ["emergencyWithdraw(address)"](otherToken.target);
+
+      expect(
+        await tokenVault.getAssetBalance(otherToken.target, user3.address)
+      ).to.equal(0n);
+      const [amount] = await tokenVault.getAssetWithdrawalRequest(
+        otherToken.target,
+        user3.address
+      );
+      expect(amount).to.equal(0n);
+    });
+
+    it("should pause deposits of every token", async function () {
+      await tokenVault.connect(admin).pauseDeposits();
+
+      await expect(
+        tokenVault
+          .connect(user3)
+          ["deposit(address,uint256)"](otherToken.target, 1000n)
+      ).to.be.revertedWithCustomError(tokenVault, "DepositsPaused");
+    });
+  });
+
+  describe("Yield", function () {
+    beforeEach(async function () {
+      await addOtherToken();
+      await tokenVault
+        .connect(admin)
+        ["fundRewards(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("1000")
+        );
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("1000"));
+    });
+
+    it("should accrue at the token's own rate", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      const balance = await tokenVault.getAssetBalance(
+        otherToken.target,
+        user3.address
+      );
+      const oneYear = (balance * BigInt(OTHER_YIELD_RATE)) / 10000n;
+      const accrued = await tokenVault.getAssetUserYield(
+        otherToken.target,
+        user3.address
+      );
+      expect(accrued >= oneYear).to.be.true;
+      expect(accrued < oneYear + oneYear / 1000n).to.be.true;
+
+      // No primary token yield for a user without a primary balance
+      expect(await tokenVault.getUserYield(user3.address)).to.equal(0n);
+
+      const liability = await tokenVault.getAssetYieldLiability(
+        otherToken.target
+      );
+      expect(liability >= accrued).to.be.true;
+      expect(liability - accrued <= 1n).to.be.true;
+    });
+
+    it("should claim from the token's own reward reserve", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      const primaryReserve = await tokenVault.getRewardReserve();
+      const tokensBefore = await otherToken.balanceOf(user3.address);
+
+      await tokenVault.connect(user3)["claimYield(address)"](otherToken.target);
+
+      const claimed = (await otherToken.balanceOf(user3.address)) - tokensBefore;
+      expect(claimed > 0n).to.be.true;
+      const [, , , , reserve] = await tokenVault.getAssetConfig(
+        otherToken.target
+      );
+      expect(reserve).to.equal(ethers.parseEther("1000") - claimed);
+      expect(await tokenVault.getRewardReserve()).to.equal(primaryReserve);
+    });
+
+    it("should only apply a token's new rate to future accrual", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await tokenVault
+        .connect(admin)
+        ["setYieldRate(address,uint256)"](otherToken.target, 0);
+      const frozen = await tokenVault.getAssetUserYield(
+        otherToken.target,
+        user3.address
+      );
+      expect(frozen > 0n).to.be.true;
+
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+      expect(
+        await tokenVault.getAssetUserYield(otherToken.target, user3.address)
+      ).to.equal(frozen);
+      // The primary rate is unchanged
+      expect(await tokenVault.getYieldRate()).to.equal(BigInt(YIELD_RATE));
+    });
+  });
+
+  describe("Fees", function () {
+    beforeEach(async function () {
+      await addOtherToken();
+      await tokenVault
+        .connect(user3)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("1000"));
+    });
+
+    it("should sweep a token's fees to the treasury", async function () {
+      const expected = feeOf(ethers.parseEther("1000"), OTHER_DEPOSIT_FEE);
+      const primaryFees = await tokenVault.getAccruedFees();
+
+      await tokenVault.connect(user1)["sweepFees(address)"](otherToken.target);
+
+      expect(await otherToken.balanceOf(treasury.address)).to.equal(expected);
+      expect(await tokenVault.getAccruedFees()).to.equal(primaryFees);
+    });
+
+    it("should allow fee manager to collect a token's fees", async function () {
+      await tokenVault
+        .connect(admin)
+        ["collectFees(address,address)"](otherToken.target, user2.address);
+
+      const [, , , fees] = await tokenVault.getAssetConfig(otherToken.target);
+      expect(fees).to.equal(0n);
+
+      await expect(
+        tokenVault
+          .connect(user1)
+          ["collectFees(address,address)"](otherToken.target, user1.address)
+      ).to.be.revertedWith(missingRole(user1, "FEE_MANAGER_ROLE"));
+    });
+
+    it("should give notice before raising a token's fee", async function () {
+      await tokenVault
+        .connect(admin)
+        ["setDepositFee(address,uint256)"](otherToken.target, MAX_DEPOSIT_FEE);
+
+      const [pendingFee, effectiveTime] = await tokenVault[
+        "getPendingDepositFee(address)"
+      ](otherToken.target);
+      expect(pendingFee).to.equal(BigInt(MAX_DEPOSIT_FEE));
+      expect(effectiveTime > 0n).to.be.true;
+      let [fee] = await tokenVault.getAssetConfig(otherToken.target);
+      expect(fee).to.equal(BigInt(OTHER_DEPOSIT_FEE));
+
+      await ethers.provider.send("evm_increaseTime", [FEE_UPDATE_DELAY]);
+      await ethers.provider.send("evm_mine");
+      [fee] = await tokenVault.getAssetConfig(otherToken.target);
+      expect(fee).to.equal(BigInt(MAX_DEPOSIT_FEE));
+      // The primary fee is unchanged
+      expect(await tokenVault.getDepositFee()).to.equal(BigInt(DEPOSIT_FEE));
+    });
+
+    it("should apply a token's fee decrease immediately", async function () {
+      await tokenVault
+        .connect(admin)
+        ["setDepositFee(address,uint256)"](otherToken.target, 0);
+      const [fee] = await tokenVault.getAssetConfig(otherToken.target);
+      expect(fee).to.equal(0n);
+    });
+
+    it("should keep every token's fee under the cap", async function () {
+      await tokenVault
+        .connect(admin)
+        ["setDepositFee(address,uint256)"](otherToken.target, 800);
+      await ethers.provider.send("evm_increaseTime", [FEE_UPDATE_DELAY]);
+
+      // The matured 8% fee is above a 6% cap
+      await expect(tokenVault.connect(admin).setMaxDepositFee(600))
+        .to.be.revertedWithCustomError(tokenVault, "MaxFeeBelowCurrentFee")
+        .withArgs(600, 800);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { expectRevert, missingRole } = require("./helpers/reverts");
+const { run, runTask: runVaultTask } = require("./helpers/scripts");
+
+describe("Role Management", function () {
+  let mockToken;
+  let vault;
+  let owner, newAdmin, pauser, user1, timelock;
+  let DEFAULT_ADMIN_ROLE, UPGRADER_ROLE, PAUSER_ROLE;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+
+  // Runs a task against the vault under test and returns its result
+  async function runTask(name, args = {}) {
+    const { result } = await runVaultTask(name, {
+      vault: vault.target,
+      ...args,
+    });
+    return result;
+  }
+
+  async function deployVault(version) {
+    const initializers = {
+      V2: ["initializeV2", [YIELD_RATE]],
+      V3: ["initializeV3", [WITHDRAWAL_DELAY]],
+      V4: [
+        "initializeV4",
+        [owner.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY],
+      ],
+    };
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    vault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, owner.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+    for (const next of ["V2", "V3", "V4"].slice(0, Number(version[1]) - 1)) {
+      const [fn, args] = initializers[next];
+      vault = await upgrades.upgradeProxy(
+        vault.target,
+        await ethers.getContractFactory(`TokenVault${next}`),
+        { kind: "uups", call: { fn, args } }
+      );
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, newAdmin, pauser, user1, timelock] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    await deployVault("V4");
+    DEFAULT_ADMIN_ROLE = await vault.DEFAULT_ADMIN_ROLE();
+    UPGRADER_ROLE = await vault.UPGRADER_ROLE();
+    PAUSER_ROLE = await vault.PAUSER_ROLE();
+  });
+
+  describe("transferAdmin", function () {
+    it("should move the admin roles and update admin", async function () {
+      // initializeV4 does not make the admin a guardian, but it can be granted by hand
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), owner.address);
+      await vault.transferAdmin(newAdmin.address);
+
+      expect(await vault.admin()).to.equal(newAdmin.address);
+      for (const role of [DEFAULT_ADMIN_ROLE, UPGRADER_ROLE, PAUSER_ROLE]) {
+        expect(await vault.hasRole(role, newAdmin.address)).to.equal(true);
+        expect(await vault.hasRole(role, owner.address)).to.equal(false);
+      }
+
+      for (const role of [
+        await vault.FEE_MANAGER_ROLE(),
+        await vault.REWARD_FUNDER_ROLE(),
+      ]) {
+        expect(await vault.hasRole(role, newAdmin.address)).to.equal(true);
+        expect(await vault.hasRole(role, owner.address)).to.equal(false);
+      }
+
+      // Neither admin keeps the guardian role
+      const GUARDIAN_ROLE = await vault.GUARDIAN_ROLE();
+      expect(await vault.hasRole(GUARDIAN_ROLE, owner.address)).to.equal(false);
+      expect(await vault.hasRole(GUARDIAN_ROLE, newAdmin.address)).to.equal(
+        false
+      );
+
+      const events = await vault.queryFilter(vault.filters.AdminTransferred());
+      expect(events.length).to.equal(1);
+      expect(events[0].args.previousAdmin).to.equal(owner.address);
+      expect(events[0].args.newAdmin).to.equal(newAdmin.address);
+    });
+
+    it("should let the new admin upgrade and administer the vault", async function () {
+      await vault.transferAdmin(newAdmin.address);
+
+      await vault.connect(newAdmin).setYieldRate(800);
+      expect(await vault.getYieldRate()).to.equal(800n);
+      await expect(vault.setYieldRate(900)).to.be.revertedWith(
+        missingRole(owner, DEFAULT_ADMIN_ROLE)
+      );
+
+      const TokenVaultV4 = await ethers.getContractFactory(
+        "TokenVaultV4",
+        newAdmin
+      );
+      await upgrades.upgradeProxy(vault.target, TokenVaultV4, {
+        kind: "uups",
+        redeployImplementation: "always",
+      });
+    });
+
+    it("should leave roles the admin handed to a timelock in place", async function () {
+      await vault.grantRole(DEFAULT_ADMIN_ROLE, timelock.address);
+      await vault.grantRole(UPGRADER_ROLE, timelock.address);
+      await vault.renounceRole(UPGRADER_ROLE, owner.address);
+      await vault.renounceRole(DEFAULT_ADMIN_ROLE, owner.address);
+
+      await vault.connect(timelock).transferAdmin(newAdmin.address);
+
+      expect(await vault.admin()).to.equal(newAdmin.address);
+      expect(await vault.hasRole(PAUSER_ROLE, newAdmin.address)).to.equal(true);
+      expect(await vault.hasRole(PAUSER_ROLE, owner.address)).to.equal(false);
+      expect(
+        await vault.hasRole(DEFAULT_ADMIN_ROLE, newAdmin.address)
+      ).to.equal(false);
+      expect(await vault.hasRole(UPGRADER_ROLE, newAdmin.address)).to.equal(
+        false
+      );
+      expect(
+        await vault.hasRole(DEFAULT_ADMIN_ROLE, timelock.address)
+      ).to.equal(true);
+    });
+
+    it("should only be callable by DEFAULT_ADMIN_ROLE", async function () {
+      await expect(
+        vault.connect(user1).transferAdmin(user1.address)
+      ).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+    });
+
+    it("should reject the zero address and the current admin", async function () {
+      await expect(
+        vault.transferAdmin(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vault, "ZeroAddress");
+      await expect(vault.transferAdmin(owner.address))
+        .to.be.revertedWithCustomError(vault, "AlreadyAdmin")
+        .withArgs(owner.address);
+    });
+  });
+
+  describe("Role Audit Task", function () {
+    it("should rebuild role membership from logs", async function () {
+      await vault.grantRole(PAUSER_ROLE, pauser.address);
+
+      const audit = await runTask("vault:roles");
+      expect(audit.admin).to.equal(owner.address);
+      expect(audit.roles.DEFAULT_ADMIN_ROLE).to.deep.equal([owner.address]);
+      expect(audit.roles.UPGRADER_ROLE).to.deep.equal([owner.address]);
+      expect(audit.roles.PAUSER_ROLE).to.deep.equal([
+        owner.address,
+        pauser.address,
+      ]);
+      expect(audit.drift).to.deep.equal([]);
+    });
+
+    it("should only audit roles the deployed version defines", async function () {
+      await deployVault("V1");
+      const audit = await runTask("vault:roles");
+      expect(Object.keys(audit.roles)).to.deep.equal([
+        "DEFAULT_ADMIN_ROLE",
+        "UPGRADER_ROLE",
+      ]);
+    });
+
+    it("should flag admin roles moved with grantRole and revokeRole", async function () {
+      await vault.grantRole(DEFAULT_ADMIN_ROLE, newAdmin.address);
+      await vault
+        .connect(newAdmin)
+        .revokeRole(DEFAULT_ADMIN_ROLE, owner.address);
+
+      const audit = await runTask("vault:roles");
+      expect(audit.roles.DEFAULT_ADMIN_ROLE).to.deep.equal([newAdmin.address]);
+      expect(audit.drift).to.deep.equal([
+        `DEFAULT_ADMIN_ROLE: admin() ${owner.address} does not hold it`,
+        `DEFAULT_ADMIN_ROLE: held by ${newAdmin.address}, which is neither admin() nor the timelock`,
+      ]);
+      await expectRevert(runTask("vault:roles", { strict: true }), "Role drift");
+
+      // The holder of DEFAULT_ADMIN_ROLE takes over the rest of the admin position
+      await runTask("vault:transfer-admin", {
+        to: newAdmin.address,
+        from: newAdmin.address,
+      });
+      const repaired = await runTask("vault:roles", { strict: true });
+      expect(repaired.admin).to.equal(newAdmin.address);
+      expect(repaired.roles.UPGRADER_ROLE).to.deep.equal([newAdmin.address]);
+    });
+
+    it("should report grants missing from the replayed logs", async function () {
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await vault.grantRole(PAUSER_ROLE, pauser.address);
+
+      const audit = await runTask("vault:roles", { fromBlock });
+      expect(audit.roles.PAUSER_ROLE).to.deep.equal([
+        pauser.address,
+        owner.address,
+      ]);
+      expect(audit.drift).to.include(
+        `PAUSER_ROLE: logs from block ${fromBlock} miss ${owner.address}; hasRole is true`
+      );
+    });
+
+    it("should accept the manifest's timelock as the governance role holder", async function () {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-roles-"));
+      const configPath = path.join(tmpDir, "config.json");
+      fs.writeFileSync(
+        configPath,
+        JSON.stringify({ timelock: { minDelay: 60 } })
+      );
+      process.env.DEPLOYMENTS_DIR = tmpDir;
+      process.env.DEPLOY_CONFIG = configPath;
+      try {
+        const deployed = await run("deploy-v1");
+        const { result: audit } = await runVaultTask("vault:roles", {
+          strict: true,
+        });
+        expect(audit.timelock).to.equal(deployed.timelock);
+        expect(audit.roles.UPGRADER_ROLE).to.deep.equal([deployed.timelock]);
+        expect(audit.drift).to.deep.equal([]);
+
+        // Without the timelock the same roles are drift
+        const { result: unnamed } = await runVaultTask("vault:roles", {
+          vault: deployed.vault,
+        });
+        expect(unnamed.drift.length).to.equal(4);
+      } finally {
+        delete process.env.DEPLOYMENTS_DIR;
+        delete process.env.DEPLOY_CONFIG;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Role Tasks", function () {
+    it("should grant and revoke roles by name", async function () {
+      await runTask("vault:grant-role", {
+        role: "pauser",
+        account: pauser.address,
+      });
+      expect(await vault.hasRole(PAUSER_ROLE, pauser.address)).to.equal(true);
+      await expectRevert(
+        runTask("vault:grant-role", {
+          role: "PAUSER_ROLE",
+          account: pauser.address,
+        }),
+        "already holds PAUSER_ROLE"
+      );
+
+      await runTask("vault:revoke-role", {
+        role: "PAUSER_ROLE",
+        account: pauser.address,
+      });
+      expect(await vault.hasRole(PAUSER_ROLE, pauser.address)).to.equal(false);
+    });
+
+    it("should reject unknown roles and roles the version lacks", async function () {
+      await expectRevert(
+        runTask("vault:grant-role", {
+          role: "minter",
+          account: user1.address,
+        }),
+        'unknown role "minter"'
+      );
+
+      await deployVault("V2");
+      await expectRevert(
+        runTask("vault:grant-role", {
+          role: "guardian",
+          account: user1.address,
+        }),
+        "GUARDIAN_ROLE requires V4 or later"
+      );
+      await expectRevert(
+        runTask("vault:transfer-admin", { to: newAdmin.address }),
+        "vault:transfer-admin requires V4 or later"
+      );
+    });
+
+    it("should refuse to revoke admin roles from admin()", async function () {
+      await expectRevert(
+        runTask("vault:revoke-role", {
+          role: "upgrader",
+          account: owner.address,
+        }),
+        "use vault:transfer-admin"
+      );
+      await expectRevert(
+        runTask("vault:grant-role", {
+          role: "pauser",
+          account: pauser.address,
+          from: user1.address,
+        }),
+        "does not hold DEFAULT_ADMIN_ROLE"
+      );
+    });
+
+    it("should report the roles transfer-admin moves", async function () {
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), owner.address);
+      const result = await runTask("vault:transfer-admin", {
+        to: newAdmin.address,
+      });
+      expect(result.previousAdmin).to.equal(owner.address);
+      expect(result.movedRoles).to.deep.equal([
+        "DEFAULT_ADMIN_ROLE",
+        "UPGRADER_ROLE",
+        "PAUSER_ROLE",
+        "FEE_MANAGER_ROLE",
+        "REWARD_FUNDER_ROLE",
+      ]);
+      expect(result.revokedRoles).to.deep.equal(["GUARDIAN_ROLE"]);
+      expect(await vault.admin()).to.equal(newAdmin.address);
+    });
+  });
+});
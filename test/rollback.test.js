@@ -0,0 +1,296 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { readManifest, writeManifest } = require("../scripts/helpers/manifest");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Rollback", function () {
+  let deployer, user1, user2, user3;
+  let tmpDir;
+  let token, vault;
+  const NETWORK = "hardhat";
+  const HOUR = 60 * 60;
+  const DAY = 24 * HOUR;
+
+  function writeConfig(config) {
+    const configPath = path.join(tmpDir, "config.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    process.env.DEPLOY_CONFIG = configPath;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // Deploys with `config`, deposits for two users and runs `upgrades` in order
+  async function deploy(config, scripts, env = {}) {
+    writeConfig({ withdrawalDelay: DAY, ...config });
+    const deployed = await run("deploy-v1");
+    token = await ethers.getContractAt("MockERC20", deployed.token);
+    vault = await VaultClient.connect(deployed.vault, deployer);
+
+    for (const [user, amount] of [
+      [user1, "1000"],
+      [user2, "500"],
+    ]) {
+      await token.transfer(user.address, ethers.parseEther(amount));
+      await token.connect(user).approve(vault.target, ethers.MaxUint256);
+      await vault.connect(user).deposit(ethers.parseEther(amount));
+    }
+
+    for (const script of scripts) {
+      if (config.timelock) {
+        await run(script, { ...env, UPGRADE_MODE: "propose" });
+        await increaseTime(config.timelock.minDelay);
+        await run(script, { ...env, UPGRADE_MODE: "execute" });
+      } else {
+        await run(script, env);
+      }
+    }
+    return deployed;
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2, user3] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-rollback-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("V3 -> V2 -> V3", function () {
+    it("should roll back to V2 and return to V3 with state preserved", async function () {
+      await deploy({ yieldRate: 600, timelock: null }, [
+        "upgrade-to-v2",
+        "upgrade-to-v3",
+      ]);
+      const v3 = await VaultClient.connect(vault.target, deployer);
+      await v3.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      const v3Implementation = readManifest(NETWORK).vault.implementation;
+      const balance1 = await v3.balanceOf(user1.address);
+      const balance2 = await v3.balanceOf(user2.address);
+      const totalDeposits = await v3.totalDeposits();
+
+      const rollback = await run("rollback");
+
+      expect(rollback.version).to.equal("V2");
+      expect(rollback.check.direction).to.equal("rollback");
+      expect(rollback.check.variables).to.deep.equal([
+        "withdrawalDelay",
+        "withdrawalRequests",
+      ]);
+      expect(rollback.check.warnings).to.deep.equal([
+        `withdrawalDelay = ${DAY} is ignored by TokenVaultV2`,
+        `${user1.address} has a pending withdrawal request of ${ethers.parseEther("100")} that TokenVaultV2 cannot execute or cancel; the tokens stay withdrawable through withdraw()`,
+      ]);
+
+      const v2 = await VaultClient.connect(vault.target, deployer);
+      expect(v2.version).to.equal("V2");
+      expect(await v2.balanceOf(user1.address)).to.equal(balance1);
+      expect(await v2.balanceOf(user2.address)).to.equal(balance2);
+      expect(await v2.totalDeposits()).to.equal(totalDeposits);
+      expect(await v2.getYieldRate()).to.equal(600n);
+
+      // V2 runs as before: immediate withdrawals, no delay
+      await v2.connect(user2).withdraw(ethers.parseEther("50"));
+
+      let manifest = readManifest(NETWORK);
+      expect(manifest.vault.version).to.equal("V2");
+      const history = manifest.vault.implementations;
+      expect(history.map((entry) => entry.version)).to.deep.equal([
+        "V1",
+        "V2",
+        "V3",
+        "V2",
+      ]);
+      expect(history[3].address).to.equal(history[1].address);
+      expect(history[3].initializer).to.equal(null);
+      expect(history[3].rollbackFrom).to.deep.equal({
+        version: "V3",
+        address: v3Implementation,
+      });
+
+      // The V3 reinitializer already ran; the upgrade script cannot repeat it
+      await expectRevert(run("upgrade-to-v3"), "ROLLBACK_TO=V3");
+
+      const restore = await run("rollback", { ROLLBACK_TO: "V3" });
+      expect(restore.implementation).to.equal(v3Implementation);
+      expect(restore.check.direction).to.equal("restore");
+      expect(restore.check.warnings[1]).to.equal(
+        `${user1.address} has a withdrawal request of ${ethers.parseEther("100")} that becomes executable again`
+      );
+
+      expect(await v3.contract.getImplementationVersion()).to.equal("V3");
+      expect(await v3.getWithdrawalDelay()).to.equal(BigInt(DAY));
+      expect(await v3.balanceOf(user2.address)).to.equal(
+        balance2 - ethers.parseEther("50")
+      );
+      const [request] = await v3.getWithdrawalRequests(user1.address);
+      expect(request.amount).to.equal(ethers.parseEther("100"));
+      await increaseTime(DAY);
+      await v3.connect(user1).executeWithdrawal();
+      expect(await v3.balanceOf(user1.address)).to.equal(
+        balance1 - ethers.parseEther("100")
+      );
+
+      manifest = readManifest(NETWORK);
+      expect(manifest.vault.version).to.equal("V3");
+      expect(manifest.vault.implementation).to.equal(v3Implementation);
+      expect(manifest.vault.implementations.length).to.equal(5);
+    });
+
+    it("should roll back through the timelock", async function () {
+      const deployed = await deploy({ timelock: { minDelay: HOUR } }, [
+        "upgrade-to-v2",
+        "upgrade-to-v3",
+      ]);
+
+      await expectRevert(
+        run("rollback"),
+        "does not hold UPGRADER_ROLE; roll back through the timelock"
+      );
+
+      await run("rollback", { UPGRADE_MODE: "propose" });
+      let manifest = readManifest(NETWORK);
+      const pending = manifest.vault.pendingUpgrade;
+      expect(pending.version).to.equal("V2");
+      expect(pending.rollbackFrom.version).to.equal("V3");
+      expect(manifest.vault.version).to.equal("V3");
+
+      await expectRevert(
+        run("upgrade-to-v4", { UPGRADE_MODE: "execute" }),
+        "is a rollback to V2"
+      );
+      await expectRevert(
+        run("rollback", { UPGRADE_MODE: "execute" }),
+        "is not ready"
+      );
+      await increaseTime(HOUR);
+      const result = await run("rollback", { UPGRADE_MODE: "execute" });
+
+      expect(result.version).to.equal("V2");
+      manifest = readManifest(NETWORK);
+      const latest = manifest.vault.implementations[3];
+      expect(latest.mode).to.equal("timelock");
+      expect(latest.operationId).to.equal(pending.operationId);
+      expect(manifest.vault.pendingUpgrade).to.equal(null);
+      expect(
+        await upgrades.erc1967.getImplementationAddress(deployed.vault)
+      ).to.equal(pending.address);
+    });
+
+    it("should clear a cancelled rollback from the manifest", async function () {
+      await deploy({ timelock: { minDelay: HOUR } }, ["upgrade-to-v2"]);
+      await run("rollback", { UPGRADE_MODE: "propose" });
+      await run("rollback", { UPGRADE_MODE: "cancel" });
+
+      const manifest = readManifest(NETWORK);
+      expect(manifest.vault.pendingUpgrade).to.equal(null);
+      expect(manifest.vault.version).to.equal("V2");
+      await expectRevert(
+        run("rollback", { UPGRADE_MODE: "execute" }),
+        "No pending rollback"
+      );
+    });
+  });
+
+  describe("V4", function () {
+    beforeEach(async function () {
+      await deploy({ timelock: null }, [
+        "upgrade-to-v2",
+        "upgrade-to-v3",
+        "upgrade-to-v4",
+      ]);
+    });
+
+    it("should refuse to roll back to V3", async function () {
+      await expectRevert(
+        run("rollback"),
+        "TokenVaultV3 would change balances behind TokenVaultV4's yield checkpoints, share accounting and withdrawal locks; rolling back from TokenVaultV4 is not supported"
+      );
+      expect(await vault.contract.getImplementationVersion()).to.equal("V4");
+      expect(readManifest(NETWORK).vault.version).to.equal("V4");
+    });
+
+    it("should refuse to return to V4 after V3 changed balances", async function () {
+      // A switch to V3 made outside the script, recorded like a rollback
+      const manifest = readManifest(NETWORK);
+      const v4Implementation = manifest.vault.implementation;
+      const v3Entry = manifest.vault.implementations.find(
+        (entry) => entry.version === "V3"
+      );
+      const { contract: v4 } = await VaultClient.connect(vault.target, deployer);
+      await (await v4.upgradeTo(v3Entry.address)).wait();
+      manifest.vault.implementations.push({
+        ...v3Entry,
+        initializer: null,
+        args: [],
+        rollbackFrom: { version: "V4", address: v4Implementation },
+      });
+      manifest.vault.version = "V3";
+      manifest.vault.implementation = v3Entry.address;
+      writeManifest(manifest);
+
+      // A new depositor gets a checkpoint after V4's legacy yield cutoff
+      const v3 = await VaultClient.connect(vault.target, deployer);
+      await token.transfer(user3.address, ethers.parseEther("100"));
+      await token.connect(user3).approve(vault.target, ethers.MaxUint256);
+      await v3.connect(user3).deposit(ethers.parseEther("100"));
+
+      await expectRevert(
+        run("rollback", { ROLLBACK_TO: "V4" }),
+        "TokenVaultV3 may have changed balances behind TokenVaultV4's yield checkpoints, share accounting and withdrawal locks; returning to TokenVaultV4 is not supported"
+      );
+      expect(await v3.contract.getImplementationVersion()).to.equal("V3");
+      expect(readManifest(NETWORK).vault.version).to.equal("V3");
+    });
+  });
+
+  describe("Checks", function () {
+    it("should refuse an implementation with an incompatible layout", async function () {
+      await deploy({ timelock: null }, ["upgrade-to-v2"]);
+      const manifest = readManifest(NETWORK);
+      manifest.vault.implementations[0].contract = "TokenVaultUnsafeLayout";
+      writeManifest(manifest);
+
+      await expectRevert(
+        run("rollback"),
+        "TokenVaultV2 and TokenVaultUnsafeLayout have incompatible storage layouts"
+      );
+      expect(await vault.contract.getImplementationVersion()).to.equal("V2");
+    });
+
+    it("should only pick implementations from the history", async function () {
+      await deploy({ timelock: null }, []);
+      await expectRevert(run("rollback"), "there is nothing to roll back to");
+
+      await run("upgrade-to-v2");
+      await expectRevert(
+        run("rollback", { ROLLBACK_TO: "V3" }),
+        "No implementation V3 in the vault's history (V1, V2)"
+      );
+      await expectRevert(
+        run("rollback", {
+          ROLLBACK_TO: readManifest(NETWORK).vault.implementation,
+        }),
+        "Vault already runs V2"
+      );
+
+      const { implementation } = await run("rollback", {
+        ROLLBACK_TO: readManifest(NETWORK).vault.implementations[0].address,
+      });
+      expect(implementation).to.equal(
+        readManifest(NETWORK).vault.implementations[0].address
+      );
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { checkLayouts } = require("../scripts/helpers/storage-layout");
+const { INITIALIZED, missingRole } = require("./helpers/reverts");
 
 describe("Security", function () {
   let tokenVaultV1;
@@ -40,13 +42,9 @@ describe("Security", function () {
       const implementation = await TokenVaultV1.deploy();
 
       // Direct initialization should fail because _disableInitializers() was called
-      let reverted = false;
-      try {
-        await implementation.initialize(mockToken.target, admin.address, 500);
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        implementation.initialize(mockToken.target, admin.address, 500)
+      ).to.be.revertedWith(INITIALIZED);
     });
   });
 
@@ -55,26 +53,18 @@ describe("Security", function () {
       const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
 
       // Non-admin should not be able to upgrade
-      let reverted = false;
-      try {
-        await upgrades.upgradeProxy(tokenVaultV2.target, TokenVaultV2, {
+      await expect(
+        upgrades.upgradeProxy(tokenVaultV2.target, TokenVaultV2, {
           kind: "uups",
-        });
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+        })
+      ).to.be.revertedWith(missingRole(owner, "UPGRADER_ROLE"));
     });
 
     it("should prevent unauthorized pause/unpause", async function () {
       // User1 should not have PAUSER_ROLE
-      let reverted = false;
-      try {
-        await tokenVaultV2.connect(user1).pauseDeposits();
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVaultV2.connect(user1).pauseDeposits()
+      ).to.be.revertedWith(missingRole(user1, "PAUSER_ROLE"));
 
       // Admin should be able to pause
       await tokenVaultV2.connect(admin).pauseDeposits();
@@ -83,13 +73,27 @@ describe("Security", function () {
 
     it("should prevent unauthorized fee updates", async function () {
       // User1 should not be able to set yield rate
-      let reverted = false;
-      try {
-        await tokenVaultV2.connect(user1).setYieldRate(1000);
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVaultV2.connect(user1).setYieldRate(1000)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+
+      // Deposit fee setter only exists from V4 onwards
+      const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+      const vaultV3 = await upgrades.upgradeProxy(tokenVaultV2.target, TokenVaultV3, {
+        kind: "uups",
+      });
+      await vaultV3.connect(admin).initializeV3(7 * 24 * 60 * 60);
+      const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+      const vaultV4 = await upgrades.upgradeProxy(vaultV3.target, TokenVaultV4, {
+        kind: "uups",
+      });
+      await vaultV4.connect(admin).initializeV4(admin.address, 1000, 3 * 24 * 60 * 60);
+
+      // User1 should not be able to set deposit fee
+      await expect(
+        vaultV4.connect(user1).setDepositFee(0)
+      ).to.be.revertedWith(missingRole(user1, "FEE_MANAGER_ROLE"));
+      expect(await vaultV4.getDepositFee()).to.equal(BigInt(DEPOSIT_FEE));
     });
   });
 
@@ -107,6 +111,18 @@ describe("Security", function () {
       expect(tokenVaultV3.target).to.not.be.undefined;
     });
 
+    it("should take each version's new variables from its __gap", async function () {
+      const { layouts, reports, issues } = await checkLayouts();
+
+      expect(layouts.map((layout) => layout.gap.slots)).to.deep.equal([
+        45, 41, 39, 11,
+      ]);
+      expect(reports.map((report) => report.gap.used)).to.deep.equal([
+        4, 2, 28,
+      ]);
+      expect(issues).to.deep.equal([]);
+    });
+
     it("should not have storage layout collisions across versions", async function () {
       // Deploy fresh V1, operate on it, then upgrade through V2 to V3
       const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
@@ -184,6 +200,109 @@ describe("Security", function () {
 
       expect(await vaultV3.getImplementationVersion()).to.equal("V3");
     });
+
+    describe("Reinitializer Front-Running", function () {
+      const attackerYieldRate = 10000; // 100%
+      let vault;
+
+      beforeEach(async function () {
+        const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+        vault = await upgrades.deployProxy(
+          TokenVaultV1,
+          [mockToken.target, admin.address, DEPOSIT_FEE],
+          { kind: "uups", initializer: "initialize" }
+        );
+      });
+
+      it("should restrict every reinitializer to UPGRADER_ROLE", async function () {
+        const steps = [
+          ["TokenVaultV2", "initializeV2", [500]],
+          ["TokenVaultV3", "initializeV3", [7 * 24 * 60 * 60]],
+          ["TokenVaultV4", "initializeV4", [user1.address, 1000, 0]],
+        ];
+
+        for (const [name, init, args] of steps) {
+          const Factory = await ethers.getContractFactory(name, admin);
+          vault = await upgrades.upgradeProxy(vault.target, Factory, {
+            kind: "uups",
+          });
+
+          await expect(
+            vault.connect(user1)[init](...args)
+          ).to.be.revertedWith(missingRole(user1, "UPGRADER_ROLE"));
+
+          await vault.connect(admin)[init](...args);
+        }
+        expect(await vault.getImplementationVersion()).to.equal("V4");
+      });
+
+      it("should not let an attacker race the reinitializer", async function () {
+        // Replays the old two-transaction script: the attacker sees the upgrade
+        // in the mempool and outbids the admin's initializeV2
+        const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2");
+        const implementation = await upgrades.prepareUpgrade(
+          vault.target,
+          TokenVaultV2,
+          { kind: "uups" }
+        );
+        const vaultV2 = TokenVaultV2.attach(vault.target);
+        const fees = (priority) => ({
+          gasLimit: 500000,
+          maxFeePerGas: ethers.parseUnits("100", "gwei"),
+          maxPriorityFeePerGas: ethers.parseUnits(priority, "gwei"),
+        });
+
+        await ethers.provider.send("evm_setAutomine", [false]);
+        let upgradeTx, attackTx, initTx;
+        try {
+          upgradeTx = await vault.connect(admin).upgradeTo(implementation, fees("50"));
+          initTx = await vaultV2.connect(admin).initializeV2(500, fees("1"));
+          attackTx = await vaultV2
+            .connect(user1)
+            .initializeV2(attackerYieldRate, fees("10"));
+          await ethers.provider.send("evm_mine");
+        } finally {
+          await ethers.provider.send("evm_setAutomine", [true]);
+        }
+
+        const receipt = (tx) => ethers.provider.getTransactionReceipt(tx.hash);
+        const [upgraded, attacked, initialized] = await Promise.all([
+          receipt(upgradeTx),
+          receipt(attackTx),
+          receipt(initTx),
+        ]);
+        // The attacker's call landed between the upgrade and the initializer
+        expect(attacked.blockNumber).to.equal(upgraded.blockNumber);
+        expect(attacked.index).to.be.greaterThan(upgraded.index);
+        expect(attacked.index).to.be.lessThan(initialized.index);
+
+        expect(attacked.status).to.equal(0);
+        expect(initialized.status).to.equal(1);
+        expect(await vaultV2.getYieldRate()).to.equal(500n);
+      });
+
+      it("should upgrade and initialize in a single transaction", async function () {
+        const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+        const vaultV2 = await upgrades.upgradeProxy(vault.target, TokenVaultV2, {
+          kind: "uups",
+          call: { fn: "initializeV2", args: [500] },
+        });
+
+        const upgraded = (
+          await vaultV2.queryFilter(vaultV2.filters.Upgraded())
+        ).pop();
+        const initialized = (
+          await vaultV2.queryFilter(vaultV2.filters.Initialized())
+        ).pop();
+        expect(initialized.args.version).to.equal(2n);
+        expect(initialized.transactionHash).to.equal(upgraded.transactionHash);
+        expect(await vaultV2.getYieldRate()).to.equal(500n);
+
+        await expect(
+          vaultV2.connect(user1).initializeV2(attackerYieldRate)
+        ).to.be.revertedWith(INITIALIZED);
+      });
+    });
   });
 
   describe("Edge Cases", function () {
@@ -230,17 +349,13 @@ describe("Security", function () {
     it("should revert on invalid fee", async function () {
       const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
 
-      let reverted = false;
-      try {
-        await upgrades.deployProxy(
+      await expect(
+        upgrades.deployProxy(
           TokenVaultV1,
           [mockToken.target, admin.address, 10001],
           { kind: "uups", initializer: "initialize" }
-        );
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+        )
+      ).to.be.revertedWith("Fee cannot exceed 100%");
     });
   });
 });
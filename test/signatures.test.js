@@ -0,0 +1,376 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  signPermit,
+  signWithdrawalRequest,
+} = require("./helpers/signatures");
+
+describe("TokenVaultV4 Permit and Signed Requests", function () {
+  let tokenVault;
+  let permitToken;
+  let otherToken;
+  let owner, admin, user1, user2, relayer, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+  const HOUR = 60 * 60;
+
+  const feeOf = (amount) => (amount * BigInt(DEPOSIT_FEE)) / BigInt(10000);
+
+  async function deadlineIn(seconds) {
+    const block = await ethers.provider.getBlock("latest");
+    return BigInt(block.timestamp + seconds);
+  }
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, relayer, treasury] = await ethers.getSigners();
+
+    // Deploy a permit-capable primary token and a plain second token
+    const MockERC20Permit = await ethers.getContractFactory("MockERC20Permit");
+    permitToken = await MockERC20Permit.deploy(INITIAL_SUPPLY);
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    otherToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and upgrade through V2 and V3 to V4
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [permitToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    await tokenVault
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+
+    // Tokens but no approvals
+    for (const user of [user1, user2]) {
+      await permitToken.transfer(user.address, ethers.parseEther("10000"));
+      await otherToken.transfer(user.address, ethers.parseEther("10000"));
+    }
+  });
+
+  describe("Permit Deposits", function () {
+    it("should deposit without a prior approve", async function () {
+      const amount = ethers.parseEther("1000");
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signPermit(
+        user1,
+        permitToken,
+        tokenVault.target,
+        amount,
+        deadline
+      );
+
+      await tokenVault
+        .connect(user1)
+        .depositWithPermit(amount, deadline, v, r, s);
+
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(
+        amount - feeOf(amount)
+      );
+      expect(
+        await permitToken.allowance(user1.address, tokenVault.target)
+      ).to.equal(0n);
+    });
+
+    it("should still deposit when the permit was already submitted", async function () {
+      const amount = ethers.parseEther("1000");
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signPermit(
+        user1,
+        permitToken,
+        tokenVault.target,
+        amount,
+        deadline
+      );
+
+      // Someone front-runs the permit itself
+      await permitToken
+        .connect(relayer)
+        .permit(user1.address, tokenVault.target, amount, deadline, v, r, s);
+
+      await tokenVault
+        .connect(user1)
+        .depositWithPermit(amount, deadline, v, r, s);
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(
+        amount - feeOf(amount)
+      );
+    });
+
+    it("should reject an expired permit", async function () {
+      const amount = ethers.parseEther("1000");
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signPermit(
+        user1,
+        permitToken,
+        tokenVault.target,
+        amount,
+        deadline
+      );
+      await ethers.provider.send("evm_increaseTime", [2 * HOUR]);
+
+      await expect(
+        tokenVault.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenVault, "PermitFailed");
+    });
+
+    it("should reject a permit signed by another account", async function () {
+      const amount = ethers.parseEther("1000");
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signPermit(
+        user2,
+        permitToken,
+        tokenVault.target,
+        amount,
+        deadline
+      );
+
+      await expect(
+        tokenVault.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(tokenVault, "PermitFailed");
+    });
+  });
+
+  describe("Signed Withdrawal Requests", function () {
+    const AMOUNT = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      await permitToken
+        .connect(user1)
+        .approve(tokenVault.target, ethers.MaxUint256);
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+    });
+
+    it("should let a relayer queue a request signed by the user", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+
+      await tokenVault
+        .connect(relayer)
+        .requestWithdrawalBySig(
+          user1.address,
+          permitToken.target,
+          AMOUNT,
+          deadline,
+          v,
+          r,
+          s
+        );
+
+      const [request] = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(request.amount).to.equal(AMOUNT);
+      expect(await tokenVault.withdrawalNonces(user1.address)).to.equal(1n);
+      expect(
+        (await tokenVault.getWithdrawalRequests(relayer.address)).length
+      ).to.equal(0);
+
+      // Execution pays the user, not the relayer
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+      const tokensBefore = await permitToken.balanceOf(user1.address);
+      await tokenVault.connect(user1).executeWithdrawal();
+      expect((await permitToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        AMOUNT
+      );
+    });
+
+    it("should reject a replayed signature", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+      const args = [user1.address, permitToken.target, AMOUNT, deadline, v, r, s];
+
+      await tokenVault.connect(relayer).requestWithdrawalBySig(...args);
+      await expect(
+        tokenVault.connect(relayer).requestWithdrawalBySig(...args)
+      ).to.be.revertedWithCustomError(tokenVault, "InvalidSignature");
+      expect(
+        (await tokenVault.getWithdrawalRequests(user1.address)).length
+      ).to.equal(1);
+    });
+
+    it("should reject an expired signature", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+      await ethers.provider.send("evm_increaseTime", [2 * HOUR]);
+
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(
+            user1.address,
+            permitToken.target,
+            AMOUNT,
+            deadline,
+            v,
+            r,
+            s
+          )
+      )
+        .to.be.revertedWithCustomError(tokenVault, "SignatureExpired")
+        .withArgs(deadline);
+    });
+
+    it("should reject a request signed by another account", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user2, tokenVault, {
+        user: user1.address,
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(
+            user1.address,
+            permitToken.target,
+            AMOUNT,
+            deadline,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(tokenVault, "InvalidSignature");
+    });
+
+    it("should reject a signature over different parameters", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(
+            user1.address,
+            permitToken.target,
+            AMOUNT * 2n,
+            deadline,
+            v,
+            r,
+            s
+          )
+      ).to.be.revertedWithCustomError(tokenVault, "InvalidSignature");
+    });
+
+    it("should reject a malformed signature", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const { v, r } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+      const args = [user1.address, permitToken.target, AMOUNT, deadline];
+      // Above half the curve order, which ECDSA rejects as malleable
+      const highS = ethers.toBeHex(ethers.MaxUint256);
+
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(...args, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("ECDSA: invalid signature");
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(...args, v, r, highS)
+      ).to.be.revertedWith("ECDSA: invalid signature 's' value");
+    });
+
+    it("should support additional tokens", async function () {
+      await tokenVault.connect(admin).addAsset(otherToken.target, 0, 0);
+      await otherToken
+        .connect(user1)
+        .approve(tokenVault.target, ethers.MaxUint256);
+      await tokenVault
+        .connect(user1)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("500"));
+
+      const deadline = await deadlineIn(HOUR);
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: otherToken.target,
+        amount: AMOUNT,
+        deadline,
+      });
+      await tokenVault
+        .connect(relayer)
+        .requestWithdrawalBySig(
+          user1.address,
+          otherToken.target,
+          AMOUNT,
+          deadline,
+          v,
+          r,
+          s
+        );
+
+      const [request] = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(request.asset).to.equal(otherToken.target);
+      expect(
+        await tokenVault.lockedBalances(user1.address, otherToken.target)
+      ).to.equal(AMOUNT);
+    });
+
+    it("should apply the usual request checks to signed requests", async function () {
+      const deadline = await deadlineIn(HOUR);
+      const amount = (await tokenVault.balanceOf(user1.address)) + 1n;
+      const { v, r, s } = await signWithdrawalRequest(user1, tokenVault, {
+        asset: permitToken.target,
+        amount,
+        deadline,
+      });
+
+      await expect(
+        tokenVault
+          .connect(relayer)
+          .requestWithdrawalBySig(
+            user1.address,
+            permitToken.target,
+            amount,
+            deadline,
+            v,
+            r,
+            s
+          )
+      )
+        .to.be.revertedWithCustomError(tokenVault, "InsufficientBalance")
+        .withArgs(amount, amount - 1n);
+      // The failed attempt does not consume the nonce
+      expect(await tokenVault.withdrawalNonces(user1.address)).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const {
+  readLayout,
+  vaultVersions,
+  compareLayouts,
+  renderLayouts,
+  checkLayouts,
+} = require("../scripts/helpers/storage-layout");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Storage Layout Check", function () {
+  describe("Layouts", function () {
+    it("should find every TokenVaultVn implementation in order", async function () {
+      expect(await vaultVersions()).to.deep.equal([
+        "TokenVaultV1",
+        "TokenVaultV2",
+        "TokenVaultV3",
+        "TokenVaultV4",
+      ]);
+    });
+
+    it("should record declaring contracts and slot spans", async function () {
+      const layout = await readLayout("TokenVaultV3");
+
+      expect(layout.gap).to.include({
+        name: "TokenVaultV3.__gap",
+        slot: 262,
+        slots: 39,
+      });
+      const roles = layout.entries.find((entry) => entry.label === "_roles");
+      expect(roles.contract).to.equal("AccessControlUpgradeable");
+      const requests = layout.entries.find(
+        (entry) => entry.label === "withdrawalRequests"
+      );
+      expect(requests.type).to.equal(
+        "mapping(address => struct WithdrawalRequest) {amount: uint256; requestTime: uint256}"
+      );
+    });
+
+    it("should render one row per starting slot, with gap sizes", async function () {
+      const layouts = [
+        await readLayout("TokenVaultV1"),
+        await readLayout("TokenVaultV2"),
+      ];
+      const rows = renderLayouts(layouts).split("\n");
+
+      expect(rows[0].split(/\s+/)).to.deep.equal([
+        "Slot",
+        "TokenVaultV1",
+        "TokenVaultV2",
+      ]);
+      const row = (slot) =>
+        rows.find((line) => line.startsWith(`${slot} `)).split(/\s{2,}/);
+      expect(row(253)).to.deep.equal(["253", "depositFee", "depositFee"]);
+      expect(row(256)).to.deep.equal(["256", "__gap[45]", "yieldRate"]);
+      expect(row(260)).to.deep.equal(["260", "(__gap)", "__gap[41]"]);
+      expect(rows.find((line) => line.startsWith("261 "))).to.equal(undefined);
+    });
+  });
+
+  describe("Comparison", function () {
+    it("should accept every vault upgrade", async function () {
+      const { reports, issues } = await checkLayouts();
+
+      expect(issues).to.deep.equal([]);
+      expect(reports[0].added).to.deep.equal([
+        "yieldRate",
+        "lastClaimTime",
+        "accumulatedYield",
+        "depositsPaused",
+      ]);
+      expect(reports[1].gap).to.deep.equal({ before: 41, after: 39, used: 2 });
+      // Packed variables share a slot: 31 variables in 28 slots
+      expect(reports[2].added.length).to.equal(31);
+      expect(reports[2].gap).to.deep.equal({ before: 39, after: 11, used: 28 });
+    });
+
+    it("should accept a contract that inherits a layout unchanged", async function () {
+      const { issues } = await checkLayouts([
+        "TokenVaultV2",
+        "TokenVaultV2Faulty",
+      ]);
+      expect(issues).to.deep.equal([]);
+    });
+
+    it("should flag renamed, retyped and reordered variables and a wrong gap", async function () {
+      const report = compareLayouts(
+        await readLayout("TokenVaultV1"),
+        await readLayout("TokenVaultUnsafeLayout")
+      );
+
+      expect(report.issues.map((issue) => issue.message)).to.deep.equal([
+        "token moved from slot 251 to slot 252",
+        "admin moved from slot 252 to slot 251",
+        "slot 253: depositFee is now feeBasisPoints",
+        "slot 254: userBalances changed from mapping(address => uint256) to mapping(address => uint128)",
+        "__gap shrank by 1 slot(s) but the new variables take 2",
+      ]);
+      expect(report.issues.map((issue) => issue.kind)).to.deep.equal([
+        "reordered",
+        "reordered",
+        "renamed",
+        "retyped",
+        "gap",
+      ]);
+    });
+
+    it("should flag removed variables and a missing gap", async function () {
+      const previous = await readLayout("TokenVaultV2");
+      const next = await readLayout("TokenVaultV2");
+      next.contract = "TokenVaultV2NoGap";
+      next.entries = next.entries.filter(
+        (entry) => entry.label !== "depositsPaused" && entry !== next.gap
+      );
+      next.gap = null;
+
+      const report = compareLayouts(previous, next);
+      expect(report.issues).to.deep.equal([
+        {
+          kind: "removed",
+          name: "depositsPaused",
+          message: "depositsPaused (slot 259) is no longer declared",
+        },
+        {
+          kind: "gap",
+          name: "__gap",
+          message: "TokenVaultV2NoGap declares no __gap",
+        },
+      ]);
+    });
+  });
+
+  describe("CLI", function () {
+    it("should compare every vault version by default", async function () {
+      const result = await run("storage-layout");
+      expect(result.layouts.map((layout) => layout.contract)).to.deep.equal(
+        await vaultVersions()
+      );
+      expect(result.issues).to.deep.equal([]);
+    });
+
+    it("should fail on unsafe layout changes", async function () {
+      await expectRevert(
+        run("storage-layout", {
+          LAYOUT_CONTRACTS: "TokenVaultV1,TokenVaultUnsafeLayout",
+        }),
+        "Unsafe storage layout changes: 5 issue(s)"
+      );
+    });
+
+    it("should need two contracts that exist", async function () {
+      await expectRevert(
+        run("storage-layout", { LAYOUT_CONTRACTS: "TokenVaultV1" }),
+        "at least two contracts"
+      );
+      await expectRevert(
+        run("storage-layout", { LAYOUT_CONTRACTS: "TokenVaultV1,TokenVaultV9" }),
+        "TokenVaultV9"
+      );
+    });
+  });
+});
@@ -0,0 +1,424 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, upgrades } = require("hardhat");
+const { expectRevert } = require("./helpers/reverts");
+const { run, runTask: runVaultTask } = require("./helpers/scripts");
+
+describe("Vault Tasks", function () {
+  let mockToken;
+  let vault;
+  let owner, pauser, user1, user2;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+
+  const INITIALIZERS = {
+    V2: ["initializeV2", [YIELD_RATE]],
+    V3: ["initializeV3", [WITHDRAWAL_DELAY]],
+    V4: () => [
+      "initializeV4",
+      [owner.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY],
+    ],
+  };
+
+  // Runs a task against the vault under test, returning its result and output
+  function runTask(name, args = {}) {
+    return runVaultTask(name, { vault: vault.target, ...args });
+  }
+
+  async function deployVault(version) {
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    vault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, owner.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+    for (const next of ["V2", "V3", "V4"].slice(0, Number(version[1]) - 1)) {
+      const initializer = INITIALIZERS[next];
+      const [fn, args] =
+        typeof initializer === "function" ? initializer() : initializer;
+      vault = await upgrades.upgradeProxy(
+        vault.target,
+        await ethers.getContractFactory(`TokenVault${next}`),
+        { kind: "uups", call: { fn, args } }
+      );
+    }
+    if (version !== "V1") {
+      await vault.grantRole(await vault.PAUSER_ROLE(), pauser.address);
+    }
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [owner, pauser, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+    await mockToken.transfer(user1.address, ethers.parseEther("10000"));
+  });
+
+  describe("Version Detection", function () {
+    it("should report the fields each version supports", async function () {
+      await deployVault("V1");
+      let { result } = await runTask("vault:status");
+      expect(result.version).to.equal("V1");
+      expect(result.depositFee).to.equal(BigInt(DEPOSIT_FEE));
+      expect(result.implementation).to.equal(
+        await upgrades.erc1967.getImplementationAddress(vault.target)
+      );
+      expect(result).to.not.have.property("yieldRate");
+
+      await deployVault("V3");
+      ({ result } = await runTask("vault:status"));
+      expect(result.version).to.equal("V3");
+      expect(result.yieldRate).to.equal(BigInt(YIELD_RATE));
+      expect(result.withdrawalDelay).to.equal(BigInt(WITHDRAWAL_DELAY));
+      expect(result.depositsPaused).to.equal(false);
+      expect(result).to.not.have.property("state");
+
+      await deployVault("V4");
+      ({ result } = await runTask("vault:status"));
+      expect(result.version).to.equal("V4");
+      expect(result.state).to.equal("Normal");
+      expect(result.treasury).to.equal(owner.address);
+    });
+
+    it("should refuse tasks the deployed version does not support", async function () {
+      await deployVault("V1");
+      for (const [name, args] of [
+        ["vault:claim", {}],
+        ["vault:pause", {}],
+        ["vault:set-yield-rate", { rate: 100 }],
+      ]) {
+        await expectRevert(runTask(name, args), `${name} requires V2 or later`);
+      }
+      await expectRevert(
+        runTask("vault:request-withdrawal", { amount: "1" }),
+        "vault:request-withdrawal requires V3 or later; the vault at"
+      );
+
+      await deployVault("V3");
+      await expectRevert(
+        runTask("vault:execute-withdrawal", { id: "1" }),
+        "--id requires V4 or later"
+      );
+      await expectRevert(
+        runTask("vault:pause", { all: true }),
+        "--all requires V4 or later"
+      );
+      await expectRevert(
+        runTask("vault:compound", {}),
+        "vault:compound requires V4 or later"
+      );
+    });
+
+    it("should reject addresses that are not vaults", async function () {
+      await expectRevert(
+        runVaultTask("vault:status", { vault: user1.address }),
+        "No contract at vault address"
+      );
+      await expectRevert(
+        runVaultTask("vault:status", { vault: mockToken.target }),
+        "is not a TokenVault"
+      );
+    });
+
+    it("should default to the vault in the deployment manifest", async function () {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-tasks-"));
+      const configPath = path.join(tmpDir, "config.json");
+      fs.writeFileSync(configPath, JSON.stringify({ timelock: null }));
+      process.env.DEPLOYMENTS_DIR = tmpDir;
+      process.env.DEPLOY_CONFIG = configPath;
+      try {
+        await expectRevert(
+          runVaultTask("vault:status"),
+          "No deployment manifest"
+        );
+        const deployed = await run("deploy-v1");
+        const { result: status } = await runVaultTask("vault:status");
+        expect(status.vault).to.equal(deployed.vault);
+        expect(status.version).to.equal("V1");
+      } finally {
+        delete process.env.DEPLOYMENTS_DIR;
+        delete process.env.DEPLOY_CONFIG;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Output", function () {
+    it("should print a summary, or JSON with --json", async function () {
+      await deployVault("V2");
+      let { output } = await runTask("vault:status");
+      expect(output).to.include("Version: V2");
+      expect(output).to.include(`Yield Rate: ${YIELD_RATE} basis points`);
+
+      ({ output } = await runTask("vault:status", { json: true }));
+      const status = JSON.parse(output);
+      expect(status.version).to.equal("V2");
+      expect(status.depositFee).to.equal(String(DEPOSIT_FEE));
+      expect(status.depositsPaused).to.equal(false);
+    });
+
+    it("should show an account's position", async function () {
+      await deployVault("V3");
+      await runTask("vault:deposit", { amount: "100", from: user1.address });
+      await runTask("vault:request-withdrawal", {
+        amount: "10",
+        from: user1.address,
+      });
+
+      const { result, output } = await runTask("vault:status", {
+        account: user1.address,
+      });
+      // V3 keeps requested tokens in the balance until the request executes
+      expect(result.account.balance).to.equal(ethers.parseEther("95"));
+      expect(result.account.withdrawalRequest.amount).to.equal(
+        ethers.parseEther("10")
+      );
+      expect(output).to.include("Withdrawal Request: 10.0 MOCK");
+    });
+  });
+
+  describe("User Operations", function () {
+    it("should approve and deposit whole-token amounts", async function () {
+      await deployVault("V1");
+      const { result } = await runTask("vault:deposit", {
+        amount: "100",
+        from: user1.address,
+      });
+
+      expect(result.approval.txHash).to.be.a("string");
+      expect(result.fee).to.equal(ethers.parseEther("5"));
+      expect(await vault.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("95")
+      );
+
+      // Enough allowance left over: no second approval
+      await mockToken
+        .connect(user1)
+        .approve(vault.target, ethers.parseEther("1000"));
+      const second = await runTask("vault:deposit", {
+        amount: "0.5",
+        from: user1.address,
+      });
+      expect(second.result).to.not.have.property("approval");
+    });
+
+    it("should report the fee from V4's own Deposit event", async function () {
+      await deployVault("V4");
+      // V4 emits its Deposit(user, amount, fee) and the ERC-4626 Deposit
+      const { result } = await runTask("vault:deposit", {
+        amount: "100",
+        from: user1.address,
+      });
+      expect(result.fee).to.equal(ethers.parseEther("5"));
+    });
+
+    it("should reject invalid amounts", async function () {
+      await deployVault("V1");
+      await expectRevert(runTask("vault:deposit", { amount: "abc" }), "--amount");
+      await expectRevert(
+        runTask("vault:deposit", { amount: "0" }),
+        "must be greater than zero"
+      );
+    });
+
+    it("should withdraw immediately", async function () {
+      await deployVault("V2");
+      await runTask("vault:deposit", { amount: "100", from: user1.address });
+      const before = await mockToken.balanceOf(user1.address);
+
+      await runTask("vault:withdraw", { amount: "50", from: user1.address });
+      expect(await mockToken.balanceOf(user1.address)).to.equal(
+        before + ethers.parseEther("50")
+      );
+    });
+
+    it("should request and execute a delayed withdrawal", async function () {
+      await deployVault("V3");
+      await runTask("vault:deposit", { amount: "100", from: user1.address });
+      await runTask("vault:request-withdrawal", {
+        amount: "40",
+        from: user1.address,
+      });
+
+      await expect(
+        runTask("vault:execute-withdrawal", { from: user1.address })
+      ).to.be.revertedWith("Withdrawal delay not satisfied");
+
+      await increaseTime(WITHDRAWAL_DELAY);
+      const { result } = await runTask("vault:execute-withdrawal", {
+        from: user1.address,
+      });
+      expect(result.amount).to.equal(ethers.parseEther("40"));
+    });
+
+    it("should execute a V4 request by id", async function () {
+      await deployVault("V4");
+      await runTask("vault:deposit", { amount: "100", from: user1.address });
+      const first = await runTask("vault:request-withdrawal", {
+        amount: "10",
+        from: user1.address,
+      });
+      const second = await runTask("vault:request-withdrawal", {
+        amount: "20",
+        from: user1.address,
+      });
+      expect(second.result.requestId).to.equal(first.result.requestId + 1n);
+
+      await increaseTime(WITHDRAWAL_DELAY);
+      const { result } = await runTask("vault:execute-withdrawal", {
+        id: second.result.requestId.toString(),
+        from: user1.address,
+      });
+      expect(result.amount).to.equal(ethers.parseEther("20"));
+
+      const requests = await vault.getWithdrawalRequests(user1.address);
+      expect(requests.length).to.equal(1);
+      expect(requests[0].requestId).to.equal(first.result.requestId);
+    });
+
+    it("should reject request IDs that are not integers", async function () {
+      await deployVault("V4");
+      for (const id of ["abc", "-1", "1.5", ""]) {
+        await expectRevert(
+          runTask("vault:execute-withdrawal", { id, from: user1.address }),
+          `--id: "${id}" is not a request ID`
+        );
+      }
+    });
+
+    it("should claim accrued yield", async function () {
+      await deployVault("V2");
+      await runTask("vault:deposit", { amount: "1000", from: user1.address });
+      await increaseTime(365 * 24 * 60 * 60);
+
+      const { result } = await runTask("vault:claim", { from: user1.address });
+      // 5% of the 950 credited, give or take the claim block
+      expect(result.amount > ethers.parseEther("47.5")).to.equal(true);
+      expect(result.amount < ethers.parseEther("47.51")).to.equal(true);
+    });
+  });
+
+  describe("Administration", function () {
+    it("should pause and unpause deposits", async function () {
+      await deployVault("V2");
+      let { result } = await runTask("vault:pause", { from: pauser.address });
+      expect(result.depositsPaused).to.equal(true);
+      await expect(
+        runTask("vault:deposit", { amount: "1", from: user1.address })
+      ).to.be.revertedWith("Deposits are paused");
+
+      ({ result } = await runTask("vault:pause", {
+        unpause: true,
+        from: pauser.address,
+      }));
+      expect(result.depositsPaused).to.equal(false);
+    });
+
+    it("should drive the V4 state machine", async function () {
+      await deployVault("V4");
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), user2.address);
+
+      let { result } = await runTask("vault:pause", {
+        all: true,
+        from: user2.address,
+      });
+      expect(result.state).to.equal("FullyPaused");
+
+      ({ result } = await runTask("vault:pause", {
+        all: true,
+        unpause: true,
+        from: pauser.address,
+      }));
+      expect(result.state).to.equal("Normal");
+    });
+
+    it("should refuse senders without the required role", async function () {
+      await deployVault("V4");
+      await expectRevert(
+        runTask("vault:pause", { from: user1.address }),
+        "does not hold PAUSER_ROLE"
+      );
+      await expectRevert(
+        runTask("vault:pause", { all: true, from: pauser.address }),
+        "does not hold GUARDIAN_ROLE"
+      );
+      await expectRevert(
+        runTask("vault:set-yield-rate", { rate: 100, from: user1.address }),
+        "does not hold DEFAULT_ADMIN_ROLE"
+      );
+    });
+
+    it("should set the yield rate", async function () {
+      await deployVault("V3");
+      const { result } = await runTask("vault:set-yield-rate", { rate: 800 });
+      expect(result.previousRate).to.equal(BigInt(YIELD_RATE));
+      expect(result.yieldRate).to.equal(800n);
+      expect(await vault.getYieldRate()).to.equal(800n);
+
+      await expectRevert(
+        runTask("vault:set-yield-rate", { rate: 10001 }),
+        "between 0 and 10000"
+      );
+    });
+
+    it("should switch to compound yield and compound balances", async function () {
+      await deployVault("V4");
+      await mockToken.approve(vault.target, ethers.parseEther("1000"));
+      await vault.fundRewards(ethers.parseEther("1000"));
+      await runTask("vault:deposit", { amount: "1000", from: user1.address });
+
+      await expectRevert(
+        runTask("vault:set-yield-mode", { mode: "daily" }),
+        "--mode: must be one of simple, compound"
+      );
+      await expectRevert(
+        runTask("vault:set-yield-mode", {
+          mode: "compound",
+          from: user1.address,
+        }),
+        "does not hold DEFAULT_ADMIN_ROLE"
+      );
+      let { result } = await runTask("vault:set-yield-mode", {
+        mode: "compound",
+      });
+      expect(result).to.include({
+        previousMode: "Simple",
+        yieldMode: "Compound",
+      });
+      await expectRevert(
+        runTask("vault:set-yield-mode", { mode: "Compound" }),
+        "already in Compound mode"
+      );
+
+      await increaseTime(365 * 24 * 60 * 60);
+      const balance = await vault.balanceOf(user1.address);
+      let output;
+      ({ result, output } = await runTask("vault:compound", {
+        accounts: `${user1.address}, ${user2.address}`,
+        from: user2.address,
+      }));
+      expect(result.compounded.length).to.equal(1);
+      expect(result.compounded[0].account).to.equal(user1.address);
+      expect(result.total).to.equal(
+        (await vault.balanceOf(user1.address)) - balance
+      );
+      expect(output).to.include("for 2 account(s)");
+
+      ({ result, output } = await runTask("vault:status"));
+      expect(result.yieldMode).to.equal("Compound");
+      expect(output).to.include("Yield Mode: Compound");
+    });
+  });
+});
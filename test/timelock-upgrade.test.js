@@ -0,0 +1,406 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  upgradeCall,
+  proposeOperation,
+  findPendingOperation,
+  executeOperation,
+  cancelOperation,
+} = require("../scripts/helpers/timelock");
+const { INITIALIZED, expectRevert, missingRole } = require("./helpers/reverts");
+
+describe("Timelocked Upgrades", function () {
+  let tokenVault;
+  let timelock;
+  let mockToken;
+  let owner, admin, proposer, executor, canceller, user1, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+  const MIN_DELAY = 2 * 24 * 60 * 60; // 2 days
+
+  function eventsOf(receipt, contract, name) {
+    return receipt.logs
+      .filter((log) => log.address === contract.target)
+      .map((log) => contract.interface.parseLog(log))
+      .filter((parsed) => parsed && parsed.name === name);
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // Deploys the implementation and returns the upgradeToAndCall for the batch
+  async function prepareUpgradeCall(name, initializer, args) {
+    const factory = await ethers.getContractFactory(name);
+    const implementation = await upgrades.prepareUpgrade(
+      tokenVault.target,
+      factory,
+      { kind: "uups" }
+    );
+    const initData = factory.interface.encodeFunctionData(initializer, args);
+    return upgradeCall(tokenVault.target, implementation, initData);
+  }
+
+  async function upgradeThroughTimelock(calls) {
+    const { id } = await proposeOperation(timelock.connect(proposer), calls);
+    await increaseTime(MIN_DELAY);
+    const operation = await findPendingOperation(timelock, tokenVault.target);
+    expect(operation.id).to.equal(id);
+    return executeOperation(timelock.connect(executor), operation);
+  }
+
+  beforeEach(async function () {
+    [owner, admin, proposer, executor, canceller, user1, treasury] =
+      await ethers.getSigners();
+
+    // Deploy mock token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    // Deploy the timelock and hand it the upgrade roles, as deploy-v1.js does
+    const VaultTimelock = await ethers.getContractFactory("VaultTimelock");
+    timelock = await VaultTimelock.deploy(
+      MIN_DELAY,
+      [proposer.address],
+      [executor.address],
+      [canceller.address]
+    );
+
+    const upgraderRole = await tokenVault.UPGRADER_ROLE();
+    const defaultAdminRole = await tokenVault.DEFAULT_ADMIN_ROLE();
+    await tokenVault.connect(admin).grantRole(upgraderRole, timelock.target);
+    await tokenVault.connect(admin).grantRole(defaultAdminRole, timelock.target);
+    await tokenVault.connect(admin).renounceRole(upgraderRole, admin.address);
+    await tokenVault
+      .connect(admin)
+      .renounceRole(defaultAdminRole, admin.address);
+
+    await mockToken.transfer(user1.address, ethers.parseEther("10000"));
+    await mockToken
+      .connect(user1)
+      .approve(tokenVault.target, ethers.MaxUint256);
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  describe("Role Handover", function () {
+    it("should leave the upgrade roles with the timelock only", async function () {
+      const upgraderRole = await tokenVault.UPGRADER_ROLE();
+      const defaultAdminRole = await tokenVault.DEFAULT_ADMIN_ROLE();
+
+      expect(await tokenVault.hasRole(upgraderRole, timelock.target)).to.equal(
+        true
+      );
+      expect(
+        await tokenVault.hasRole(defaultAdminRole, timelock.target)
+      ).to.equal(true);
+      expect(await tokenVault.hasRole(upgraderRole, admin.address)).to.equal(
+        false
+      );
+      expect(
+        await tokenVault.hasRole(defaultAdminRole, admin.address)
+      ).to.equal(false);
+    });
+
+    it("should reject a direct upgrade by the former upgrader", async function () {
+      const TokenVaultV2 = await ethers.getContractFactory(
+        "TokenVaultV2",
+        admin
+      );
+      await expect(
+        upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+          kind: "uups",
+        })
+      ).to.be.revertedWith(missingRole(admin, "UPGRADER_ROLE"));
+      expect(await tokenVault.getImplementationVersion()).to.equal("V1");
+    });
+
+    it("should reject role changes outside the timelock", async function () {
+      await expect(
+        tokenVault
+          .connect(admin)
+          .grantRole(await tokenVault.UPGRADER_ROLE(), admin.address)
+      ).to.be.revertedWith(missingRole(admin, "DEFAULT_ADMIN_ROLE"));
+    });
+  });
+
+  describe("Propose and Execute", function () {
+    it("should schedule an upgrade with its init calldata", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      const { id, eta } = await proposeOperation(timelock.connect(proposer), [
+        call,
+      ]);
+
+      const block = await ethers.provider.getBlock("latest");
+      expect(eta).to.equal(BigInt(block.timestamp + MIN_DELAY));
+      expect(await timelock.isOperationPending(id)).to.equal(true);
+      expect(await timelock.isOperationReady(id)).to.equal(false);
+
+      const [event] = await timelock.queryFilter(
+        timelock.filters.CallScheduled(id)
+      );
+      expect(event.args.target).to.equal(tokenVault.target);
+      expect(event.args.data).to.equal(call.data);
+      expect(event.args.delay).to.equal(BigInt(MIN_DELAY));
+    });
+
+    it("should not execute before the delay has passed", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      await proposeOperation(timelock.connect(proposer), [call]);
+      await increaseTime(MIN_DELAY - 60);
+
+      const operation = await findPendingOperation(timelock, tokenVault.target);
+      await expect(
+        timelock
+          .connect(executor)
+          .executeBatch(
+            operation.targets,
+            operation.values,
+            operation.payloads,
+            operation.predecessor,
+            operation.salt
+          )
+      ).to.be.revertedWith("TimelockController: operation is not ready");
+      // The script refuses before sending, naming the operation and its ETA
+      await expectRevert(
+        executeOperation(timelock.connect(executor), operation),
+        `Operation ${operation.id} is not ready; executable from`
+      );
+      expect(await tokenVault.getImplementationVersion()).to.equal("V1");
+    });
+
+    it("should upgrade and initialize atomically after the delay", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      const receipt = await upgradeThroughTimelock([call]);
+
+      expect(eventsOf(receipt, timelock, "CallExecuted").length).to.equal(1);
+
+      const vaultV2 = await ethers.getContractAt(
+        "TokenVaultV2",
+        tokenVault.target
+      );
+      expect(await vaultV2.getImplementationVersion()).to.equal("V2");
+      expect(await vaultV2.getYieldRate()).to.equal(BigInt(YIELD_RATE));
+      expect(await vaultV2.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("950")
+      );
+      await expect(
+        vaultV2.connect(admin).initializeV2(1000)
+      ).to.be.revertedWith(INITIALIZED);
+    });
+
+    it("should run admin calls in the same batch as the upgrade", async function () {
+      await upgradeThroughTimelock([
+        await prepareUpgradeCall("TokenVaultV2", "initializeV2", [YIELD_RATE]),
+      ]);
+      await upgradeThroughTimelock([
+        await prepareUpgradeCall("TokenVaultV3", "initializeV3", [
+          WITHDRAWAL_DELAY,
+        ]),
+      ]);
+
+      const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4");
+      const adminCall = (fn, args) => ({
+        target: tokenVault.target,
+        value: 0n,
+        data: TokenVaultV4.interface.encodeFunctionData(fn, args),
+      });
+      const receipt = await upgradeThroughTimelock([
+        await prepareUpgradeCall("TokenVaultV4", "initializeV4", [
+          treasury.address,
+          MAX_DEPOSIT_FEE,
+          FEE_UPDATE_DELAY,
+        ]),
+        adminCall("migrateYieldCheckpoints", [[user1.address]]),
+        adminCall("setStrictDelayMode", [true]),
+      ]);
+      expect(eventsOf(receipt, timelock, "CallExecuted").length).to.equal(3);
+
+      const vaultV4 = await ethers.getContractAt(
+        "TokenVaultV4",
+        tokenVault.target
+      );
+      expect(await vaultV4.getImplementationVersion()).to.equal("V4");
+      expect(await vaultV4.strictDelayMode()).to.equal(true);
+      expect(await vaultV4.getWithdrawalDelay()).to.equal(
+        BigInt(WITHDRAWAL_DELAY)
+      );
+
+      // Operational roles stay with the admin
+      await vaultV4.connect(admin).reconcileFees();
+      await vaultV4.connect(admin).pauseDeposits();
+      expect(await vaultV4.isDepositsPaused()).to.equal(true);
+    });
+
+    it("should roll the whole batch back when one call fails", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      // Second initializeV2 in the batch reverts once the first has run
+      const again = {
+        target: tokenVault.target,
+        value: 0n,
+        data: (
+          await ethers.getContractFactory("TokenVaultV2")
+        ).interface.encodeFunctionData("initializeV2", [YIELD_RATE]),
+      };
+      await proposeOperation(timelock.connect(proposer), [call, again]);
+      await increaseTime(MIN_DELAY);
+
+      const operation = await findPendingOperation(timelock, tokenVault.target);
+      await expect(
+        executeOperation(timelock.connect(executor), operation)
+      ).to.be.revertedWith("TimelockController: underlying transaction reverted");
+      expect(await tokenVault.getImplementationVersion()).to.equal("V1");
+      expect(await timelock.isOperationPending(operation.id)).to.equal(true);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("should let a canceller drop a pending upgrade", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      const { id } = await proposeOperation(timelock.connect(proposer), [call]);
+
+      const operation = await findPendingOperation(timelock, tokenVault.target);
+      const receipt = await cancelOperation(
+        timelock.connect(canceller),
+        operation
+      );
+      const [event] = eventsOf(receipt, timelock, "Cancelled");
+      expect(event.args.id).to.equal(id);
+      expect(await timelock.isOperation(id)).to.equal(false);
+
+      await increaseTime(MIN_DELAY);
+      await expectRevert(
+        findPendingOperation(timelock, tokenVault.target),
+        "No pending operation"
+      );
+      await expect(
+        timelock
+          .connect(executor)
+          .executeBatch(
+            operation.targets,
+            operation.values,
+            operation.payloads,
+            operation.predecessor,
+            operation.salt
+          )
+      ).to.be.revertedWith("TimelockController: operation is not ready");
+      expect(await tokenVault.getImplementationVersion()).to.equal("V1");
+    });
+
+    it("should let the proposer cancel its own proposal", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      const { id } = await proposeOperation(timelock.connect(proposer), [call]);
+
+      await timelock.connect(proposer).cancel(id);
+      expect(await timelock.isOperationPending(id)).to.equal(false);
+    });
+
+    it("should find a rescheduled operation again after a cancellation", async function () {
+      const call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+      const { id } = await proposeOperation(timelock.connect(proposer), [call]);
+      await timelock.connect(canceller).cancel(id);
+      await proposeOperation(timelock.connect(proposer), [call]);
+      await increaseTime(MIN_DELAY);
+
+      const operation = await findPendingOperation(
+        timelock,
+        tokenVault.target,
+        id
+      );
+      expect(operation.targets.length).to.equal(1);
+      await executeOperation(timelock.connect(executor), operation);
+      expect(await tokenVault.getImplementationVersion()).to.equal("V2");
+    });
+  });
+
+  describe("Timelock Roles", function () {
+    let call;
+
+    beforeEach(async function () {
+      call = await prepareUpgradeCall("TokenVaultV2", "initializeV2", [
+        YIELD_RATE,
+      ]);
+    });
+
+    it("should reject proposals from non-proposers", async function () {
+      for (const signer of [admin, executor, canceller, user1]) {
+        await expect(
+          proposeOperation(timelock.connect(signer), [call])
+        ).to.be.revertedWith(missingRole(signer, "PROPOSER_ROLE"));
+      }
+    });
+
+    it("should reject cancellation by non-cancellers", async function () {
+      const { id } = await proposeOperation(timelock.connect(proposer), [call]);
+
+      for (const signer of [admin, executor, user1]) {
+        await expect(timelock.connect(signer).cancel(id)).to.be.revertedWith(
+          missingRole(signer, "CANCELLER_ROLE")
+        );
+      }
+      expect(await timelock.isOperationPending(id)).to.equal(true);
+    });
+
+    it("should reject execution by non-executors", async function () {
+      await proposeOperation(timelock.connect(proposer), [call]);
+      await increaseTime(MIN_DELAY);
+
+      const operation = await findPendingOperation(timelock, tokenVault.target);
+      for (const signer of [admin, proposer, user1]) {
+        await expect(
+          executeOperation(timelock.connect(signer), operation)
+        ).to.be.revertedWith(missingRole(signer, "EXECUTOR_ROLE"));
+      }
+    });
+
+    it("should only change its delay through a timelocked operation", async function () {
+      await expect(
+        timelock.connect(proposer).updateDelay(60)
+      ).to.be.revertedWith("TimelockController: caller must be timelock");
+
+      await proposeOperation(timelock.connect(proposer), [
+        {
+          target: timelock.target,
+          value: 0n,
+          data: timelock.interface.encodeFunctionData("updateDelay", [60]),
+        },
+      ]);
+      await increaseTime(MIN_DELAY);
+      const operation = await findPendingOperation(timelock, timelock.target);
+      const receipt = await executeOperation(
+        timelock.connect(executor),
+        operation
+      );
+
+      const [event] = eventsOf(receipt, timelock, "MinDelayChange");
+      expect(event.args.newDuration).to.equal(60n);
+      expect(await timelock.getMinDelay()).to.equal(60n);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { readManifest } = require("../scripts/helpers/manifest");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const { dryRunUpgrade } = require("../scripts/helpers/dry-run");
+const { expectRevert } = require("./helpers/reverts");
+const { run } = require("./helpers/scripts");
+
+describe("Upgrade Dry-Run", function () {
+  let deployer, user1, user2;
+  let tmpDir;
+  let token, vault;
+  const NETWORK = "hardhat";
+  const HOUR = 60 * 60;
+
+  function writeConfig(config) {
+    const configPath = path.join(tmpDir, "config.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    process.env.DEPLOY_CONFIG = configPath;
+  }
+
+  async function deploy(config) {
+    writeConfig(config);
+    const deployed = await run("deploy-v1");
+    token = await ethers.getContractAt("MockERC20", deployed.token);
+    vault = await VaultClient.connect(deployed.vault, deployer);
+
+    for (const [user, amount] of [
+      [deployer, "100"],
+      [user1, "1000"],
+      [user2, "250"],
+    ]) {
+      await token.transfer(user.address, ethers.parseEther(amount));
+      await token
+        .connect(user)
+        .approve(vault.target, ethers.parseEther(amount));
+      await vault.connect(user).deposit(ethers.parseEther(amount));
+    }
+    return deployed;
+  }
+
+  function keys(changes) {
+    return changes.map((change) => `${change.kind} ${change.key}`);
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "vault-dry-run-"));
+    process.env.DEPLOYMENTS_DIR = tmpDir;
+  });
+
+  afterEach(function () {
+    delete process.env.DEPLOYMENTS_DIR;
+    delete process.env.DEPLOY_CONFIG;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should report only the changes an upgrade to V2 is expected to make", async function () {
+    await deploy({ yieldRate: 700, timelock: null });
+    const report = await run("upgrade-dry-run");
+
+    expect(report.fromVersion).to.equal("V1");
+    expect(report.version).to.equal("V2");
+    expect(report.upgrader).to.equal(deployer.address);
+    expect(report.args).to.deep.equal([700]);
+    expect(report.accounts).to.equal(3);
+    expect(report.unexpected).to.deep.equal([]);
+
+    const expected = keys(report.changes);
+    expect(expected).to.include("slot ERC1967 implementation");
+    expect(expected).to.include("slot 0 (_initialized, _initializing)");
+    expect(expected).to.include(`role PAUSER_ROLE(${deployer.address})`);
+    const yieldRate = report.changes.find((change) =>
+      change.reason.includes("yieldRate")
+    );
+    expect(BigInt(yieldRate.after)).to.equal(700n);
+  });
+
+  it("should revert the snapshot afterwards", async function () {
+    await deploy({ timelock: null });
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    await run("upgrade-dry-run");
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    const after = await VaultClient.connect(vault.target, deployer);
+    expect(after.version).to.equal("V1");
+    expect(after.implementation).to.equal(vault.implementation);
+    expect(readManifest(NETWORK).vault.implementations.length).to.equal(1);
+
+    // The real upgrade still works afterwards
+    await run("upgrade-to-v2");
+    expect(readManifest(NETWORK).vault.version).to.equal("V2");
+  });
+
+  it("should compare withdrawal requests and V4 roles on the way to V4", async function () {
+    await deploy({ timelock: null });
+    await run("upgrade-to-v2");
+    await run("upgrade-to-v3");
+    const vaultV3 = await VaultClient.connect(vault.target, deployer);
+    await vaultV3.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+
+    const report = await run("upgrade-dry-run");
+    expect(report.version).to.equal("V4");
+    expect(report.unexpected).to.deep.equal([]);
+    const expected = keys(report.changes);
+    for (const role of ["FEE_MANAGER_ROLE", "REWARD_FUNDER_ROLE"]) {
+      expect(expected).to.include(`role ${role}(${deployer.address})`);
+    }
+    expect(expected).to.not.include(
+      `role GUARDIAN_ROLE(${deployer.address})`
+    );
+  });
+
+  it("should rehearse a proposed upgrade as the timelock", async function () {
+    const deployed = await deploy({
+      yieldRate: 900,
+      timelock: { minDelay: HOUR },
+    });
+    await run("upgrade-to-v2", { UPGRADE_MODE: "propose" });
+    const pending = readManifest(NETWORK).vault.pendingUpgrade;
+
+    // The config changed since the proposal; the scheduled arguments win
+    writeConfig({ yieldRate: 100, timelock: { minDelay: HOUR } });
+    const report = await run("upgrade-dry-run");
+
+    expect(report.upgrader).to.equal(deployed.timelock);
+    expect(report.implementation).to.equal(pending.address);
+    expect(report.args).to.deep.equal([900]);
+    expect(report.unexpected).to.deep.equal([]);
+
+    const timelock = await ethers.getContractAt(
+      "VaultTimelock",
+      deployed.timelock
+    );
+    expect(await timelock.isOperationPending(pending.operationId)).to.equal(
+      true
+    );
+  });
+
+  it("should flag an initializer that overwrites existing state", async function () {
+    await deploy({ timelock: null });
+    const report = await dryRunUpgrade(vault.target, {
+      fromVersion: "V1",
+      version: "V2",
+      contract: "TokenVaultV2Faulty",
+      initializer: "initializeV2Faulty",
+      args: [500],
+    });
+
+    expect(keys(report.unexpected)).to.deep.equal([
+      "parameter depositFee",
+      `position balanceOf(${deployer.address})`,
+      "slot 253 (depositFee)",
+    ]);
+    expect(report.unexpected[0].before).to.equal("500");
+    expect(report.unexpected[0].after).to.equal("0");
+    expect(await vault.getDepositFee()).to.equal(500n);
+  });
+
+  it("should reject a target the vault cannot upgrade to", async function () {
+    await deploy({ timelock: null });
+    await expectRevert(
+      run("upgrade-dry-run", { DRY_RUN_VERSION: "V3" }),
+      "starts from V2"
+    );
+    await expectRevert(
+      run("upgrade-dry-run", { DRY_RUN_VERSION: "V9" }),
+      "DRY_RUN_VERSION must be one of"
+    );
+  });
+
+  it("should require a deployment manifest", async function () {
+    writeConfig({ timelock: null });
+    await expectRevert(run("upgrade-dry-run"), "No deployment manifest");
+  });
+});
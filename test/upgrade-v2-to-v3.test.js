@@ -142,13 +142,9 @@ describe("Upgrade V2 to V3", function () {
       await tokenVaultV3.connect(user1).requestWithdrawal(withdrawAmount);
 
       // Try to execute before delay
-      let reverted = false;
-      try {
-        await tokenVaultV3.connect(user1).executeWithdrawal();
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVaultV3.connect(user1).executeWithdrawal()
+      ).to.be.revertedWith("Withdrawal delay not satisfied");
 
       // Advance time by withdrawal delay + 1 second
       await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY + 1]);
@@ -169,13 +165,9 @@ describe("Upgrade V2 to V3", function () {
       await tokenVaultV3.connect(user1).requestWithdrawal(withdrawAmount);
 
       // Should fail immediately after request
-      let reverted = false;
-      try {
-        await tokenVaultV3.connect(user1).executeWithdrawal();
-      } catch (error) {
-        reverted = true;
-      }
-      expect(reverted).to.be.true;
+      await expect(
+        tokenVaultV3.connect(user1).executeWithdrawal()
+      ).to.be.revertedWith("Withdrawal delay not satisfied");
     });
   });
 
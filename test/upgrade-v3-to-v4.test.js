@@ -0,0 +1,792 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { INITIALIZED, missingRole } = require("./helpers/reverts");
+
+describe("Upgrade V3 to V4", function () {
+  let tokenVaultV1;
+  let tokenVaultV2;
+  let tokenVaultV3;
+  let tokenVaultV4;
+  let mockToken;
+  let owner, admin, user1, user2, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+
+  const feeOf = (amount) => (amount * BigInt(DEPOSIT_FEE)) / BigInt(10000);
+
+  // Fees charged on the deposits made before the V4 upgrade
+  const PRE_UPGRADE_FEES =
+    feeOf(ethers.parseEther("1000")) +
+    feeOf(ethers.parseEther("500")) +
+    feeOf(ethers.parseEther("200"));
+
+  async function upgradeToV4() {
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVaultV4 = await upgrades.upgradeProxy(
+      tokenVaultV3.target,
+      TokenVaultV4,
+      { kind: "uups" }
+    );
+    await tokenVaultV4
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+  }
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, treasury] = await ethers.getSigners();
+
+    // Deploy mock token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVaultV1 = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    // Distribute tokens and approve the proxy
+    await mockToken.transfer(user1.address, ethers.parseEther("10000"));
+    await mockToken.transfer(user2.address, ethers.parseEther("10000"));
+    await mockToken
+      .connect(user1)
+      .approve(tokenVaultV1.target, ethers.MaxUint256);
+    await mockToken
+      .connect(user2)
+      .approve(tokenVaultV1.target, ethers.MaxUint256);
+
+    // V1 deposit
+    await tokenVaultV1.connect(user1).deposit(ethers.parseEther("1000"));
+
+    // Upgrade to V2 and deposit
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVaultV2 = await upgrades.upgradeProxy(
+      tokenVaultV1.target,
+      TokenVaultV2,
+      { kind: "uups" }
+    );
+    await tokenVaultV2.connect(admin).initializeV2(YIELD_RATE);
+    await tokenVaultV2.connect(user2).deposit(ethers.parseEther("500"));
+
+    // Upgrade to V3 and deposit
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVaultV3 = await upgrades.upgradeProxy(
+      tokenVaultV2.target,
+      TokenVaultV3,
+      { kind: "uups" }
+    );
+    await tokenVaultV3.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+    await tokenVaultV3.connect(user1).deposit(ethers.parseEther("200"));
+  });
+
+  describe("Upgrade Process", function () {
+    it("should preserve all V3 state after upgrade", async function () {
+      const user1Before = await tokenVaultV3.balanceOf(user1.address);
+      const user2Before = await tokenVaultV3.balanceOf(user2.address);
+      const totalBefore = await tokenVaultV3.totalDeposits();
+
+      await upgradeToV4();
+
+      expect(await tokenVaultV4.balanceOf(user1.address)).to.equal(user1Before);
+      expect(await tokenVaultV4.balanceOf(user2.address)).to.equal(user2Before);
+      expect(await tokenVaultV4.totalDeposits()).to.equal(totalBefore);
+      expect(await tokenVaultV4.getYieldRate()).to.equal(BigInt(YIELD_RATE));
+      expect(await tokenVaultV4.getWithdrawalDelay()).to.equal(
+        BigInt(WITHDRAWAL_DELAY)
+      );
+      expect(await tokenVaultV4.getImplementationVersion()).to.equal("V4");
+    });
+
+    it("should set treasury and grant fee manager role to admin", async function () {
+      await upgradeToV4();
+
+      expect(await tokenVaultV4.treasury()).to.equal(treasury.address);
+      const role = await tokenVaultV4.FEE_MANAGER_ROLE();
+      expect(await tokenVaultV4.hasRole(role, admin.address)).to.equal(true);
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(0n);
+    });
+
+    it("should prevent reinitializing V4", async function () {
+      await upgradeToV4();
+
+      await expect(
+        tokenVaultV4
+          .connect(admin)
+          .initializeV4(user1.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY)
+      ).to.be.revertedWith(INITIALIZED);
+    });
+
+    it("should keep the implementation and its extension under the EIP-170 limit", async function () {
+      await upgradeToV4();
+
+      const implementation = await upgrades.erc1967.getImplementationAddress(
+        tokenVaultV4.target
+      );
+      // The extension is the first contract the implementation's constructor creates
+      const extension = ethers.getCreateAddress({
+        from: implementation,
+        nonce: 1,
+      });
+      for (const address of [implementation, extension]) {
+        const code = await ethers.provider.getCode(address);
+        expect(code.length).to.be.greaterThan(2);
+        expect((code.length - 2) / 2).to.be.at.most(24576);
+      }
+    });
+  });
+
+  describe("Fee Reconciliation", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should report pre-upgrade fees as unaccounted", async function () {
+      const [vaultBalance, accountedBalance, unaccounted] =
+        await tokenVaultV4.getFeeReconciliation();
+
+      expect(vaultBalance).to.equal(
+        await mockToken.balanceOf(tokenVaultV4.target)
+      );
+      expect(accountedBalance).to.equal(await tokenVaultV4.totalDeposits());
+      expect(unaccounted).to.equal(PRE_UPGRADE_FEES);
+    });
+
+    it("should recover pre-upgrade fees through reconciliation", async function () {
+      await tokenVaultV4.connect(admin).reconcileFees();
+
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(PRE_UPGRADE_FEES);
+      expect(await tokenVaultV4.feesReconciled()).to.equal(true);
+
+      const [, , unaccounted] = await tokenVaultV4.getFeeReconciliation();
+      expect(unaccounted).to.equal(0n);
+
+      // Recovered fees can be swept like any other fee
+      await tokenVaultV4.connect(user2).sweepFees();
+      expect(await mockToken.balanceOf(treasury.address)).to.equal(
+        PRE_UPGRADE_FEES
+      );
+    });
+
+    it("should only allow reconciliation once", async function () {
+      await tokenVaultV4.connect(admin).reconcileFees();
+
+      await expect(
+        tokenVaultV4.connect(admin).reconcileFees()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "FeesAlreadyReconciled");
+    });
+
+    it("should prevent non-fee-manager from reconciling", async function () {
+      await expect(
+        tokenVaultV4.connect(user1).reconcileFees()
+      ).to.be.revertedWith(missingRole(user1, "FEE_MANAGER_ROLE"));
+    });
+  });
+
+  describe("Fee Reconciliation After Yield Claims", function () {
+    it("should not recover fees already paid out as yield", async function () {
+      // Yield claimed in V3 is paid from the same balance that holds the fees
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+      await ethers.provider.send("evm_mine");
+      const balanceBefore = await mockToken.balanceOf(user1.address);
+      await tokenVaultV3.connect(user1).claimYield();
+      const claimed = (await mockToken.balanceOf(user1.address)) - balanceBefore;
+      expect(claimed > 0n).to.be.true;
+
+      await upgradeToV4();
+      await tokenVaultV4.connect(admin).reconcileFees();
+
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(
+        PRE_UPGRADE_FEES - claimed
+      );
+    });
+  });
+
+  describe("Fee Accounting", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should accrue fees on new deposits", async function () {
+      const depositAmount = ethers.parseEther("1000");
+      await tokenVaultV4.connect(user1).deposit(depositAmount);
+
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(feeOf(depositAmount));
+    });
+
+    it("should keep vault balance reconciled after reconciliation", async function () {
+      await tokenVaultV4.connect(admin).reconcileFees();
+      await tokenVaultV4.connect(user1).deposit(ethers.parseEther("300"));
+      await tokenVaultV4.connect(user2).withdraw(ethers.parseEther("100"));
+
+      const [vaultBalance, accountedBalance, unaccounted] =
+        await tokenVaultV4.getFeeReconciliation();
+      expect(vaultBalance).to.equal(accountedBalance);
+      expect(unaccounted).to.equal(0n);
+    });
+
+    it("should allow fee manager to collect fees to any address", async function () {
+      const depositAmount = ethers.parseEther("1000");
+      await tokenVaultV4.connect(user1).deposit(depositAmount);
+
+      await tokenVaultV4.connect(admin).collectFees(user2.address);
+
+      const user2Expected = ethers.parseEther("10000") -
+        ethers.parseEther("500") +
+        feeOf(depositAmount);
+      expect(await mockToken.balanceOf(user2.address)).to.equal(user2Expected);
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(0n);
+    });
+
+    it("should prevent non-fee-manager from collecting fees", async function () {
+      await tokenVaultV4.connect(user1).deposit(ethers.parseEther("1000"));
+
+      await expect(
+        tokenVaultV4.connect(user1).collectFees(user1.address)
+      ).to.be.revertedWith(missingRole(user1, "FEE_MANAGER_ROLE"));
+    });
+
+    it("should sweep fees to the treasury", async function () {
+      const depositAmount = ethers.parseEther("1000");
+      await tokenVaultV4.connect(user1).deposit(depositAmount);
+
+      await tokenVaultV4.connect(user1).sweepFees();
+
+      expect(await mockToken.balanceOf(treasury.address)).to.equal(
+        feeOf(depositAmount)
+      );
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(0n);
+    });
+
+    it("should revert when there are no fees to collect", async function () {
+      await expect(
+        tokenVaultV4.connect(admin).sweepFees()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "NoFeesToCollect");
+    });
+
+    it("should only allow admin to change the treasury", async function () {
+      await expect(
+        tokenVaultV4.connect(user1).setTreasury(user1.address)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+
+      await tokenVaultV4.connect(admin).setTreasury(user2.address);
+      expect(await tokenVaultV4.treasury()).to.equal(user2.address);
+    });
+  });
+
+  describe("Deposit Fee Updates", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("should initialize fee cap and notice period", async function () {
+      expect(await tokenVaultV4.maxDepositFee()).to.equal(BigInt(MAX_DEPOSIT_FEE));
+      expect(await tokenVaultV4.feeUpdateDelay()).to.equal(
+        BigInt(FEE_UPDATE_DELAY)
+      );
+    });
+
+    it("should apply fee decreases immediately", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(100);
+
+      expect(await tokenVaultV4.getDepositFee()).to.equal(100n);
+      expect(await tokenVaultV4.depositFee()).to.equal(100n);
+
+      const depositAmount = ethers.parseEther("1000");
+      await tokenVaultV4.connect(user2).deposit(depositAmount);
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(
+        (depositAmount * 100n) / 10000n
+      );
+    });
+
+    it("should queue fee increases until the notice period passes", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(800);
+
+      // Old fee still charged while the increase is pending
+      expect(await tokenVaultV4.getDepositFee()).to.equal(BigInt(DEPOSIT_FEE));
+      const [pendingFee, effectiveTime] =
+        await tokenVaultV4.getPendingDepositFee();
+      expect(pendingFee).to.equal(800n);
+      const block = await ethers.provider.getBlock("latest");
+      expect(effectiveTime).to.equal(BigInt(block.timestamp + FEE_UPDATE_DELAY));
+
+      const depositAmount = ethers.parseEther("1000");
+      await tokenVaultV4.connect(user2).deposit(depositAmount);
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(feeOf(depositAmount));
+
+      await increaseTime(FEE_UPDATE_DELAY + 1);
+
+      // New fee is effective without an extra transaction
+      expect(await tokenVaultV4.getDepositFee()).to.equal(800n);
+      const [pendingAfter, effectiveAfter] =
+        await tokenVaultV4.getPendingDepositFee();
+      expect(pendingAfter).to.equal(0n);
+      expect(effectiveAfter).to.equal(0n);
+
+      await tokenVaultV4.connect(user2).deposit(depositAmount);
+      expect(await tokenVaultV4.depositFee()).to.equal(800n);
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(
+        feeOf(depositAmount) + (depositAmount * 800n) / 10000n
+      );
+    });
+
+    it("should allow applying a matured fee increase explicitly", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(800);
+      const effectiveTime = await tokenVaultV4.pendingDepositFeeTime();
+
+      await expect(tokenVaultV4.connect(user1).applyPendingDepositFee())
+        .to.be.revertedWithCustomError(tokenVaultV4, "FeeNoticePending")
+        .withArgs(effectiveTime);
+
+      await increaseTime(FEE_UPDATE_DELAY + 1);
+      await tokenVaultV4.connect(user1).applyPendingDepositFee();
+      expect(await tokenVaultV4.depositFee()).to.equal(800n);
+    });
+
+    it("should let a decrease cancel a pending increase", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(800);
+      await tokenVaultV4.connect(admin).setDepositFee(300);
+
+      await increaseTime(FEE_UPDATE_DELAY + 1);
+
+      expect(await tokenVaultV4.getDepositFee()).to.equal(300n);
+      const [pendingFee] = await tokenVaultV4.getPendingDepositFee();
+      expect(pendingFee).to.equal(0n);
+    });
+
+    it("should allow cancelling a pending increase", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(800);
+      await tokenVaultV4.connect(admin).cancelPendingDepositFee();
+
+      await increaseTime(FEE_UPDATE_DELAY + 1);
+      expect(await tokenVaultV4.getDepositFee()).to.equal(BigInt(DEPOSIT_FEE));
+    });
+
+    it("should reject fees above the cap", async function () {
+      await expect(tokenVaultV4.connect(admin).setDepositFee(MAX_DEPOSIT_FEE + 1))
+        .to.be.revertedWithCustomError(tokenVaultV4, "FeeTooHigh")
+        .withArgs(MAX_DEPOSIT_FEE + 1, MAX_DEPOSIT_FEE);
+    });
+
+    it("should drop a pending increase above a lowered cap", async function () {
+      await tokenVaultV4.connect(admin).setDepositFee(800);
+      await tokenVaultV4.connect(admin).setMaxDepositFee(600);
+
+      await increaseTime(FEE_UPDATE_DELAY + 1);
+      expect(await tokenVaultV4.getDepositFee()).to.equal(BigInt(DEPOSIT_FEE));
+      expect(await tokenVaultV4.maxDepositFee()).to.equal(600n);
+    });
+
+    it("should prevent lowering the cap below the current fee", async function () {
+      await expect(tokenVaultV4.connect(admin).setMaxDepositFee(DEPOSIT_FEE - 1))
+        .to.be.revertedWithCustomError(tokenVaultV4, "MaxFeeBelowCurrentFee")
+        .withArgs(DEPOSIT_FEE - 1, DEPOSIT_FEE);
+    });
+
+    it("should prevent non-fee-manager from changing the fee", async function () {
+      await expect(
+        tokenVaultV4.connect(user1).setDepositFee(100)
+      ).to.be.revertedWith(missingRole(user1, "FEE_MANAGER_ROLE"));
+    });
+
+    it("should only allow admin to change the cap and notice period", async function () {
+      await expect(
+        tokenVaultV4.connect(user1).setMaxDepositFee(2000)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+      await expect(
+        tokenVaultV4.connect(user1).setFeeUpdateDelay(0)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+
+      await tokenVaultV4.connect(admin).setFeeUpdateDelay(86400);
+      expect(await tokenVaultV4.feeUpdateDelay()).to.equal(86400n);
+    });
+  });
+
+  describe("Yield Checkpoint Migration", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("should start V1-only depositors accruing from V4 activation", async function () {
+      // A V1 depositor who never interacted after the V2 upgrade has no
+      // checkpoint, so V2/V3 compute their yield from timestamp 0
+      const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+      let vault = await upgrades.deployProxy(
+        TokenVaultV1,
+        [mockToken.target, admin.address, DEPOSIT_FEE],
+        { kind: "uups", initializer: "initialize" }
+      );
+      await mockToken.connect(user1).approve(vault.target, ethers.MaxUint256);
+      await vault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      for (const [name, init, arg] of [
+        ["TokenVaultV2", "initializeV2", YIELD_RATE],
+        ["TokenVaultV3", "initializeV3", WITHDRAWAL_DELAY],
+      ]) {
+        const Factory = await ethers.getContractFactory(name, admin);
+        vault = await upgrades.upgradeProxy(vault.target, Factory, {
+          kind: "uups",
+        });
+        await vault.connect(admin)[init](arg);
+      }
+
+      const balance = await vault.balanceOf(user1.address);
+      expect(await vault.lastClaimTime(user1.address)).to.equal(0n);
+      expect((await vault.getUserYield(user1.address)) > balance).to.be.true;
+
+      const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+      vault = await upgrades.upgradeProxy(vault.target, TokenVaultV4, {
+        kind: "uups",
+      });
+      await vault
+        .connect(admin)
+        .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+
+      // Without a checkpoint nothing has accrued before V4
+      expect(await vault.getUserYield(user1.address)).to.equal(0n);
+
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await vault.connect(admin).migrateYieldCheckpoints([user1.address]);
+      expect((await vault.lastClaimTime(user1.address)) > 0n).to.be.true;
+
+      // Migration only settles index accrual since activation
+      const oneYear = (balance * BigInt(YIELD_RATE)) / 10000n;
+      const accrued = await vault.accumulatedYield(user1.address);
+      expect(accrued >= oneYear).to.be.true;
+      expect(accrued < oneYear + oneYear / 1000n).to.be.true;
+    });
+
+    it("should settle pending yield under pre-V4 rules on migration", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      await upgradeToV4();
+      const tx = await tokenVaultV4
+        .connect(admin)
+        .migrateYieldCheckpoints([user1.address, user2.address]);
+      const receipt = await tx.wait();
+      const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+      for (const user of [user1, user2]) {
+        expect(await tokenVaultV4.lastClaimTime(user.address)).to.equal(
+          BigInt(block.timestamp)
+        );
+        const settled = await tokenVaultV4.accumulatedYield(user.address);
+        expect(settled > 0n).to.be.true;
+        expect(await tokenVaultV4.getUserYield(user.address)).to.equal(settled);
+      }
+    });
+
+    it("should not apply post-upgrade rate changes to pre-V4 yield", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      await upgradeToV4();
+      const before = await tokenVaultV4.getUserYield(user1.address);
+      await tokenVaultV4.connect(admin).setYieldRate(10000);
+      await tokenVaultV4
+        .connect(admin)
+        .migrateYieldCheckpoints([user1.address]);
+
+      // The settled amount reflects the old rate plus a few seconds at the new one
+      const balance = await tokenVaultV4.balanceOf(user1.address);
+      const settled = await tokenVaultV4.accumulatedYield(user1.address);
+      expect(settled >= before).to.be.true;
+      expect(settled - before < balance / 100000n).to.be.true;
+    });
+
+    it("should prevent non-admin from migrating checkpoints", async function () {
+      await upgradeToV4();
+
+      await expect(
+        tokenVaultV4.connect(user1).migrateYieldCheckpoints([user1.address])
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+    });
+  });
+
+  describe("Reward Reserve", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await upgradeToV4();
+      await tokenVaultV4
+        .connect(admin)
+        .migrateYieldCheckpoints([user1.address, user2.address]);
+
+      await mockToken.transfer(admin.address, ethers.parseEther("10000"));
+      await mockToken
+        .connect(admin)
+        .approve(tokenVaultV4.target, ethers.MaxUint256);
+    });
+
+    it("should grant reward funder role to admin", async function () {
+      const role = await tokenVaultV4.REWARD_FUNDER_ROLE();
+      expect(await tokenVaultV4.hasRole(role, admin.address)).to.equal(true);
+    });
+
+    it("should add funded tokens to the reserve", async function () {
+      const amount = ethers.parseEther("100");
+      await tokenVaultV4.connect(admin).fundRewards(amount);
+
+      expect(await tokenVaultV4.getRewardReserve()).to.equal(amount);
+      // Funding does not count as fees or deposits
+      await tokenVaultV4.connect(admin).reconcileFees();
+      expect(await tokenVaultV4.getAccruedFees()).to.equal(PRE_UPGRADE_FEES);
+    });
+
+    it("should allow granted reward funders to fund", async function () {
+      const role = await tokenVaultV4.REWARD_FUNDER_ROLE();
+      await tokenVaultV4.connect(admin).grantRole(role, user2.address);
+
+      await tokenVaultV4.connect(user2).fundRewards(ethers.parseEther("10"));
+      expect(await tokenVaultV4.getRewardReserve()).to.equal(
+        ethers.parseEther("10")
+      );
+    });
+
+    it("should prevent non-funders from funding", async function () {
+      await expect(
+        tokenVaultV4.connect(user1).fundRewards(ethers.parseEther("10"))
+      ).to.be.revertedWith(missingRole(user1, "REWARD_FUNDER_ROLE"));
+    });
+
+    it("should pay claims from the reserve only", async function () {
+      await tokenVaultV4.connect(admin).fundRewards(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+
+      const totalBefore = await tokenVaultV4.totalDeposits();
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+      await tokenVaultV4.connect(user1).claimYield();
+      const claimed = (await mockToken.balanceOf(user1.address)) - tokensBefore;
+
+      expect(claimed > 0n).to.be.true;
+      expect(await tokenVaultV4.getRewardReserve()).to.equal(
+        ethers.parseEther("100") - claimed
+      );
+      expect(await tokenVaultV4.totalDeposits()).to.equal(totalBefore);
+    });
+
+    it("should pay partially and keep the rest accrued when the reserve runs dry", async function () {
+      const reserve = ethers.parseEther("1");
+      await tokenVaultV4.connect(admin).fundRewards(reserve);
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      const owed = await tokenVaultV4.getUserYield(user1.address);
+      expect(owed > reserve).to.be.true;
+
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+      await tokenVaultV4.connect(user1).claimYield();
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        reserve
+      );
+      expect(await tokenVaultV4.getRewardReserve()).to.equal(0n);
+
+      const remaining = await tokenVaultV4.accumulatedYield(user1.address);
+      expect(remaining >= owed - reserve).to.be.true;
+
+      // Nothing left to pay out
+      await expect(
+        tokenVaultV4.connect(user1).claimYield()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "RewardReserveEmpty");
+    });
+
+    it("should report outstanding yield liability across users", async function () {
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      const user1Yield = await tokenVaultV4.getUserYield(user1.address);
+      const user2Yield = await tokenVaultV4.getUserYield(user2.address);
+      const liability = await tokenVaultV4.getTotalYieldLiability();
+
+      expect(liability >= user1Yield + user2Yield).to.be.true;
+      expect(liability - (user1Yield + user2Yield) <= 2n).to.be.true;
+    });
+
+    it("should always allow principal withdrawals after heavy yield claims", async function () {
+      // 100% APR drains a small reserve quickly
+      await tokenVaultV4.connect(admin).setYieldRate(10000);
+      await tokenVaultV4.connect(admin).fundRewards(ethers.parseEther("50"));
+
+      for (let i = 0; i < 3; i++) {
+        await ethers.provider.send("evm_increaseTime", [YEAR]);
+        for (const user of [user1, user2]) {
+          const claim = tokenVaultV4.connect(user).claimYield();
+          if (i === 0 && user === user1) {
+            // A year at 100% owes far more than the reserve, so it all goes to the first claim
+            await expect(claim)
+              .to.emit(tokenVaultV4, "YieldClaimed")
+              .withArgs(user1.address, ethers.parseEther("50"));
+          } else {
+            // Reserve exhausted; claims stop but principal must stay intact
+            await expect(claim).to.be.revertedWithCustomError(
+              tokenVaultV4,
+              "RewardReserveEmpty"
+            );
+          }
+        }
+      }
+
+      expect(await tokenVaultV4.getRewardReserve()).to.equal(0n);
+      const vaultBalance = await mockToken.balanceOf(tokenVaultV4.target);
+      expect(vaultBalance >= await tokenVaultV4.totalDeposits()).to.be.true;
+
+      for (const user of [user1, user2]) {
+        const balance = await tokenVaultV4.balanceOf(user.address);
+        const tokensBefore = await mockToken.balanceOf(user.address);
+        await tokenVaultV4.connect(user).withdraw(balance);
+        expect((await mockToken.balanceOf(user.address)) - tokensBefore).to.equal(
+          balance
+        );
+      }
+      expect(await tokenVaultV4.totalDeposits()).to.equal(0n);
+    });
+  });
+
+  describe("Strict Delay Mode", function () {
+    async function eventsOf(tx, name) {
+      const receipt = await tx.wait();
+      return receipt.logs
+        .filter((log) => log.address === tokenVaultV4.target)
+        .map((log) => tokenVaultV4.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === name);
+    }
+
+    it("should keep V3 withdrawal behavior with the mode off", async function () {
+      await upgradeToV4();
+
+      expect(await tokenVaultV4.strictDelayMode()).to.equal(false);
+      expect(await tokenVaultV4.emergencyActive()).to.equal(false);
+
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+      await tokenVaultV4.connect(user1)["withdraw(uint256)"](ethers.parseEther("100"));
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        ethers.parseEther("100")
+      );
+
+      await tokenVaultV4.connect(user2).emergencyWithdraw();
+      expect(await tokenVaultV4.balanceOf(user2.address)).to.equal(0n);
+    });
+
+    it("should disable immediate withdrawals with the mode on", async function () {
+      await upgradeToV4();
+      const tx = await tokenVaultV4.connect(admin).setStrictDelayMode(true);
+      const [event] = await eventsOf(tx, "StrictDelayModeToggled");
+      expect(event.args.enabled).to.equal(true);
+
+      for (const call of [
+        () => tokenVaultV4.connect(user1)["withdraw(uint256)"](ethers.parseEther("100")),
+        () =>
+          tokenVaultV4
+            .connect(user1)
+            .redeem(ethers.parseEther("100"), user1.address, user1.address),
+        () =>
+          tokenVaultV4
+            .connect(user1)
+            ["withdraw(address,uint256)"](mockToken.target, ethers.parseEther("100")),
+      ]) {
+        await expect(call()).to.be.revertedWithCustomError(
+          tokenVaultV4,
+          "ImmediateWithdrawalsDisabled"
+        );
+      }
+      expect(await tokenVaultV4.maxWithdraw(user1.address)).to.equal(0n);
+      expect(await tokenVaultV4.maxRedeem(user1.address)).to.equal(0n);
+    });
+
+    it("should still execute delayed withdrawals with the mode on", async function () {
+      // Request made under V3 before the upgrade
+      await tokenVaultV3.connect(user2).requestWithdrawal(ethers.parseEther("100"));
+      await upgradeToV4();
+      await tokenVaultV4.connect(admin).setStrictDelayMode(true);
+      await tokenVaultV4.connect(user1).requestWithdrawal(ethers.parseEther("50"));
+
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      for (const [user, amount] of [
+        [user1, ethers.parseEther("50")],
+        [user2, ethers.parseEther("100")],
+      ]) {
+        const tokensBefore = await mockToken.balanceOf(user.address);
+        await tokenVaultV4.connect(user).executeWithdrawal();
+        expect((await mockToken.balanceOf(user.address)) - tokensBefore).to.equal(
+          amount
+        );
+      }
+    });
+
+    it("should only allow emergency withdrawals during a declared emergency", async function () {
+      await upgradeToV4();
+      await tokenVaultV4.connect(admin).setStrictDelayMode(true);
+      await tokenVaultV4
+        .connect(admin)
+        .grantRole(await tokenVaultV4.GUARDIAN_ROLE(), owner.address);
+
+      await expect(
+        tokenVaultV4.connect(user2).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "NoEmergencyDeclared");
+
+      await tokenVaultV4.connect(owner).declareEmergency();
+      expect(await tokenVaultV4.emergencyActive()).to.equal(true);
+
+      await tokenVaultV4.connect(user2).emergencyWithdraw();
+      expect(await tokenVaultV4.balanceOf(user2.address)).to.equal(0n);
+
+      await tokenVaultV4.connect(admin).endEmergency();
+      await tokenVaultV4.connect(admin).unpauseAll();
+
+      await expect(
+        tokenVaultV4.connect(user1).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "NoEmergencyDeclared");
+    });
+
+    it("should restore immediate withdrawals when the mode is turned off", async function () {
+      await upgradeToV4();
+      await tokenVaultV4.connect(admin).setStrictDelayMode(true);
+      const tx = await tokenVaultV4.connect(admin).setStrictDelayMode(false);
+      const [event] = await eventsOf(tx, "StrictDelayModeToggled");
+      expect(event.args.enabled).to.equal(false);
+
+      await tokenVaultV4.connect(user1)["withdraw(uint256)"](ethers.parseEther("100"));
+      await tokenVaultV4.connect(user2).emergencyWithdraw();
+      expect(await tokenVaultV4.balanceOf(user2.address)).to.equal(0n);
+    });
+
+    it("should reject redundant mode changes", async function () {
+      await upgradeToV4();
+
+      await expect(tokenVaultV4.connect(admin).setStrictDelayMode(false))
+        .to.be.revertedWithCustomError(tokenVaultV4, "StrictDelayModeUnchanged")
+        .withArgs(false);
+      await expect(
+        tokenVaultV4.connect(admin).endEmergency()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "NoEmergencyDeclared");
+      await tokenVaultV4
+        .connect(admin)
+        .grantRole(await tokenVaultV4.GUARDIAN_ROLE(), owner.address);
+      await tokenVaultV4.connect(owner).declareEmergency();
+      await expect(
+        tokenVaultV4.connect(owner).declareEmergency()
+      ).to.be.revertedWithCustomError(tokenVaultV4, "EmergencyAlreadyDeclared");
+    });
+
+    it("should prevent other users from changing the mode or declaring an emergency", async function () {
+      await upgradeToV4();
+
+      await expect(
+        tokenVaultV4.connect(user1).setStrictDelayMode(true)
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+      await expect(
+        tokenVaultV4.connect(user1).declareEmergency()
+      ).to.be.revertedWith(missingRole(user1, "GUARDIAN_ROLE"));
+    });
+  });
+});
@@ -0,0 +1,440 @@
+const { expect } = require("chai");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { VaultClient } = require("../scripts/helpers/vault-client");
+const {
+  VaultError,
+  UnsupportedOperationError,
+  DepositsPausedError,
+  WithdrawalDelayError,
+  InsufficientBalanceError,
+  SignatureError,
+  AccessDeniedError,
+  CUSTOM_ERRORS,
+  decodeVaultError,
+  parseCustomError,
+  revertReason,
+} = require("../scripts/helpers/vault-errors");
+const { missingRole } = require("./helpers/reverts");
+
+describe("VaultClient", function () {
+  let owner, admin, user1, user2, treasury;
+  let token, proxy;
+  const DEPOSIT_FEE = 500;
+  const YIELD_RATE = 500;
+  const DAY = 24 * 60 * 60;
+
+  // Resolves to the error `promise` rejects with
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    expect.fail("Expected the call to fail");
+  }
+
+  const INITIALIZERS = {
+    V2: (vault) => vault.initializeV2(YIELD_RATE),
+    V3: (vault) => vault.initializeV3(DAY),
+    V4: (vault) => vault.initializeV4(treasury.address, 1000, DAY),
+  };
+
+  async function upgradeTo(version) {
+    const factory = await ethers.getContractFactory(`TokenVault${version}`, admin);
+    const vault = await upgrades.upgradeProxy(proxy.target, factory, {
+      kind: "uups",
+    });
+    await INITIALIZERS[version](vault.connect(admin));
+  }
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, treasury] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy(ethers.parseEther("1000000"));
+    proxy = await upgrades.deployProxy(
+      await ethers.getContractFactory("TokenVaultV1"),
+      [token.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    for (const user of [user1, user2]) {
+      await token.transfer(user.address, ethers.parseEther("10000"));
+    }
+    await token.connect(user1).approve(proxy.target, ethers.MaxUint256);
+    await proxy.connect(user1).deposit(ethers.parseEther("1000"));
+  });
+
+  describe("Connecting", function () {
+    it("should detect the version and implementation through every upgrade", async function () {
+      const v1 = await VaultClient.connect(proxy.target, user1);
+      expect(v1.version).to.equal("V1");
+      expect(v1.address).to.equal(proxy.target);
+      expect(v1.implementation).to.equal(
+        await upgrades.erc1967.getImplementationAddress(proxy.target)
+      );
+      expect(await v1.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("950")
+      );
+
+      for (const version of ["V2", "V3", "V4"]) {
+        await upgradeTo(version);
+        const client = await VaultClient.connect(proxy.target, user1);
+        expect(client.version).to.equal(version);
+        expect(client.implementation).to.equal(
+          await upgrades.erc1967.getImplementationAddress(proxy.target)
+        );
+        expect(await client.totalDeposits()).to.equal(ethers.parseEther("950"));
+      }
+
+      // A client keeps the version it connected at
+      expect(v1.version).to.equal("V1");
+    });
+
+    it("should refuse addresses that are not vault proxies", async function () {
+      const implementation = await upgrades.erc1967.getImplementationAddress(
+        proxy.target
+      );
+      for (const [address, message] of [
+        ["0x1234", '"0x1234" is not an address'],
+        [user2.address, `No contract at vault address ${user2.address}`],
+        [token.target, `Contract at ${token.target} is not a TokenVault`],
+        [implementation, `Vault at ${implementation} is not an ERC-1967 proxy`],
+      ]) {
+        const error = await rejection(VaultClient.connect(address, owner));
+        expect(error).to.be.instanceOf(VaultError);
+        expect(error.message).to.equal(message);
+      }
+    });
+
+    it("should read through a provider and send through a connected signer", async function () {
+      await upgradeTo("V2");
+      const reader = await VaultClient.connect(proxy.target, ethers.provider);
+      expect(await reader.getYieldRate()).to.equal(BigInt(YIELD_RATE));
+      const error = await rejection(
+        reader.approveAndDeposit(ethers.parseEther("1"))
+      );
+      expect(error.message).to.equal(
+        "Sending transactions needs a signer, not a provider"
+      );
+
+      await reader.connect(user1).withdraw(ethers.parseEther("100"));
+      expect(await reader.balanceOf(user1.address)).to.equal(
+        ethers.parseEther("850")
+      );
+    });
+  });
+
+  describe("Version Gating", function () {
+    it("should refuse methods the version lacks without sending anything", async function () {
+      await upgradeTo("V2");
+      const vault = await VaultClient.connect(proxy.target, user1);
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      expect(vault.supports("claimYield")).to.be.true;
+      expect(vault.supports("requestWithdrawal")).to.be.false;
+      const error = await rejection(
+        vault.requestWithdrawal(ethers.parseEther("100"))
+      );
+      expect(error).to.be.instanceOf(UnsupportedOperationError);
+      expect(error).to.include({
+        code: "UNSUPPORTED_OPERATION",
+        method: "requestWithdrawal",
+        version: "V2",
+        minimum: "V3",
+      });
+      expect(error.message).to.equal(
+        "requestWithdrawal is not supported on V2; it requires V3 or later"
+      );
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("should gate each method on the version that introduced it", async function () {
+      const v1 = await VaultClient.connect(proxy.target, user1);
+      for (const call of [
+        () => v1.claimYield(),
+        () => v1.estimateYield(user1.address),
+        () => v1.pauseDeposits(),
+        () => v1.getWithdrawalRequests(user1.address),
+      ]) {
+        const error = await rejection(call());
+        expect(error).to.be.instanceOf(UnsupportedOperationError);
+        expect(error.message).to.include("is not supported on V1");
+      }
+
+      await upgradeTo("V2");
+      await upgradeTo("V3");
+      const v3 = await VaultClient.connect(proxy.target, user1);
+      const error = await rejection(v3.executeWithdrawal(1n));
+      expect(error.message).to.equal(
+        "executeWithdrawal(requestId) is not supported on V3; it requires V4 or later"
+      );
+      expect(v3.supports("cancelWithdrawalRequest")).to.be.false;
+      expect(v3.supports("compound")).to.be.false;
+    });
+  });
+
+  describe("Typed Errors", function () {
+    let vault;
+
+    beforeEach(async function () {
+      await upgradeTo("V2");
+      await upgradeTo("V3");
+      vault = await VaultClient.connect(proxy.target, user1);
+    });
+
+    it("should decode revert reasons into typed errors", async function () {
+      let error = await rejection(vault.withdraw(ethers.parseEther("5000")));
+      expect(error).to.be.instanceOf(InsufficientBalanceError);
+      expect(error).to.include({
+        code: "INSUFFICIENT_BALANCE",
+        reason: "Insufficient balance",
+        method: "withdraw",
+        version: "V3",
+      });
+      expect(error.message).to.equal("withdraw on V3 reverted: Insufficient balance");
+      expect(error.cause).to.be.an("error");
+
+      await vault.requestWithdrawal(ethers.parseEther("100"));
+      error = await rejection(vault.executeWithdrawal());
+      expect(error).to.be.instanceOf(WithdrawalDelayError);
+      expect(error.reason).to.equal("Withdrawal delay not satisfied");
+
+      await vault.connect(admin).pauseDeposits();
+      error = await rejection(vault.approveAndDeposit(ethers.parseEther("10")));
+      expect(error).to.be.instanceOf(DepositsPausedError);
+      expect(error.code).to.equal("DEPOSITS_PAUSED");
+    });
+
+    it("should report the missing role of an access control revert", async function () {
+      const error = await rejection(vault.connect(user2).pauseDeposits());
+      expect(error).to.be.instanceOf(AccessDeniedError);
+      expect(error.account).to.equal(user2.address);
+      expect(error.role).to.equal(ethers.id("PAUSER_ROLE"));
+    });
+
+    it("should decode OpenZeppelin's ECDSA reasons as signature errors", function () {
+      for (const reason of [
+        "ECDSA: invalid signature",
+        "ECDSA: invalid signature 's' value",
+      ]) {
+        const data = ethers.concat([
+          "0x08c379a0",
+          ethers.AbiCoder.defaultAbiCoder().encode(["string"], [reason]),
+        ]);
+        const decoded = decodeVaultError(new Error("outer", { cause: { data } }));
+        expect(decoded).to.be.instanceOf(SignatureError);
+        expect(decoded).to.include({ code: "SIGNATURE", reason });
+      }
+    });
+
+    it("should keep other errors apart", function () {
+      const network = new Error("connection refused");
+      expect(decodeVaultError(network)).to.equal(network);
+
+      const data = ethers.concat([
+        "0x08c379a0",
+        ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["Something new"]),
+      ]);
+      const nested = new Error("outer", { cause: { data } });
+      expect(revertReason(nested)).to.equal("Something new");
+      const decoded = decodeVaultError(nested);
+      expect(decoded.constructor).to.equal(VaultError);
+      expect(decoded).to.include({ code: "REVERTED", reason: "Something new" });
+      expect(decoded.message).to.equal("Vault call reverted: Something new");
+    });
+  });
+
+  describe("Custom Errors", function () {
+    let vault;
+
+    beforeEach(async function () {
+      for (const version of ["V2", "V3", "V4"]) {
+        await upgradeTo(version);
+      }
+      vault = await VaultClient.connect(proxy.target, user1);
+    });
+
+    it("should catalog every custom error of TokenVaultV4", async function () {
+      const { abi } = await artifacts.readArtifact("TokenVaultV4");
+      const declared = new ethers.Interface(abi).fragments
+        .filter((fragment) => fragment.type === "error")
+        .map((fragment) => fragment.format("sighash"))
+        .sort();
+      const cataloged = Object.keys(CUSTOM_ERRORS)
+        .map((signature) => ethers.ErrorFragment.from(signature).format("sighash"))
+        .sort();
+      expect(cataloged).to.deep.equal(declared);
+    });
+
+    it("should decode custom errors into the classes of the reason strings", async function () {
+      const requested = ethers.parseEther("5000");
+      let error = await rejection(vault.withdraw(requested));
+      expect(error).to.be.instanceOf(InsufficientBalanceError);
+      expect(error).to.include({
+        code: "INSUFFICIENT_BALANCE",
+        errorName: "InsufficientBalance",
+        method: "withdraw",
+        version: "V4",
+      });
+      expect(error.args).to.deep.equal({
+        requested,
+        available: ethers.parseEther("950"),
+      });
+      expect(error.reason).to.equal(
+        `InsufficientBalance(${requested}, ${ethers.parseEther("950")})`
+      );
+      expect(error.message).to.equal(`withdraw on V4 reverted: ${error.reason}`);
+
+      const tx = await vault.requestWithdrawal(ethers.parseEther("100"));
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      error = await rejection(vault.executeWithdrawal());
+      expect(error).to.be.instanceOf(WithdrawalDelayError);
+      expect(error.args.readyAt).to.equal(BigInt(timestamp + DAY));
+
+      await vault.connect(admin).pauseDeposits();
+      error = await rejection(vault.approveAndDeposit(ethers.parseEther("10")));
+      expect(error).to.be.instanceOf(DepositsPausedError);
+      expect(error.errorName).to.equal("DepositsPaused");
+    });
+
+    it("should keep the revert data for the chai matchers", async function () {
+      await expect(vault.withdraw(ethers.parseEther("5000")))
+        .to.be.revertedWithCustomError(vault.contract, "InsufficientBalance")
+        .withArgs(ethers.parseEther("5000"), ethers.parseEther("950"));
+      await expect(vault.connect(user2).pauseDeposits()).to.be.revertedWith(
+        missingRole(user2, "PAUSER_ROLE")
+      );
+    });
+
+    it("should report custom errors missing from the catalog by selector", function () {
+      const data = new ethers.Interface(["error Unheard(uint256)"]).encodeErrorResult(
+        "Unheard",
+        [1n]
+      );
+      expect(parseCustomError(data)).to.equal(null);
+      const decoded = decodeVaultError(new Error("outer", { cause: { data } }), {
+        method: "deposit",
+        version: "V4",
+      });
+      expect(decoded.constructor).to.equal(VaultError);
+      expect(decoded.data).to.equal(data);
+      expect(decoded.message).to.equal(
+        `deposit on V4 reverted with unknown error ${ethers.dataSlice(data, 0, 4)}`
+      );
+    });
+  });
+
+  describe("Helpers", function () {
+    it("should approve only what a deposit needs", async function () {
+      const vault = await VaultClient.connect(proxy.target, user2);
+      const amount = ethers.parseEther("200");
+
+      await vault.approveAndDeposit(amount);
+      expect(await vault.balanceOf(user2.address)).to.equal(
+        ethers.parseEther("190")
+      );
+      expect(await token.allowance(user2.address, proxy.target)).to.equal(0n);
+
+      await token.connect(user2).approve(proxy.target, ethers.MaxUint256);
+      const blockNumber = await ethers.provider.getBlockNumber();
+      await vault.approveAndDeposit(amount);
+      // Only the deposit was sent
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber + 1);
+      expect(await token.allowance(user2.address, proxy.target)).to.equal(
+        ethers.MaxUint256
+      );
+    });
+
+    it("should estimate yield at a future time", async function () {
+      await upgradeTo("V2");
+      const vault = await VaultClient.connect(proxy.target, user2);
+      await vault.approveAndDeposit(ethers.parseEther("2000"));
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await vault.estimateYield(user2.address)).to.equal(
+        await vault.getUserYield(user2.address)
+      );
+      const estimate = await vault.estimateYield(user2.address, 10 * DAY);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_mine", [timestamp + 10 * DAY]);
+
+      // Linear accrual; the two-step estimate may round down once more
+      const actual = await vault.getUserYield(user2.address);
+      expect(actual >= estimate && actual - estimate <= 1n).to.be.true;
+      expect(actual > 0n).to.be.true;
+    });
+
+    it("should estimate and compound yield in compound mode", async function () {
+      for (const version of ["V2", "V3", "V4"]) {
+        await upgradeTo(version);
+      }
+      const vault = await VaultClient.connect(proxy.target, user2);
+      const adminVault = vault.connect(admin);
+      await token.transfer(admin.address, ethers.parseEther("1000"));
+      await token.connect(admin).approve(proxy.target, ethers.MaxUint256);
+      await adminVault.contract.fundRewards(ethers.parseEther("1000"));
+
+      const error = await rejection(adminVault.setYieldMode("Daily"));
+      expect(error).to.be.instanceOf(VaultError);
+      expect(error.message).to.include('Unknown yield mode "Daily"');
+      await adminVault.setYieldMode("Compound");
+      expect(await vault.yieldMode()).to.equal("Compound");
+
+      await vault.approveAndDeposit(ethers.parseEther("2000"));
+      const estimate = await vault.estimateYield(user2.address, 365 * DAY);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await ethers.provider.send("evm_mine", [timestamp + 365 * DAY]);
+
+      // Compounding over the year, rounding apart
+      const actual = await vault.getUserYield(user2.address);
+      const simple = (ethers.parseEther("1900") * BigInt(YIELD_RATE)) / 10000n;
+      expect(estimate > simple).to.be.true;
+      expect(actual - estimate).to.be.within(0n, 1000n);
+
+      // Anyone can compound one account or several
+      const balance = await vault.balanceOf(user1.address);
+      await vault.compound(user1.address);
+      expect((await vault.balanceOf(user1.address)) > balance).to.be.true;
+      const receipt = await (
+        await vault.compound([user1.address, user2.address])
+      ).wait();
+      const compounded = receipt.logs
+        .map((log) => vault.interface.parseLog(log))
+        .filter((event) => event && event.name === "YieldCompounded")
+        .map((event) => event.args.user);
+      expect(compounded).to.deep.equal([user1.address, user2.address]);
+    });
+
+    it("should list withdrawal requests in the same shape on V3 and V4", async function () {
+      await upgradeTo("V2");
+      await upgradeTo("V3");
+      let vault = await VaultClient.connect(proxy.target, user1);
+      expect(await vault.getWithdrawalRequests(user1.address)).to.deep.equal([]);
+
+      const tx = await vault.requestWithdrawal(ethers.parseEther("100"));
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+      expect(await vault.getWithdrawalRequests(user1.address)).to.deep.equal([
+        {
+          requestId: null,
+          amount: ethers.parseEther("100"),
+          requestTime: BigInt(timestamp),
+          maturityTime: BigInt(timestamp + DAY),
+        },
+      ]);
+
+      await upgradeTo("V4");
+      vault = await VaultClient.connect(proxy.target, user2);
+      await vault.approveAndDeposit(ethers.parseEther("500"));
+      await vault.requestWithdrawal(ethers.parseEther("50"));
+      const [request] = await vault.getWithdrawalRequests(user2.address);
+      expect(request).to.include({
+        asset: token.target,
+        amount: ethers.parseEther("50"),
+      });
+      expect(request.maturityTime - request.requestTime).to.equal(BigInt(DAY));
+      expect(typeof request.requestId).to.equal("bigint");
+    });
+  });
+});
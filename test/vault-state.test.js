@@ -0,0 +1,343 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { missingRole } = require("./helpers/reverts");
+
+describe("TokenVaultV4 Vault State", function () {
+  let tokenVault;
+  let mockToken;
+  let owner, admin, guardian, pauser, user1, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+
+  // Mirrors the VaultState and VaultAction enums
+  const State = { Normal: 0, DepositsPaused: 1, FullyPaused: 2, Emergency: 3 };
+  const Action = {
+    Deposit: 0,
+    Withdraw: 1,
+    RequestWithdrawal: 2,
+    ExecuteWithdrawal: 3,
+    ClaimYield: 4,
+    EmergencyWithdraw: 5,
+    TransferShares: 6,
+    Compound: 7,
+  };
+  const STATE_NAMES = Object.keys(State);
+
+  async function deployVault({ pauseBeforeUpgrade = false } = {}) {
+    [owner, admin, guardian, pauser, user1, treasury] =
+      await ethers.getSigners();
+
+    // Deploy mock token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and upgrade through V2 and V3
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+    if (pauseBeforeUpgrade) {
+      await tokenVault.connect(admin).pauseDeposits();
+    }
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    await tokenVault
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+
+    // Separate guardian and pauser accounts
+    await tokenVault
+      .connect(admin)
+      .grantRole(await tokenVault.GUARDIAN_ROLE(), guardian.address);
+    await tokenVault
+      .connect(admin)
+      .grantRole(await tokenVault.PAUSER_ROLE(), pauser.address);
+
+    for (const account of [admin, user1]) {
+      await mockToken.transfer(account.address, ethers.parseEther("10000"));
+      await mockToken
+        .connect(account)
+        .approve(tokenVault.target, ethers.MaxUint256);
+    }
+    await tokenVault.connect(admin).fundRewards(ethers.parseEther("1000"));
+  }
+
+  async function enterState(state) {
+    if (state === State.DepositsPaused) {
+      await tokenVault.connect(pauser).pauseDeposits();
+    } else if (state === State.FullyPaused) {
+      await tokenVault.connect(guardian).pauseAll();
+    } else if (state === State.Emergency) {
+      await tokenVault.connect(guardian).declareEmergency();
+    }
+    expect(await tokenVault.vaultState()).to.equal(BigInt(state));
+  }
+
+
+  describe("Migration", function () {
+    it("should start in Normal without granting the guardian role to admin", async function () {
+      await deployVault();
+
+      expect(await tokenVault.vaultState()).to.equal(BigInt(State.Normal));
+      expect(
+        await tokenVault.queryFilter(tokenVault.filters.VaultStateChanged())
+      ).to.have.length(0);
+      expect(
+        await tokenVault.hasRole(await tokenVault.GUARDIAN_ROLE(), admin.address)
+      ).to.equal(false);
+      await expect(
+        tokenVault.connect(admin).declareEmergency()
+      ).to.be.revertedWith(missingRole(admin, "GUARDIAN_ROLE"));
+    });
+
+    it("should carry a V2 deposit pause over as DepositsPaused", async function () {
+      await deployVault({ pauseBeforeUpgrade: true });
+
+      expect(await tokenVault.vaultState()).to.equal(
+        BigInt(State.DepositsPaused)
+      );
+      expect(await tokenVault.isDepositsPaused()).to.equal(true);
+
+      // initializeV4 announces the carried-over state to indexers
+      const [changed] = await tokenVault.queryFilter(
+        tokenVault.filters.VaultStateChanged()
+      );
+      expect(changed.args.previousState).to.equal(BigInt(State.Normal));
+      expect(changed.args.newState).to.equal(BigInt(State.DepositsPaused));
+      expect(changed.args.account).to.equal(admin.address);
+      expect(
+        await tokenVault.queryFilter(
+          tokenVault.filters.DepositsToggled(),
+          changed.blockNumber,
+          changed.blockNumber
+        )
+      ).to.have.length(0);
+
+      await tokenVault.connect(pauser).unpauseDeposits();
+      expect(await tokenVault.isDepositsPaused()).to.equal(false);
+    });
+  });
+
+  describe("Transitions", function () {
+    // Target state per [from state][transition]; null means the transition
+    // reverts with `error`, whose arguments are (from state, ...rest)
+    const TRANSITIONS = {
+      pauseDeposits: {
+        signer: () => pauser,
+        to: [State.DepositsPaused, null, State.DepositsPaused, null],
+        error: ["InvalidStateTransition", State.DepositsPaused],
+      },
+      unpauseDeposits: {
+        signer: () => pauser,
+        to: [null, State.Normal, null, null],
+        error: ["InvalidStateTransition", State.Normal],
+      },
+      pauseAll: {
+        signer: () => guardian,
+        to: [State.FullyPaused, State.FullyPaused, null, null],
+        error: ["InvalidStateTransition", State.FullyPaused],
+      },
+      unpauseAll: {
+        signer: () => pauser,
+        to: [null, null, State.Normal, null],
+        error: ["InvalidStateTransition", State.Normal],
+      },
+      declareEmergency: {
+        signer: () => guardian,
+        to: [State.Emergency, State.Emergency, State.Emergency, null],
+        error: ["EmergencyAlreadyDeclared"],
+      },
+      endEmergency: {
+        signer: () => admin,
+        to: [null, null, null, State.FullyPaused],
+        error: ["NoEmergencyDeclared"],
+      },
+    };
+
+    for (const from of Object.values(State)) {
+      for (const [method, { signer, to, error }] of Object.entries(
+        TRANSITIONS
+      )) {
+        const target = to[from];
+        const expected =
+          target === null ? "revert" : `move to ${STATE_NAMES[target]}`;
+
+        it(`should ${expected} on ${method} from ${STATE_NAMES[from]}`, async function () {
+          await deployVault();
+          await enterState(from);
+
+          if (target === null) {
+            const [name, ...rest] = error;
+            const reverted = expect(
+              tokenVault.connect(signer())[method]()
+            ).to.be.revertedWithCustomError(tokenVault, name);
+            await (rest.length ? reverted.withArgs(from, ...rest) : reverted);
+            expect(await tokenVault.vaultState()).to.equal(BigInt(from));
+            return;
+          }
+
+          const tx = await tokenVault.connect(signer())[method]();
+          const receipt = await tx.wait();
+          const [event] = receipt.logs
+            .filter((log) => log.address === tokenVault.target)
+            .map((log) => tokenVault.interface.parseLog(log))
+            .filter((parsed) => parsed && parsed.name === "VaultStateChanged");
+          expect(event.args.previousState).to.equal(BigInt(from));
+          expect(event.args.newState).to.equal(BigInt(target));
+          expect(event.args.account).to.equal(signer().address);
+
+          expect(await tokenVault.vaultState()).to.equal(BigInt(target));
+          expect(await tokenVault.isDepositsPaused()).to.equal(
+            target !== State.Normal
+          );
+        });
+      }
+    }
+  });
+
+  describe("Roles", function () {
+    beforeEach(async function () {
+      await deployVault();
+    });
+
+    it("should not let the guardian end an emergency it declared", async function () {
+      await tokenVault.connect(guardian).declareEmergency();
+
+      await expect(
+        tokenVault.connect(guardian).endEmergency()
+      ).to.be.revertedWith(missingRole(guardian, "DEFAULT_ADMIN_ROLE"));
+
+      await tokenVault.connect(admin).endEmergency();
+      expect(await tokenVault.vaultState()).to.equal(
+        BigInt(State.FullyPaused)
+      );
+    });
+
+    it("should restrict each transition to its role", async function () {
+      const attempts = [
+        [user1, "pauseDeposits", "PAUSER_ROLE"],
+        [user1, "pauseAll", "GUARDIAN_ROLE"],
+        [pauser, "pauseAll", "GUARDIAN_ROLE"],
+        [user1, "declareEmergency", "GUARDIAN_ROLE"],
+        [pauser, "declareEmergency", "GUARDIAN_ROLE"],
+        [guardian, "pauseDeposits", "PAUSER_ROLE"],
+      ];
+
+      for (const [signer, method, role] of attempts) {
+        await expect(tokenVault.connect(signer)[method]()).to.be.revertedWith(
+          missingRole(signer, role)
+        );
+      }
+      expect(await tokenVault.vaultState()).to.equal(BigInt(State.Normal));
+    });
+  });
+
+  describe("Allowed Actions", function () {
+    // Allowed actions per state, in the order they are attempted
+    const ALLOWED = {
+      [State.Normal]: [true, true, true, true, true, true, true, true],
+      [State.DepositsPaused]: [false, true, true, true, true, true, true, true],
+      [State.FullyPaused]: [false, false, false, false, false, false, false, false],
+      [State.Emergency]: [false, false, false, true, false, true, false, false],
+    };
+
+    for (const state of Object.values(State)) {
+      it(`should gate user operations in ${STATE_NAMES[state]}`, async function () {
+        await deployVault();
+
+        // A funded position with a matured withdrawal request
+        await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+        await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+        await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+        await ethers.provider.send("evm_mine");
+
+        await enterState(state);
+
+        const expected = ALLOWED[state];
+        for (const [name, action] of Object.entries(Action)) {
+          expect(await tokenVault.isActionAllowed(action)).to.equal(
+            expected[action],
+            `isActionAllowed(${name}) in ${STATE_NAMES[state]}`
+          );
+        }
+
+        const attempts = [
+          () => tokenVault.connect(user1)["deposit(uint256)"](ethers.parseEther("10")),
+          () => tokenVault.connect(user1)["withdraw(uint256)"](ethers.parseEther("10")),
+          () => tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("10")),
+          () => tokenVault.connect(user1).executeWithdrawal(),
+          () => tokenVault.connect(user1).claimYield(),
+          () => tokenVault.connect(user1).emergencyWithdraw(),
+          () => tokenVault.connect(user1).transfer(owner.address, ethers.parseEther("10")),
+          () => tokenVault.connect(user1).compoundBatch([user1.address]),
+        ];
+        // Emergency withdrawal goes last since it empties the balance
+        const order = Object.values(Action).filter(
+          (action) => action !== Action.EmergencyWithdraw
+        );
+        order.push(Action.EmergencyWithdraw);
+        // Deposits check the pause flag the state keeps in sync
+        for (const action of order) {
+          if (expected[action]) {
+            await attempts[action]();
+          } else if (action === Action.Deposit) {
+            await expect(attempts[action]()).to.be.revertedWithCustomError(
+              tokenVault,
+              "DepositsPaused"
+            );
+          } else {
+            await expect(attempts[action]())
+              .to.be.revertedWithCustomError(tokenVault, "ActionNotAllowed")
+              .withArgs(action, state);
+          }
+        }
+      });
+    }
+
+    it("should report immediate withdrawals as unavailable while paused", async function () {
+      await deployVault();
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+      await tokenVault.connect(guardian).pauseAll();
+      expect(await tokenVault.maxWithdraw(user1.address)).to.equal(0n);
+      expect(await tokenVault.maxRedeem(user1.address)).to.equal(0n);
+      expect(await tokenVault.maxDeposit(user1.address)).to.equal(0n);
+    });
+
+    it("should combine strict delay mode with the vault state", async function () {
+      await deployVault();
+      await tokenVault.connect(admin).setStrictDelayMode(true);
+
+      expect(await tokenVault.isActionAllowed(Action.Withdraw)).to.equal(false);
+      expect(
+        await tokenVault.isActionAllowed(Action.EmergencyWithdraw)
+      ).to.equal(false);
+
+      await tokenVault.connect(guardian).declareEmergency();
+      expect(
+        await tokenVault.isActionAllowed(Action.EmergencyWithdraw)
+      ).to.equal(true);
+    });
+  });
+});
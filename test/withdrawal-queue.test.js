@@ -0,0 +1,605 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { missingRole } = require("./helpers/reverts");
+
+describe("TokenVaultV4 Withdrawal Queue", function () {
+  let tokenVault;
+  let mockToken;
+  let otherToken;
+  let owner, admin, user1, user2, user3, treasury;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 7 * 24 * 60 * 60; // 7 days
+  const MAX_DEPOSIT_FEE = 1000; // 10%
+  const FEE_UPDATE_DELAY = 3 * 24 * 60 * 60; // 3 days
+  const DAY = 24 * 60 * 60;
+
+  async function requestIdOf(tx) {
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      if (log.address !== tokenVault.target) continue;
+      const parsed = tokenVault.interface.parseLog(log);
+      if (parsed && parsed.name === "WithdrawalRequestQueued") {
+        return parsed.args.requestId;
+      }
+    }
+    throw new Error("WithdrawalRequestQueued not emitted");
+  }
+
+  async function timestampOf(tx) {
+    const receipt = await tx.wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    return block.timestamp;
+  }
+
+  beforeEach(async function () {
+    [owner, admin, user1, user2, user3, treasury] = await ethers.getSigners();
+
+    // Deploy mock tokens
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+    otherToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and deposit
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    for (const user of [user1, user2, user3]) {
+      for (const erc20 of [mockToken, otherToken]) {
+        await erc20.transfer(user.address, ethers.parseEther("10000"));
+        await erc20
+          .connect(user)
+          .approve(tokenVault.target, ethers.MaxUint256);
+      }
+    }
+    await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+
+    // Upgrade through V2 and V3
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+    await tokenVault.connect(user2).deposit(ethers.parseEther("1000"));
+  });
+
+  async function upgradeToV4() {
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    await tokenVault
+      .connect(admin)
+      .initializeV4(treasury.address, MAX_DEPOSIT_FEE, FEE_UPDATE_DELAY);
+  }
+
+  describe("Queueing", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should keep earlier requests when a new one is made", async function () {
+      const first = await requestIdOf(
+        await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"))
+      );
+      const second = await requestIdOf(
+        await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("200"))
+      );
+      expect(first).to.equal(0n);
+      expect(second).to.equal(1n);
+
+      const requests = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(requests.length).to.equal(2);
+      expect(requests[0].requestId).to.equal(0n);
+      expect(requests[0].amount).to.equal(ethers.parseEther("100"));
+      expect(requests[1].requestId).to.equal(1n);
+      expect(requests[1].amount).to.equal(ethers.parseEther("200"));
+
+      expect(
+        await tokenVault.lockedBalances(user1.address, mockToken.target)
+      ).to.equal(ethers.parseEther("300"));
+    });
+
+    it("should list requests with their maturity timestamps", async function () {
+      const requestTime = await timestampOf(
+        await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"))
+      );
+
+      const [request] = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(request.asset).to.equal(mockToken.target);
+      expect(request.requestTime).to.equal(BigInt(requestTime));
+      expect(request.maturityTime).to.equal(
+        BigInt(requestTime + WITHDRAWAL_DELAY)
+      );
+    });
+
+    it("should not let requests exceed the unlocked balance", async function () {
+      const balance = await tokenVault.balanceOf(user1.address);
+      await tokenVault.connect(user1).requestWithdrawal(balance - 1n);
+
+      await expect(tokenVault.connect(user1).requestWithdrawal(2n))
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(2n, 1n);
+      await tokenVault.connect(user1).requestWithdrawal(1n);
+    });
+
+    it("should cap the number of pending requests", async function () {
+      const limit = await tokenVault.MAX_QUEUED_WITHDRAWALS();
+      for (let i = 0n; i < limit; i++) {
+        await tokenVault.connect(user1).requestWithdrawal(1n);
+      }
+
+      await expect(tokenVault.connect(user1).requestWithdrawal(1n))
+        .to.be.revertedWithCustomError(tokenVault, "TooManyWithdrawalRequests")
+        .withArgs(limit);
+
+      // Cancelling the oldest request frees a slot
+      await tokenVault.connect(user1).cancelWithdrawalRequest(0);
+      await tokenVault.connect(user1).requestWithdrawal(1n);
+    });
+  });
+
+  describe("Locked Balances", function () {
+    const LOCKED = ethers.parseEther("600");
+
+    beforeEach(async function () {
+      await upgradeToV4();
+      await tokenVault.connect(user1).requestWithdrawal(LOCKED);
+    });
+
+    it("should exclude locked amounts from immediate withdrawals", async function () {
+      const balance = await tokenVault.balanceOf(user1.address);
+      const available = balance - LOCKED;
+
+      await expect(
+        tokenVault.connect(user1)["withdraw(uint256)"](available + 1n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+      await tokenVault.connect(user1)["withdraw(uint256)"](available);
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(LOCKED);
+    });
+
+    it("should exclude locked amounts from ERC-4626 withdrawals and share transfers", async function () {
+      const balance = await tokenVault.balanceOf(user1.address);
+      const available = balance - LOCKED;
+
+      expect(await tokenVault.maxWithdraw(user1.address)).to.equal(available);
+      expect(await tokenVault.maxRedeem(user1.address)).to.equal(available);
+
+      await expect(
+        tokenVault
+          .connect(user1)
+          .redeem(available + 1n, user1.address, user1.address)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+      await expect(
+        tokenVault.connect(user1).transfer(user3.address, available + 1n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+
+      await tokenVault.connect(user1).transfer(user3.address, available);
+      expect(await tokenVault.balanceOf(user1.address)).to.equal(LOCKED);
+    });
+
+    it("should unlock the amount when a request is cancelled", async function () {
+      const tx = await tokenVault.connect(user1).cancelWithdrawalRequest(0);
+      const receipt = await tx.wait();
+      const events = receipt.logs
+        .filter((log) => log.address === tokenVault.target)
+        .map((log) => tokenVault.interface.parseLog(log))
+        .filter((parsed) => parsed && parsed.name === "WithdrawalRequestCancelled");
+      expect(events.length).to.equal(1);
+      expect(events[0].args.requestId).to.equal(0n);
+
+      expect(
+        await tokenVault.lockedBalances(user1.address, mockToken.target)
+      ).to.equal(0n);
+      expect(
+        (await tokenVault.getWithdrawalRequests(user1.address)).length
+      ).to.equal(0);
+
+      const balance = await tokenVault.balanceOf(user1.address);
+      await tokenVault.connect(user1)["withdraw(uint256)"](balance);
+    });
+
+    it("should only allow cancelling pending requests", async function () {
+      await tokenVault.connect(user1).cancelWithdrawalRequest(0);
+
+      await expect(tokenVault.connect(user1).cancelWithdrawalRequest(0))
+        .to.be.revertedWithCustomError(tokenVault, "WithdrawalRequestNotPending")
+        .withArgs(0);
+      await expect(tokenVault.connect(user1).cancelWithdrawalRequest(5))
+        .to.be.revertedWithCustomError(tokenVault, "UnknownWithdrawalRequest")
+        .withArgs(5);
+      // Request IDs are per user
+      await expect(tokenVault.connect(user2).cancelWithdrawalRequest(0))
+        .to.be.revertedWithCustomError(tokenVault, "UnknownWithdrawalRequest")
+        .withArgs(0);
+    });
+
+    it("should cancel all requests on emergency withdrawal", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault.connect(user1).emergencyWithdraw();
+
+      expect(
+        (await tokenVault.getWithdrawalRequests(user1.address)).length
+      ).to.equal(0);
+      expect(
+        await tokenVault.lockedBalances(user1.address, mockToken.target)
+      ).to.equal(0n);
+      expect(await tokenVault.withdrawalQueueHeads(user1.address)).to.equal(2n);
+    });
+  });
+
+  describe("Execution", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should execute the oldest pending request first", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("200"));
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+      await tokenVault.connect(user1).executeWithdrawal();
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        ethers.parseEther("100")
+      );
+
+      const [amount] = await tokenVault.getWithdrawalRequest(user1.address);
+      expect(amount).to.equal(ethers.parseEther("200"));
+
+      await tokenVault.connect(user1).executeWithdrawal();
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        ethers.parseEther("300")
+      );
+      expect(await tokenVault.withdrawalQueueHeads(user1.address)).to.equal(2n);
+
+      await expect(tokenVault.connect(user1).executeWithdrawal())
+        .to.be.revertedWithCustomError(tokenVault, "NoPendingWithdrawal")
+        .withArgs(mockToken.target);
+    });
+
+    it("should execute any matured request by ID", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("200"));
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      const tokensBefore = await mockToken.balanceOf(user1.address);
+      await tokenVault.connect(user1).executeWithdrawalRequest(1);
+      expect((await mockToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        ethers.parseEther("200")
+      );
+
+      // The older request is still pending and keeps the head in place
+      const requests = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(requests.length).to.equal(1);
+      expect(requests[0].requestId).to.equal(0n);
+      expect(await tokenVault.withdrawalQueueHeads(user1.address)).to.equal(0n);
+
+      await expect(tokenVault.connect(user1).executeWithdrawalRequest(1))
+        .to.be.revertedWithCustomError(tokenVault, "WithdrawalRequestNotPending")
+        .withArgs(1);
+    });
+
+    it("should enforce the delay per request", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY - DAY]);
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("200"));
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+
+      await tokenVault.connect(user1).executeWithdrawalRequest(0);
+      const [pending] = await tokenVault.getWithdrawalRequests(user1.address);
+      await expect(tokenVault.connect(user1).executeWithdrawalRequest(1))
+        .to.be.revertedWithCustomError(tokenVault, "WithdrawalNotReady")
+        .withArgs(pending.maturityTime);
+    });
+
+    it("should emit legacy and queue events on execution", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      const receipt = await (
+        await tokenVault.connect(user1).executeWithdrawal()
+      ).wait();
+      const names = receipt.logs
+        .filter((log) => log.address === tokenVault.target)
+        .map((log) => tokenVault.interface.parseLog(log).name);
+      expect(names).to.include("WithdrawalExecuted");
+      expect(names).to.include("WithdrawalRequestExecuted");
+    });
+  });
+
+  describe("Multiple Tokens", function () {
+    beforeEach(async function () {
+      await upgradeToV4();
+      await tokenVault.connect(admin).addAsset(otherToken.target, 0, 0);
+      await tokenVault
+        .connect(user1)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("500"));
+    });
+
+    it("should share one queue across tokens with per-token locks", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault
+        .connect(user1)
+        ["requestWithdrawal(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("400")
+        );
+
+      const requests = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(requests.map((request) => request.asset)).to.deep.equal([
+        mockToken.target,
+        otherToken.target,
+      ]);
+      expect(
+        await tokenVault.lockedBalances(user1.address, otherToken.target)
+      ).to.equal(ethers.parseEther("400"));
+
+      await expect(
+        tokenVault
+          .connect(user1)
+          ["withdraw(address,uint256)"](
+            otherToken.target,
+            ethers.parseEther("101")
+          )
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(ethers.parseEther("101"), ethers.parseEther("100"));
+
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      // Token-specific execution skips requests in other tokens
+      const tokensBefore = await otherToken.balanceOf(user1.address);
+      await tokenVault
+        .connect(user1)
+        ["executeWithdrawal(address)"](otherToken.target);
+      expect((await otherToken.balanceOf(user1.address)) - tokensBefore).to.equal(
+        ethers.parseEther("400")
+      );
+
+      const [remaining] = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(remaining.asset).to.equal(mockToken.target);
+    });
+
+    it("should only cancel requests in the emergency-withdrawn token", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault
+        .connect(user1)
+        ["requestWithdrawal(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("400")
+        );
+
+      await tokenVault
+        .connect(user1)
+        ["emergencyWithdraw(address)"](otherToken.target);
+
+      const requests = await tokenVault.getWithdrawalRequests(user1.address);
+      expect(requests.length).to.equal(1);
+      expect(requests[0].asset).to.equal(mockToken.target);
+    });
+  });
+
+  describe("Solvency Report", function () {
+    async function pendingWithdrawals() {
+      return (await tokenVault.solvencyReport()).pendingWithdrawals;
+    }
+
+    beforeEach(async function () {
+      await upgradeToV4();
+    });
+
+    it("should total pending requests through cancel, execute and emergency", async function () {
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("100"));
+      await tokenVault.connect(user1).requestWithdrawal(ethers.parseEther("200"));
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("50"));
+      expect(await pendingWithdrawals()).to.equal(ethers.parseEther("350"));
+
+      await tokenVault.connect(user1).cancelWithdrawalRequest(1);
+      expect(await pendingWithdrawals()).to.equal(ethers.parseEther("150"));
+
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+      await tokenVault.connect(user1).executeWithdrawal();
+      expect(await pendingWithdrawals()).to.equal(ethers.parseEther("50"));
+
+      await tokenVault.connect(user2).emergencyWithdraw();
+      expect(await pendingWithdrawals()).to.equal(0n);
+    });
+
+    it("should only count requests in the vault's token", async function () {
+      await tokenVault.connect(admin).addAsset(otherToken.target, 0, 0);
+      await tokenVault
+        .connect(user1)
+        ["deposit(address,uint256)"](otherToken.target, ethers.parseEther("500"));
+      await tokenVault
+        .connect(user1)
+        ["requestWithdrawal(address,uint256)"](
+          otherToken.target,
+          ethers.parseEther("400")
+        );
+
+      expect(await pendingWithdrawals()).to.equal(0n);
+      expect(await tokenVault.totalLockedBalances(otherToken.target)).to.equal(
+        ethers.parseEther("400")
+      );
+    });
+
+    it("should balance the token holdings against what the vault owes", async function () {
+      await mockToken.transfer(admin.address, ethers.parseEther("10"));
+      await mockToken
+        .connect(admin)
+        .approve(tokenVault.target, ethers.MaxUint256);
+      await tokenVault
+        .connect(admin)
+        ["fundRewards(uint256)"](ethers.parseEther("10"));
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await tokenVault.connect(user3).deposit(ethers.parseEther("1000"));
+
+      const report = await tokenVault.solvencyReport();
+      expect(report.tokenBalance).to.equal(
+        await mockToken.balanceOf(tokenVault.target)
+      );
+      expect(report.deposits).to.equal(await tokenVault.totalDeposits());
+      expect(report.fees).to.equal(await tokenVault.getAccruedFees());
+      expect(report.reserve).to.equal(await tokenVault.getRewardReserve());
+      expect(report.yieldLiability).to.equal(
+        await tokenVault.getTotalYieldLiability()
+      );
+      expect(report.surplus).to.equal(
+        report.tokenBalance -
+          (report.deposits + report.fees + report.yieldLiability)
+      );
+      // Fees charged before V4 were never set aside, so they show as surplus
+      expect(report.surplus > 0n).to.be.true;
+    });
+  });
+
+  describe("Pre-V4 Requests", function () {
+    const REQUESTED = ethers.parseEther("300");
+    let requestTime;
+
+    // Requested under V3; each test upgrades once it has set up what V3 allows
+    beforeEach(async function () {
+      requestTime = await timestampOf(
+        await tokenVault.connect(user2).requestWithdrawal(REQUESTED)
+      );
+    });
+
+    it("should list an unconverted V3 request with ID 0", async function () {
+      await upgradeToV4();
+      const requests = await tokenVault.getWithdrawalRequests(user2.address);
+      expect(requests.length).to.equal(1);
+      expect(requests[0].requestId).to.equal(0n);
+      expect(requests[0].amount).to.equal(REQUESTED);
+      expect(requests[0].requestTime).to.equal(BigInt(requestTime));
+
+      const [amount, time] = await tokenVault.getWithdrawalRequest(
+        user2.address
+      );
+      expect(amount).to.equal(REQUESTED);
+      expect(time).to.equal(BigInt(requestTime));
+    });
+
+    it("should keep the original request time after migration", async function () {
+      await upgradeToV4();
+      await tokenVault
+        .connect(admin)
+        .migrateWithdrawalRequests([user2.address, user1.address]);
+
+      const [request] = await tokenVault.getWithdrawalRequests(user2.address);
+      expect(request.requestId).to.equal(0n);
+      expect(request.requestTime).to.equal(BigInt(requestTime));
+      expect(
+        await tokenVault.lockedBalances(user2.address, mockToken.target)
+      ).to.equal(REQUESTED);
+      expect(
+        (await tokenVault.getWithdrawalRequests(user1.address)).length
+      ).to.equal(0);
+    });
+
+    it("should convert the V3 request when the user queues another", async function () {
+      await upgradeToV4();
+      await tokenVault.connect(user2).requestWithdrawal(ethers.parseEther("100"));
+
+      const requests = await tokenVault.getWithdrawalRequests(user2.address);
+      expect(requests.map((request) => request.amount)).to.deep.equal([
+        REQUESTED,
+        ethers.parseEther("100"),
+      ]);
+    });
+
+    it("should execute a matured V3 request", async function () {
+      await upgradeToV4();
+      await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+
+      const tokensBefore = await mockToken.balanceOf(user2.address);
+      await tokenVault.connect(user2).executeWithdrawal();
+      expect((await mockToken.balanceOf(user2.address)) - tokensBefore).to.equal(
+        REQUESTED
+      );
+    });
+
+    it("should cap a V3 request to the balance still held", async function () {
+      // V3 did not lock requested amounts, so the request may exceed the balance
+      const balance = await tokenVault.balanceOf(user2.address);
+      await tokenVault.connect(user2).withdraw(balance - ethers.parseEther("50"));
+      await upgradeToV4();
+
+      await tokenVault.connect(admin).migrateWithdrawalRequests([user2.address]);
+      const [request] = await tokenVault.getWithdrawalRequests(user2.address);
+      expect(request.amount).to.equal(ethers.parseEther("50"));
+    });
+
+    it("should lock the V3 request before paying out or moving shares", async function () {
+      await upgradeToV4();
+      const available =
+        (await tokenVault.balanceOf(user2.address)) - REQUESTED;
+      expect(await tokenVault.maxWithdraw(user2.address)).to.equal(available);
+      expect(await tokenVault.maxRedeem(user2.address)).to.equal(available);
+
+      await expect(
+        tokenVault.connect(user2)["withdraw(uint256)"](available + 1n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+      await expect(
+        tokenVault
+          .connect(user2)
+          ["withdraw(uint256,address,address)"](
+            available + 1n,
+            user2.address,
+            user2.address
+          )
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+      await expect(
+        tokenVault
+          .connect(user2)
+          .redeem(available + 1n, user2.address, user2.address)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+      await expect(
+        tokenVault.connect(user2).transfer(user3.address, available + 1n)
+      )
+        .to.be.revertedWithCustomError(tokenVault, "BalanceLocked")
+        .withArgs(available + 1n, available);
+
+      // Paying out the unlocked part moves the request into the queue
+      await tokenVault.connect(user2).transfer(user3.address, available);
+      const [request] = await tokenVault.getWithdrawalRequests(user2.address);
+      expect(request.amount).to.equal(REQUESTED);
+      expect(request.requestTime).to.equal(BigInt(requestTime));
+      expect(
+        await tokenVault.lockedBalances(user2.address, mockToken.target)
+      ).to.equal(REQUESTED);
+    });
+
+    it("should prevent non-admin from migrating requests", async function () {
+      await upgradeToV4();
+      await expect(
+        tokenVault.connect(user1).migrateWithdrawalRequests([user2.address])
+      ).to.be.revertedWith(missingRole(user1, "DEFAULT_ADMIN_ROLE"));
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const {
+  YieldCalculator,
+  createRandom,
+} = require("./helpers/yield-calculator");
+
+describe("Reward-Per-Token Yield Accrual", function () {
+  let tokenVault;
+  let mockToken;
+  let owner, admin, users;
+  let indexStartTime;
+  const INITIAL_SUPPLY = ethers.parseEther("1000000");
+  const DEPOSIT_FEE = 500; // 5%
+  const YIELD_RATE = 500; // 5% annual
+  const WITHDRAWAL_DELAY = 24 * 60 * 60; // 1 day
+
+  const SEEDS = [1, 42, 1337];
+  const STEPS = 40;
+
+  beforeEach(async function () {
+    let signers;
+    [owner, admin, ...signers] = await ethers.getSigners();
+    users = signers.slice(0, 4);
+
+    // Deploy mock token
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken = await MockERC20.deploy(INITIAL_SUPPLY);
+
+    // Deploy V1 and upgrade through V2 and V3 to V4
+    const TokenVaultV1 = await ethers.getContractFactory("TokenVaultV1");
+    tokenVault = await upgrades.deployProxy(
+      TokenVaultV1,
+      [mockToken.target, admin.address, DEPOSIT_FEE],
+      { kind: "uups", initializer: "initialize" }
+    );
+
+    const TokenVaultV2 = await ethers.getContractFactory("TokenVaultV2", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV2, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV2(YIELD_RATE);
+
+    const TokenVaultV3 = await ethers.getContractFactory("TokenVaultV3", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV3, {
+      kind: "uups",
+    });
+    await tokenVault.connect(admin).initializeV3(WITHDRAWAL_DELAY);
+
+    const TokenVaultV4 = await ethers.getContractFactory("TokenVaultV4", admin);
+    tokenVault = await upgrades.upgradeProxy(tokenVault.target, TokenVaultV4, {
+      kind: "uups",
+    });
+    const initTx = await tokenVault
+      .connect(admin)
+      .initializeV4(admin.address, 1000, 0);
+    indexStartTime = (await timestampOf(initTx)).timestamp;
+
+    // Fund the reward reserve so claims are always paid in full
+    await mockToken.transfer(admin.address, ethers.parseEther("100000"));
+    await mockToken
+      .connect(admin)
+      .approve(tokenVault.target, ethers.MaxUint256);
+    await tokenVault.connect(admin).fundRewards(ethers.parseEther("100000"));
+
+    for (const user of users) {
+      await mockToken.transfer(user.address, ethers.parseEther("10000"));
+      await mockToken
+        .connect(user)
+        .approve(tokenVault.target, ethers.MaxUint256);
+    }
+  });
+
+  async function timestampOf(tx) {
+    const receipt = await tx.wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    return { blockNumber: receipt.blockNumber, timestamp: block.timestamp };
+  }
+
+  async function expectMatchesModel(model, blockNumber, timestamp, context) {
+    expect(
+      await tokenVault.rewardPerToken({ blockTag: blockNumber })
+    ).to.equal(
+      model.rewardPerToken(timestamp),
+      `index mismatch after ${context}`
+    );
+
+    let modelLiability = 0n;
+    for (const user of users) {
+      const onChainYield = await tokenVault.getUserYield(user.address, {
+        blockTag: blockNumber,
+      });
+      const onChainBalance = await tokenVault.balanceOf(user.address, {
+        blockTag: blockNumber,
+      });
+      expect(onChainBalance).to.equal(
+        model.balanceOf(user.address),
+        `balance mismatch for ${user.address} after ${context}`
+      );
+      expect(onChainYield).to.equal(
+        model.userYield(user.address, timestamp),
+        `yield mismatch for ${user.address} after ${context}`
+      );
+      modelLiability += model.userYield(user.address, timestamp);
+    }
+
+    // Aggregate liability may round up by at most one wei per user
+    const liability = await tokenVault.getTotalYieldLiability({
+      blockTag: blockNumber,
+    });
+    expect(liability >= modelLiability).to.be.true;
+    expect(liability - modelLiability <= BigInt(users.length)).to.equal(
+      true,
+      `liability mismatch after ${context}`
+    );
+  }
+
+  async function runScenario(seed) {
+    const random = createRandom(seed);
+    const model = new YieldCalculator(YIELD_RATE, indexStartTime);
+    // Pending withdrawal requests per user, oldest first
+    const queues = new Map(users.map((user) => [user.address, []]));
+
+    for (let step = 0; step < STEPS; step++) {
+      const user = random.pick(users);
+      const balance = model.balanceOf(user.address);
+      const queue = queues.get(user.address);
+      const locked = queue.reduce((sum, request) => sum + request.amount, 0n);
+      const available = balance - locked;
+      const op = random.pick([
+        "deposit",
+        "deposit",
+        "withdraw",
+        "request",
+        "execute",
+        "cancel",
+        "emergency",
+        "claim",
+        "warp",
+        "warp",
+        "rate",
+      ]);
+      const context = `step ${step} (${op}, seed ${seed})`;
+
+      let result;
+      if (op === "deposit") {
+        const amount = ethers.parseEther(String(random.int(1, 2000)));
+        result = await timestampOf(
+          await tokenVault.connect(user).deposit(amount)
+        );
+        const fee = (amount * BigInt(DEPOSIT_FEE)) / 10000n;
+        model.deposit(user.address, amount - fee, result.timestamp);
+      } else if (op === "withdraw" && available > 0n) {
+        const amount = (available * BigInt(random.int(1, 100))) / 100n;
+        result = await timestampOf(
+          await tokenVault.connect(user).withdraw(amount)
+        );
+        model.withdraw(user.address, amount, result.timestamp);
+      } else if (op === "request" && available > 0n) {
+        const amount = (available * BigInt(random.int(1, 100))) / 100n;
+        result = await timestampOf(
+          await tokenVault.connect(user).requestWithdrawal(amount)
+        );
+        queue.push({ amount, time: result.timestamp });
+      } else if (op === "execute" && queue.length > 0) {
+        const request = queue[0];
+        const block = await ethers.provider.getBlock("latest");
+        if (block.timestamp + 1 < request.time + WITHDRAWAL_DELAY) {
+          await ethers.provider.send("evm_increaseTime", [WITHDRAWAL_DELAY]);
+        }
+        result = await timestampOf(
+          await tokenVault.connect(user).executeWithdrawal()
+        );
+        model.withdraw(user.address, request.amount, result.timestamp);
+        queue.shift();
+      } else if (op === "cancel" && queue.length > 0) {
+        const [oldest] = await tokenVault.getWithdrawalRequests(user.address);
+        result = await timestampOf(
+          await tokenVault
+            .connect(user)
+            .cancelWithdrawalRequest(oldest.requestId)
+        );
+        queue.shift();
+      } else if (op === "emergency" && balance > 0n) {
+        result = await timestampOf(
+          await tokenVault.connect(user).emergencyWithdraw()
+        );
+        model.withdraw(user.address, balance, result.timestamp);
+        queue.length = 0;
+      } else if (
+        op === "claim" &&
+        (balance > 0n || model.accumulatedYield(user.address) > 0n)
+      ) {
+        const tokensBefore = await mockToken.balanceOf(user.address);
+        result = await timestampOf(await tokenVault.connect(user).claimYield());
+        const claimed = model.claim(user.address, result.timestamp);
+        expect(
+          (await mockToken.balanceOf(user.address)) - tokensBefore
+        ).to.equal(claimed, `claimed amount mismatch after ${context}`);
+      } else if (op === "rate") {
+        const yieldRate = random.int(0, 2000);
+        result = await timestampOf(
+          await tokenVault.connect(admin).setYieldRate(yieldRate)
+        );
+        model.setYieldRate(yieldRate, result.timestamp);
+      } else {
+        // Time warp of up to 90 days
+        await ethers.provider.send("evm_increaseTime", [
+          random.int(1, 90 * 86400),
+        ]);
+        await ethers.provider.send("evm_mine");
+        const block = await ethers.provider.getBlock("latest");
+        result = { blockNumber: block.number, timestamp: block.timestamp };
+      }
+
+      await expectMatchesModel(
+        model,
+        result.blockNumber,
+        result.timestamp,
+        context
+      );
+    }
+  }
+
+  for (const seed of SEEDS) {
+    it(`should match the reference calculator for seed ${seed}`, async function () {
+      await runScenario(seed);
+    });
+  }
+
+  describe("Checkpoints", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("should not pay retroactive yield on top-ups", async function () {
+      const [user] = users;
+      const amount = ethers.parseEther("1000");
+      const credited = amount - (amount * BigInt(DEPOSIT_FEE)) / 10000n;
+
+      await tokenVault.connect(user).deposit(amount);
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await tokenVault.connect(user).deposit(amount);
+      const yieldAfterTopUp = await tokenVault.getUserYield(user.address);
+
+      // One year on the first deposit only (plus at most one second of rounding)
+      const oneYear = (credited * BigInt(YIELD_RATE)) / 10000n;
+      expect(yieldAfterTopUp >= oneYear).to.be.true;
+      expect(yieldAfterTopUp < oneYear + oneYear / 1000n).to.be.true;
+    });
+
+    it("should keep accrued yield after withdrawing everything", async function () {
+      const [user] = users;
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+      await tokenVault.connect(user).emergencyWithdraw();
+
+      const accrued = await tokenVault.getUserYield(user.address);
+      expect(accrued > 0n).to.be.true;
+
+      // Nothing more accrues on a zero balance
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+      await ethers.provider.send("evm_mine");
+      expect(await tokenVault.getUserYield(user.address)).to.equal(accrued);
+
+      const tokensBefore = await mockToken.balanceOf(user.address);
+      await tokenVault.connect(user).claimYield();
+      expect((await mockToken.balanceOf(user.address)) - tokensBefore).to.equal(
+        accrued
+      );
+    });
+  });
+
+  describe("Rate Changes", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("should only apply a new yield rate to future accrual", async function () {
+      const [user] = users;
+      const amount = ethers.parseEther("1000");
+      const credited = amount - (amount * BigInt(DEPOSIT_FEE)) / 10000n;
+
+      await tokenVault.connect(user).deposit(amount);
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await tokenVault.connect(admin).setYieldRate(10000);
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+
+      // One year at 5% followed by one year at 100%, not two years at 100%
+      const expected = (credited * BigInt(YIELD_RATE)) / 10000n + credited;
+      const yield_ = await tokenVault.getUserYield(user.address);
+      expect(yield_ >= expected).to.be.true;
+      expect(yield_ < expected + expected / 1000n).to.be.true;
+    });
+
+    it("should stop accrual while the rate is zero", async function () {
+      const [user] = users;
+      await tokenVault.connect(user).deposit(ethers.parseEther("1000"));
+      await tokenVault.connect(admin).setYieldRate(0);
+      const before = await tokenVault.getUserYield(user.address);
+
+      await ethers.provider.send("evm_increaseTime", [YEAR]);
+      await ethers.provider.send("evm_mine");
+      expect(await tokenVault.getUserYield(user.address)).to.equal(before);
+    });
+
+    it("should report aggregate liability without per-user state", async function () {
+      const [user1, user2] = users;
+      await tokenVault.connect(user1).deposit(ethers.parseEther("1000"));
+      await tokenVault.connect(user2).deposit(ethers.parseEther("3000"));
+      await ethers.provider.send("evm_increaseTime", [YEAR / 2]);
+      await tokenVault.connect(admin).setYieldRate(2000);
+      await ethers.provider.send("evm_increaseTime", [YEAR / 2]);
+      await ethers.provider.send("evm_mine");
+
+      const sum =
+        (await tokenVault.getUserYield(user1.address)) +
+        (await tokenVault.getUserYield(user2.address));
+      const liability = await tokenVault.getTotalYieldLiability();
+      expect(liability >= sum).to.be.true;
+      expect(liability - sum <= 2n).to.be.true;
+    });
+  });
+});